@@ -256,6 +256,7 @@ async function handleApiRequest(url, options) {
       success: response.ok,
       status: response.status,
       statusText: response.statusText,
+      retryAfter: response.headers.get('Retry-After'),
       data: data,
       isJson: typeof data === 'object'
     };
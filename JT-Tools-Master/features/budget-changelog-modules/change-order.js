@@ -0,0 +1,134 @@
+// Budget Changelog - Change Order Module
+// Builds a client-facing, price-only summary of a diff for change order reports
+
+const BudgetChangeOrder = (() => {
+  // Price differences smaller than this are treated as no change
+  const PRICE_TOLERANCE = 0.005;
+
+  /**
+   * Build a price-only change order from a diff
+   * Only extended price is used - cost, formulas and custom fields are never included.
+   * Items whose price did not change (cost-only edits, pure moves/renames) are left out.
+   * Lines whose price isn't known on one side (e.g. the budget table hides the price column)
+   * are listed with `priceUnavailable` and a null delta, and left out of subtotals and totals.
+   * When either budget has unpriced items its contract totals aren't known, so oldTotal and
+   * newTotal are null and netChange only sums the lines with known prices.
+   * @param {Object} diff - Diff result from BudgetDiffEngine.compare()
+   * @returns {Object} { groups: [{ location, lines, subtotal }], oldTotal, newTotal, netChange, lineCount, unavailableCount }
+   */
+  function build(diff) {
+    const groups = new Map();
+
+    const addLine = (item, line) => {
+      if (!line.priceUnavailable && Math.abs(line.delta) < PRICE_TOLERANCE) return;
+      const location = item.hierarchy.slice(0, -1).join(' > ') || 'General';
+      if (!groups.has(location)) {
+        groups.set(location, { location, lines: [], subtotal: 0 });
+      }
+      const group = groups.get(location);
+      group.lines.push({ name: item.name, ...line });
+      if (!line.priceUnavailable) group.subtotal += line.delta;
+    };
+
+    for (const item of diff.added) {
+      addLine(item, priceLine('added', item.description || '', null, item.extendedPrice, false, true));
+    }
+
+    for (const item of diff.removed) {
+      addLine(item, priceLine('removed', '', item.extendedPrice, null, true, false));
+    }
+
+    for (const entry of [...diff.modified, ...(diff.moved || [])]) {
+      const description = describePriceChange(entry.changes);
+      const line = priceLine('changed', description, entry.oldItem.extendedPrice, entry.item.extendedPrice, true, true);
+      // Without both prices only a quantity or unit price change tells us the price moved
+      if (line.priceUnavailable && !description) continue;
+      addLine(entry.item, line);
+    }
+
+    const sortedGroups = Array.from(groups.values())
+      .sort((a, b) => a.location.localeCompare(b.location));
+    for (const group of sortedGroups) {
+      group.lines.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const lines = sortedGroups.flatMap(g => g.lines);
+    const unavailableCount = lines.filter(line => line.priceUnavailable).length;
+    const { summary } = diff;
+    const totalsKnown = !summary.oldUnpricedCount && !summary.newUnpricedCount;
+
+    return {
+      groups: sortedGroups,
+      oldTotal: totalsKnown ? summary.oldTotalPrice : null,
+      newTotal: totalsKnown ? summary.newTotalPrice : null,
+      netChange: totalsKnown
+        ? summary.newTotalPrice - summary.oldTotalPrice
+        : sortedGroups.reduce((sum, g) => sum + g.subtotal, 0),
+      lineCount: lines.length,
+      unavailableCount
+    };
+  }
+
+  /**
+   * Build one change order line
+   * @param {string} kind - 'added' | 'removed' | 'changed'
+   * @param {string} description - Client-facing description
+   * @param {number|null} oldPrice - Old extended price (null if the item is new or the price is unknown)
+   * @param {number|null} newPrice - New extended price (null if the item was removed or the price is unknown)
+   * @param {boolean} needsOld - Whether the old price is required
+   * @param {boolean} needsNew - Whether the new price is required
+   * @returns {Object} { kind, description, oldPrice, newPrice, delta, priceUnavailable }
+   */
+  function priceLine(kind, description, oldPrice, newPrice, needsOld, needsNew) {
+    const old = needsOld ? (oldPrice ?? null) : null;
+    const current = needsNew ? (newPrice ?? null) : null;
+    const priceUnavailable = (needsOld && old === null) || (needsNew && current === null);
+    return {
+      kind,
+      description,
+      oldPrice: old,
+      newPrice: current,
+      delta: priceUnavailable ? null : (current || 0) - (old || 0),
+      priceUnavailable
+    };
+  }
+
+  /**
+   * Describe a price change in client terms (quantity and unit price only)
+   * @param {Array} changes - Change objects from BudgetDiffEngine.compareItems()
+   * @returns {string} e.g. "Quantity 10 → 12" or ''
+   */
+  function describePriceChange(changes) {
+    const parts = [];
+    const quantity = changes.find(c => c.field === 'quantity');
+    const unitPrice = changes.find(c => c.field === 'unitPrice');
+
+    if (quantity) {
+      parts.push(`Quantity ${formatNumber(quantity.oldValue)} → ${formatNumber(quantity.newValue)}`);
+    }
+    if (unitPrice) {
+      parts.push(`Unit price ${BudgetDiffEngine.formatCurrency(unitPrice.oldValue)} → ${BudgetDiffEngine.formatCurrency(unitPrice.newValue)}`);
+    }
+    return parts.join('; ');
+  }
+
+  /**
+   * Format a quantity for display
+   * @param {number|null} value - Quantity
+   * @returns {string} Formatted quantity
+   */
+  function formatNumber(value) {
+    if (value === null || value === undefined) return '0';
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: 4 });
+  }
+
+  // Public API
+  return {
+    build
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BudgetChangeOrder = BudgetChangeOrder;
+}
@@ -9,42 +9,120 @@ const BudgetCSVParser = (() => {
    * @returns {Array} Array of parsed budget item objects
    */
   function parse(csvText) {
+    return parseWithReport(csvText).items;
+  }
+
+  /**
+   * Parse a CSV string and describe how it was read
+   * @param {string} csvText - Raw CSV text content
+   * @returns {Object} { items, report: { version, versionLabel, delimiter, decimalSeparator, unknownColumns, missingColumns, warnings } }
+   * @throws {Error} If no known budget columns are found
+   */
+  function parseWithReport(csvText) {
     // Remove BOM character if present
     if (csvText.charCodeAt(0) === 0xFEFF) {
       csvText = csvText.slice(1);
     }
 
-    const lines = parseCSVLines(csvText);
+    // Excel writes a "sep=;" line when saving with a non-default delimiter
+    let delimiter = null;
+    const sepLine = /^sep=(.)\r?\n/i.exec(csvText);
+    if (sepLine) {
+      delimiter = sepLine[1];
+      csvText = csvText.slice(sepLine[0].length);
+    }
+    if (!delimiter) {
+      delimiter = BudgetCSVSchema.detectDelimiter(csvText.split(/\r?\n/, 1)[0]);
+    }
+
+    const lines = parseCSVLines(csvText, delimiter);
     if (lines.length < 2) {
-      return [];
+      return { items: [], report: createReport({ delimiter, warnings: ['Backup file has no rows.'] }) };
     }
 
     // First line is headers
-    const headers = lines[0];
+    const schema = BudgetCSVSchema.resolveHeaders(lines[0]);
+    if (schema.recognizedCount === 0) {
+      throw new Error('This file does not look like a JobTread budget backup (no known columns found).');
+    }
+
+    const rows = lines.slice(1).filter(values => !(values.length === 0 || (values.length === 1 && values[0] === '')));
+    const decimalSeparator = BudgetCSVSchema.detectDecimalSeparator(collectNumericSamples(schema.columns, rows));
+
     const items = [];
+    let mismatchedRows = 0;
 
     // Parse each data row
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i];
-      if (values.length === 0 || (values.length === 1 && values[0] === '')) {
-        continue; // Skip empty rows
+    for (const values of rows) {
+      if (values.length !== lines[0].length) {
+        mismatchedRows++;
       }
 
-      const item = parseRow(headers, values);
+      const item = parseRow(schema.columns, values, decimalSeparator);
       if (item) {
         items.push(item);
       }
     }
 
-    return items;
+    const warnings = [...schema.warnings];
+    if (mismatchedRows > 0) {
+      warnings.push(`${mismatchedRows} row${mismatchedRows === 1 ? ' has' : 's have'} a different number of columns than the header.`);
+    }
+    if (delimiter !== ',') {
+      warnings.push(`Read as ${delimiter === '\t' ? 'tab' : `"${delimiter}"`}-separated${decimalSeparator === ',' ? ' with comma decimals' : ''}.`);
+    }
+
+    return {
+      items,
+      report: createReport({ ...schema, delimiter, decimalSeparator, warnings })
+    };
+  }
+
+  /**
+   * Build a parse report with defaults for anything not provided
+   * @param {Object} fields - Report fields
+   * @returns {Object} Parse report
+   */
+  function createReport(fields) {
+    return {
+      version: fields.version || null,
+      versionLabel: fields.versionLabel || '',
+      delimiter: fields.delimiter || ',',
+      decimalSeparator: fields.decimalSeparator || '.',
+      unknownColumns: fields.unknownColumns || [],
+      missingColumns: fields.missingColumns || [],
+      warnings: fields.warnings || []
+    };
+  }
+
+  /**
+   * Collect raw values from numeric/currency columns for number format detection
+   * @param {Array<Object>} columns - Resolved columns from BudgetCSVSchema.resolveHeaders()
+   * @param {Array<Array<string>>} rows - Data rows
+   * @returns {Array<string>} Raw values
+   */
+  function collectNumericSamples(columns, rows) {
+    const indexes = [];
+    columns.forEach((column, index) => {
+      if (column && (column.type === 'number' || column.type === 'currency')) indexes.push(index);
+    });
+
+    const samples = [];
+    for (const values of rows) {
+      for (const index of indexes) {
+        if (values[index]) samples.push(values[index]);
+      }
+    }
+    return samples;
   }
 
   /**
    * Parse CSV text respecting quoted fields with newlines
    * @param {string} csvText - Raw CSV text
+   * @param {string} delimiter - Field separator (default comma)
    * @returns {Array<Array<string>>} Array of rows, each row is array of values
    */
-  function parseCSVLines(csvText) {
+  function parseCSVLines(csvText, delimiter = ',') {
     const rows = [];
     let currentRow = [];
     let currentValue = '';
@@ -75,7 +153,7 @@ const BudgetCSVParser = (() => {
           // Start of quoted field
           insideQuotes = true;
           i++;
-        } else if (char === ',') {
+        } else if (char === delimiter) {
           // Field separator
           currentRow.push(currentValue);
           currentValue = '';
@@ -112,12 +190,77 @@ const BudgetCSVParser = (() => {
 
   /**
    * Parse a single row into a structured budget item
-   * @param {Array<string>} headers - Column headers
+   * @param {Array<Object>} columns - Resolved columns from BudgetCSVSchema.resolveHeaders()
    * @param {Array<string>} values - Row values
+   * @param {string} decimalSeparator - '.' or ','
    * @returns {Object|null} Parsed budget item or null if invalid
    */
-  function parseRow(headers, values) {
+  function parseRow(columns, values, decimalSeparator = '.') {
+    const item = createEmptyItem();
+
+    // Map values to item properties
+    for (let i = 0; i < columns.length && i < values.length; i++) {
+      const column = columns[i];
+      if (!column) continue;
+
+      const value = values[i];
+
+      if (column.customField !== undefined) {
+        item.customFields[column.customField] = value;
+        continue;
+      }
+
+      switch (column.type) {
+        case 'hierarchy':
+          item[column.field] = value;
+          item.hierarchy = parseHierarchy(value);
+          break;
+        case 'number':
+          item[column.field] = parseNumber(value, decimalSeparator);
+          break;
+        case 'currency':
+          item[column.field] = parseCurrency(value, decimalSeparator);
+          break;
+        case 'boolean':
+          item[column.field] = BudgetCSVSchema.parseBoolean(value);
+          break;
+        default:
+          item[column.field] = value;
+          break;
+      }
+    }
+
+    return finalizeItem(item);
+  }
+
+  /**
+   * Normalize an item built from another source (live budget, snapshots)
+   * into the same shape parseRow() produces
+   * @param {Object} fields - Partial item; hierarchy is derived from costGroup when omitted
+   * @returns {Object} Budget item
+   */
+  function normalizeItem(fields) {
     const item = {
+      ...createEmptyItem(),
+      ...fields,
+      customFields: { ...(fields.customFields || {}) }
+    };
+
+    if (!Array.isArray(fields.hierarchy)) {
+      item.hierarchy = parseHierarchy(item.costGroup);
+    } else if (!fields.costGroup) {
+      item.costGroup = fields.hierarchy.join('; ');
+    }
+
+    return finalizeItem(item);
+  }
+
+  /**
+   * Create a budget item with every field at its default value
+   * @returns {Object} Empty budget item
+   */
+  function createEmptyItem() {
+    return {
       // Core identification
       costGroup: '',
       hierarchy: [],
@@ -154,78 +297,14 @@ const BudgetCSVParser = (() => {
       isGroup: false,
       uniqueKey: ''
     };
+  }
 
-    // Map values to item properties
-    for (let i = 0; i < headers.length && i < values.length; i++) {
-      const header = headers[i].trim();
-      const value = values[i];
-
-      switch (header) {
-        case 'Cost Group':
-          item.costGroup = value;
-          item.hierarchy = parseHierarchy(value);
-          break;
-        case 'Cost Item Name':
-          item.name = value;
-          break;
-        case 'Description':
-          item.description = value;
-          break;
-        case 'Quantity':
-          item.quantity = parseNumber(value);
-          break;
-        case 'Quantity Formula':
-          item.quantityFormula = value;
-          break;
-        case 'Unit':
-          item.unit = value;
-          break;
-        case 'Unit Cost':
-          item.unitCost = parseNumber(value);
-          break;
-        case 'Unit Cost Formula':
-          item.unitCostFormula = value;
-          break;
-        case 'Extended Cost':
-          item.extendedCost = parseCurrency(value);
-          break;
-        case 'Unit Price':
-          item.unitPrice = parseNumber(value);
-          break;
-        case 'Unit Price Formula':
-          item.unitPriceFormula = value;
-          break;
-        case 'Extended Price':
-          item.extendedPrice = parseCurrency(value);
-          break;
-        case 'Taxable':
-          item.taxable = value.toLowerCase() === 'true';
-          break;
-        case 'Cost Type':
-          item.costType = value;
-          break;
-        case 'Cost Code':
-          item.costCode = value;
-          break;
-        case 'Selected':
-          item.selected = value.toLowerCase() === 'true';
-          break;
-        case 'Minimum Selections':
-          item.minSelections = parseNumber(value);
-          break;
-        case 'Maximum Selections':
-          item.maxSelections = parseNumber(value);
-          break;
-        default:
-          // Handle custom fields (start with "Custom: ")
-          if (header.startsWith('Custom: ')) {
-            const fieldName = header.replace('Custom: ', '');
-            item.customFields[fieldName] = value;
-          }
-          break;
-      }
-    }
-
+  /**
+   * Compute derived fields (group flag, unique key) for an item
+   * @param {Object} item - Budget item
+   * @returns {Object} The same item
+   */
+  function finalizeItem(item) {
     // Determine if this is a group (container) row
     // Groups have no name and typically $0.00 values
     item.isGroup = !item.name && item.hierarchy.length > 0;
@@ -250,38 +329,38 @@ const BudgetCSVParser = (() => {
   /**
    * Parse a number from string, handling empty values
    * @param {string} value - String value
+   * @param {string} decimalSeparator - '.' or ','
    * @returns {number|null} Parsed number or null
    */
-  function parseNumber(value) {
+  function parseNumber(value, decimalSeparator = '.') {
     if (!value || value.trim() === '') return null;
-    const num = parseFloat(value);
-    return isNaN(num) ? null : num;
+    return BudgetCSVSchema.parseLocaleNumber(value, decimalSeparator);
   }
 
   /**
-   * Parse currency value (handles $X.XX format)
+   * Parse currency value ($1,234.56, 1.234,56 €, (12.00), -$5 ...)
    * @param {string} value - Currency string
+   * @param {string} decimalSeparator - '.' or ','
    * @returns {number|null} Parsed number or null
    */
-  function parseCurrency(value) {
+  function parseCurrency(value, decimalSeparator = '.') {
     if (!value || value.trim() === '') return null;
-    // Remove $ and commas
-    const cleaned = value.replace(/[$,]/g, '');
-    const num = parseFloat(cleaned);
-    return isNaN(num) ? null : num;
+    return BudgetCSVSchema.parseLocaleNumber(value, decimalSeparator);
   }
 
   /**
    * Generate a unique key for matching items between backups
    * Uses: hierarchy path + name + cost code
    * @param {Object} item - Parsed budget item
+   * @param {Object} options - { includeCostCode: false when one side of a comparison has no cost codes }
    * @returns {string} Unique key
    */
-  function generateUniqueKey(item) {
+  function generateUniqueKey(item, options = {}) {
+    const { includeCostCode = true } = options;
     const parts = [
       item.hierarchy.join(' > '),
       item.name || '[GROUP]',
-      item.costCode || ''
+      includeCostCode ? (item.costCode || '') : ''
     ];
     return parts.join('|').toLowerCase();
   }
@@ -343,7 +422,10 @@ const BudgetCSVParser = (() => {
   // Public API
   return {
     parse,
+    parseWithReport,
     parseCSVLines,
+    parseCurrency,
+    normalizeItem,
     parseHierarchy,
     getSummary,
     buildTree,
@@ -0,0 +1,252 @@
+// Budget Changelog - CSV Schema Module
+// Maps budget backup headers to item fields, detects the backup format and number format
+
+const BudgetCSVSchema = (() => {
+  /**
+   * Known backup columns
+   * `since` is the first format version that includes the column, `aliases` cover
+   * older exports, hand-edited files and spreadsheet round-trips.
+   */
+  const COLUMNS = [
+    { field: 'costGroup', header: 'Cost Group', type: 'hierarchy', required: true, since: 1, aliases: ['Group', 'Cost Group Path', 'Budget Group'] },
+    { field: 'name', header: 'Cost Item Name', type: 'text', required: true, since: 1, aliases: ['Name', 'Item Name', 'Cost Item', 'Item'] },
+    { field: 'description', header: 'Description', type: 'text', since: 1, aliases: ['Item Description'] },
+    { field: 'quantity', header: 'Quantity', type: 'number', since: 1, aliases: ['Qty'] },
+    { field: 'quantityFormula', header: 'Quantity Formula', type: 'text', since: 2, aliases: ['Qty Formula'] },
+    { field: 'unit', header: 'Unit', type: 'text', since: 1, aliases: ['Units', 'UOM', 'Unit of Measure'] },
+    { field: 'unitCost', header: 'Unit Cost', type: 'currency', since: 1, aliases: [] },
+    { field: 'unitCostFormula', header: 'Unit Cost Formula', type: 'text', since: 2, aliases: [] },
+    { field: 'extendedCost', header: 'Extended Cost', type: 'currency', required: true, since: 1, aliases: ['Ext. Cost', 'Ext Cost', 'Total Cost', 'Cost'] },
+    { field: 'unitPrice', header: 'Unit Price', type: 'currency', since: 1, aliases: [] },
+    { field: 'unitPriceFormula', header: 'Unit Price Formula', type: 'text', since: 2, aliases: [] },
+    { field: 'extendedPrice', header: 'Extended Price', type: 'currency', required: true, since: 1, aliases: ['Ext. Price', 'Ext Price', 'Total Price', 'Price'] },
+    { field: 'taxable', header: 'Taxable', type: 'boolean', since: 1, aliases: ['Is Taxable', 'Tax'] },
+    { field: 'costType', header: 'Cost Type', type: 'text', since: 1, aliases: ['Type'] },
+    { field: 'costCode', header: 'Cost Code', type: 'text', since: 1, aliases: ['Code'] },
+    { field: 'selected', header: 'Selected', type: 'boolean', since: 3, aliases: ['Is Selected'] },
+    { field: 'minSelections', header: 'Minimum Selections', type: 'number', since: 3, aliases: ['Min Selections'] },
+    { field: 'maxSelections', header: 'Maximum Selections', type: 'number', since: 3, aliases: ['Max Selections'] }
+  ];
+
+  // Backups aren't stamped with a version, so it is inferred from the newest columns present
+  const VERSION_LABELS = {
+    1: 'basic budget backup',
+    2: 'budget backup with formulas',
+    3: 'budget backup with formulas and selections'
+  };
+
+  const CUSTOM_FIELD_PREFIX = 'Custom: ';
+  const DELIMITERS = [',', ';', '\t', '|'];
+  const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+
+  // Normalized header -> column definition
+  const HEADER_LOOKUP = new Map();
+  for (const column of COLUMNS) {
+    for (const name of [column.header, ...column.aliases]) {
+      HEADER_LOOKUP.set(normalizeHeader(name), column);
+    }
+  }
+
+  /**
+   * Normalize a header for lookup (case, spacing, trailing colons)
+   * @param {string} header - Raw header
+   * @returns {string} Normalized header
+   */
+  function normalizeHeader(header) {
+    return (header || '').replace(/\s+/g, ' ').replace(/:$/, '').trim().toLowerCase();
+  }
+
+  /**
+   * Detect the field delimiter from the header line
+   * Counts candidates outside quotes and picks the most frequent (comma on ties).
+   * @param {string} headerLine - First line of the file
+   * @returns {string} Delimiter character
+   */
+  function detectDelimiter(headerLine) {
+    const counts = new Map(DELIMITERS.map(d => [d, 0]));
+    let insideQuotes = false;
+
+    for (const char of headerLine) {
+      if (char === '"') {
+        insideQuotes = !insideQuotes;
+      } else if (!insideQuotes && counts.has(char)) {
+        counts.set(char, counts.get(char) + 1);
+      }
+    }
+
+    let best = ',';
+    for (const [delimiter, count] of counts) {
+      if (count > counts.get(best)) best = delimiter;
+    }
+    return best;
+  }
+
+  /**
+   * Map header cells to column definitions
+   * @param {Array<string>} headers - Header row
+   * @returns {Object} { columns, version, versionLabel, unknownColumns, missingColumns, warnings }
+   *   columns[i] is { field, type } for known columns, { customField } for custom/unknown ones
+   */
+  function resolveHeaders(headers) {
+    const columns = [];
+    const seenFields = new Set();
+    const unknownColumns = [];
+    const duplicateColumns = [];
+
+    headers.forEach((rawHeader, index) => {
+      const header = (rawHeader || '').trim();
+
+      if (header.startsWith(CUSTOM_FIELD_PREFIX)) {
+        columns[index] = { customField: header.slice(CUSTOM_FIELD_PREFIX.length) };
+        return;
+      }
+
+      const column = HEADER_LOOKUP.get(normalizeHeader(header));
+      if (!column) {
+        if (header) {
+          unknownColumns.push(header);
+          // Keep the data so a change in it still shows up in the diff
+          columns[index] = { customField: header };
+        }
+        return;
+      }
+
+      if (seenFields.has(column.field)) {
+        duplicateColumns.push(header);
+        return;
+      }
+
+      seenFields.add(column.field);
+      columns[index] = { field: column.field, type: column.type };
+    });
+
+    const version = COLUMNS.reduce((max, c) => seenFields.has(c.field) ? Math.max(max, c.since) : max, 1);
+
+    const missingColumns = COLUMNS
+      .filter(c => !seenFields.has(c.field) && (c.required || c.since <= version))
+      .map(c => ({ header: c.header, required: !!c.required }));
+
+    const warnings = [];
+    const missingRequired = missingColumns.filter(c => c.required).map(c => c.header);
+    const missingOptional = missingColumns.filter(c => !c.required).map(c => c.header);
+
+    if (missingRequired.length > 0) {
+      warnings.push(`Missing required column${missingRequired.length === 1 ? '' : 's'}: ${missingRequired.join(', ')}. Changes in ${missingRequired.length === 1 ? 'it' : 'them'} cannot be detected.`);
+    }
+    if (missingOptional.length > 0) {
+      warnings.push(`Missing column${missingOptional.length === 1 ? '' : 's'} expected in a ${VERSION_LABELS[version]}: ${missingOptional.join(', ')}.`);
+    }
+    if (unknownColumns.length > 0) {
+      warnings.push(`Unrecognized column${unknownColumns.length === 1 ? ' compared as a custom field' : 's compared as custom fields'}: ${unknownColumns.join(', ')}.`);
+    }
+    if (duplicateColumns.length > 0) {
+      warnings.push(`Duplicate column${duplicateColumns.length === 1 ? '' : 's'} ignored: ${duplicateColumns.join(', ')}.`);
+    }
+
+    return {
+      columns,
+      version,
+      versionLabel: VERSION_LABELS[version],
+      recognizedCount: seenFields.size,
+      unknownColumns,
+      missingColumns,
+      warnings
+    };
+  }
+
+  /**
+   * Detect whether numbers use "." or "," as the decimal separator
+   * Votes on unambiguous values (e.g. "1.234,56", "12,5" vs "1,234.56", "12.5").
+   * @param {Array<string>} values - Sample values from numeric columns
+   * @returns {string} '.' or ','
+   */
+  function detectDecimalSeparator(values) {
+    let dot = 0;
+    let comma = 0;
+
+    for (const raw of values) {
+      const value = (raw || '').replace(/[^\d.,]/g, '');
+      if (!value) continue;
+
+      if (/\.\d{3},\d+$/.test(value) || /^\d+,\d{1,2}$/.test(value)) {
+        comma++;
+      } else if (/,\d{3}\.\d+$/.test(value) || /^\d+\.\d{1,2}$/.test(value)) {
+        dot++;
+      }
+    }
+
+    return comma > dot ? ',' : '.';
+  }
+
+  /**
+   * Parse a locale-formatted number or currency value
+   * Handles currency symbols/codes, thousands separators (",", ".", spaces, apostrophes),
+   * leading/trailing minus signs, accounting-style parentheses and Excel's scientific
+   * notation (1E-05). A minus between digits ("12-3") is not a number.
+   * @param {string} value - Raw value
+   * @param {string} decimalSeparator - '.' or ','
+   * @returns {number|null} Parsed number or null
+   */
+  function parseLocaleNumber(value, decimalSeparator = '.') {
+    if (value === null || value === undefined) return null;
+    let text = String(value).trim().replace(/−/g, '-');
+    if (!text) return null;
+
+    const scientific = /^([-+]?)(\d+(?:[.,]\d+)?)e([-+]?\d+)$/i.exec(text);
+    if (scientific) {
+      const num = parseFloat(`${scientific[2].replace(',', '.')}e${scientific[3]}`);
+      return scientific[1] === '-' ? -num : num;
+    }
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+    if (/\d\D*-\D*\d/.test(text)) {
+      return null;
+    }
+    // Minus before the first digit ("-$5", "$-5") or after the last ("5.00-")
+    if (/^\D*-/.test(text) || /-\D*$/.test(text)) {
+      negative = !negative;
+    }
+
+    text = text.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(text)) return null;
+
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    text = text.split(thousandsSeparator).join('');
+    if (decimalSeparator === ',') {
+      text = text.replace(',', '.');
+    }
+
+    const num = parseFloat(text);
+    if (isNaN(num)) return null;
+    return negative ? -num : num;
+  }
+
+  /**
+   * Parse a boolean cell
+   * @param {string} value - Raw value
+   * @returns {boolean} True for true/yes/1/x
+   */
+  function parseBoolean(value) {
+    return TRUE_VALUES.includes((value || '').trim().toLowerCase());
+  }
+
+  // Public API
+  return {
+    COLUMNS,
+    CUSTOM_FIELD_PREFIX,
+    detectDelimiter,
+    resolveHeaders,
+    detectDecimalSeparator,
+    parseLocaleNumber,
+    parseBoolean
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BudgetCSVSchema = BudgetCSVSchema;
+}
@@ -2,24 +2,32 @@
 // Compares two parsed budgets and identifies changes
 
 const BudgetDiffEngine = (() => {
+  // Default margin drop (in percentage points) that flags a cost group or cost type
+  const DEFAULT_MARGIN_DROP_THRESHOLD = 5;
+
   /**
    * Compare two parsed budgets and return a diff
    * @param {Array} oldItems - Items from older backup
    * @param {Array} newItems - Items from newer backup
+   * @param {Object} options - { marginDropThreshold: percentage points of margin loss to flag }
    * @returns {Object} Diff result with added, removed, modified items
    */
-  function compare(oldItems, newItems) {
+  function compare(oldItems, newItems, options = {}) {
     // Filter out groups for comparison (we only care about line items)
     const oldLineItems = oldItems.filter(i => !i.isGroup);
     const newLineItems = newItems.filter(i => !i.isGroup);
 
+    const getKey = buildMatchKey(oldLineItems, newLineItems);
+
     // Create maps for fast lookup
-    const oldMap = new Map(oldLineItems.map(i => [i.uniqueKey, i]));
-    const newMap = new Map(newLineItems.map(i => [i.uniqueKey, i]));
+    const oldMap = new Map(oldLineItems.map(i => [getKey(i), i]));
+    const newMap = new Map(newLineItems.map(i => [getKey(i), i]));
 
     const added = [];
     const removed = [];
     const modified = [];
+    // Every old/new pair (changed or not) for formula dependency analysis
+    const pairs = [];
 
     // Find added and modified items
     for (const [key, newItem] of newMap) {
@@ -28,6 +36,7 @@ const BudgetDiffEngine = (() => {
         added.push(newItem);
       } else {
         const changes = compareItems(oldItem, newItem);
+        pairs.push({ oldItem, newItem, changes });
         if (changes.length > 0) {
           modified.push({
             item: newItem,
@@ -45,18 +54,278 @@ const BudgetDiffEngine = (() => {
       }
     }
 
+    // Pair up removed + added items that are really the same item renamed or moved
+    const moved = [];
+    for (const match of detectMoves(removed, added)) {
+      pairs.push({ oldItem: match.oldItem, newItem: match.item, changes: match.changes });
+      if (match.moveType === 'recoded') {
+        // Same name and location, only the cost code (part of the key) changed
+        modified.push({
+          item: match.item,
+          oldItem: match.oldItem,
+          changes: [{
+            field: 'costCode',
+            label: 'Cost Code',
+            oldValue: match.oldItem.costCode,
+            newValue: match.item.costCode,
+            type: 'text'
+          }, ...match.changes]
+        });
+      } else {
+        moved.push(match);
+      }
+    }
+
+    // Explain formula-driven changes (changes are annotated in place)
+    BudgetFormulaAnalyzer.annotate(pairs);
+
     // Calculate summary
-    const summary = calculateSummary(oldLineItems, newLineItems, added, removed, modified);
+    const summary = calculateSummary(oldLineItems, newLineItems, added, removed, modified, moved);
+    summary.margin = calculateMarginAnalysis(oldLineItems, newLineItems, options.marginDropThreshold);
 
     return {
       added,
       removed,
       modified,
+      moved,
       summary,
-      hasChanges: added.length > 0 || removed.length > 0 || modified.length > 0
+      hasChanges: added.length > 0 || removed.length > 0 || modified.length > 0 || moved.length > 0
     };
   }
 
+  /**
+   * Build the function that keys items for matching between the two sides
+   * Cost codes are part of the key, but sources write them differently: a backup may hold
+   * "0600 - Framing" where another source has "0600" or "Framing". When one side's codes
+   * only line up with the other's after dropping the name or the number, that side is keyed
+   * on the shortened form. A side with no cost codes at all (null, e.g. read from the budget
+   * table on the page) can't match on them, so both sides use location + name only.
+   * @param {Array} oldItems - Old line items
+   * @param {Array} newItems - New line items
+   * @returns {Function} item => match key
+   */
+  function buildMatchKey(oldItems, newItems) {
+    const lacksCostCodes = (items) => items.length > 0 && items.every(i => i.costCode === null);
+    if (lacksCostCodes(oldItems) || lacksCostCodes(newItems)) {
+      return (item) => BudgetCSVParser.generateUniqueKey(item, { includeCostCode: false });
+    }
+
+    const collectCodes = (items, form) => new Set(items.map(i => shortenCostCode(normalizeText(i.costCode), form)).filter(Boolean));
+    const countShared = (a, b) => [...a].filter(code => b.has(code)).length;
+    const oldCodes = collectCodes(oldItems);
+    const newCodes = collectCodes(newItems);
+
+    let best = { items: null, form: null, shared: countShared(oldCodes, newCodes) };
+    for (const form of ['number', 'name']) {
+      const oldShared = countShared(collectCodes(oldItems, form), newCodes);
+      if (oldShared > best.shared) best = { items: oldItems, form, shared: oldShared };
+      const newShared = countShared(collectCodes(newItems, form), oldCodes);
+      if (newShared > best.shared) best = { items: newItems, form, shared: newShared };
+    }
+
+    if (!best.items) {
+      return (item) => item.uniqueKey;
+    }
+
+    const shortenedItems = new Set(best.items);
+    return (item) => shortenedItems.has(item)
+      ? BudgetCSVParser.generateUniqueKey({ ...item, costCode: shortenCostCode(item.costCode, best.form) })
+      : item.uniqueKey;
+  }
+
+  /**
+   * Reduce a "number - name" cost code to one part
+   * @param {string} costCode - Cost code
+   * @param {string} form - 'number' | 'name' (anything else keeps the full code)
+   * @returns {string} Shortened cost code (codes without " - " are returned unchanged)
+   */
+  function shortenCostCode(costCode, form) {
+    const match = /^(.+?)\s+-\s+(.+)$/.exec((costCode || '').trim());
+    if (!match || (form !== 'number' && form !== 'name')) return costCode || '';
+    return form === 'number' ? match[1] : match[2];
+  }
+
+  // Minimum weighted similarity for a removed/added pair to count as the same item
+  const MOVE_MATCH_THRESHOLD = 0.6;
+
+  // Weights for each similarity signal (only signals with data on either side count)
+  const MOVE_SIGNAL_WEIGHTS = {
+    name: 3,
+    description: 3,
+    costCode: 2,
+    location: 2,
+    unit: 1,
+    quantity: 1
+  };
+
+  /**
+   * Detect renamed and moved items among the removed/added lists
+   * Matched pairs are taken out of `removed` and `added` (mutates both arrays)
+   * @param {Array} removed - Items only in the old budget
+   * @param {Array} added - Items only in the new budget
+   * @returns {Array} Moved entries: { item, oldItem, changes, moveType, fromLocation, toLocation, oldName, newName, similarity }
+   *   moveType is 'moved', 'renamed', 'moved-renamed' or 'recoded' (only the cost code differs)
+   */
+  function detectMoves(removed, added) {
+    if (removed.length === 0 || added.length === 0) return [];
+
+    // Score every plausible pair
+    const candidates = [];
+    for (const oldItem of removed) {
+      for (const newItem of added) {
+        const similarity = scoreMoveCandidate(oldItem, newItem);
+        if (similarity >= MOVE_MATCH_THRESHOLD) {
+          candidates.push({ oldItem, newItem, similarity });
+        }
+      }
+    }
+
+    // Greedy: best-scoring pairs claim their items first
+    candidates.sort((a, b) => b.similarity - a.similarity);
+
+    const matchedOld = new Set();
+    const matchedNew = new Set();
+    const moved = [];
+
+    for (const { oldItem, newItem, similarity } of candidates) {
+      if (matchedOld.has(oldItem) || matchedNew.has(newItem)) continue;
+      matchedOld.add(oldItem);
+      matchedNew.add(newItem);
+
+      const fromLocation = oldItem.hierarchy.join(' > ');
+      const toLocation = newItem.hierarchy.join(' > ');
+      const isRenamed = normalizeText(oldItem.name) !== normalizeText(newItem.name);
+      const isMoved = fromLocation.toLowerCase() !== toLocation.toLowerCase();
+
+      let moveType = 'moved';
+      if (isRenamed && isMoved) {
+        moveType = 'moved-renamed';
+      } else if (isRenamed) {
+        moveType = 'renamed';
+      } else if (!isMoved) {
+        moveType = 'recoded';
+      }
+
+      moved.push({
+        item: newItem,
+        oldItem,
+        changes: compareItems(oldItem, newItem),
+        moveType,
+        fromLocation,
+        toLocation,
+        oldName: oldItem.name,
+        newName: newItem.name,
+        similarity
+      });
+    }
+
+    // Remove matched items from the plain added/removed lists
+    for (let i = removed.length - 1; i >= 0; i--) {
+      if (matchedOld.has(removed[i])) removed.splice(i, 1);
+    }
+    for (let i = added.length - 1; i >= 0; i--) {
+      if (matchedNew.has(added[i])) added.splice(i, 1);
+    }
+
+    return moved;
+  }
+
+  /**
+   * Score how likely an added item is a renamed/moved copy of a removed item
+   * Weighted average of name, description, cost code, location, unit and quantity similarity.
+   * Requires the name or description to be similar so that unrelated items sharing a
+   * cost code and unit in the same group are never paired.
+   * @param {Object} oldItem - Removed item
+   * @param {Object} newItem - Added item
+   * @returns {number} Similarity between 0 and 1
+   */
+  function scoreMoveCandidate(oldItem, newItem) {
+    // Signals one side couldn't read (null) are left out rather than scored as different
+    const isKnown = (key) => oldItem[key] !== null && newItem[key] !== null;
+
+    const nameScore = tokenSimilarity(oldItem.name, newItem.name);
+    const hasDescription = isKnown('description') && !!(oldItem.description || newItem.description);
+    const descriptionScore = hasDescription ? tokenSimilarity(oldItem.description, newItem.description) : 0;
+
+    if (nameScore < 0.5 && descriptionScore < 0.6) {
+      return 0;
+    }
+
+    const signals = [
+      { weight: MOVE_SIGNAL_WEIGHTS.name, score: nameScore },
+      { weight: MOVE_SIGNAL_WEIGHTS.location, score: tokenSimilarity(oldItem.hierarchy.join(' '), newItem.hierarchy.join(' ')) }
+    ];
+
+    if (hasDescription) {
+      signals.push({ weight: MOVE_SIGNAL_WEIGHTS.description, score: descriptionScore });
+    }
+    if (isKnown('costCode') && (oldItem.costCode || newItem.costCode)) {
+      signals.push({ weight: MOVE_SIGNAL_WEIGHTS.costCode, score: normalizeText(oldItem.costCode) === normalizeText(newItem.costCode) ? 1 : 0 });
+    }
+    if (isKnown('unit') && (oldItem.unit || newItem.unit)) {
+      signals.push({ weight: MOVE_SIGNAL_WEIGHTS.unit, score: normalizeText(oldItem.unit) === normalizeText(newItem.unit) ? 1 : 0 });
+    }
+    if (isKnown('quantity')) {
+      const sameQty = Math.abs(oldItem.quantity - newItem.quantity) < 0.001;
+      signals.push({ weight: MOVE_SIGNAL_WEIGHTS.quantity, score: sameQty ? 1 : 0 });
+    }
+
+    let totalWeight = 0;
+    let total = 0;
+    for (const signal of signals) {
+      totalWeight += signal.weight;
+      total += signal.weight * signal.score;
+    }
+
+    return totalWeight > 0 ? total / totalWeight : 0;
+  }
+
+  /**
+   * Jaccard similarity of the word sets of two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Similarity between 0 and 1
+   */
+  function tokenSimilarity(a, b) {
+    const tokensA = new Set(normalizeText(a).split(/[^a-z0-9]+/).filter(Boolean));
+    const tokensB = new Set(normalizeText(b).split(/[^a-z0-9]+/).filter(Boolean));
+
+    if (tokensA.size === 0 && tokensB.size === 0) return 1;
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let shared = 0;
+    for (const token of tokensA) {
+      if (tokensB.has(token)) shared++;
+    }
+    return shared / (tokensA.size + tokensB.size - shared);
+  }
+
+  /**
+   * Normalize text for comparison (trim, lowercase, collapse whitespace)
+   * @param {string} value - Text
+   * @returns {string} Normalized text
+   */
+  function normalizeText(value) {
+    return (value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Describe a moved/renamed entry in one line
+   * e.g. 'Moved from Framing > Walls to Framing > Exterior'
+   * @param {Object} move - Entry from diff.moved
+   * @returns {string} Description
+   */
+  function describeMove(move) {
+    const parts = [];
+    if (move.moveType === 'renamed' || move.moveType === 'moved-renamed') {
+      parts.push(`Renamed from "${move.oldName}"`);
+    }
+    if (move.moveType === 'moved' || move.moveType === 'moved-renamed') {
+      parts.push(`${parts.length > 0 ? 'moved' : 'Moved'} from ${move.fromLocation || 'Root'} to ${move.toLocation || 'Root'}`);
+    }
+    return parts.join(', ');
+  }
+
   /**
    * Compare two individual items and return list of changes
    * @param {Object} oldItem - Old version of item
@@ -89,20 +358,19 @@ const BudgetDiffEngine = (() => {
       { key: 'selected', label: 'Selected' }
     ];
 
+    // Null means the value is missing or the source didn't provide it
+    // (e.g. a column hidden in the budget table), so it's never reported as a change
+
     // Compare numeric fields
     for (const field of numericFields) {
       const oldVal = oldItem[field.key];
       const newVal = newItem[field.key];
 
-      // Both null = no change
-      if (oldVal === null && newVal === null) continue;
+      if (oldVal === null || newVal === null) continue;
 
-      // One null, one not = change
       if (oldVal !== newVal) {
         // For numbers, use tolerance for floating point comparison
-        if (oldVal !== null && newVal !== null) {
-          if (Math.abs(oldVal - newVal) < 0.001) continue;
-        }
+        if (Math.abs(oldVal - newVal) < 0.001) continue;
 
         changes.push({
           field: field.key,
@@ -111,13 +379,14 @@ const BudgetDiffEngine = (() => {
           newValue: newVal,
           isCurrency: field.isCurrency || false,
           type: 'numeric',
-          delta: (newVal || 0) - (oldVal || 0)
+          delta: newVal - oldVal
         });
       }
     }
 
     // Compare text fields
     for (const field of textFields) {
+      if (oldItem[field.key] === null || newItem[field.key] === null) continue;
       const oldVal = (oldItem[field.key] || '').trim();
       const newVal = (newItem[field.key] || '').trim();
 
@@ -134,6 +403,7 @@ const BudgetDiffEngine = (() => {
 
     // Compare boolean fields
     for (const field of boolFields) {
+      if (oldItem[field.key] === null || newItem[field.key] === null) continue;
       if (oldItem[field.key] !== newItem[field.key]) {
         changes.push({
           field: field.key,
@@ -176,23 +446,28 @@ const BudgetDiffEngine = (() => {
    * @param {Array} added - Added items
    * @param {Array} removed - Removed items
    * @param {Array} modified - Modified items
+   * @param {Array} moved - Renamed/moved items
    * @returns {Object} Summary statistics
    */
-  function calculateSummary(oldItems, newItems, added, removed, modified) {
-    // Calculate old totals
+  function calculateSummary(oldItems, newItems, added, removed, modified, moved = []) {
+    // Calculate old totals (items without a known price are counted, not summed)
     let oldTotalCost = 0;
     let oldTotalPrice = 0;
+    let oldUnpricedCount = 0;
     for (const item of oldItems) {
       if (item.extendedCost !== null) oldTotalCost += item.extendedCost;
       if (item.extendedPrice !== null) oldTotalPrice += item.extendedPrice;
+      else oldUnpricedCount++;
     }
 
     // Calculate new totals
     let newTotalCost = 0;
     let newTotalPrice = 0;
+    let newUnpricedCount = 0;
     for (const item of newItems) {
       if (item.extendedCost !== null) newTotalCost += item.extendedCost;
       if (item.extendedPrice !== null) newTotalPrice += item.extendedPrice;
+      else newUnpricedCount++;
     }
 
     // Calculate impact of changes
@@ -210,9 +485,10 @@ const BudgetDiffEngine = (() => {
       if (item.extendedPrice !== null) removedPrice += item.extendedPrice;
     }
 
+    // Moved items can change value too, so count their deltas with the modified ones
     let modifiedCostDelta = 0;
     let modifiedPriceDelta = 0;
-    for (const mod of modified) {
+    for (const mod of [...modified, ...moved]) {
       for (const change of mod.changes) {
         if (change.field === 'extendedCost') {
           modifiedCostDelta += change.delta;
@@ -224,18 +500,21 @@ const BudgetDiffEngine = (() => {
     }
 
     // Calculate unchanged count: items in both old and new that weren't modified
-    const unchangedCount = newItems.length - added.length - modified.length;
+    const unchangedCount = newItems.length - added.length - modified.length - moved.length;
 
     return {
       oldTotalCost,
       oldTotalPrice,
       newTotalCost,
       newTotalPrice,
+      oldUnpricedCount,
+      newUnpricedCount,
       costChange: newTotalCost - oldTotalCost,
       priceChange: newTotalPrice - oldTotalPrice,
       addedCount: added.length,
       removedCount: removed.length,
       modifiedCount: modified.length,
+      movedCount: moved.length,
       unchangedCount: Math.max(0, unchangedCount),
       addedCost,
       addedPrice,
@@ -246,6 +525,150 @@ const BudgetDiffEngine = (() => {
     };
   }
 
+  /**
+   * Calculate gross margin and markup for both budgets, overall and broken out
+   * per top-level cost group and per cost type
+   * @param {Array} oldItems - Old line items
+   * @param {Array} newItems - New line items
+   * @param {number} threshold - Margin drop (percentage points) that flags a row
+   * @returns {Object} { threshold, overall, byGroup, byCostType, flagged }
+   */
+  function calculateMarginAnalysis(oldItems, newItems, threshold = DEFAULT_MARGIN_DROP_THRESHOLD) {
+    if (typeof threshold !== 'number' || isNaN(threshold) || threshold < 0) {
+      threshold = DEFAULT_MARGIN_DROP_THRESHOLD;
+    }
+
+    const overall = compareMargins(sumTotals(oldItems), sumTotals(newItems), threshold);
+
+    const byGroup = compareBreakdown(oldItems, newItems, item => item.hierarchy[0] || 'Root', threshold);
+    const byCostType = compareBreakdown(oldItems, newItems, item => item.costType || 'No Cost Type', threshold);
+
+    return {
+      threshold,
+      overall,
+      byGroup,
+      byCostType,
+      flagged: [
+        ...byGroup.filter(row => row.flagged).map(row => ({ ...row, breakdown: 'group' })),
+        ...byCostType.filter(row => row.flagged).map(row => ({ ...row, breakdown: 'costType' }))
+      ]
+    };
+  }
+
+  /**
+   * Group both budgets by a key and compare margins per key
+   * @param {Array} oldItems - Old line items
+   * @param {Array} newItems - New line items
+   * @param {Function} getKey - item -> breakdown key
+   * @param {number} threshold - Margin drop that flags a row
+   * @returns {Array} Rows sorted by key: { key, old, new, marginChange, markupChange, flagged }
+   */
+  function compareBreakdown(oldItems, newItems, getKey, threshold) {
+    const oldGroups = groupItems(oldItems, getKey);
+    const newGroups = groupItems(newItems, getKey);
+    const keys = [...new Set([...oldGroups.keys(), ...newGroups.keys()])].sort((a, b) => a.localeCompare(b));
+
+    return keys.map(key => ({
+      key,
+      ...compareMargins(sumTotals(oldGroups.get(key) || []), sumTotals(newGroups.get(key) || []), threshold)
+    }));
+  }
+
+  /**
+   * Bucket items by key
+   * @param {Array} items - Line items
+   * @param {Function} getKey - item -> key
+   * @returns {Map<string, Array>} key -> items
+   */
+  function groupItems(items, getKey) {
+    const groups = new Map();
+    for (const item of items) {
+      const key = getKey(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+    return groups;
+  }
+
+  /**
+   * Sum extended cost and price for a set of items
+   * @param {Array} items - Line items
+   * @returns {Object} { cost, price }
+   */
+  function sumTotals(items) {
+    let cost = 0;
+    let price = 0;
+    for (const item of items) {
+      if (item.extendedCost !== null) cost += item.extendedCost;
+      if (item.extendedPrice !== null) price += item.extendedPrice;
+    }
+    return { cost, price };
+  }
+
+  /**
+   * Compute margin/markup metrics for a cost and price total
+   * Margin = profit / price, markup = profit / cost (null when the base is 0)
+   * @param {Object} totals - { cost, price }
+   * @returns {Object} { cost, price, profit, margin, markup }
+   */
+  function marginMetrics(totals) {
+    const profit = totals.price - totals.cost;
+    return {
+      cost: totals.cost,
+      price: totals.price,
+      profit,
+      margin: Math.abs(totals.price) > 0.001 ? (profit / totals.price) * 100 : null,
+      markup: Math.abs(totals.cost) > 0.001 ? (profit / totals.cost) * 100 : null
+    };
+  }
+
+  /**
+   * Compare old and new margin metrics
+   * A row is flagged when margin dropped by more than the threshold (percentage points)
+   * @param {Object} oldTotals - { cost, price }
+   * @param {Object} newTotals - { cost, price }
+   * @param {number} threshold - Margin drop that flags the row
+   * @returns {Object} { old, new, marginChange, markupChange, flagged }
+   */
+  function compareMargins(oldTotals, newTotals, threshold) {
+    const oldMetrics = marginMetrics(oldTotals);
+    const newMetrics = marginMetrics(newTotals);
+    const marginChange = oldMetrics.margin !== null && newMetrics.margin !== null
+      ? newMetrics.margin - oldMetrics.margin
+      : null;
+    const markupChange = oldMetrics.markup !== null && newMetrics.markup !== null
+      ? newMetrics.markup - oldMetrics.markup
+      : null;
+
+    return {
+      old: oldMetrics,
+      new: newMetrics,
+      marginChange,
+      markupChange,
+      flagged: marginChange !== null && marginChange < -threshold
+    };
+  }
+
+  /**
+   * Format a percentage for display
+   * @param {number} value - Percentage value
+   * @returns {string} Formatted string
+   */
+  function formatPercent(value) {
+    if (value === null || value === undefined) return '-';
+    return value.toFixed(1) + '%';
+  }
+
+  /**
+   * Format a percentage-point change with +/- prefix
+   * @param {number} value - Change in percentage points
+   * @returns {string} Formatted string
+   */
+  function formatPercentDelta(value) {
+    if (value === null || value === undefined || Math.abs(value) < 0.05) return '-';
+    return (value > 0 ? '+' : '') + value.toFixed(1) + ' pts';
+  }
+
   /**
    * Format a currency value for display
    * @param {number} value - Currency value
@@ -288,10 +711,10 @@ const BudgetDiffEngine = (() => {
     const addToGroup = (item, type, data = null) => {
       const groupKey = item.hierarchy.slice(0, -1).join(' > ') || 'Root';
       if (!groups[groupKey]) {
-        groups[groupKey] = { added: [], removed: [], modified: [] };
+        groups[groupKey] = { added: [], removed: [], modified: [], moved: [] };
       }
-      if (type === 'modified') {
-        groups[groupKey].modified.push(data);
+      if (type === 'modified' || type === 'moved') {
+        groups[groupKey][type].push(data);
       } else {
         groups[groupKey][type].push(item);
       }
@@ -309,6 +732,10 @@ const BudgetDiffEngine = (() => {
       addToGroup(mod.item, 'modified', mod);
     }
 
+    for (const move of diff.moved || []) {
+      addToGroup(move.item, 'moved', move);
+    }
+
     return groups;
   }
 
@@ -336,8 +763,26 @@ const BudgetDiffEngine = (() => {
     lines.push(`  Items Added: ${diff.summary.addedCount}`);
     lines.push(`  Items Removed: ${diff.summary.removedCount}`);
     lines.push(`  Items Modified: ${diff.summary.modifiedCount}`);
+    if (diff.summary.movedCount) {
+      lines.push(`  Items Moved/Renamed: ${diff.summary.movedCount}`);
+    }
+    const margin = diff.summary.margin;
+    if (margin) {
+      lines.push(`  Gross Margin: ${formatPercent(margin.overall.old.margin)} → ${formatPercent(margin.overall.new.margin)} (${formatPercentDelta(margin.overall.marginChange)})`);
+      lines.push(`  Markup: ${formatPercent(margin.overall.old.markup)} → ${formatPercent(margin.overall.new.markup)}`);
+    }
     lines.push('');
 
+    // Margin warnings
+    if (margin && margin.flagged.length > 0) {
+      lines.push(`MARGIN DROPS OVER ${margin.threshold} PTS:`);
+      for (const row of margin.flagged) {
+        const label = row.breakdown === 'costType' ? `${row.key} (cost type)` : row.key;
+        lines.push(`  ! ${label}: ${formatPercent(row.old.margin)} → ${formatPercent(row.new.margin)} (${formatPercentDelta(row.marginChange)})`);
+      }
+      lines.push('');
+    }
+
     // Added items
     if (diff.added.length > 0) {
       lines.push('ADDED ITEMS:');
@@ -379,16 +824,21 @@ const BudgetDiffEngine = (() => {
         const location = mod.item.hierarchy.join(' > ');
         lines.push(`  ~ ${mod.item.name}`);
         lines.push(`    Location: ${location}`);
-        for (const change of mod.changes) {
-          if (change.isCurrency) {
-            lines.push(`    ${change.label}: ${formatCurrency(change.oldValue)} → ${formatCurrency(change.newValue)}`);
-          } else if (change.type === 'boolean') {
-            lines.push(`    ${change.label}: ${change.oldValue} → ${change.newValue}`);
-          } else if (change.type === 'text' && change.field === 'description') {
-            lines.push(`    ${change.label}: (changed)`);
-          } else {
-            lines.push(`    ${change.label}: ${change.oldValue || '(empty)'} → ${change.newValue || '(empty)'}`);
-          }
+        for (const line of formatChangeLines(mod.changes)) {
+          lines.push(`    ${line}`);
+        }
+        lines.push('');
+      }
+    }
+
+    // Moved / renamed items
+    if (diff.moved && diff.moved.length > 0) {
+      lines.push('MOVED / RENAMED ITEMS:');
+      for (const move of diff.moved) {
+        lines.push(`  > ${move.newName}`);
+        lines.push(`    ${describeMove(move)}`);
+        for (const line of formatChangeLines(move.changes)) {
+          lines.push(`    ${line}`);
         }
         lines.push('');
       }
@@ -401,14 +851,48 @@ const BudgetDiffEngine = (() => {
     return lines.join('\n');
   }
 
+  /**
+   * Format field changes as plain text lines
+   * @param {Array} changes - Change objects from compareItems()
+   * @returns {Array<string>} One line per change
+   */
+  function formatChangeLines(changes) {
+    return changes.map(change => {
+      let line;
+      if (change.isCurrency) {
+        line = `${change.label}: ${formatCurrency(change.oldValue)} → ${formatCurrency(change.newValue)}`;
+      } else if (change.type === 'boolean') {
+        line = `${change.label}: ${change.oldValue} → ${change.newValue}`;
+      } else if (change.type === 'text' && change.field === 'description') {
+        line = `${change.label}: (changed)`;
+      } else {
+        line = `${change.label}: ${change.oldValue || '(empty)'} → ${change.newValue || '(empty)'}`;
+      }
+
+      // Formula analysis added by BudgetFormulaAnalyzer.annotate()
+      if (change.explanation) {
+        line += ` [${change.explanation}]`;
+      } else if (change.formula) {
+        line += ` [${change.formula.summary}]`;
+      }
+      return line;
+    });
+  }
+
   // Public API
   return {
     compare,
     compareItems,
+    detectMoves,
+    describeMove,
     groupByHierarchy,
     generateTextSummary,
+    calculateMarginAnalysis,
     formatCurrency,
-    formatDelta
+    formatDelta,
+    formatPercent,
+    formatPercentDelta,
+    DEFAULT_MARGIN_DROP_THRESHOLD
   };
 })();
 
@@ -0,0 +1,261 @@
+// Budget Changelog - Export Module
+// Converts diff results into downloadable CSV and JSON files
+
+const BudgetDiffExport = (() => {
+  const CSV_HEADERS = ['Change Type', 'Hierarchy Path', 'Item', 'Cost Code', 'Field', 'Old Value', 'New Value', 'Delta', 'Explanation'];
+
+  // Cells starting with these characters are treated as formulas by spreadsheet apps
+  const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+  /**
+   * Flatten a diff into one row per change
+   * Added/removed items produce a row for their extended cost and extended price,
+   * moved items a row for the location/name change plus one per field change.
+   * @param {Object} diff - Diff result from BudgetDiffEngine.compare()
+   * @returns {Array<Object>} Rows: { changeType, path, item, costCode, field, oldValue, newValue, delta, explanation }
+   */
+  function toRows(diff) {
+    const rows = [];
+
+    const totalRows = (item, changeType) => {
+      const sign = changeType === 'Removed' ? -1 : 1;
+      for (const field of [{ key: 'extendedCost', label: 'Extended Cost' }, { key: 'extendedPrice', label: 'Extended Price' }]) {
+        const value = item[field.key];
+        if (value === null) continue;
+        rows.push(createRow(changeType, item, {
+          field: field.label,
+          oldValue: changeType === 'Removed' ? value : null,
+          newValue: changeType === 'Added' ? value : null,
+          delta: sign * value
+        }));
+      }
+    };
+
+    for (const item of diff.added) {
+      totalRows(item, 'Added');
+    }
+
+    for (const item of diff.removed) {
+      totalRows(item, 'Removed');
+    }
+
+    for (const mod of diff.modified) {
+      for (const change of mod.changes) {
+        rows.push(createRow('Modified', mod.item, changeToRowFields(change)));
+      }
+    }
+
+    for (const move of diff.moved || []) {
+      const changeType = move.moveType === 'renamed' ? 'Renamed' : 'Moved';
+      if (move.moveType !== 'moved') {
+        rows.push(createRow(changeType, move.item, { field: 'Name', oldValue: move.oldName, newValue: move.newName }));
+      }
+      if (move.moveType !== 'renamed') {
+        rows.push(createRow(changeType, move.item, { field: 'Location', oldValue: move.fromLocation, newValue: move.toLocation }));
+      }
+      for (const change of move.changes) {
+        rows.push(createRow(changeType, move.item, changeToRowFields(change)));
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Build an export row for an item
+   * @param {string} changeType - Added | Removed | Modified | Moved | Renamed
+   * @param {Object} item - Budget item the change belongs to
+   * @param {Object} fields - { field, oldValue, newValue, delta, explanation }
+   * @returns {Object} Row
+   */
+  function createRow(changeType, item, fields) {
+    return {
+      changeType,
+      path: item.hierarchy.join(' > '),
+      item: item.name,
+      costCode: item.costCode || '',
+      field: fields.field,
+      oldValue: fields.oldValue === undefined ? null : fields.oldValue,
+      newValue: fields.newValue === undefined ? null : fields.newValue,
+      delta: fields.delta === undefined ? null : fields.delta,
+      explanation: fields.explanation || ''
+    };
+  }
+
+  /**
+   * Map a change from BudgetDiffEngine.compareItems onto row fields
+   * @param {Object} change - Change object
+   * @returns {Object} { field, oldValue, newValue, delta, explanation }
+   */
+  function changeToRowFields(change) {
+    return {
+      field: change.label,
+      oldValue: change.oldValue,
+      newValue: change.newValue,
+      delta: change.type === 'numeric' ? change.delta : null,
+      explanation: change.explanation || change.formula?.summary || ''
+    };
+  }
+
+  /**
+   * Serialize diff rows to CSV
+   * @param {Array<Object>} rows - Rows from toRows()
+   * @param {Object} options - { excel: add a UTF-8 BOM and CRLF line endings for Excel }
+   * @returns {string} CSV text
+   */
+  function toCSV(rows, options = {}) {
+    const lines = [CSV_HEADERS.map(escapeCSVCell).join(',')];
+
+    for (const row of rows) {
+      lines.push([
+        row.changeType,
+        row.path,
+        row.item,
+        row.costCode,
+        row.field,
+        row.oldValue,
+        row.newValue,
+        row.delta,
+        row.explanation
+      ].map(escapeCSVCell).join(','));
+    }
+
+    const csv = lines.join(options.excel ? '\r\n' : '\n');
+    return options.excel ? '\uFEFF' + csv : csv;
+  }
+
+  /**
+   * Escape a single CSV cell
+   * Numbers are written raw (no currency symbols) so spreadsheets can sum them;
+   * text that looks like a formula is prefixed with an apostrophe.
+   * @param {*} value - Cell value
+   * @returns {string} Escaped cell
+   */
+  function escapeCSVCell(value) {
+    if (value === null || value === undefined) return '';
+
+    if (typeof value === 'number') {
+      return String(Math.round(value * 10000) / 10000);
+    }
+
+    let text = typeof value === 'boolean' ? (value ? 'TRUE' : 'FALSE') : String(value);
+
+    if (FORMULA_PREFIXES.some(prefix => text.startsWith(prefix))) {
+      text = "'" + text;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+      return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+  }
+
+  /**
+   * Serialize the full diff object to JSON
+   * @param {Object} diff - Diff result from BudgetDiffEngine.compare()
+   * @param {Object} meta - Extra metadata (jobName, oldDate, newDate, filters)
+   * @returns {string} Pretty-printed JSON
+   */
+  function toJSON(diff, meta = {}) {
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      generator: 'JT Power Tools Budget Changelog',
+      ...meta,
+      summary: diff.summary,
+      added: diff.added,
+      removed: diff.removed,
+      modified: diff.modified,
+      moved: diff.moved || []
+    }, null, 2);
+  }
+
+  /**
+   * Build a safe file name for an export
+   * @param {string} jobName - Job name (may be empty)
+   * @param {string} extension - File extension without dot
+   * @returns {string} File name like budget-changelog-smith-remodel-2026-03-22.csv
+   */
+  function buildFileName(jobName, extension) {
+    const slug = (jobName || 'budget')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60) || 'budget';
+    const now = new Date();
+    const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    return `budget-changelog-${slug}-${date}.${extension}`;
+  }
+
+  /**
+   * Create an object URL for export content
+   * Caller is responsible for revoking it when no longer needed
+   * @param {string} content - File content
+   * @param {string} mimeType - MIME type
+   * @returns {string} Blob URL
+   */
+  function createDownloadUrl(content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    return URL.createObjectURL(blob);
+  }
+
+  /**
+   * Trigger a file download from the current page
+   * @param {string} content - File content
+   * @param {string} fileName - Download file name
+   * @param {string} mimeType - MIME type
+   */
+  function download(content, fileName, mimeType) {
+    const url = createDownloadUrl(content, mimeType);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Build all export variants for a diff
+   * @param {Object} diff - Diff result (already filtered if filters are active)
+   * @param {Object} meta - Metadata passed through to the JSON export
+   * @returns {Object} { csv, excelCsv, json } each with { content, fileName, mimeType }
+   */
+  function buildExports(diff, meta = {}) {
+    const rows = toRows(diff);
+    return {
+      csv: {
+        content: toCSV(rows),
+        fileName: buildFileName(meta.jobName, 'csv'),
+        mimeType: 'text/csv;charset=utf-8'
+      },
+      excelCsv: {
+        content: toCSV(rows, { excel: true }),
+        fileName: buildFileName(meta.jobName, 'excel.csv'),
+        mimeType: 'text/csv;charset=utf-8'
+      },
+      json: {
+        content: toJSON(diff, meta),
+        fileName: buildFileName(meta.jobName, 'json'),
+        mimeType: 'application/json'
+      }
+    };
+  }
+
+  // Public API
+  return {
+    toRows,
+    toCSV,
+    toJSON,
+    buildExports,
+    createDownloadUrl,
+    download
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BudgetDiffExport = BudgetDiffExport;
+}
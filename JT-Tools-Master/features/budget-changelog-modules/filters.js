@@ -0,0 +1,194 @@
+// Budget Changelog - Filters Module
+// Narrows a diff by change type, cost group, cost type, delta size, field and search text
+
+const BudgetDiffFilter = (() => {
+  const CHANGE_TYPES = ['added', 'removed', 'modified', 'moved'];
+
+  /**
+   * Create a filter state that shows everything
+   * @returns {Object} { changeTypes, costGroup, costType, minDelta, field, search }
+   */
+  function createFilters() {
+    return {
+      changeTypes: [...CHANGE_TYPES],
+      costGroup: '',
+      costType: '',
+      minDelta: 0,
+      field: '',
+      search: ''
+    };
+  }
+
+  /**
+   * Check whether any filter narrows the diff
+   * @param {Object} filters - Filter state
+   * @returns {boolean} True if at least one filter is active
+   */
+  function isActive(filters) {
+    return filters.changeTypes.length < CHANGE_TYPES.length ||
+      !!filters.costGroup ||
+      !!filters.costType ||
+      filters.minDelta > 0 ||
+      !!filters.field ||
+      !!filters.search.trim();
+  }
+
+  /**
+   * Collect the values available to each filter control
+   * @param {Object} diff - Diff result from BudgetDiffEngine.compare()
+   * @returns {Object} { costGroups: string[], costTypes: string[], fields: [{ key, label }] }
+   */
+  function getOptions(diff) {
+    const costGroups = new Set();
+    const costTypes = new Set();
+    const fields = new Map();
+
+    for (const entry of getEntries(diff)) {
+      // Every ancestor path, so a parent group selects its whole subtree
+      const groups = entry.item.hierarchy.slice(0, -1);
+      for (let i = 1; i <= groups.length; i++) {
+        costGroups.add(groups.slice(0, i).join(' > '));
+      }
+      if (entry.item.costType) costTypes.add(entry.item.costType);
+      for (const change of entry.changes) {
+        fields.set(change.field, change.label);
+      }
+    }
+
+    return {
+      costGroups: Array.from(costGroups).sort((a, b) => a.localeCompare(b)),
+      costTypes: Array.from(costTypes).sort((a, b) => a.localeCompare(b)),
+      fields: Array.from(fields, ([key, label]) => ({ key, label })).sort((a, b) => a.label.localeCompare(b.label))
+    };
+  }
+
+  /**
+   * Apply filters to a diff
+   * The summary is left untouched (it always describes the full comparison);
+   * the item lists only contain entries matching every active filter.
+   * @param {Object} diff - Diff result from BudgetDiffEngine.compare()
+   * @param {Object} filters - Filter state from createFilters()
+   * @returns {Object} Diff with filtered added/removed/modified/moved and a `filtered` flag
+   */
+  function apply(diff, filters) {
+    if (!isActive(filters)) {
+      return diff;
+    }
+
+    const added = diff.added.filter(item => matches({ type: 'added', item, changes: [] }, filters));
+    const removed = diff.removed.filter(item => matches({ type: 'removed', item, changes: [] }, filters));
+    const modified = diff.modified.filter(mod => matches({ type: 'modified', item: mod.item, changes: mod.changes }, filters));
+    const moved = (diff.moved || []).filter(move => matches({
+      type: 'moved',
+      item: move.item,
+      changes: move.changes,
+      oldName: move.oldName
+    }, filters));
+
+    return {
+      ...diff,
+      added,
+      removed,
+      modified,
+      moved,
+      filtered: true,
+      hasChanges: added.length > 0 || removed.length > 0 || modified.length > 0 || moved.length > 0
+    };
+  }
+
+  /**
+   * Check a single diff entry against the filters
+   * @param {Object} entry - { type, item, changes, oldName }
+   * @param {Object} filters - Filter state
+   * @returns {boolean} True if the entry should be shown
+   */
+  function matches(entry, filters) {
+    const { type, item, changes } = entry;
+
+    if (!filters.changeTypes.includes(type)) return false;
+
+    if (filters.costGroup) {
+      const location = item.hierarchy.slice(0, -1).join(' > ');
+      if (location !== filters.costGroup && !location.startsWith(filters.costGroup + ' > ')) return false;
+    }
+
+    if (filters.costType && item.costType !== filters.costType) return false;
+
+    // Added/removed items have no field changes, so a field filter hides them
+    if (filters.field && !changes.some(c => c.field === filters.field)) return false;
+
+    if (filters.minDelta > 0 && getDeltaMagnitude(entry) < filters.minDelta) return false;
+
+    const search = filters.search.trim().toLowerCase();
+    if (search) {
+      const haystack = [item.name, item.description, entry.oldName]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Size of an entry's money impact: the larger of the extended cost and price deltas
+   * @param {Object} entry - { type, item, changes }
+   * @returns {number} Absolute delta
+   */
+  function getDeltaMagnitude(entry) {
+    if (entry.type === 'added' || entry.type === 'removed') {
+      return Math.max(Math.abs(entry.item.extendedCost || 0), Math.abs(entry.item.extendedPrice || 0));
+    }
+    return entry.changes
+      .filter(c => c.field === 'extendedCost' || c.field === 'extendedPrice')
+      .reduce((max, c) => Math.max(max, Math.abs(c.delta || 0)), 0);
+  }
+
+  /**
+   * Flatten a diff into { type, item, changes } entries
+   * @param {Object} diff - Diff result
+   * @returns {Array<Object>} Entries
+   */
+  function getEntries(diff) {
+    return [
+      ...diff.added.map(item => ({ type: 'added', item, changes: [] })),
+      ...diff.removed.map(item => ({ type: 'removed', item, changes: [] })),
+      ...diff.modified.map(mod => ({ type: 'modified', item: mod.item, changes: mod.changes })),
+      ...(diff.moved || []).map(move => ({ type: 'moved', item: move.item, changes: move.changes }))
+    ];
+  }
+
+  /**
+   * Describe the active filters for export metadata
+   * @param {Object} filters - Filter state
+   * @returns {Object|null} Active filters only, or null if nothing is filtered
+   */
+  function describe(filters) {
+    if (!isActive(filters)) return null;
+
+    const active = {};
+    if (filters.changeTypes.length < CHANGE_TYPES.length) active.changeTypes = [...filters.changeTypes];
+    if (filters.costGroup) active.costGroup = filters.costGroup;
+    if (filters.costType) active.costType = filters.costType;
+    if (filters.minDelta > 0) active.minDelta = filters.minDelta;
+    if (filters.field) active.field = filters.field;
+    if (filters.search.trim()) active.search = filters.search.trim();
+    return active;
+  }
+
+  // Public API
+  return {
+    CHANGE_TYPES,
+    createFilters,
+    isActive,
+    getOptions,
+    apply,
+    describe
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BudgetDiffFilter = BudgetDiffFilter;
+}
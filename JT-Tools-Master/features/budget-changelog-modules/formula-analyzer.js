@@ -0,0 +1,279 @@
+// Budget Changelog - Formula Analyzer Module
+// Tokenizes budget formulas and explains why formula-driven values changed
+
+const BudgetFormulaAnalyzer = (() => {
+  // Numeric fields that can be driven by a formula, and the formula field behind each
+  const FORMULA_FIELDS = {
+    quantity: 'quantityFormula',
+    unitCost: 'unitCostFormula',
+    unitPrice: 'unitPriceFormula'
+  };
+
+  // Extended totals and the inputs they are calculated from
+  const EXTENDED_FIELDS = {
+    extendedCost: ['quantity', 'unitCost'],
+    extendedPrice: ['quantity', 'unitPrice']
+  };
+
+  const FIELD_LABELS = {
+    quantity: 'Quantity',
+    unitCost: 'Unit Cost',
+    unitPrice: 'Unit Price'
+  };
+
+  const OPERATOR_CHARS = '+-*/^%(),<>=!&|?:';
+
+  /**
+   * Split a formula into tokens
+   * References may be bare identifiers (wallLength, area.sqft) or wrapped in {} / []
+   * @param {string} formula - Formula text
+   * @returns {Array<Object>} Tokens: { type: 'number'|'string'|'reference'|'function'|'operator'|'unknown', value }
+   */
+  function tokenize(formula) {
+    const tokens = [];
+    const text = formula || '';
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      // Numbers (1, 1.5, .25)
+      const numberMatch = /^(\d+(\.\d+)?|\.\d+)/.exec(text.slice(i));
+      if (numberMatch) {
+        tokens.push({ type: 'number', value: numberMatch[0] });
+        i += numberMatch[0].length;
+        continue;
+      }
+
+      // Quoted strings
+      if (char === '"' || char === "'") {
+        const end = text.indexOf(char, i + 1);
+        const stop = end === -1 ? text.length : end + 1;
+        tokens.push({ type: 'string', value: text.slice(i, stop) });
+        i = stop;
+        continue;
+      }
+
+      // Bracketed references {Wall Length} or [Wall Length]
+      if (char === '{' || char === '[') {
+        const close = char === '{' ? '}' : ']';
+        const end = text.indexOf(close, i + 1);
+        const stop = end === -1 ? text.length : end;
+        tokens.push({ type: 'reference', value: text.slice(i + 1, stop).trim() });
+        i = end === -1 ? text.length : end + 1;
+        continue;
+      }
+
+      // Identifiers: function calls or references
+      const identMatch = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(text.slice(i));
+      if (identMatch) {
+        const value = identMatch[0];
+        i += value.length;
+        const rest = text.slice(i).trimStart();
+        if (rest.startsWith('(')) {
+          tokens.push({ type: 'function', value });
+        } else if (/^(true|false)$/i.test(value)) {
+          tokens.push({ type: 'number', value: value.toLowerCase() });
+        } else {
+          tokens.push({ type: 'reference', value });
+        }
+        continue;
+      }
+
+      if (OPERATOR_CHARS.includes(char)) {
+        tokens.push({ type: 'operator', value: char });
+        i++;
+        continue;
+      }
+
+      tokens.push({ type: 'unknown', value: char });
+      i++;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Get the unique references used by a formula (case preserved, compared case-insensitively)
+   * @param {string} formula - Formula text
+   * @returns {Array<string>} Reference names
+   */
+  function getReferences(formula) {
+    const seen = new Map();
+    for (const token of tokenize(formula)) {
+      if (token.type === 'reference' && !seen.has(token.value.toLowerCase())) {
+        seen.set(token.value.toLowerCase(), token.value);
+      }
+    }
+    return Array.from(seen.values());
+  }
+
+  /**
+   * Describe what changed between two versions of a formula
+   * @param {string} oldFormula - Old formula
+   * @param {string} newFormula - New formula
+   * @returns {Object} { addedReferences, removedReferences, oldConstants, newConstants, addedFunctions, removedFunctions, summary }
+   */
+  function diffFormulas(oldFormula, newFormula) {
+    const oldTokens = tokenize(oldFormula);
+    const newTokens = tokenize(newFormula);
+
+    const collect = (tokens, type) => tokens.filter(t => t.type === type).map(t => t.value);
+    const oldRefs = getReferences(oldFormula);
+    const newRefs = getReferences(newFormula);
+    const oldRefKeys = new Set(oldRefs.map(r => r.toLowerCase()));
+    const newRefKeys = new Set(newRefs.map(r => r.toLowerCase()));
+
+    const oldFunctions = new Set(collect(oldTokens, 'function').map(f => f.toUpperCase()));
+    const newFunctions = new Set(collect(newTokens, 'function').map(f => f.toUpperCase()));
+
+    const result = {
+      addedReferences: newRefs.filter(r => !oldRefKeys.has(r.toLowerCase())),
+      removedReferences: oldRefs.filter(r => !newRefKeys.has(r.toLowerCase())),
+      ...diffMultiset(collect(oldTokens, 'number'), collect(newTokens, 'number'), 'Constants'),
+      addedFunctions: [...newFunctions].filter(f => !oldFunctions.has(f)),
+      removedFunctions: [...oldFunctions].filter(f => !newFunctions.has(f))
+    };
+
+    const parts = [];
+    if (result.addedReferences.length > 0) parts.push(`now uses ${result.addedReferences.join(', ')}`);
+    if (result.removedReferences.length > 0) parts.push(`no longer uses ${result.removedReferences.join(', ')}`);
+    if (result.oldConstants.length > 0 || result.newConstants.length > 0) {
+      parts.push(`constants ${result.oldConstants.join(', ') || '(none)'} → ${result.newConstants.join(', ') || '(none)'}`);
+    }
+    if (result.addedFunctions.length > 0) parts.push(`added ${result.addedFunctions.join(', ')}()`);
+    if (result.removedFunctions.length > 0) parts.push(`removed ${result.removedFunctions.join(', ')}()`);
+    if (parts.length === 0) parts.push('operators or grouping changed');
+
+    result.summary = parts.join('; ');
+    return result;
+  }
+
+  /**
+   * Values only in one of two lists, counting duplicates
+   * @param {Array<string>} oldValues - Old values
+   * @param {Array<string>} newValues - New values
+   * @param {string} suffix - Key suffix for the result
+   * @returns {Object} { old<suffix>, new<suffix> }
+   */
+  function diffMultiset(oldValues, newValues, suffix) {
+    const remaining = [...newValues];
+    const onlyOld = [];
+    for (const value of oldValues) {
+      const index = remaining.indexOf(value);
+      if (index === -1) {
+        onlyOld.push(value);
+      } else {
+        remaining.splice(index, 1);
+      }
+    }
+    return { [`old${suffix}`]: onlyOld, [`new${suffix}`]: remaining };
+  }
+
+  /**
+   * Work out which formula references probably changed value
+   * A reference is considered stable if some item uses it in an unchanged formula
+   * and that item's value did not change.
+   * @param {Array} pairs - Matched items: [{ oldItem, newItem, changes }]
+   * @returns {Set<string>} Lowercased references that appear stable
+   */
+  function findStableReferences(pairs) {
+    const stable = new Set();
+    for (const pair of pairs) {
+      for (const [field, formulaField] of Object.entries(FORMULA_FIELDS)) {
+        const formula = (pair.newItem[formulaField] || '').trim();
+        if (!formula || formula !== (pair.oldItem[formulaField] || '').trim()) continue;
+        if (pair.changes.some(c => c.field === field)) continue;
+        for (const ref of getReferences(formula)) {
+          stable.add(ref.toLowerCase());
+        }
+      }
+    }
+    return stable;
+  }
+
+  /**
+   * Annotate the changes of matched items with formula explanations
+   * Adds `formula` (token-level diff) to formula text changes, and `explanation` /
+   * `drivenBy` to numeric changes caused by formulas or by other fields.
+   * @param {Array} pairs - Every matched item pair, including unchanged ones: [{ oldItem, newItem, changes }]
+   */
+  function annotate(pairs) {
+    const stableRefs = findStableReferences(pairs);
+
+    for (const pair of pairs) {
+      if (pair.changes.length === 0) continue;
+      const { newItem, changes } = pair;
+      const byField = new Map(changes.map(c => [c.field, c]));
+
+      // Formula text changes: token-level summary
+      for (const formulaField of Object.values(FORMULA_FIELDS)) {
+        const change = byField.get(formulaField);
+        if (change) {
+          change.formula = diffFormulas(change.oldValue, change.newValue);
+        }
+      }
+
+      // Formula-driven numeric fields
+      for (const [field, formulaField] of Object.entries(FORMULA_FIELDS)) {
+        const change = byField.get(field);
+        if (!change) continue;
+
+        const formulaChange = byField.get(formulaField);
+        const formula = (newItem[formulaField] || '').trim();
+
+        if (formulaChange) {
+          change.drivenBy = 'formula';
+          change.explanation = formulaChange.newValue
+            ? `${formulaChange.label} changed: ${formulaChange.formula.summary}`
+            : 'Formula removed; value entered manually';
+        } else if (formula) {
+          const refs = getReferences(formula);
+          const likely = refs.filter(ref => !stableRefs.has(ref.toLowerCase()));
+          change.drivenBy = 'formula-input';
+          change.inputs = likely.length > 0 ? likely : refs;
+          if (refs.length === 0) {
+            change.explanation = `Formula ${formula} is unchanged`;
+          } else if (likely.length > 0) {
+            change.explanation = `Formula ${formula} is unchanged; input ${likely.join(', ')} changed`;
+          } else {
+            change.explanation = `Formula ${formula} is unchanged; one of its inputs (${refs.join(', ')}) changed`;
+          }
+        }
+      }
+
+      // Extended totals that just follow their inputs
+      for (const [field, inputs] of Object.entries(EXTENDED_FIELDS)) {
+        const change = byField.get(field);
+        if (!change || change.explanation) continue;
+
+        const drivers = inputs.map(input => byField.get(input)).filter(Boolean);
+        if (drivers.length === 0) continue;
+
+        change.drivenBy = 'inputs';
+        change.explanation = 'Follows ' + drivers.map(d => {
+          const reason = d.drivenBy === 'formula-input' && d.inputs?.length ? ` via ${d.inputs.join(', ')}` : '';
+          return `${FIELD_LABELS[d.field] || d.label} change${reason}`;
+        }).join(' and ');
+      }
+    }
+  }
+
+  // Public API
+  return {
+    tokenize,
+    getReferences,
+    diffFormulas,
+    annotate
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BudgetFormulaAnalyzer = BudgetFormulaAnalyzer;
+}
@@ -0,0 +1,373 @@
+// Budget Changelog - Live Budget Module
+// Builds a budget item list from the current (unsaved-to-backup) budget
+// so it can be compared against a backup
+
+const BudgetLiveSource = (() => {
+  const DEBUG = false; // Set to true for development debugging only
+  const PAGE_SIZE = 100;
+  const MAX_PAGES = 50;
+
+  // Dropdown value used for the "Current budget" option
+  const LIVE_VALUE = '__live__';
+
+  /**
+   * Load the current budget for a job
+   * Uses the Pave API when JobTreadAPI is configured, otherwise reads the budget table on the page
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} { items, source: 'api' | 'dom', warnings }
+   */
+  async function load(jobId) {
+    if (typeof JobTreadAPI !== 'undefined' && jobId) {
+      try {
+        const configured = await JobTreadAPI.isConfigured();
+        if (configured) {
+          const items = await fetchFromApi(jobId);
+          return { items, source: 'api', warnings: [] };
+        }
+      } catch (error) {
+        if (DEBUG) console.log('BudgetLiveSource: API load failed, falling back to page:', error.message);
+      }
+    }
+
+    const items = readFromDom();
+    if (items.length === 0) {
+      throw new Error('Could not read the current budget. Open the Budget tab and try again.');
+    }
+
+    const warnings = ['Read from the budget table on this page. Collapsed groups are not included — expand all groups for a complete comparison.'];
+    const missing = describeMissingFields(items);
+    if (missing) {
+      warnings.push(`Not shown in the budget table, so not compared: ${missing}.`);
+    }
+
+    return { items, source: 'dom', warnings };
+  }
+
+  /**
+   * Fetch every node of a paginated job connection
+   * @param {string} jobId - Job ID
+   * @param {string} connection - Connection name on job (e.g. 'costItems')
+   * @param {Array} fields - PaveQueryBuilder field list for each node
+   * @returns {Promise<Array>} All nodes
+   */
+  async function fetchAllJobNodes(jobId, connection, fields) {
+    const nodes = [];
+    let page = null;
+
+    for (let i = 0; i < MAX_PAGES; i++) {
+      const result = await JobTreadAPI.paveQuery(PaveQueryBuilder.build({
+        job: {
+          args: { id: jobId },
+          fields: [{
+            [connection]: { size: PAGE_SIZE, page, nextPage: true, fields }
+          }]
+        }
+      }));
+
+      const data = result.job?.[connection];
+      nodes.push(...(data?.nodes || []));
+
+      page = data?.nextPage;
+      if (!page) break;
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Fetch the live budget through the Pave API
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Array>} Items in BudgetCSVParser.parseRow shape
+   */
+  async function fetchFromApi(jobId) {
+    const [groups, costItems] = await Promise.all([
+      fetchAllJobNodes(jobId, 'costGroups', [
+        'id',
+        'name',
+        { parentCostGroup: { fields: ['id'] } }
+      ]),
+      fetchAllJobNodes(jobId, 'costItems', [
+        'id',
+        'name',
+        'description',
+        'quantity',
+        'quantityFormula',
+        'unitCost',
+        'unitCostFormula',
+        'unitPrice',
+        'unitPriceFormula',
+        'cost',
+        'price',
+        'isTaxable',
+        { unit: { fields: ['name'] } },
+        { costCode: { fields: ['number', 'name'] } },
+        { costType: { fields: ['name'] } },
+        { costGroup: { fields: ['id'] } },
+        { customFieldValues: { fields: ['value', { customField: { fields: ['name'] } }] } }
+      ])
+    ]);
+
+    if (DEBUG) console.log('BudgetLiveSource: Fetched', groups.length, 'groups and', costItems.length, 'items');
+
+    const groupsById = new Map(groups.map(g => [g.id, g]));
+    const pathCache = new Map();
+
+    const getPath = (groupId) => {
+      if (!groupId) return [];
+      if (pathCache.has(groupId)) return pathCache.get(groupId);
+
+      const path = [];
+      const seen = new Set();
+      let current = groupsById.get(groupId);
+      while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        path.unshift((current.name || '').trim());
+        current = groupsById.get(current.parentCostGroup?.id);
+      }
+
+      pathCache.set(groupId, path);
+      return path;
+    };
+
+    const items = groups.map(group => BudgetCSVParser.normalizeItem({
+      hierarchy: getPath(group.id)
+    }));
+
+    for (const costItem of costItems) {
+      items.push(normalizeApiCostItem(costItem, getPath(costItem.costGroup?.id)));
+    }
+
+    return items;
+  }
+
+  /**
+   * Convert a Pave cost item node into a budget item
+   * @param {Object} node - Cost item from the API
+   * @param {Array<string>} hierarchy - Cost group path
+   * @returns {Object} Budget item
+   */
+  function normalizeApiCostItem(node, hierarchy) {
+    const customFields = {};
+    for (const value of node.customFieldValues?.nodes || []) {
+      if (value.customField?.name) {
+        customFields[value.customField.name] = value.value === null || value.value === undefined ? '' : String(value.value);
+      }
+    }
+
+    return BudgetCSVParser.normalizeItem({
+      hierarchy,
+      name: node.name || '',
+      description: node.description || '',
+      quantity: toNumber(node.quantity),
+      quantityFormula: node.quantityFormula || '',
+      unit: node.unit?.name || '',
+      unitCost: toNumber(node.unitCost),
+      unitCostFormula: node.unitCostFormula || '',
+      extendedCost: toNumber(node.cost),
+      unitPrice: toNumber(node.unitPrice),
+      unitPriceFormula: node.unitPriceFormula || '',
+      extendedPrice: toNumber(node.price),
+      taxable: !!node.isTaxable,
+      costType: node.costType?.name || '',
+      costCode: formatCostCode(node.costCode),
+      // Not available from this query; null makes the diff engine skip the field
+      selected: null,
+      customFields
+    });
+  }
+
+  /**
+   * Format a cost code the way backup CSVs write it ("number - name")
+   * @param {Object|null} costCode - { number, name }
+   * @returns {string} Cost code text
+   */
+  function formatCostCode(costCode) {
+    if (!costCode) return '';
+    const number = (costCode.number || '').trim();
+    const name = (costCode.name || '').trim();
+    if (number && name) return `${number} - ${name}`;
+    return number || name;
+  }
+
+  /**
+   * Coerce an API or DOM value to a number
+   * @param {*} value - Raw value
+   * @returns {number|null} Number or null
+   */
+  function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    const cleaned = String(value).replace(/[$,\s]/g, '').replace(/^\((.*)\)$/, '-$1');
+    const num = parseFloat(cleaned);
+    return isNaN(num) ? null : num;
+  }
+
+  // Budget table column headers -> item fields
+  const DOM_COLUMNS = {
+    'name': 'name',
+    'description': 'description',
+    'quantity': 'quantity',
+    'qty': 'quantity',
+    'unit': 'unit',
+    'unit cost': 'unitCost',
+    'extended cost': 'extendedCost',
+    'cost': 'extendedCost',
+    'unit price': 'unitPrice',
+    'extended price': 'extendedPrice',
+    'price': 'extendedPrice',
+    'cost type': 'costType',
+    'cost code': 'costCode',
+    'taxable': 'taxable'
+  };
+
+  const NUMERIC_FIELDS = ['quantity', 'unitCost', 'extendedCost', 'unitPrice', 'extendedPrice'];
+
+  // Fields the budget table may not show (formulas never); null makes the diff engine skip them
+  const OPTIONAL_DOM_FIELDS = {
+    description: 'descriptions',
+    quantity: 'quantities',
+    unit: 'units',
+    unitCost: 'unit costs',
+    extendedCost: 'extended costs',
+    unitPrice: 'unit prices',
+    extendedPrice: 'extended prices',
+    costType: 'cost types',
+    costCode: 'cost codes',
+    taxable: 'taxable flags',
+    quantityFormula: 'quantity formulas',
+    unitCostFormula: 'unit cost formulas',
+    unitPriceFormula: 'unit price formulas'
+  };
+
+  /**
+   * Read the budget from the rendered budget table
+   * Only rows currently in the DOM (expanded groups) are included.
+   * @returns {Array} Items in BudgetCSVParser.parseRow shape
+   */
+  function readFromDom() {
+    const columns = readDomColumns();
+    if (!columns) {
+      if (DEBUG) console.log('BudgetLiveSource: Budget table header not found');
+      return [];
+    }
+
+    const rows = document.querySelectorAll('div.group\\/row, [class*="group/row"]');
+    const items = [];
+    const groupStack = [];
+
+    for (const row of rows) {
+      const cells = Array.from(row.querySelectorAll(':scope > div'));
+      if (cells.length === 0) continue;
+
+      const level = cells[0].querySelectorAll(':scope > div.pl-3\\.5.border-r-2').length;
+      const groupCell = row.querySelector('div.font-bold.flex[style*="width: 300px"]');
+
+      if (groupCell) {
+        groupStack.length = level;
+        groupStack[level] = readCellText(groupCell);
+        items.push(BudgetCSVParser.normalizeItem({ hierarchy: groupStack.filter(Boolean) }));
+        continue;
+      }
+
+      const fields = { hierarchy: groupStack.slice(0, level).filter(Boolean), selected: null };
+      for (const field of Object.keys(OPTIONAL_DOM_FIELDS)) {
+        fields[field] = null;
+      }
+      for (const [index, field] of columns) {
+        const cell = cells[index];
+        if (!cell) continue;
+        const text = readCellText(cell);
+        if (NUMERIC_FIELDS.includes(field)) {
+          fields[field] = toNumber(text);
+        } else if (field === 'taxable') {
+          fields.taxable = !!cell.querySelector('input[type="checkbox"]:checked') || /^(yes|true)$/i.test(text);
+        } else {
+          fields[field] = text;
+        }
+      }
+
+      if (fields.name) {
+        items.push(BudgetCSVParser.normalizeItem(fields));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Check whether any budget group on the page is collapsed
+   * Collapsed groups' rows aren't in the DOM, so readFromDom() would miss their items.
+   * Group rows carry a chevron that is rotated (rotate-90) while the group is expanded.
+   * @returns {boolean}
+   */
+  function hasCollapsedGroups() {
+    const rows = document.querySelectorAll('div.group\\/row, [class*="group/row"]');
+    for (const row of rows) {
+      const chevron = row.querySelector('svg path[d="m9 18 6-6-6-6"]')?.closest('svg');
+      if (chevron && !chevron.classList.contains('rotate-90')) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * List the fields no line item could be read for
+   * @param {Array} items - Items from readFromDom()
+   * @returns {string} e.g. "cost codes, quantity formulas", or '' if nothing is missing
+   */
+  function describeMissingFields(items) {
+    const lineItems = items.filter(item => !item.isGroup);
+    return Object.entries(OPTIONAL_DOM_FIELDS)
+      .filter(([field]) => lineItems.every(item => item[field] === null))
+      .map(([, label]) => label)
+      .join(', ');
+  }
+
+  /**
+   * Map budget table column indexes to item fields using the header row
+   * @returns {Map<number, string>|null} Column index -> field, or null if no header
+   */
+  function readDomColumns() {
+    const headerRows = document.querySelectorAll('.jt-budget-header-container .flex.min-w-max, div.sticky .flex.min-w-max');
+    for (const headerRow of headerRows) {
+      const columns = new Map();
+      Array.from(headerRow.querySelectorAll(':scope > div')).forEach((cell, index) => {
+        const label = (cell.textContent || '').trim().toLowerCase();
+        if (DOM_COLUMNS[label]) {
+          columns.set(index, DOM_COLUMNS[label]);
+        }
+      });
+      const fields = new Set(columns.values());
+      if (fields.has('name') && (fields.has('extendedPrice') || fields.has('extendedCost'))) {
+        return columns;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read the visible value of a table cell (inputs take priority over text)
+   * @param {HTMLElement} cell - Table cell
+   * @returns {string} Trimmed value
+   */
+  function readCellText(cell) {
+    const field = cell.querySelector('input:not([type="checkbox"]), textarea');
+    if (field) return (field.value || '').trim();
+    return (cell.textContent || '').trim();
+  }
+
+  // Public API
+  return {
+    load,
+    fetchFromApi,
+    readFromDom,
+    hasCollapsedGroups,
+    LIVE_VALUE
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BudgetLiveSource = BudgetLiveSource;
+}
@@ -0,0 +1,340 @@
+// Budget Changelog - Snapshots Module
+// Captures the live budget automatically and keeps compressed snapshots in IndexedDB
+
+const BudgetSnapshotStore = (() => {
+  const DEBUG = false; // Set to true for development debugging only
+  const DB_NAME = 'jt-power-tools-budget-snapshots';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'snapshots';
+
+  // Dropdown values for snapshots are prefixed so they can't collide with backup IDs
+  const VALUE_PREFIX = 'snapshot:';
+
+  // Per-job retention policy
+  const RETENTION = {
+    maxPerJob: 50,
+    maxAgeDays: 90,
+    // Everything newer than this is kept; older snapshots are thinned to the latest per day
+    keepAllHours: 24
+  };
+
+  // Don't re-capture on every visit to the same budget
+  const MIN_VISIT_INTERVAL_MS = 10 * 60 * 1000;
+
+  let dbPromise = null;
+
+  /**
+   * Open (and create on first use) the snapshot database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('jobId', 'jobId', { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  /**
+   * Run a request against the snapshot store
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async function withStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Capture a snapshot of the live budget for a job
+   * Reads the budget through the API when it's configured, otherwise from the budget table
+   * on the page (without formulas). Skipped when the budget is unchanged since the last
+   * snapshot, or (for visits) when the last snapshot is recent. Page snapshots are only
+   * taken while every group is expanded, since collapsed groups' items aren't on the page
+   * and a partial snapshot would show up as whole groups removed or added.
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { trigger: 'visit' | 'save' }
+   * @returns {Promise<Object|null>} Snapshot metadata, or null if nothing was stored
+   */
+  async function capture(jobId, options = {}) {
+    const trigger = options.trigger || 'visit';
+    if (!jobId) {
+      return null;
+    }
+
+    const snapshots = await list(jobId);
+    const latest = snapshots[0];
+    if (trigger === 'visit' && latest && Date.now() - new Date(latest.createdAt).getTime() < MIN_VISIT_INTERVAL_MS) {
+      if (DEBUG) console.log('BudgetSnapshotStore: Recent snapshot exists, skipping visit capture');
+      return null;
+    }
+
+    const useApi = typeof JobTreadAPI !== 'undefined' && await JobTreadAPI.isConfigured();
+    const source = useApi ? 'api' : 'page';
+    if (!useApi && BudgetLiveSource.hasCollapsedGroups()) {
+      if (DEBUG) console.log('BudgetSnapshotStore: Budget groups are collapsed, skipping page snapshot');
+      return null;
+    }
+    const items = useApi ? await BudgetLiveSource.fetchFromApi(jobId) : BudgetLiveSource.readFromDom();
+    if (items.filter(i => !i.isGroup).length === 0) {
+      return null;
+    }
+
+    const json = JSON.stringify(items.map(stripComputedFields));
+    const hash = await hashText(json);
+    if (latest && latest.hash === hash) {
+      if (DEBUG) console.log('BudgetSnapshotStore: Budget unchanged, skipping');
+      return null;
+    }
+
+    const createdAt = new Date().toISOString();
+    const lineItems = items.filter(i => !i.isGroup);
+    const { encoding, data } = await compress(json);
+    const record = {
+      id: `${jobId}-${Date.now()}`,
+      jobId,
+      createdAt,
+      trigger,
+      source,
+      // Page snapshots are skipped while groups are collapsed; API snapshots always have every group
+      allGroupsExpanded: true,
+      itemCount: lineItems.length,
+      totalPrice: lineItems.reduce((sum, i) => sum + (i.extendedPrice || 0), 0),
+      hash,
+      encoding,
+      data
+    };
+
+    await withStore('readwrite', store => store.put(record));
+    if (DEBUG) console.log('BudgetSnapshotStore: Captured snapshot', record.id, `(${trigger}, ${encoding})`);
+
+    await applyRetention(jobId);
+    return toMetadata(record);
+  }
+
+  /**
+   * List snapshots for a job, newest first (without item data)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Array>} [{ id, jobId, createdAt, trigger, source, itemCount, totalPrice, hash }]
+   */
+  async function list(jobId) {
+    const records = await withStore('readonly', store => store.index('jobId').getAll(jobId)) || [];
+    return records
+      .map(toMetadata)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Load a snapshot's items in BudgetCSVParser.parse() shape
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object>} { items, source: 'api' | 'page', warnings }
+   */
+  async function load(snapshotId) {
+    const record = await withStore('readonly', store => store.get(snapshotId));
+    if (!record) {
+      throw new Error('Snapshot not found. It may have been removed by the retention policy.');
+    }
+
+    const json = await decompress(record);
+    const items = JSON.parse(json).map(fields => BudgetCSVParser.normalizeItem(fields));
+    // Snapshots from before the source was recorded were always taken through the API
+    const source = record.source || 'api';
+    const warnings = [];
+    if (source === 'page') {
+      // Page snapshots from before the collapsed-group check may be missing whole groups
+      warnings.push(record.allGroupsExpanded
+        ? 'Taken from the budget table on the page (no API key configured). Formulas are not compared.'
+        : 'Taken from the budget table on the page (no API key configured). Groups that were collapsed at the time are missing, and formulas are not compared.');
+    }
+
+    return { items, source, warnings };
+  }
+
+  /**
+   * Delete snapshots outside the retention policy for a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<number>} Number of snapshots deleted
+   */
+  async function applyRetention(jobId) {
+    const snapshots = await list(jobId);
+    const now = Date.now();
+    const keepAllSince = now - RETENTION.keepAllHours * 60 * 60 * 1000;
+    const maxAgeSince = now - RETENTION.maxAgeDays * 24 * 60 * 60 * 1000;
+    const keptDays = new Set();
+    const toDelete = [];
+    let kept = 0;
+
+    snapshots.forEach((snapshot, index) => {
+      const time = new Date(snapshot.createdAt).getTime();
+      const day = new Date(time).toDateString();
+
+      // Always keep the newest snapshot
+      let keep = index === 0;
+      if (!keep && kept < RETENTION.maxPerJob && time >= maxAgeSince) {
+        keep = time >= keepAllSince || !keptDays.has(day);
+      }
+
+      if (keep) {
+        kept++;
+        keptDays.add(day);
+      } else {
+        toDelete.push(snapshot.id);
+      }
+    });
+
+    if (toDelete.length > 0) {
+      await withStore('readwrite', store => {
+        let request = null;
+        for (const id of toDelete) {
+          request = store.delete(id);
+        }
+        return request;
+      });
+      if (DEBUG) console.log('BudgetSnapshotStore: Retention removed', toDelete.length, 'snapshots for job', jobId);
+    }
+
+    return toDelete.length;
+  }
+
+  /**
+   * Delete every snapshot for a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async function clearJob(jobId) {
+    const snapshots = await list(jobId);
+    await withStore('readwrite', store => {
+      let request = null;
+      for (const snapshot of snapshots) {
+        request = store.delete(snapshot.id);
+      }
+      return request;
+    });
+  }
+
+  /**
+   * Drop the stored data from a record
+   * @param {Object} record - Stored snapshot
+   * @returns {Object} Metadata only
+   */
+  function toMetadata(record) {
+    const { data, encoding, ...metadata } = record;
+    return metadata;
+  }
+
+  /**
+   * Remove fields normalizeItem() recomputes on load
+   * @param {Object} item - Budget item
+   * @returns {Object} Item without isGroup/uniqueKey
+   */
+  function stripComputedFields(item) {
+    const { isGroup, uniqueKey, ...fields } = item;
+    return fields;
+  }
+
+  /**
+   * Gzip text when CompressionStream is available
+   * @param {string} text - Text to compress
+   * @returns {Promise<Object>} { encoding: 'gzip' | 'json', data }
+   */
+  async function compress(text) {
+    if (typeof CompressionStream === 'undefined') {
+      return { encoding: 'json', data: text };
+    }
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return { encoding: 'gzip', data: await new Response(stream).arrayBuffer() };
+  }
+
+  /**
+   * Restore the JSON text of a stored snapshot
+   * @param {Object} record - Stored snapshot
+   * @returns {Promise<string>} JSON text
+   */
+  async function decompress(record) {
+    if (record.encoding !== 'gzip') {
+      return record.data;
+    }
+    const stream = new Blob([record.data]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return await new Response(stream).text();
+  }
+
+  /**
+   * Hash text for change detection
+   * @param {string} text - Text to hash
+   * @returns {Promise<string>} Hex digest
+   */
+  async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Check whether a dropdown value refers to a snapshot
+   * @param {string} value - Dropdown value
+   * @returns {boolean} True for snapshot values
+   */
+  function isSnapshotValue(value) {
+    return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+  }
+
+  /**
+   * Build the dropdown value for a snapshot
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {string} Dropdown value
+   */
+  function toValue(snapshotId) {
+    return VALUE_PREFIX + snapshotId;
+  }
+
+  /**
+   * Get the snapshot ID from a dropdown value
+   * @param {string} value - Dropdown value from toValue()
+   * @returns {string} Snapshot ID
+   */
+  function fromValue(value) {
+    return value.slice(VALUE_PREFIX.length);
+  }
+
+  // Public API
+  return {
+    capture,
+    list,
+    load,
+    applyRetention,
+    clearJob,
+    isSnapshotValue,
+    toValue,
+    fromValue,
+    RETENTION
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BudgetSnapshotStore = BudgetSnapshotStore;
+}
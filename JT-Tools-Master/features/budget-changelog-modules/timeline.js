@@ -0,0 +1,190 @@
+// Budget Changelog - Timeline Module
+// Builds per-line-item history across a sequence of budget backups
+
+const BudgetTimeline = (() => {
+  // Numeric fields that count as a "price or quantity" change in the timeline
+  const KEY_FIELDS = ['quantity', 'unitCost', 'extendedCost', 'unitPrice', 'extendedPrice'];
+
+  /**
+   * Build a timeline from a series of parsed backups
+   * Runs BudgetDiffEngine.compare across each consecutive pair (oldest to newest)
+   * @param {Array} snapshots - [{ id, createdAt, createdBy, items }] in any order
+   * @returns {Object} Timeline with steps (one per pair) and per-item histories
+   */
+  function build(snapshots) {
+    const ordered = [...snapshots].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    // uniqueKey -> history; a renamed/moved item's history is re-pointed at its new key
+    const histories = new Map();
+    const allHistories = [];
+    const steps = [];
+
+    if (ordered.length === 0) {
+      return { snapshots: [], steps, items: [] };
+    }
+
+    // Seed histories with everything present in the earliest backup
+    const first = ordered[0];
+    for (const item of first.items.filter(i => !i.isGroup)) {
+      getHistory(histories, allHistories, item).events.push(createEvent('initial', first, { item }));
+    }
+
+    for (let i = 1; i < ordered.length; i++) {
+      const from = ordered[i - 1];
+      const to = ordered[i];
+      const diff = BudgetDiffEngine.compare(from.items, to.items);
+
+      for (const item of diff.added) {
+        getHistory(histories, allHistories, item).events.push(createEvent('added', to, { item }));
+      }
+
+      for (const item of diff.removed) {
+        getHistory(histories, allHistories, item).events.push(createEvent('removed', to, { item }));
+      }
+
+      for (const mod of diff.modified) {
+        getHistory(histories, allHistories, mod.item).events.push(createEvent('modified', to, {
+          item: mod.item,
+          changes: mod.changes
+        }));
+      }
+
+      // Carry history across renames/moves so the item keeps one continuous record
+      for (const move of diff.moved || []) {
+        const history = getHistory(histories, allHistories, move.oldItem);
+        histories.delete(move.oldItem.uniqueKey);
+        histories.set(move.item.uniqueKey, history);
+        history.key = move.item.uniqueKey;
+        history.name = move.item.name;
+        history.hierarchy = move.item.hierarchy;
+        history.costCode = move.item.costCode;
+        history.events.push(createEvent('moved', to, {
+          item: move.item,
+          changes: move.changes,
+          move
+        }));
+      }
+
+      steps.push({
+        from: describeSnapshot(from),
+        to: describeSnapshot(to),
+        summary: diff.summary,
+        hasChanges: diff.hasChanges
+      });
+    }
+
+    const items = allHistories
+      .map(finalizeHistory)
+      .sort((a, b) => a.location.localeCompare(b.location) || a.name.localeCompare(b.name));
+
+    return {
+      snapshots: ordered.map(describeSnapshot),
+      steps,
+      items
+    };
+  }
+
+  /**
+   * Get (or create) the history record for an item
+   * @param {Map} histories - uniqueKey -> history
+   * @param {Array} allHistories - Every history created so far
+   * @param {Object} item - Parsed budget item
+   * @returns {Object} History record
+   */
+  function getHistory(histories, allHistories, item) {
+    let history = histories.get(item.uniqueKey);
+    if (!history) {
+      history = {
+        key: item.uniqueKey,
+        name: item.name,
+        hierarchy: item.hierarchy,
+        costCode: item.costCode,
+        events: []
+      };
+      histories.set(item.uniqueKey, history);
+      allHistories.push(history);
+    }
+    return history;
+  }
+
+  /**
+   * Create a timeline event
+   * @param {string} type - 'initial' | 'added' | 'removed' | 'modified' | 'moved'
+   * @param {Object} snapshot - Backup the event was observed in
+   * @param {Object} data - { item, changes, move }
+   * @returns {Object} Event
+   */
+  function createEvent(type, snapshot, data) {
+    const changes = data.changes || [];
+    return {
+      type,
+      backupId: snapshot.id,
+      date: snapshot.createdAt,
+      createdBy: snapshot.createdBy || null,
+      extendedCost: data.item.extendedCost,
+      extendedPrice: data.item.extendedPrice,
+      quantity: data.item.quantity,
+      changes,
+      move: data.move || null,
+      hasKeyChange: changes.some(c => KEY_FIELDS.includes(c.field))
+    };
+  }
+
+  /**
+   * Compute derived fields for an item history
+   * @param {Object} history - History record
+   * @returns {Object} History with status, firstSeen, lastSeen, change counts
+   */
+  function finalizeHistory(history) {
+    const events = history.events;
+    const last = events[events.length - 1];
+    const changeEvents = events.filter(e => e.type !== 'initial');
+
+    return {
+      ...history,
+      location: history.hierarchy.slice(0, -1).join(' > ') || 'Root',
+      status: last.type === 'removed' ? 'removed' : 'present',
+      firstSeen: events[0].date,
+      lastChanged: changeEvents.length > 0 ? changeEvents[changeEvents.length - 1].date : null,
+      changeCount: changeEvents.length,
+      keyChangeCount: changeEvents.filter(e => e.type === 'added' || e.type === 'removed' || e.hasKeyChange).length
+    };
+  }
+
+  /**
+   * Strip a snapshot down to its display metadata
+   * @param {Object} snapshot - Snapshot with items
+   * @returns {Object} { id, createdAt, createdBy, itemCount }
+   */
+  function describeSnapshot(snapshot) {
+    return {
+      id: snapshot.id,
+      createdAt: snapshot.createdAt,
+      createdBy: snapshot.createdBy || null,
+      itemCount: snapshot.items.filter(i => !i.isGroup).length
+    };
+  }
+
+  /**
+   * Get only the item histories that changed at least once after the first backup
+   * @param {Object} timeline - Result from build()
+   * @param {Object} options - { keyChangesOnly: only price/quantity/add/remove events }
+   * @returns {Array} Filtered item histories
+   */
+  function getChangedItems(timeline, options = {}) {
+    return timeline.items.filter(h => {
+      return options.keyChangesOnly ? h.keyChangeCount > 0 : h.changeCount > 0;
+    });
+  }
+
+  // Public API
+  return {
+    build,
+    getChangedItems,
+    KEY_FIELDS
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.BudgetTimeline = BudgetTimeline;
+}
@@ -4,13 +4,175 @@
 const BudgetChangelogUI = (() => {
   const DEBUG = false; // Set to true for development debugging only
   let diffModal = null;
+  let availableBackups = [];
+  let marginDropThreshold = BudgetDiffEngine.DEFAULT_MARGIN_DROP_THRESHOLD;
+
+  // Off by default: filters, search and filtered exports are only in the on-page panel
+  let openReportInTab = false;
+
+  // chrome.storage.local key for the user's margin drop threshold
+  const MARGIN_THRESHOLD_KEY = 'jtBudgetChangelogMarginThreshold';
+  // chrome.storage.local key for opening results in a new tab vs. the filterable panel
+  const OPEN_IN_TAB_KEY = 'jtBudgetChangelogOpenInTab';
+
+  // Delay before re-filtering while typing in the search box
+  const FILTER_SEARCH_DEBOUNCE_MS = 200;
+
+  /**
+   * Shared stylesheet for the standalone reports opened in a new tab
+   */
+  const REPORT_STYLES = `
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f3f4f6; min-height: 100vh; color: #1f2937; }
+    .container { max-width: 900px; margin: 0 auto; padding: 24px; }
+    .card { background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); padding: 24px; margin-bottom: 24px; }
+    .header-row { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 16px; flex-wrap: wrap; gap: 16px; }
+    h1 { font-size: 24px; font-weight: 700; color: #111827; }
+    .subtitle { font-size: 18px; color: #6b7280; }
+    .btn { padding: 8px 16px; border-radius: 8px; border: none; cursor: pointer; font-size: 14px; transition: background 0.2s; }
+    .btn-gray { background: #f3f4f6; color: #374151; }
+    .btn-gray:hover { background: #e5e7eb; }
+    .btn-cyan { background: #06b6d4; color: white; }
+    .btn-cyan:hover { background: #0891b2; }
+    .btn-green { background: #22c55e; color: white; }
+    .export-links { display: flex; gap: 8px; flex-wrap: wrap; }
+    .export-links a { text-decoration: none; display: inline-block; }
+    .date-range { display: flex; align-items: center; gap: 12px; font-size: 14px; color: #6b7280; flex-wrap: wrap; }
+    .date-badge { background: #f3f4f6; padding: 4px 12px; border-radius: 4px; }
+    .arrow { width: 16px; height: 16px; }
+    .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 16px; margin-bottom: 24px; }
+    .stat-card { background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); padding: 16px; text-align: center; }
+    .stat-card.green-border { border-left: 4px solid #22c55e; }
+    .stat-card.red-border { border-left: 4px solid #ef4444; }
+    .stat-value { font-size: 28px; font-weight: 700; }
+    .stat-value.green { color: #16a34a; }
+    .stat-value.red { color: #dc2626; }
+    .stat-label { font-size: 14px; color: #6b7280; margin-top: 4px; }
+    .stat-sublabel { font-size: 12px; color: #9ca3af; margin-top: 4px; }
+    .mini-stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 16px; text-align: center; }
+    .mini-stat-value { font-size: 20px; font-weight: 600; color: #374151; }
+    .mini-stat-label { font-size: 12px; color: #6b7280; }
+    .section { background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); margin-bottom: 24px; overflow: hidden; }
+    .section-header { padding: 16px; border-bottom: 1px solid #e5e7eb; display: flex; align-items: center; gap: 8px; }
+    .section-header.green { background: #f0fdf4; border-color: #bbf7d0; }
+    .section-header.red { background: #fef2f2; border-color: #fecaca; }
+    .section-header.yellow { background: #fefce8; border-color: #fef08a; }
+    .section-header.blue { background: #eff6ff; border-color: #bfdbfe; }
+    .section-header h2 { font-size: 16px; font-weight: 700; }
+    .section-header.green h2 { color: #166534; }
+    .section-header.red h2 { color: #991b1b; }
+    .section-header.yellow h2 { color: #854d0e; }
+    .section-header.blue h2 { color: #1e40af; }
+    .dot { width: 12px; height: 12px; border-radius: 50%; }
+    .dot.green { background: #22c55e; }
+    .dot.red { background: #ef4444; }
+    .dot.yellow { background: #eab308; }
+    .dot.blue { background: #3b82f6; }
+    .item { padding: 16px; border-bottom: 1px solid #f3f4f6; }
+    .item:last-child { border-bottom: none; }
+    .item:hover { background: #fafafa; }
+    .item-row { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px; }
+    .item-name { font-weight: 600; color: #111827; }
+    .item-location { font-size: 14px; margin-top: 2px; }
+    .item-location.green { color: #16a34a; }
+    .item-location.red { color: #dc2626; }
+    .item-location.yellow { color: #ca8a04; }
+    .item-location.blue { color: #2563eb; }
+    .item-desc { font-size: 14px; color: #6b7280; font-style: italic; margin-top: 4px; }
+    .item-values { text-align: right; flex-shrink: 0; }
+    .item-values div { font-size: 14px; }
+    .changes-box { background: #f9fafb; border-radius: 6px; padding: 12px; margin-top: 8px; }
+    .change-row { font-size: 14px; display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin-bottom: 4px; }
+    .change-row:last-child { margin-bottom: 0; }
+    .change-label { font-weight: 500; color: #374151; }
+    .change-old { color: #dc2626; text-decoration: line-through; }
+    .change-new { color: #16a34a; font-weight: 500; }
+    .footer { text-align: center; font-size: 12px; color: #9ca3af; padding: 32px 0; }
+    .no-changes { text-align: center; padding: 48px; }
+    .no-changes svg { width: 64px; height: 64px; margin: 0 auto 16px; color: #22c55e; }
+    .no-changes h2 { font-size: 20px; font-weight: 600; color: #374151; }
+    .no-changes p { color: #6b7280; margin-top: 8px; }
+    .steps-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    .steps-table th { text-align: left; font-size: 12px; font-weight: 600; color: #6b7280; text-transform: uppercase; padding: 8px 16px; border-bottom: 1px solid #e5e7eb; }
+    .steps-table td { padding: 10px 16px; border-bottom: 1px solid #f3f4f6; }
+    .steps-table td.num { text-align: right; white-space: nowrap; }
+    .history-item summary { cursor: pointer; list-style: none; }
+    .history-item summary::-webkit-details-marker { display: none; }
+    .badge { display: inline-block; font-size: 12px; font-weight: 600; padding: 2px 8px; border-radius: 9999px; margin-left: 8px; vertical-align: middle; }
+    .badge.green { background: #dcfce7; color: #166534; }
+    .badge.red { background: #fee2e2; color: #991b1b; }
+    .badge.yellow { background: #fef9c3; color: #854d0e; }
+    .badge.gray { background: #f3f4f6; color: #4b5563; }
+    .events { border-left: 2px solid #e5e7eb; margin: 12px 0 0 6px; padding-left: 16px; }
+    .event { position: relative; padding-bottom: 12px; }
+    .event:last-child { padding-bottom: 0; }
+    .event::before { content: ''; position: absolute; left: -22px; top: 5px; width: 10px; height: 10px; border-radius: 50%; background: #9ca3af; }
+    .event.added::before { background: #22c55e; }
+    .event.removed::before { background: #ef4444; }
+    .event.modified::before { background: #eab308; }
+    .event.moved::before { background: #3b82f6; }
+    .event-date { font-size: 12px; color: #6b7280; }
+    .event-title { font-size: 14px; font-weight: 500; color: #374151; }
+    .change-row.minor { color: #9ca3af; }
+    .margin-overall { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 16px; padding: 16px; border-bottom: 1px solid #e5e7eb; }
+    .margin-table-title { font-size: 13px; font-weight: 600; color: #374151; padding: 12px 16px 0; }
+    .steps-table tr.flagged td { background: #fef2f2; color: #991b1b; }
+    .flag { color: #dc2626; font-weight: 700; margin-right: 4px; }
+    .parse-warnings { background: #fefce8; border: 1px solid #fde68a; color: #854d0e; border-radius: 8px; padding: 12px 16px; margin-bottom: 24px; font-size: 14px; }
+    .parse-warnings ul { margin: 4px 0 0 20px; }
+    .change-note { flex-basis: 100%; font-size: 12px; color: #2563eb; padding-left: 12px; }
+    @media print {
+      .no-print { display: none !important; }
+      body { background: white; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+      .card, .stat-card, .section { box-shadow: none; border: 1px solid #e5e7eb; }
+    }
+    @media (max-width: 600px) {
+      .header-row { flex-direction: column; }
+      .stats-grid { grid-template-columns: 1fr 1fr; }
+    }
+  `;
+
+  /**
+   * Stylesheet for the client-facing change order, laid out for printing / Save as PDF
+   */
+  const CHANGE_ORDER_STYLES = `
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: Georgia, 'Times New Roman', serif; background: #f3f4f6; color: #111827; font-size: 14px; line-height: 1.5; }
+    .page { max-width: 8.5in; margin: 24px auto; background: white; padding: 0.75in; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+    .print-hint { max-width: 8.5in; margin: 16px auto 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 13px; color: #6b7280; text-align: center; }
+    h1 { font-size: 24px; letter-spacing: 0.02em; }
+    .meta { display: flex; justify-content: space-between; gap: 24px; margin-top: 8px; color: #374151; }
+    .meta div { white-space: nowrap; }
+    .intro { margin: 24px 0; color: #374151; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 24px; page-break-inside: auto; }
+    tr { page-break-inside: avoid; }
+    th { text-align: left; font-size: 12px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; border-bottom: 2px solid #111827; padding: 6px 8px; }
+    td { padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    td.num, th.num { text-align: right; white-space: nowrap; }
+    tr.group td { font-weight: 700; background: #f9fafb; border-bottom: 1px solid #d1d5db; }
+    tr.subtotal td { font-weight: 700; border-bottom: 2px solid #d1d5db; }
+    .line-note { font-size: 12px; color: #6b7280; }
+    .kind { font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; }
+    .totals { margin-left: auto; width: 320px; margin-bottom: 48px; }
+    .totals td { border-bottom: none; padding: 4px 8px; }
+    .totals tr.net td { border-top: 2px solid #111827; font-weight: 700; font-size: 16px; }
+    .signatures { display: grid; grid-template-columns: 1fr 1fr; gap: 48px; page-break-inside: avoid; }
+    .signature-line { border-top: 1px solid #111827; padding-top: 4px; margin-top: 48px; font-size: 12px; color: #374151; display: flex; justify-content: space-between; }
+    @page { margin: 0.5in; }
+    @media print {
+      body { background: white; }
+      .page { margin: 0; padding: 0; box-shadow: none; max-width: none; }
+      .print-hint { display: none; }
+    }
+  `;
 
   /**
    * Inject compare controls into the Budget Backups sidebar
    * @param {HTMLElement} sidebar - The Budget Backups sidebar element
    * @param {Array} backups - List of backup objects from API
+   * @param {Array} snapshots - Automatic snapshots from BudgetSnapshotStore.list()
    */
-  function injectCompareControls(sidebar, backups) {
+  function injectCompareControls(sidebar, backups, snapshots = []) {
     // Check if we already injected
     if (sidebar.querySelector('#jt-budget-compare-controls')) {
       return;
@@ -55,10 +217,29 @@ const BudgetChangelogUI = (() => {
             <option value="">Select backup...</option>
           </select>
         </div>
+        <div class="flex items-center gap-1 text-xs text-gray-500">
+          <label for="jt-margin-threshold">Flag margin drops over</label>
+          <input type="number" id="jt-margin-threshold" min="0" max="100" step="0.5" value="${marginDropThreshold}" class="w-14 text-xs border rounded p-1 bg-white">
+          <span>pts</span>
+        </div>
+        <label class="flex items-center gap-2 text-xs text-gray-500 cursor-pointer" title="The report tab has no filters or search; leave unchecked to filter results on this page">
+          <input type="checkbox" id="jt-open-in-tab"${openReportInTab ? ' checked' : ''}>
+          Open report in a new tab (no filters)
+        </label>
       </div>
       <button id="jt-compare-btn" class="w-full text-xs bg-cyan-500 hover:bg-cyan-600 text-white font-medium py-2 px-3 rounded disabled:opacity-50 disabled:cursor-not-allowed transition">
         Compare
       </button>
+      <div class="border-t border-gray-200 mt-3 pt-3">
+        <div class="text-xs text-gray-500 mb-2">See when each line item was added, changed or removed across every backup.</div>
+        <label class="flex items-center gap-2 text-xs text-gray-600 mb-2 cursor-pointer">
+          <input type="checkbox" id="jt-timeline-latest-per-day" checked>
+          Latest backup per day only
+        </label>
+        <button id="jt-timeline-btn" class="w-full text-xs bg-white hover:bg-gray-100 text-gray-700 border border-gray-300 font-medium py-2 px-3 rounded disabled:opacity-50 disabled:cursor-not-allowed transition">
+          View Timeline
+        </button>
+      </div>
       <div id="jt-compare-status" class="text-xs text-gray-500 mt-2 hidden"></div>
     `;
 
@@ -78,11 +259,77 @@ const BudgetChangelogUI = (() => {
 
     if (DEBUG) console.log('BudgetChangelog: Compare controls injected');
 
+    // Keep the full list around for timeline mode
+    availableBackups = backups;
+
     // Populate dropdowns
-    populateBackupDropdowns(backups);
+    populateBackupDropdowns(backups, snapshots);
 
     // Set up event listeners
     setupCompareEventListeners();
+    setupTimelineEventListeners();
+    setupMarginThresholdInput();
+    setupOpenInTabToggle();
+  }
+
+  /**
+   * Load the saved "open report in a new tab" preference and persist changes to it
+   */
+  async function setupOpenInTabToggle() {
+    const checkbox = document.getElementById('jt-open-in-tab');
+    if (!checkbox) return;
+
+    try {
+      const stored = await chrome.storage.local.get([OPEN_IN_TAB_KEY]);
+      if (typeof stored[OPEN_IN_TAB_KEY] === 'boolean') {
+        openReportInTab = stored[OPEN_IN_TAB_KEY];
+        checkbox.checked = openReportInTab;
+      }
+    } catch (error) {
+      if (DEBUG) console.log('BudgetChangelog: Could not load report preference:', error);
+    }
+
+    checkbox.addEventListener('change', async () => {
+      openReportInTab = checkbox.checked;
+      try {
+        await chrome.storage.local.set({ [OPEN_IN_TAB_KEY]: openReportInTab });
+      } catch (error) {
+        if (DEBUG) console.log('BudgetChangelog: Could not save report preference:', error);
+      }
+    });
+  }
+
+  /**
+   * Load the saved margin threshold and persist changes to it
+   */
+  async function setupMarginThresholdInput() {
+    const input = document.getElementById('jt-margin-threshold');
+    if (!input) return;
+
+    try {
+      const stored = await chrome.storage.local.get([MARGIN_THRESHOLD_KEY]);
+      const saved = parseFloat(stored[MARGIN_THRESHOLD_KEY]);
+      if (!isNaN(saved) && saved >= 0) {
+        marginDropThreshold = saved;
+        input.value = saved;
+      }
+    } catch (error) {
+      if (DEBUG) console.log('BudgetChangelog: Could not load margin threshold:', error);
+    }
+
+    input.addEventListener('change', async () => {
+      const value = parseFloat(input.value);
+      if (isNaN(value) || value < 0) {
+        input.value = marginDropThreshold;
+        return;
+      }
+      marginDropThreshold = value;
+      try {
+        await chrome.storage.local.set({ [MARGIN_THRESHOLD_KEY]: value });
+      } catch (error) {
+        if (DEBUG) console.log('BudgetChangelog: Could not save margin threshold:', error);
+      }
+    });
   }
 
   /**
@@ -148,9 +395,11 @@ const BudgetChangelogUI = (() => {
    * Populate the backup selection dropdowns
    * Shows only the latest backup per day to reduce clutter
    * If multiple backups from same day, includes time in display
+   * Automatic snapshots are listed in their own group after the backups
    * @param {Array} backups - List of backup objects
+   * @param {Array} snapshots - Snapshot metadata from BudgetSnapshotStore.list()
    */
-  function populateBackupDropdowns(backups) {
+  function populateBackupDropdowns(backups, snapshots = []) {
     const oldSelect = document.getElementById('jt-backup-old');
     const newSelect = document.getElementById('jt-backup-new');
 
@@ -162,9 +411,10 @@ const BudgetChangelogUI = (() => {
     // Check if we need to show times (multiple backups from same day)
     const needsTimes = filteredBackups.length > countUniqueDays(filteredBackups);
 
-    // Clear existing options (keep placeholder)
-    oldSelect.innerHTML = '<option value="">Select backup...</option>';
-    newSelect.innerHTML = '<option value="">Select backup...</option>';
+    // Clear existing options (keep placeholder) and offer the live budget first
+    const liveOption = `<option value="${BudgetLiveSource.LIVE_VALUE}">Current budget (live)</option>`;
+    oldSelect.innerHTML = '<option value="">Select backup...</option>' + liveOption;
+    newSelect.innerHTML = '<option value="">Select backup...</option>' + liveOption;
 
     // Add backup options
     for (const backup of filteredBackups) {
@@ -202,10 +452,38 @@ const BudgetChangelogUI = (() => {
       newSelect.insertAdjacentHTML('beforeend', optionHtml);
     }
 
-    // Pre-select most recent two if available
+    if (snapshots.length > 0) {
+      const snapshotOptions = snapshots.map(snapshot => {
+        const dateStr = new Date(snapshot.createdAt).toLocaleDateString('en-US', {
+          weekday: 'short',
+          month: 'short',
+          day: 'numeric',
+          year: 'numeric',
+          hour: 'numeric',
+          minute: '2-digit'
+        });
+        const value = escapeHtml(BudgetSnapshotStore.toValue(snapshot.id));
+        const sourceNote = snapshot.source === 'page' ? ' (from page)' : '';
+        return `<option value="${value}" data-date="${escapeHtml(snapshot.createdAt)}">${dateStr} - ${snapshot.itemCount} items${sourceNote}</option>`;
+      }).join('');
+      const groupHtml = `<optgroup label="Automatic snapshots">${snapshotOptions}</optgroup>`;
+      oldSelect.insertAdjacentHTML('beforeend', groupHtml);
+      newSelect.insertAdjacentHTML('beforeend', groupHtml);
+    }
+
+    // Pre-select most recent two if available (backups first, then snapshots)
     if (filteredBackups.length >= 2) {
       newSelect.value = filteredBackups[0].id;
       oldSelect.value = filteredBackups[1].id;
+    } else {
+      const recent = [
+        ...filteredBackups.map(b => ({ value: String(b.id), date: b.createdAt })),
+        ...snapshots.map(snap => ({ value: BudgetSnapshotStore.toValue(snap.id), date: snap.createdAt }))
+      ].sort((a, b) => new Date(b.date) - new Date(a.date));
+      if (recent.length >= 2) {
+        newSelect.value = recent[0].value;
+        oldSelect.value = recent[1].value;
+      }
     }
   }
 
@@ -284,31 +562,34 @@ const BudgetChangelogUI = (() => {
         compareBtn.textContent = 'Comparing...';
       }
 
-      // Fetch both CSVs
-      const [oldCsv, newCsv] = await Promise.all([
-        fetchBackupCSV(options.oldUrl, options.oldId),
-        fetchBackupCSV(options.newUrl, options.newId)
+      // Fetch both sides (backup CSVs or the live budget)
+      const [oldSide, newSide] = await Promise.all([
+        loadComparisonSide(options.oldId, options.oldUrl, 'Older backup'),
+        loadComparisonSide(options.newId, options.newUrl, 'Newer backup')
       ]);
 
       if (statusEl) {
         statusEl.textContent = 'Analyzing changes...';
       }
 
-      // Parse CSVs
-      const oldItems = BudgetCSVParser.parse(oldCsv);
-      const newItems = BudgetCSVParser.parse(newCsv);
-
       // Compare
-      const diff = BudgetDiffEngine.compare(oldItems, newItems);
+      const diff = BudgetDiffEngine.compare(oldSide.items, newSide.items, { marginDropThreshold });
+
+      const warnings = [...oldSide.warnings, ...newSide.warnings];
 
       // Show results
       showDiffModal(diff, {
-        oldDate: formatDate(options.oldDate),
-        newDate: formatDate(options.newDate)
+        oldDate: describeComparisonSide(options.oldId, options.oldDate),
+        newDate: describeComparisonSide(options.newId, options.newDate),
+        warnings
       });
 
       if (statusEl) {
-        statusEl.classList.add('hidden');
+        if (warnings.length > 0) {
+          statusEl.textContent = warnings.join(' ');
+        } else {
+          statusEl.classList.add('hidden');
+        }
       }
 
     } catch (error) {
@@ -326,6 +607,132 @@ const BudgetChangelogUI = (() => {
     }
   }
 
+  /**
+   * Label one side of a comparison for the report header
+   * @param {string} id - Dropdown value
+   * @param {string} date - ISO date of the backup or snapshot
+   * @returns {string} Display label
+   */
+  function describeComparisonSide(id, date) {
+    if (id === BudgetLiveSource.LIVE_VALUE) return 'Current budget';
+    if (BudgetSnapshotStore.isSnapshotValue(id)) return `${formatDate(date)} (auto snapshot)`;
+    return formatDate(date);
+  }
+
+  /**
+   * Load the items for one side of a comparison
+   * @param {string} id - Backup ID, BudgetLiveSource.LIVE_VALUE for the current budget, or a snapshot value
+   * @param {string} url - Backup download URL
+   * @param {string} label - Side name used to prefix warnings
+   * @returns {Promise<Object>} { items, warnings }
+   */
+  async function loadComparisonSide(id, url, label) {
+    if (id === BudgetLiveSource.LIVE_VALUE) {
+      const jobMatch = window.location.pathname.match(/\/jobs\/([^\/]+)/);
+      const live = await BudgetLiveSource.load(jobMatch ? jobMatch[1] : null);
+      return { items: live.items, warnings: live.warnings.map(w => `Current budget: ${w}`) };
+    }
+
+    if (BudgetSnapshotStore.isSnapshotValue(id)) {
+      const snapshot = await BudgetSnapshotStore.load(BudgetSnapshotStore.fromValue(id));
+      return { items: snapshot.items, warnings: snapshot.warnings.map(w => `${label} (snapshot): ${w}`) };
+    }
+
+    const csv = await fetchBackupCSV(url, id);
+    const { items, report } = BudgetCSVParser.parseWithReport(csv);
+    return { items, warnings: report.warnings.map(w => `${label}: ${w}`) };
+  }
+
+  /**
+   * Set up event listeners for the timeline button
+   */
+  function setupTimelineEventListeners() {
+    const timelineBtn = document.getElementById('jt-timeline-btn');
+    const latestPerDay = document.getElementById('jt-timeline-latest-per-day');
+
+    if (!timelineBtn) return;
+
+    timelineBtn.addEventListener('click', async () => {
+      await performTimeline({
+        latestPerDay: latestPerDay ? latestPerDay.checked : true
+      });
+    });
+  }
+
+  /**
+   * Download every backup and build a per-item timeline
+   * Backups are downloaded one at a time to avoid hammering the file host
+   * @param {Object} options - { latestPerDay: only use each day's latest backup }
+   */
+  async function performTimeline(options) {
+    const statusEl = document.getElementById('jt-compare-status');
+    const timelineBtn = document.getElementById('jt-timeline-btn');
+
+    const backups = options.latestPerDay ? filterLatestPerDay(availableBackups) : [...availableBackups];
+
+    const setStatus = (text, isError = false) => {
+      if (!statusEl) return;
+      statusEl.textContent = text;
+      statusEl.classList.remove('hidden', isError ? 'text-gray-500' : 'text-red-500');
+      statusEl.classList.add(isError ? 'text-red-500' : 'text-gray-500');
+    };
+
+    if (backups.length < 2) {
+      setStatus('Need at least 2 backups to build a timeline.', true);
+      return;
+    }
+
+    // Open the tab while the click still counts as user activation; by the time every
+    // backup has downloaded it has expired and the browser would block a new tab
+    const reportTab = openPendingReportTab('Building timeline...');
+
+    try {
+      if (timelineBtn) {
+        timelineBtn.disabled = true;
+        timelineBtn.textContent = 'Building timeline...';
+      }
+
+      const snapshots = [];
+      const warnings = [];
+      for (let i = 0; i < backups.length; i++) {
+        const backup = backups[i];
+        setStatus(`Downloading backup ${i + 1} of ${backups.length}...`);
+        const csv = await fetchBackupCSV(backup.url, backup.id);
+        const { items, report } = BudgetCSVParser.parseWithReport(csv);
+        warnings.push(...report.warnings.map(w => `Backup from ${formatDate(backup.createdAt)}: ${w}`));
+        snapshots.push({
+          id: backup.id,
+          createdAt: backup.createdAt,
+          createdBy: backup.createdByUser?.name || null,
+          items
+        });
+      }
+
+      setStatus('Analyzing changes...');
+      const timeline = BudgetTimeline.build(snapshots);
+
+      if (!openReportTab(generateTimelineReportHTML(timeline, { warnings }), reportTab)) {
+        // Popup blocked or the tab was closed - show the timeline in the page instead
+        showTimelineModalFallback(timeline, { warnings });
+      }
+
+      if (statusEl) {
+        statusEl.classList.add('hidden');
+      }
+    } catch (error) {
+      console.error('BudgetChangelog: Timeline error:', error);
+      if (reportTab && !reportTab.closed) {
+        reportTab.close();
+      }
+      setStatus('Error: ' + (error.message || 'Failed to build timeline'), true);
+    } finally {
+      if (timelineBtn) {
+        timelineBtn.disabled = false;
+        timelineBtn.textContent = 'View Timeline';
+      }
+    }
+  }
+
   /**
    * Fetch CSV content from a backup URL
    * @param {string} url - Backup download URL
@@ -370,23 +777,66 @@ const BudgetChangelogUI = (() => {
    * @param {Object} options - Display options (dates, etc.)
    */
   function showDiffModal(diff, options = {}) {
+    if (!openReportInTab) {
+      showDiffModalFallback(diff, options);
+      return;
+    }
+
     // Generate full HTML page for new tab
     const htmlContent = generateFullReportHTML(diff, options);
 
+    if (!openReportTab(htmlContent)) {
+      // Fallback to modal if popup blocked
+      showDiffModalFallback(diff, options);
+    }
+  }
+
+  /**
+   * Open an empty tab straight away, showing a message until the report is written into it
+   * Must be called synchronously from the click handler, before any await
+   * @param {string} message - Placeholder text
+   * @returns {Window|null} The tab, or null if the popup was blocked
+   */
+  function openPendingReportTab(message) {
+    const tab = window.open('', '_blank');
+    if (!tab) return null;
+
+    try {
+      tab.document.title = 'Budget Changelog';
+      tab.document.body.style.cssText = 'font-family: sans-serif; color: #6b7280; text-align: center; padding: 48px;';
+      tab.document.body.textContent = message;
+    } catch (error) {
+      if (DEBUG) console.log('BudgetChangelog: Could not write placeholder tab:', error.message);
+    }
+    return tab;
+  }
+
+  /**
+   * Open a standalone HTML report in a new browser tab
+   * @param {string} htmlContent - Complete HTML document
+   * @param {Window|null} targetTab - Tab from openPendingReportTab() to load the report into
+   * @returns {boolean} False if the popup was blocked (or the pending tab was closed)
+   */
+  function openReportTab(htmlContent, targetTab = null) {
     // Create a Blob URL for the HTML content
     // This gives the page a proper origin instead of about:blank
     const blob = new Blob([htmlContent], { type: 'text/html' });
     const blobUrl = URL.createObjectURL(blob);
 
+    if (targetTab && !targetTab.closed) {
+      targetTab.location.replace(blobUrl);
+      return true;
+    }
+
     // Open in new tab using the blob URL
     const newTab = window.open(blobUrl, '_blank');
     if (!newTab) {
-      // Fallback to modal if popup blocked
       URL.revokeObjectURL(blobUrl);
-      showDiffModalFallback(diff, options);
+      return false;
     }
     // Note: We don't revoke the URL immediately as the tab needs it
     // The URL will be cleaned up when the tab is closed
+    return true;
   }
 
   /**
@@ -398,6 +848,7 @@ const BudgetChangelogUI = (() => {
   function generateFullReportHTML(diff, options) {
     const jobName = getJobNameFromPage() || 'Budget';
     const { summary } = diff;
+    const exportLinks = diff.hasChanges ? renderExportLinks(diff, { ...options, jobName }) : '';
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -405,81 +856,7 @@ const BudgetChangelogUI = (() => {
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>Budget Changelog - ${escapeHtml(jobName)}</title>
-  <style>
-    * { box-sizing: border-box; margin: 0; padding: 0; }
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f3f4f6; min-height: 100vh; color: #1f2937; }
-    .container { max-width: 900px; margin: 0 auto; padding: 24px; }
-    .card { background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); padding: 24px; margin-bottom: 24px; }
-    .header-row { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 16px; flex-wrap: wrap; gap: 16px; }
-    h1 { font-size: 24px; font-weight: 700; color: #111827; }
-    .subtitle { font-size: 18px; color: #6b7280; }
-    .btn { padding: 8px 16px; border-radius: 8px; border: none; cursor: pointer; font-size: 14px; transition: background 0.2s; }
-    .btn-gray { background: #f3f4f6; color: #374151; }
-    .btn-gray:hover { background: #e5e7eb; }
-    .btn-cyan { background: #06b6d4; color: white; }
-    .btn-cyan:hover { background: #0891b2; }
-    .btn-green { background: #22c55e; color: white; }
-    .date-range { display: flex; align-items: center; gap: 12px; font-size: 14px; color: #6b7280; flex-wrap: wrap; }
-    .date-badge { background: #f3f4f6; padding: 4px 12px; border-radius: 4px; }
-    .arrow { width: 16px; height: 16px; }
-    .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 16px; margin-bottom: 24px; }
-    .stat-card { background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); padding: 16px; text-align: center; }
-    .stat-card.green-border { border-left: 4px solid #22c55e; }
-    .stat-card.red-border { border-left: 4px solid #ef4444; }
-    .stat-value { font-size: 28px; font-weight: 700; }
-    .stat-value.green { color: #16a34a; }
-    .stat-value.red { color: #dc2626; }
-    .stat-label { font-size: 14px; color: #6b7280; margin-top: 4px; }
-    .stat-sublabel { font-size: 12px; color: #9ca3af; margin-top: 4px; }
-    .mini-stats { display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; text-align: center; }
-    .mini-stat-value { font-size: 20px; font-weight: 600; color: #374151; }
-    .mini-stat-label { font-size: 12px; color: #6b7280; }
-    .section { background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); margin-bottom: 24px; overflow: hidden; }
-    .section-header { padding: 16px; border-bottom: 1px solid #e5e7eb; display: flex; align-items: center; gap: 8px; }
-    .section-header.green { background: #f0fdf4; border-color: #bbf7d0; }
-    .section-header.red { background: #fef2f2; border-color: #fecaca; }
-    .section-header.yellow { background: #fefce8; border-color: #fef08a; }
-    .section-header h2 { font-size: 16px; font-weight: 700; }
-    .section-header.green h2 { color: #166534; }
-    .section-header.red h2 { color: #991b1b; }
-    .section-header.yellow h2 { color: #854d0e; }
-    .dot { width: 12px; height: 12px; border-radius: 50%; }
-    .dot.green { background: #22c55e; }
-    .dot.red { background: #ef4444; }
-    .dot.yellow { background: #eab308; }
-    .item { padding: 16px; border-bottom: 1px solid #f3f4f6; }
-    .item:last-child { border-bottom: none; }
-    .item:hover { background: #fafafa; }
-    .item-row { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px; }
-    .item-name { font-weight: 600; color: #111827; }
-    .item-location { font-size: 14px; margin-top: 2px; }
-    .item-location.green { color: #16a34a; }
-    .item-location.red { color: #dc2626; }
-    .item-location.yellow { color: #ca8a04; }
-    .item-desc { font-size: 14px; color: #6b7280; font-style: italic; margin-top: 4px; }
-    .item-values { text-align: right; flex-shrink: 0; }
-    .item-values div { font-size: 14px; }
-    .changes-box { background: #f9fafb; border-radius: 6px; padding: 12px; margin-top: 8px; }
-    .change-row { font-size: 14px; display: flex; align-items: center; gap: 8px; flex-wrap: wrap; margin-bottom: 4px; }
-    .change-row:last-child { margin-bottom: 0; }
-    .change-label { font-weight: 500; color: #374151; }
-    .change-old { color: #dc2626; text-decoration: line-through; }
-    .change-new { color: #16a34a; font-weight: 500; }
-    .footer { text-align: center; font-size: 12px; color: #9ca3af; padding: 32px 0; }
-    .no-changes { text-align: center; padding: 48px; }
-    .no-changes svg { width: 64px; height: 64px; margin: 0 auto 16px; color: #22c55e; }
-    .no-changes h2 { font-size: 20px; font-weight: 600; color: #374151; }
-    .no-changes p { color: #6b7280; margin-top: 8px; }
-    @media print {
-      .no-print { display: none !important; }
-      body { background: white; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
-      .card, .stat-card, .section { box-shadow: none; border: 1px solid #e5e7eb; }
-    }
-    @media (max-width: 600px) {
-      .header-row { flex-direction: column; }
-      .stats-grid { grid-template-columns: 1fr 1fr; }
-    }
-  </style>
+  <style>${REPORT_STYLES}</style>
 </head>
 <body>
   <div class="container">
@@ -490,6 +867,7 @@ const BudgetChangelogUI = (() => {
           <h1>Budget Changelog</h1>
           <p class="subtitle">${escapeHtml(jobName)}</p>
         </div>
+        ${exportLinks}
         <!-- Buttons temporarily hidden - will be fixed in future update -->
         <div class="no-print" style="display: none; gap: 8px;">
           <button id="print-btn" class="btn btn-gray">Print Report</button>
@@ -505,7 +883,13 @@ const BudgetChangelogUI = (() => {
       </div>
     </div>
 
+    ${renderParseWarnings(options.warnings)}
+
     ${diff.hasChanges ? `
+    <p class="no-print" style="font-size: 13px; color: #6b7280; margin: -12px 0 24px;">
+      Showing every change. To filter or search, uncheck "Open report in a new tab" next to the Compare button.
+    </p>
+
     <!-- Summary Cards -->
     <div class="stats-grid">
       <div class="stat-card">
@@ -543,20 +927,28 @@ const BudgetChangelogUI = (() => {
           <div class="mini-stat-value">${summary.modifiedCount}</div>
           <div class="mini-stat-label">Items Modified</div>
         </div>
+        ${summary.movedCount ? `
+        <div>
+          <div class="mini-stat-value">${summary.movedCount}</div>
+          <div class="mini-stat-label">Moved / Renamed</div>
+        </div>` : ''}
         <div>
           <div class="mini-stat-value">${summary.unchangedCount || 0}</div>
           <div class="mini-stat-label">Items Unchanged</div>
         </div>
         <div>
-          <div class="mini-stat-value">${summary.addedCount + summary.removedCount + summary.modifiedCount}</div>
+          <div class="mini-stat-value">${summary.addedCount + summary.removedCount + summary.modifiedCount + (summary.movedCount || 0)}</div>
           <div class="mini-stat-label">Total Changes</div>
         </div>
       </div>
     </div>
 
+    ${renderFullMarginSection(summary.margin)}
+
     ${renderFullAddedSection(diff.added)}
     ${renderFullRemovedSection(diff.removed)}
     ${renderFullModifiedSection(diff.modified)}
+    ${renderFullMovedSection(diff.moved)}
     ` : `
     <!-- No Changes -->
     <div class="card no-changes">
@@ -636,6 +1028,113 @@ const BudgetChangelogUI = (() => {
 </html>`;
   }
 
+  /**
+   * Render download links for the CSV/Excel/JSON exports, plus the client change order
+   * Links point at blob URLs created here, so they work in the report tab without scripts
+   * @param {Object} diff - Diff result
+   * @param {Object} meta - { jobName, oldDate, newDate }
+   * @returns {string} HTML string
+   */
+  function renderExportLinks(diff, meta) {
+    const exports = BudgetDiffExport.buildExports(diff, meta);
+    const link = (file, label) => {
+      const url = BudgetDiffExport.createDownloadUrl(file.content, file.mimeType);
+      return `<a class="btn btn-gray" href="${escapeHtml(url)}" download="${escapeHtml(file.fileName)}">${label}</a>`;
+    };
+    const changeOrderUrl = BudgetDiffExport.createDownloadUrl(generateChangeOrderHTML(diff, meta), 'text/html');
+
+    return `
+        <div class="no-print export-links">
+          <a class="btn btn-cyan" href="${escapeHtml(changeOrderUrl)}" target="_blank" rel="noopener">Client Change Order</a>
+          ${link(exports.csv, 'Export CSV')}
+          ${link(exports.excelCsv, 'Export for Excel')}
+          ${link(exports.json, 'Export JSON')}
+        </div>`;
+  }
+
+  /**
+   * Generate the client-facing change order HTML
+   * Shows price changes only, grouped by cost group, with totals and a signature block.
+   * @param {Object} diff - Diff result
+   * @param {Object} options - { jobName, oldDate, newDate }
+   * @returns {string} Complete HTML document
+   */
+  function generateChangeOrderHTML(diff, options = {}) {
+    const jobName = options.jobName || getJobNameFromPage() || 'Budget';
+    const changeOrder = BudgetChangeOrder.build(diff);
+    const kindLabels = { added: 'Added', removed: 'Removed', changed: 'Revised' };
+
+    const rowsHtml = changeOrder.groups.map(group => `
+        <tr class="group"><td colspan="4">${escapeHtml(group.location)}</td></tr>
+        ${group.lines.map(line => `
+        <tr>
+          <td>
+            ${escapeHtml(line.name)}
+            ${line.description ? `<div class="line-note">${escapeHtml(line.description)}</div>` : ''}
+          </td>
+          <td><span class="kind">${kindLabels[line.kind]}</span></td>
+          <td class="num">${line.priceUnavailable ? 'Price unavailable' : `${line.oldPrice === null ? '&mdash;' : BudgetDiffEngine.formatCurrency(line.oldPrice)} → ${line.newPrice === null ? '&mdash;' : BudgetDiffEngine.formatCurrency(line.newPrice)}`}</td>
+          <td class="num">${line.priceUnavailable ? 'Not included' : BudgetDiffEngine.formatDelta(line.delta, true)}</td>
+        </tr>`).join('')}
+        <tr class="subtotal">
+          <td colspan="3">Subtotal &mdash; ${escapeHtml(group.location)}</td>
+          <td class="num">${BudgetDiffEngine.formatDelta(group.subtotal, true)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Change Order - ${escapeHtml(jobName)}</title>
+  <style>${CHANGE_ORDER_STYLES}</style>
+</head>
+<body>
+  <div class="print-hint">Use your browser's Print command (Ctrl+P / &#8984;P) to print this change order or save it as a PDF.</div>
+  <div class="page">
+    <h1>Change Order</h1>
+    <div class="meta">
+      <div><strong>Project:</strong> ${escapeHtml(jobName)}</div>
+      <div><strong>Date:</strong> ${escapeHtml(new Date().toLocaleDateString())}</div>
+    </div>
+    <p class="intro">
+      This change order summarizes the price changes to your project between the budget of
+      ${escapeHtml(options.oldDate || 'the previous version')} and the budget of ${escapeHtml(options.newDate || 'the current version')}.
+    </p>
+
+    ${changeOrder.lineCount > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Item</th><th>Change</th><th class="num">Price</th><th class="num">Amount</th></tr>
+      </thead>
+      <tbody>${rowsHtml}
+      </tbody>
+    </table>` : `
+    <p class="intro">There are no price changes between these versions of the budget.</p>`}
+    ${changeOrder.unavailableCount > 0 || changeOrder.oldTotal === null ? `
+    <p class="line-note">Some prices were not available in one of the budget versions (for example, a budget read from a table with the price column hidden). ${changeOrder.unavailableCount > 0 ? `${changeOrder.unavailableCount} ${changeOrder.unavailableCount === 1 ? 'item is' : 'items are'} listed without an amount and not included in the totals.` : ''}</p>` : ''}
+
+    <table class="totals">
+      <tr><td>Previous contract price</td><td class="num">${changeOrder.oldTotal === null ? 'Not available' : BudgetDiffEngine.formatCurrency(changeOrder.oldTotal)}</td></tr>
+      <tr><td>This change order</td><td class="num">${BudgetDiffEngine.formatDelta(changeOrder.netChange, true)}</td></tr>
+      <tr class="net"><td>Revised contract price</td><td class="num">${changeOrder.newTotal === null ? 'Not available' : BudgetDiffEngine.formatCurrency(changeOrder.newTotal)}</td></tr>
+    </table>
+
+    <div class="signatures">
+      <div>
+        <div class="signature-line"><span>Client signature</span><span>Date</span></div>
+        <div class="signature-line"><span>Printed name</span></div>
+      </div>
+      <div>
+        <div class="signature-line"><span>Contractor signature</span><span>Date</span></div>
+        <div class="signature-line"><span>Printed name</span></div>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+
   /**
    * Get job name from current page
    * @returns {string|null} Job name or null
@@ -654,6 +1153,67 @@ const BudgetChangelogUI = (() => {
     return null;
   }
 
+  /**
+   * Render the margin & markup impact section for new tab
+   * @param {Object} margin - summary.margin from BudgetDiffEngine
+   * @returns {string} HTML string
+   */
+  function renderFullMarginSection(margin) {
+    if (!margin) return '';
+
+    const { overall } = margin;
+    const fmtPct = BudgetDiffEngine.formatPercent;
+    const fmtPts = BudgetDiffEngine.formatPercentDelta;
+
+    const renderRows = rows => rows.map(row => `
+          <tr class="${row.flagged ? 'flagged' : ''}">
+            <td>${row.flagged ? '<span class="flag">!</span>' : ''}${escapeHtml(row.key)}</td>
+            <td class="num">${BudgetDiffEngine.formatCurrency(row.new.price)}</td>
+            <td class="num">${fmtPct(row.old.margin)} → ${fmtPct(row.new.margin)}</td>
+            <td class="num">${fmtPts(row.marginChange)}</td>
+            <td class="num">${fmtPct(row.old.markup)} → ${fmtPct(row.new.markup)}</td>
+          </tr>`).join('');
+
+    const renderTable = (title, label, rows) => `
+      <div class="margin-table-title">${title}</div>
+      <table class="steps-table">
+        <thead>
+          <tr>
+            <th>${label}</th>
+            <th class="num">New Price</th>
+            <th class="num">Margin</th>
+            <th class="num">Change</th>
+            <th class="num">Markup</th>
+          </tr>
+        </thead>
+        <tbody>${renderRows(rows)}</tbody>
+      </table>`;
+
+    return `
+    <div class="section">
+      <div class="section-header ${margin.flagged.length > 0 ? 'red' : ''}">
+        ${margin.flagged.length > 0 ? '<span class="dot red"></span>' : ''}
+        <h2>Margin Impact${margin.flagged.length > 0 ? ` — ${margin.flagged.length} drop${margin.flagged.length === 1 ? '' : 's'} over ${margin.threshold} pts` : ''}</h2>
+      </div>
+      <div class="margin-overall">
+        <div>
+          <div class="mini-stat-value">${fmtPct(overall.old.margin)} → ${fmtPct(overall.new.margin)}</div>
+          <div class="mini-stat-label">Gross Margin (${fmtPts(overall.marginChange)})</div>
+        </div>
+        <div>
+          <div class="mini-stat-value">${fmtPct(overall.old.markup)} → ${fmtPct(overall.new.markup)}</div>
+          <div class="mini-stat-label">Markup (${fmtPts(overall.markupChange)})</div>
+        </div>
+        <div>
+          <div class="mini-stat-value">${BudgetDiffEngine.formatDelta(overall.new.profit - overall.old.profit, true)}</div>
+          <div class="mini-stat-label">Gross Profit Change</div>
+        </div>
+      </div>
+      ${renderTable('By Cost Group', 'Cost Group', margin.byGroup)}
+      ${renderTable('By Cost Type', 'Cost Type', margin.byCostType)}
+    </div>`;
+  }
+
   /**
    * Render full added items section for new tab
    */
@@ -740,36 +1300,413 @@ const BudgetChangelogUI = (() => {
           <div class="item-name">${escapeHtml(item.name)}</div>
           <div class="item-location yellow">${escapeHtml(location)}</div>
           <div class="changes-box">
-            ${changes.map(change => {
-              let oldDisplay = change.oldValue;
-              let newDisplay = change.newValue;
-
-              if (change.isCurrency) {
-                oldDisplay = BudgetDiffEngine.formatCurrency(change.oldValue);
-                newDisplay = BudgetDiffEngine.formatCurrency(change.newValue);
-              } else if (change.type === 'boolean') {
-                oldDisplay = change.oldValue ? 'Yes' : 'No';
-                newDisplay = change.newValue ? 'Yes' : 'No';
-              } else if (change.type === 'text' && change.field === 'description') {
-                return `<div class="change-row"><span class="change-label">${change.label}:</span> <span style="color: #ca8a04; font-style: italic;">Description was modified</span></div>`;
-              }
+            ${changes.map(change => renderFullChangeRow(change)).join('')}
+          </div>
+        </div>`;
+      }).join('')}
+    </div>`;
+  }
 
-              if (!oldDisplay && oldDisplay !== 0) oldDisplay = '(empty)';
+  /**
+   * Render full moved/renamed items section for new tab
+   */
+  function renderFullMovedSection(moves) {
+    if (!moves || moves.length === 0) return '';
 
-              return `
-              <div class="change-row">
-                <span class="change-label">${change.label}:</span>
+    return `
+    <div class="section">
+      <div class="section-header blue">
+        <span class="dot blue"></span>
+        <h2>Moved &amp; Renamed Items (${moves.length})</h2>
+      </div>
+      ${moves.map(move => `
+        <div class="item">
+          <div class="item-row">
+            <div style="flex: 1;">
+              <div class="item-name">${escapeHtml(move.newName)}</div>
+              <div class="item-location blue">${escapeHtml(BudgetDiffEngine.describeMove(move))}</div>
+            </div>
+            <div class="item-values">
+              ${move.item.extendedCost !== null ? `<div style="font-weight: 500;">Cost: ${BudgetDiffEngine.formatCurrency(move.item.extendedCost)}</div>` : ''}
+              ${move.item.extendedPrice !== null ? `<div style="color: #2563eb; font-weight: 500;">Price: ${BudgetDiffEngine.formatCurrency(move.item.extendedPrice)}</div>` : ''}
+            </div>
+          </div>
+          ${move.changes.length > 0 ? `
+          <div class="changes-box">
+            ${move.changes.map(change => renderFullChangeRow(change)).join('')}
+          </div>` : ''}
+        </div>`).join('')}
+    </div>`;
+  }
+
+  /**
+   * Render a single field change row for the full report
+   * @param {Object} change - Change object from BudgetDiffEngine.compareItems
+   * @param {string} extraClass - Optional extra class for the row
+   * @returns {string} HTML string
+   */
+  function renderFullChangeRow(change, extraClass = '') {
+    const rowClass = extraClass ? `change-row ${extraClass}` : 'change-row';
+    let oldDisplay = change.oldValue;
+    let newDisplay = change.newValue;
+
+    if (change.isCurrency) {
+      oldDisplay = BudgetDiffEngine.formatCurrency(change.oldValue);
+      newDisplay = BudgetDiffEngine.formatCurrency(change.newValue);
+    } else if (change.type === 'boolean') {
+      oldDisplay = change.oldValue ? 'Yes' : 'No';
+      newDisplay = change.newValue ? 'Yes' : 'No';
+    } else if (change.type === 'text' && change.field === 'description') {
+      return `<div class="${rowClass}"><span class="change-label">${escapeHtml(change.label)}:</span> <span style="color: #ca8a04; font-style: italic;">Description was modified</span></div>`;
+    }
+
+    if (!oldDisplay && oldDisplay !== 0) oldDisplay = '(empty)';
+
+    const note = getChangeNote(change);
+
+    return `
+              <div class="${rowClass}">
+                <span class="change-label">${escapeHtml(change.label)}:</span>
                 <span class="change-old">${escapeHtml(String(oldDisplay))}</span>
                 <span style="color: #9ca3af;">→</span>
                 <span class="change-new">${escapeHtml(String(newDisplay))}</span>
+                ${note ? `<span class="change-note">${escapeHtml(note)}</span>` : ''}
               </div>`;
-            }).join('')}
-          </div>
-        </div>`;
-      }).join('')}
+  }
+
+  /**
+   * Get the formula explanation for a change, if the diff engine added one
+   * @param {Object} change - Change object from BudgetDiffEngine.compareItems
+   * @returns {string} Explanation text or empty string
+   */
+  function getChangeNote(change) {
+    if (change.explanation) return change.explanation;
+    if (change.formula) return change.formula.summary;
+    return '';
+  }
+
+  /**
+   * Render warnings about how the compared budgets were read
+   * @param {Array<string>} warnings - Warning messages
+   * @returns {string} HTML string (empty when there are no warnings)
+   */
+  function renderParseWarnings(warnings) {
+    if (!warnings || warnings.length === 0) return '';
+    return `
+    <div class="parse-warnings">
+      <strong>Check these before relying on the results:</strong>
+      <ul>${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>
     </div>`;
   }
 
+  /**
+   * Generate the timeline report HTML for a new tab
+   * @param {Object} timeline - Result from BudgetTimeline.build()
+   * @param {Object} options - { warnings: messages from reading the backups }
+   * @returns {string} Complete HTML document
+   */
+  function generateTimelineReportHTML(timeline, options = {}) {
+    const jobName = getJobNameFromPage() || 'Budget';
+    const changedItems = BudgetTimeline.getChangedItems(timeline);
+    const first = timeline.snapshots[0];
+    const last = timeline.snapshots[timeline.snapshots.length - 1];
+
+    const stepRows = timeline.steps.map(step => `
+          <tr>
+            <td>${escapeHtml(formatDate(step.to.createdAt))}<div class="event-date">${escapeHtml(step.to.createdBy || 'Unknown')}</div></td>
+            <td class="num" style="color: #16a34a;">+${step.summary.addedCount}</td>
+            <td class="num" style="color: #dc2626;">-${step.summary.removedCount}</td>
+            <td class="num" style="color: #ca8a04;">~${step.summary.modifiedCount}</td>
+            <td class="num">${BudgetDiffEngine.formatDelta(step.summary.costChange, true)}</td>
+            <td class="num">${BudgetDiffEngine.formatDelta(step.summary.priceChange, true)}</td>
+          </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Budget Timeline - ${escapeHtml(jobName)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <div class="container">
+    <!-- Header -->
+    <div class="card">
+      <div class="header-row">
+        <div>
+          <h1>Budget Timeline</h1>
+          <p class="subtitle">${escapeHtml(jobName)}</p>
+        </div>
+      </div>
+      <div class="date-range">
+        <span class="date-badge">${escapeHtml(formatDate(first?.createdAt))}</span>
+        <svg class="arrow" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 8l4 4m0 0l-4 4m4-4H3"/>
+        </svg>
+        <span class="date-badge">${escapeHtml(formatDate(last?.createdAt))}</span>
+        <span>${timeline.snapshots.length} backups</span>
+      </div>
+    </div>
+
+    ${renderParseWarnings(options.warnings)}
+
+    <!-- Backup-by-backup summary -->
+    <div class="section">
+      <div class="section-header">
+        <h2>Backup History</h2>
+      </div>
+      <table class="steps-table">
+        <thead>
+          <tr>
+            <th>Backup</th>
+            <th class="num">Added</th>
+            <th class="num">Removed</th>
+            <th class="num">Modified</th>
+            <th class="num">Cost</th>
+            <th class="num">Price</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>${escapeHtml(formatDate(first?.createdAt))}<div class="event-date">${escapeHtml(first?.createdBy || 'Unknown')} &middot; starting point</div></td>
+            <td class="num" colspan="5" style="color: #6b7280;">${first?.itemCount || 0} line items</td>
+          </tr>
+          ${stepRows}
+        </tbody>
+      </table>
+    </div>
+
+    ${changedItems.length > 0 ? `
+    <!-- Per-item history -->
+    <div class="section">
+      <div class="section-header yellow">
+        <span class="dot yellow"></span>
+        <h2>Line Item History (${changedItems.length})</h2>
+      </div>
+      ${changedItems.map(history => renderTimelineHistory(history)).join('')}
+    </div>
+    ` : `
+    <div class="card no-changes">
+      <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>
+      </svg>
+      <h2>No Changes Detected</h2>
+      <p>No line items changed across these backups.</p>
+    </div>
+    `}
+
+    <!-- Footer -->
+    <div class="footer">
+      Generated by JT Power Tools Budget Changelog • ${new Date().toLocaleString()}
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render one line item's history for the timeline report
+   * Price and quantity changes are shown prominently, other field changes muted
+   * @param {Object} history - Item history from BudgetTimeline
+   * @returns {string} HTML string
+   */
+  function renderTimelineHistory(history) {
+    let badge = '';
+    if (history.status === 'removed') {
+      badge = '<span class="badge red">Removed</span>';
+    } else if (history.events[0].type === 'added') {
+      badge = '<span class="badge green">Added</span>';
+    }
+
+    const eventsHtml = history.events.map(event => {
+      let title;
+      let details = '';
+
+      switch (event.type) {
+        case 'initial':
+          title = 'In starting budget';
+          break;
+        case 'added':
+          title = 'Added';
+          break;
+        case 'removed':
+          title = 'Removed';
+          break;
+        case 'moved':
+          title = escapeHtml(BudgetDiffEngine.describeMove(event.move));
+          if (event.changes.length > 0) {
+            details = `<div class="changes-box">${event.changes.map(change => {
+              return renderFullChangeRow(change, BudgetTimeline.KEY_FIELDS.includes(change.field) ? '' : 'minor');
+            }).join('')}</div>`;
+          }
+          break;
+        default:
+          title = event.hasKeyChange ? 'Price / quantity changed' : 'Details changed';
+          details = `<div class="changes-box">${event.changes.map(change => {
+            return renderFullChangeRow(change, BudgetTimeline.KEY_FIELDS.includes(change.field) ? '' : 'minor');
+          }).join('')}</div>`;
+          break;
+      }
+
+      const values = event.type === 'modified' || event.type === 'moved' ? '' : [
+        event.quantity !== null ? `Qty: ${escapeHtml(String(event.quantity))}` : '',
+        event.extendedCost !== null ? `Cost: ${BudgetDiffEngine.formatCurrency(event.extendedCost)}` : '',
+        event.extendedPrice !== null ? `Price: ${BudgetDiffEngine.formatCurrency(event.extendedPrice)}` : ''
+      ].filter(Boolean).join(' &middot; ');
+
+      return `
+          <div class="event ${event.type}">
+            <div class="event-date">${escapeHtml(formatDate(event.date))}${event.createdBy ? ` &middot; ${escapeHtml(event.createdBy)}` : ''}</div>
+            <div class="event-title">${title}${values ? ` <span style="color: #6b7280; font-weight: 400;">(${values})</span>` : ''}</div>
+            ${details}
+          </div>`;
+    }).join('');
+
+    return `
+        <details class="item history-item">
+          <summary>
+            <div class="item-name">${escapeHtml(history.name)}${badge}<span class="badge gray">${history.changeCount} change${history.changeCount === 1 ? '' : 's'}</span></div>
+            <div class="item-location yellow">${escapeHtml(history.location)}</div>
+          </summary>
+          <div class="events">${eventsHtml}</div>
+        </details>`;
+  }
+
+  /**
+   * Fallback modal for the timeline if the report tab is blocked
+   * @param {Object} timeline - Timeline from BudgetTimeline.build()
+   * @param {Object} options - { warnings: messages from reading the backups }
+   */
+  function showTimelineModalFallback(timeline, options = {}) {
+    closeDiffModal();
+
+    const changedItems = BudgetTimeline.getChangedItems(timeline);
+    const first = timeline.snapshots[0];
+    const last = timeline.snapshots[timeline.snapshots.length - 1];
+
+    const stepRows = timeline.steps.map(step => `
+            <tr class="border-b border-gray-100">
+              <td class="py-1.5 pr-2">${escapeHtml(formatDate(step.to.createdAt))}<div class="text-gray-400">${escapeHtml(step.to.createdBy || 'Unknown')}</div></td>
+              <td class="py-1.5 px-2 text-right text-green-600">+${step.summary.addedCount}</td>
+              <td class="py-1.5 px-2 text-right text-red-600">-${step.summary.removedCount}</td>
+              <td class="py-1.5 px-2 text-right text-yellow-600">~${step.summary.modifiedCount}</td>
+              <td class="py-1.5 pl-2 text-right whitespace-nowrap">${BudgetDiffEngine.formatDelta(step.summary.priceChange, true)}</td>
+            </tr>`).join('');
+
+    const historyHtml = changedItems.map(history => `
+          <details class="border border-gray-200 rounded p-2">
+            <summary class="cursor-pointer">
+              <span class="font-medium text-gray-800">${escapeHtml(history.name)}</span>
+              <span class="text-xs text-gray-500">${escapeHtml(history.location)} &middot; ${history.changeCount} change${history.changeCount === 1 ? '' : 's'}</span>
+            </summary>
+            <div class="mt-2 pl-3 border-l-2 border-gray-200 space-y-2">
+              ${history.events.map(event => renderTimelineEventFallback(event)).join('')}
+            </div>
+          </details>`).join('');
+
+    const backdrop = document.createElement('div');
+    backdrop.id = 'jt-diff-modal-backdrop';
+    backdrop.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+    backdrop.onclick = (e) => {
+      if (e.target === backdrop) closeDiffModal();
+    };
+
+    const modal = document.createElement('div');
+    modal.id = 'jt-diff-modal';
+    modal.className = 'bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col';
+    modal.innerHTML = `
+      <div class="flex items-center justify-between p-4 border-b">
+        <div>
+          <h2 class="text-lg font-bold text-gray-900">Budget Timeline</h2>
+          <p class="text-sm text-gray-500">${escapeHtml(formatDate(first?.createdAt))} → ${escapeHtml(formatDate(last?.createdAt))} &middot; ${timeline.snapshots.length} backups</p>
+        </div>
+        <button id="jt-diff-close-btn" class="text-gray-400 hover:text-gray-600 p-1">
+          <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+      <div class="overflow-auto flex-1 p-4">
+        ${options.warnings?.length ? `
+        <div class="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3 mb-4 text-xs">
+          <div class="font-bold mb-1">Check these before relying on the results:</div>
+          ${options.warnings.map(w => `<div>&bull; ${escapeHtml(w)}</div>`).join('')}
+        </div>` : ''}
+        <table class="w-full text-xs mb-6">
+          <thead>
+            <tr class="text-gray-500 border-b">
+              <th class="py-1.5 pr-2 text-left">Backup</th>
+              <th class="py-1.5 px-2 text-right">Added</th>
+              <th class="py-1.5 px-2 text-right">Removed</th>
+              <th class="py-1.5 px-2 text-right">Modified</th>
+              <th class="py-1.5 pl-2 text-right">Price</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr class="border-b border-gray-100">
+              <td class="py-1.5 pr-2">${escapeHtml(formatDate(first?.createdAt))}<div class="text-gray-400">starting point</div></td>
+              <td class="py-1.5 text-right text-gray-500" colspan="4">${first?.itemCount || 0} line items</td>
+            </tr>
+            ${stepRows}
+          </tbody>
+        </table>
+        ${changedItems.length > 0 ? `
+        <h3 class="text-sm font-bold text-gray-700 mb-2">Line Item History (${changedItems.length})</h3>
+        <div class="space-y-2">${historyHtml}</div>
+        ` : '<div class="text-center py-8 text-sm text-gray-500">No line items changed across these backups.</div>'}
+      </div>
+    `;
+
+    backdrop.appendChild(modal);
+    document.body.appendChild(backdrop);
+    diffModal = backdrop;
+
+    document.getElementById('jt-diff-close-btn')?.addEventListener('click', closeDiffModal);
+
+    const escHandler = (e) => {
+      if (e.key === 'Escape') {
+        closeDiffModal();
+        document.removeEventListener('keydown', escHandler);
+      }
+    };
+    document.addEventListener('keydown', escHandler);
+  }
+
+  /**
+   * Render one event of an item's history for the timeline modal
+   * @param {Object} event - Event from BudgetTimeline
+   * @returns {string} HTML string
+   */
+  function renderTimelineEventFallback(event) {
+    const titles = { initial: 'In starting budget', added: 'Added', removed: 'Removed' };
+    let title = titles[event.type];
+    if (event.type === 'moved') {
+      title = BudgetDiffEngine.describeMove(event.move);
+    } else if (!title) {
+      title = event.hasKeyChange ? 'Price / quantity changed' : 'Details changed';
+    }
+
+    const changesHtml = (event.changes || []).map(change => {
+      if (change.type === 'text' && change.field === 'description') {
+        return `<div class="text-gray-400">${escapeHtml(change.label)}: (description changed)</div>`;
+      }
+      const { oldDisplay, newDisplay } = formatChangeDisplay(change);
+      return `
+          <div class="${BudgetTimeline.KEY_FIELDS.includes(change.field) ? '' : 'text-gray-400'}">
+            ${escapeHtml(change.label)}:
+            <span class="line-through">${escapeHtml(String(oldDisplay))}</span> → ${escapeHtml(String(newDisplay))}
+          </div>`;
+    }).join('');
+
+    return `
+        <div class="text-xs">
+          <div class="text-gray-500">${escapeHtml(formatDate(event.date))}${event.createdBy ? ` &middot; ${escapeHtml(event.createdBy)}` : ''}</div>
+          <div class="font-medium text-gray-700">${escapeHtml(title)}</div>
+          ${changesHtml}
+        </div>`;
+  }
+
   /**
    * Fallback modal if popup is blocked
    * @param {Object} diff - Diff result from BudgetDiffEngine
@@ -779,6 +1716,8 @@ const BudgetChangelogUI = (() => {
     // Remove existing modal if any
     closeDiffModal();
 
+    const filters = BudgetDiffFilter.createFilters();
+
     // Create modal backdrop
     const backdrop = document.createElement('div');
     backdrop.id = 'jt-diff-modal-backdrop';
@@ -798,6 +1737,17 @@ const BudgetChangelogUI = (() => {
           <p class="text-sm text-gray-500">${options.oldDate || 'Older'} → ${options.newDate || 'Newer'}</p>
         </div>
         <div class="flex items-center gap-2">
+          ${diff.hasChanges ? `
+          <select id="jt-diff-export-select" class="text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1.5 rounded border-0 cursor-pointer">
+            <option value="">Export...</option>
+            <option value="csv">CSV</option>
+            <option value="excelCsv">CSV for Excel</option>
+            <option value="json">JSON</option>
+          </select>` : ''}
+          ${diff.hasChanges ? `
+          <button id="jt-diff-change-order-btn" class="text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1.5 rounded transition">
+            Client Change Order
+          </button>` : ''}
           <button id="jt-diff-copy-btn" class="text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1.5 rounded transition">
             Copy Summary
           </button>
@@ -809,7 +1759,12 @@ const BudgetChangelogUI = (() => {
         </div>
       </div>
       <div class="overflow-auto flex-1 p-4">
-        ${renderDiffContent(diff)}
+        ${options.warnings?.length ? `
+        <div class="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3 mb-4 text-xs">
+          <div class="font-bold mb-1">Check these before relying on the results:</div>
+          ${options.warnings.map(w => `<div>&bull; ${escapeHtml(w)}</div>`).join('')}
+        </div>` : ''}
+        ${renderDiffContent(diff, filters)}
       </div>
     `;
 
@@ -822,6 +1777,22 @@ const BudgetChangelogUI = (() => {
     document.getElementById('jt-diff-copy-btn')?.addEventListener('click', () => {
       copyDiffSummary(diff, options);
     });
+    document.getElementById('jt-diff-change-order-btn')?.addEventListener('click', () => {
+      const jobName = getJobNameFromPage() || 'Budget';
+      openReportTab(generateChangeOrderHTML(diff, { ...options, jobName }));
+    });
+    document.getElementById('jt-diff-export-select')?.addEventListener('change', (e) => {
+      const format = e.target.value;
+      e.target.value = '';
+      if (format) {
+        exportDiff(BudgetDiffFilter.apply(diff, filters), {
+          ...options,
+          filters: BudgetDiffFilter.describe(filters)
+        }, format);
+      }
+    });
+
+    setupDiffFilterListeners(diff, filters);
 
     // Close on Escape key
     const escHandler = (e) => {
@@ -833,6 +1804,112 @@ const BudgetChangelogUI = (() => {
     document.addEventListener('keydown', escHandler);
   }
 
+  /**
+   * Wire the modal filter controls to re-render the item list
+   * @param {Object} diff - Full diff result
+   * @param {Object} filters - Filter state (updated in place so exports see the same filters)
+   */
+  function setupDiffFilterListeners(diff, filters) {
+    const bar = document.getElementById('jt-diff-filters');
+    const itemsContainer = document.getElementById('jt-diff-items');
+    if (!bar || !itemsContainer) return;
+
+    const refresh = () => {
+      filters.changeTypes = Array.from(bar.querySelectorAll('input[data-change-type]:checked'))
+        .map(input => input.dataset.changeType);
+      filters.costGroup = bar.querySelector('#jt-diff-filter-group').value;
+      filters.costType = bar.querySelector('#jt-diff-filter-cost-type').value;
+      filters.field = bar.querySelector('#jt-diff-filter-field').value;
+      filters.minDelta = Math.max(0, parseFloat(bar.querySelector('#jt-diff-filter-min-delta').value) || 0);
+      filters.search = bar.querySelector('#jt-diff-filter-search').value;
+
+      itemsContainer.innerHTML = renderDiffItems(BudgetDiffFilter.apply(diff, filters), diff);
+      const resetBtn = bar.querySelector('#jt-diff-filter-reset');
+      if (resetBtn) resetBtn.classList.toggle('hidden', !BudgetDiffFilter.isActive(filters));
+    };
+
+    let searchTimer = null;
+    bar.addEventListener('input', (e) => {
+      if (e.target.id === 'jt-diff-filter-search') {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(refresh, FILTER_SEARCH_DEBOUNCE_MS);
+      } else if (e.target.id === 'jt-diff-filter-min-delta') {
+        refresh();
+      }
+    });
+    bar.addEventListener('change', (e) => {
+      if (e.target.matches('select, input[type="checkbox"]')) refresh();
+    });
+
+    bar.querySelector('#jt-diff-filter-reset')?.addEventListener('click', () => {
+      bar.querySelectorAll('input[data-change-type]').forEach(input => { input.checked = true; });
+      bar.querySelectorAll('select').forEach(select => { select.value = ''; });
+      bar.querySelector('#jt-diff-filter-min-delta').value = '';
+      bar.querySelector('#jt-diff-filter-search').value = '';
+      refresh();
+    });
+  }
+
+  /**
+   * Render the filter and search controls for the modal
+   * @param {Object} diff - Full diff result
+   * @param {Object} filters - Current filter state
+   * @returns {string} HTML string
+   */
+  function renderDiffFilterBar(diff, filters) {
+    const { costGroups, costTypes, fields } = BudgetDiffFilter.getOptions(diff);
+    const typeLabels = { added: 'Added', removed: 'Removed', modified: 'Modified', moved: 'Moved/Renamed' };
+    const option = (value, label, selected) => `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    const selectClass = 'text-xs border rounded p-1 bg-white max-w-[12rem]';
+
+    return `
+      <div id="jt-diff-filters" class="bg-gray-50 border border-gray-200 rounded-lg p-3 mb-4 space-y-2 text-xs text-gray-600">
+        <div class="flex flex-wrap items-center gap-2">
+          <input type="search" id="jt-diff-filter-search" placeholder="Search names and descriptions..." value="${escapeHtml(filters.search)}" class="flex-1 min-w-[12rem] text-xs border rounded p-1.5 bg-white">
+          <button id="jt-diff-filter-reset" class="${BudgetDiffFilter.isActive(filters) ? '' : 'hidden '}text-xs text-cyan-600 hover:text-cyan-700 px-2">Clear filters</button>
+        </div>
+        <div class="flex flex-wrap items-center gap-3">
+          ${BudgetDiffFilter.CHANGE_TYPES.map(type => `
+          <label class="flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" data-change-type="${type}"${filters.changeTypes.includes(type) ? ' checked' : ''}>
+            ${typeLabels[type]}
+          </label>`).join('')}
+        </div>
+        <div class="flex flex-wrap items-center gap-2">
+          <select id="jt-diff-filter-group" class="${selectClass}" title="Cost group (includes sub-groups)">
+            ${option('', 'All cost groups', !filters.costGroup)}
+            ${costGroups.map(path => option(path, path, filters.costGroup === path)).join('')}
+          </select>
+          <select id="jt-diff-filter-cost-type" class="${selectClass}">
+            ${option('', 'All cost types', !filters.costType)}
+            ${costTypes.map(type => option(type, type, filters.costType === type)).join('')}
+          </select>
+          <select id="jt-diff-filter-field" class="${selectClass}">
+            ${option('', 'Any field changed', !filters.field)}
+            ${fields.map(field => option(field.key, field.label, filters.field === field.key)).join('')}
+          </select>
+          <label class="flex items-center gap-1">
+            Min. change $
+            <input type="number" id="jt-diff-filter-min-delta" min="0" step="1" value="${filters.minDelta || ''}" class="w-20 text-xs border rounded p-1 bg-white">
+          </label>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Download the diff in one of the export formats
+   * @param {Object} diff - Diff result
+   * @param {Object} options - Options with dates (and active filters, passed to the JSON export)
+   * @param {string} format - 'csv' | 'excelCsv' | 'json'
+   */
+  function exportDiff(diff, options, format) {
+    const jobName = getJobNameFromPage() || 'Budget';
+    const file = BudgetDiffExport.buildExports(diff, { ...options, jobName })[format];
+    if (!file) return;
+    BudgetDiffExport.download(file.content, file.fileName, file.mimeType);
+  }
+
   /**
    * Close the diff modal
    */
@@ -846,9 +1923,10 @@ const BudgetChangelogUI = (() => {
   /**
    * Render the diff content HTML
    * @param {Object} diff - Diff result
+   * @param {Object} filters - Filter state for the filter bar
    * @returns {string} HTML string
    */
-  function renderDiffContent(diff) {
+  function renderDiffContent(diff, filters = BudgetDiffFilter.createFilters()) {
     if (!diff.hasChanges) {
       return `
         <div class="text-center py-8 text-gray-500">
@@ -890,13 +1968,56 @@ const BudgetChangelogUI = (() => {
       </div>
     `;
 
+    // Margin impact
+    if (summary.margin) {
+      const { overall, flagged, threshold } = summary.margin;
+      html += `
+        <div class="bg-gray-50 rounded-lg p-3 mb-6 text-xs text-gray-600">
+          <div>
+            <span class="font-bold text-gray-700">Gross margin:</span>
+            ${BudgetDiffEngine.formatPercent(overall.old.margin)} → ${BudgetDiffEngine.formatPercent(overall.new.margin)}
+            (${BudgetDiffEngine.formatPercentDelta(overall.marginChange)})
+            &middot;
+            <span class="font-bold text-gray-700">Markup:</span>
+            ${BudgetDiffEngine.formatPercent(overall.old.markup)} → ${BudgetDiffEngine.formatPercent(overall.new.markup)}
+          </div>
+          ${flagged.map(row => `
+          <div class="text-red-600 mt-1">
+            ! ${escapeHtml(row.key)}${row.breakdown === 'costType' ? ' (cost type)' : ''}:
+            margin ${BudgetDiffEngine.formatPercent(row.old.margin)} → ${BudgetDiffEngine.formatPercent(row.new.margin)}
+            (dropped more than ${threshold} pts)
+          </div>`).join('')}
+        </div>
+      `;
+    }
+
+    html += renderDiffFilterBar(diff, filters);
+    html += `<div id="jt-diff-items">${renderDiffItems(BudgetDiffFilter.apply(diff, filters), diff)}</div>`;
+
+    return html;
+  }
+
+  /**
+   * Render the added/removed/modified/moved item lists
+   * @param {Object} diff - Diff result (possibly filtered)
+   * @param {Object} fullDiff - Unfiltered diff, used for "x of y" counts
+   * @returns {string} HTML string
+   */
+  function renderDiffItems(diff, fullDiff = diff) {
+    if (!diff.hasChanges) {
+      return '<div class="text-center py-8 text-sm text-gray-500">No changes match the current filters.</div>';
+    }
+
+    const count = (list, fullList) => diff.filtered ? `${list.length} of ${fullList.length}` : `${list.length}`;
+    let html = '';
+
     // Added items
     if (diff.added.length > 0) {
       html += `
         <div class="mb-6">
           <h3 class="text-sm font-bold text-green-700 mb-2 flex items-center gap-2">
             <span class="w-2 h-2 bg-green-500 rounded-full"></span>
-            Added Items (${diff.added.length})
+            Added Items (${count(diff.added, fullDiff.added)})
           </h3>
           <div class="space-y-2">
             ${diff.added.map(item => renderAddedItem(item)).join('')}
@@ -911,7 +2032,7 @@ const BudgetChangelogUI = (() => {
         <div class="mb-6">
           <h3 class="text-sm font-bold text-red-700 mb-2 flex items-center gap-2">
             <span class="w-2 h-2 bg-red-500 rounded-full"></span>
-            Removed Items (${diff.removed.length})
+            Removed Items (${count(diff.removed, fullDiff.removed)})
           </h3>
           <div class="space-y-2">
             ${diff.removed.map(item => renderRemovedItem(item)).join('')}
@@ -926,7 +2047,7 @@ const BudgetChangelogUI = (() => {
         <div class="mb-6">
           <h3 class="text-sm font-bold text-yellow-700 mb-2 flex items-center gap-2">
             <span class="w-2 h-2 bg-yellow-500 rounded-full"></span>
-            Modified Items (${diff.modified.length})
+            Modified Items (${count(diff.modified, fullDiff.modified)})
           </h3>
           <div class="space-y-2">
             ${diff.modified.map(mod => renderModifiedItem(mod)).join('')}
@@ -935,6 +2056,21 @@ const BudgetChangelogUI = (() => {
       `;
     }
 
+    // Moved / renamed items
+    if (diff.moved && diff.moved.length > 0) {
+      html += `
+        <div class="mb-6">
+          <h3 class="text-sm font-bold text-blue-700 mb-2 flex items-center gap-2">
+            <span class="w-2 h-2 bg-blue-500 rounded-full"></span>
+            Moved &amp; Renamed Items (${count(diff.moved, fullDiff.moved)})
+          </h3>
+          <div class="space-y-2">
+            ${diff.moved.map(move => renderMovedItem(move)).join('')}
+          </div>
+        </div>
+      `;
+    }
+
     return html;
   }
 
@@ -992,18 +2128,8 @@ const BudgetChangelogUI = (() => {
         return `<div class="text-xs"><span class="text-gray-500">${change.label}:</span> <span class="text-yellow-700">(description changed)</span></div>`;
       }
 
-      let oldDisplay = change.oldValue;
-      let newDisplay = change.newValue;
-
-      if (change.isCurrency) {
-        oldDisplay = BudgetDiffEngine.formatCurrency(change.oldValue);
-        newDisplay = BudgetDiffEngine.formatCurrency(change.newValue);
-      } else if (change.type === 'boolean') {
-        oldDisplay = change.oldValue ? 'Yes' : 'No';
-        newDisplay = change.newValue ? 'Yes' : 'No';
-      } else if (!oldDisplay && oldDisplay !== 0) {
-        oldDisplay = '(empty)';
-      }
+      const { oldDisplay, newDisplay } = formatChangeDisplay(change);
+      const note = getChangeNote(change);
 
       return `
         <div class="text-xs">
@@ -1011,6 +2137,7 @@ const BudgetChangelogUI = (() => {
           <span class="text-red-600 line-through">${escapeHtml(String(oldDisplay))}</span>
           <span class="text-gray-400">→</span>
           <span class="text-green-600">${escapeHtml(String(newDisplay))}</span>
+          ${note ? `<div class="text-blue-600 pl-3">${escapeHtml(note)}</div>` : ''}
         </div>
       `;
     }).join('');
@@ -1026,6 +2153,62 @@ const BudgetChangelogUI = (() => {
     `;
   }
 
+  /**
+   * Render a moved/renamed item card
+   * @param {Object} move - Moved entry from BudgetDiffEngine
+   * @returns {string} HTML string
+   */
+  function renderMovedItem(move) {
+    const changesHtml = move.changes.map(change => {
+      if (change.type === 'text' && change.field === 'description') {
+        return `<div class="text-xs"><span class="text-gray-500">${escapeHtml(change.label)}:</span> <span class="text-blue-700">(description changed)</span></div>`;
+      }
+      const { oldDisplay, newDisplay } = formatChangeDisplay(change);
+      const note = getChangeNote(change);
+      return `
+        <div class="text-xs">
+          <span class="text-gray-500">${escapeHtml(change.label)}:</span>
+          <span class="text-red-600 line-through">${escapeHtml(String(oldDisplay))}</span>
+          <span class="text-gray-400">→</span>
+          <span class="text-green-600">${escapeHtml(String(newDisplay))}</span>
+          ${note ? `<div class="text-blue-600 pl-3">${escapeHtml(note)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="bg-blue-50 border border-blue-200 rounded p-3">
+        <div class="font-medium text-blue-800">${escapeHtml(move.newName)}</div>
+        <div class="text-xs text-blue-600 mb-2">${escapeHtml(BudgetDiffEngine.describeMove(move))}</div>
+        <div class="space-y-1">
+          ${changesHtml}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format the before/after values of a change for display
+   * @param {Object} change - Change object from BudgetDiffEngine.compareItems
+   * @returns {Object} { oldDisplay, newDisplay }
+   */
+  function formatChangeDisplay(change) {
+    let oldDisplay = change.oldValue;
+    let newDisplay = change.newValue;
+
+    if (change.isCurrency) {
+      oldDisplay = BudgetDiffEngine.formatCurrency(change.oldValue);
+      newDisplay = BudgetDiffEngine.formatCurrency(change.newValue);
+    } else if (change.type === 'boolean') {
+      oldDisplay = change.oldValue ? 'Yes' : 'No';
+      newDisplay = change.newValue ? 'Yes' : 'No';
+    } else if (!oldDisplay && oldDisplay !== 0) {
+      oldDisplay = '(empty)';
+    }
+
+    return { oldDisplay, newDisplay };
+  }
+
   /**
    * Copy diff summary to clipboard
    * @param {Object} diff - Diff result
@@ -1070,6 +2253,7 @@ const BudgetChangelogUI = (() => {
    */
   function cleanup() {
     closeDiffModal();
+    availableBackups = [];
     const controls = document.getElementById('jt-budget-compare-controls');
     if (controls) {
       controls.remove();
@@ -1081,6 +2265,7 @@ const BudgetChangelogUI = (() => {
     injectCompareControls,
     populateBackupDropdowns,
     showDiffModal,
+    generateTimelineReportHTML,
     closeDiffModal,
     cleanup
   };
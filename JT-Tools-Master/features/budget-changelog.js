@@ -7,6 +7,20 @@ const BudgetChangelogFeature = (() => {
   let isActive = false;
   let sidebarObserver = null;
   let currentJobId = null;
+  let navigationInterval = null;
+  let lastPathname = null;
+  let budgetChangeHandler = null;
+  let saveCaptureTimeout = null;
+  let visitCaptureTimeout = null;
+
+  // Budget page URL, e.g. /jobs/abc123/budget
+  const BUDGET_PATH_PATTERN = /\/jobs\/([^\/]+)\/budget/;
+
+  // Budget edits save as you go; snapshot once editing has settled
+  const SAVE_CAPTURE_DELAY_MS = 30 * 1000;
+
+  // Without an API key snapshots are read from the budget table, which renders after navigation
+  const VISIT_CAPTURE_DELAY_MS = 5 * 1000;
 
   // Selectors for Budget Backups sidebar
   // Note: JobTread sidebars have z-30, absolute positioning, and right-0
@@ -82,6 +96,9 @@ const BudgetChangelogFeature = (() => {
     // Start observing for Budget Backups sidebar
     startSidebarObserver();
 
+    // Snapshot the budget automatically on visits and after edits
+    startSnapshotCapture();
+
     // Check if sidebar is already present
     const existingSidebar = findBudgetBackupsSidebar();
     if (DEBUG) console.log('BudgetChangelog: Existing sidebar check:', existingSidebar ? 'FOUND' : 'not found');
@@ -104,6 +121,7 @@ const BudgetChangelogFeature = (() => {
 
     // Stop observer
     stopSidebarObserver();
+    stopSnapshotCapture();
 
     // Remove any injected UI
     BudgetChangelogUI.cleanup();
@@ -178,6 +196,87 @@ const BudgetChangelogFeature = (() => {
     }
   }
 
+  /**
+   * Watch for budget page visits and edits and capture snapshots
+   */
+  function startSnapshotCapture() {
+    if (typeof BudgetSnapshotStore === 'undefined') return;
+
+    const checkUrl = () => {
+      const pathname = window.location.pathname;
+      if (pathname === lastPathname) return;
+      lastPathname = pathname;
+
+      clearTimeout(visitCaptureTimeout);
+      const match = pathname.match(BUDGET_PATH_PATTERN);
+      if (match) {
+        visitCaptureTimeout = setTimeout(() => captureSnapshot(match[1], 'visit'), VISIT_CAPTURE_DELAY_MS);
+      }
+    };
+
+    // Check periodically for URL changes (handles pushState)
+    navigationInterval = setInterval(checkUrl, 1000);
+    checkUrl();
+
+    // Budget cells save on change; capture once the user stops editing
+    budgetChangeHandler = (e) => {
+      const match = window.location.pathname.match(BUDGET_PATH_PATTERN);
+      if (!match || e.target.closest?.('#jt-budget-compare-controls, #jt-diff-modal')) return;
+
+      clearTimeout(saveCaptureTimeout);
+      saveCaptureTimeout = setTimeout(() => captureSnapshot(match[1], 'save'), SAVE_CAPTURE_DELAY_MS);
+    };
+    document.addEventListener('change', budgetChangeHandler, true);
+  }
+
+  /**
+   * Stop watching for snapshot triggers
+   */
+  function stopSnapshotCapture() {
+    if (navigationInterval) {
+      clearInterval(navigationInterval);
+      navigationInterval = null;
+    }
+    if (budgetChangeHandler) {
+      document.removeEventListener('change', budgetChangeHandler, true);
+      budgetChangeHandler = null;
+    }
+    clearTimeout(saveCaptureTimeout);
+    saveCaptureTimeout = null;
+    clearTimeout(visitCaptureTimeout);
+    visitCaptureTimeout = null;
+    lastPathname = null;
+  }
+
+  /**
+   * Capture a snapshot in the background (failures are only logged)
+   * @param {string} jobId - Job ID
+   * @param {string} trigger - 'visit' | 'save'
+   */
+  async function captureSnapshot(jobId, trigger) {
+    try {
+      const snapshot = await BudgetSnapshotStore.capture(jobId, { trigger });
+      if (DEBUG && snapshot) console.log('BudgetChangelog: Captured snapshot', snapshot.id);
+    } catch (error) {
+      if (DEBUG) console.log('BudgetChangelog: Snapshot capture failed:', error.message);
+    }
+  }
+
+  /**
+   * List stored snapshots for a job (empty if snapshots are unavailable)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Array>} Snapshot metadata
+   */
+  async function listSnapshots(jobId) {
+    if (typeof BudgetSnapshotStore === 'undefined') return [];
+    try {
+      return await BudgetSnapshotStore.list(jobId);
+    } catch (error) {
+      if (DEBUG) console.log('BudgetChangelog: Could not list snapshots:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Handle when Budget Backups sidebar appears
    * @param {HTMLElement} sidebar - The sidebar element
@@ -208,18 +307,21 @@ const BudgetChangelogFeature = (() => {
     // Fetch backup list
     try {
       if (DEBUG) console.log('BudgetChangelog: Fetching backups for job:', jobId);
-      const backups = await fetchBudgetBackups(jobId);
-      if (DEBUG) console.log('BudgetChangelog: Fetched backups:', backups.length);
+      const [backups, snapshots] = await Promise.all([
+        fetchBudgetBackups(jobId),
+        listSnapshots(jobId)
+      ]);
+      if (DEBUG) console.log('BudgetChangelog: Fetched backups:', backups.length, 'snapshots:', snapshots.length);
 
-      if (backups.length < 2) {
+      if (backups.length + snapshots.length < 2) {
         if (DEBUG) console.log('BudgetChangelog: Less than 2 backups, comparison not possible');
         // Show a message in the sidebar
-        injectNotEnoughBackupsMessage(sidebar, backups.length);
+        injectNotEnoughBackupsMessage(sidebar, backups.length + snapshots.length);
         return;
       }
 
       // Inject compare controls
-      BudgetChangelogUI.injectCompareControls(sidebar, backups);
+      BudgetChangelogUI.injectCompareControls(sidebar, backups, snapshots);
 
     } catch (error) {
       console.error('BudgetChangelog: Error fetching backups:', error);
@@ -243,6 +345,7 @@ const BudgetChangelogFeature = (() => {
     messageDiv.innerHTML = `
       <div class="text-sm font-medium text-yellow-800 mb-1">Compare Backups</div>
       <div class="text-xs text-yellow-600">Configure your JobTread API in the extension popup to enable budget comparison.</div>
+      <div class="text-xs text-yellow-600 mt-1">Until then, automatic snapshots are read from the budget table on this page. They're only taken while every group is expanded, and formulas aren't captured.</div>
     `;
 
     const instructionText = contentContainer.querySelector('.text-xs.text-gray-500');
@@ -378,32 +481,24 @@ const BudgetChangelogFeature = (() => {
    * @returns {Promise<Array>} Array of backup objects
    */
   async function fetchBackupsWithKey(jobId, grantKey) {
-    // Pave query format uses empty objects {} to request fields
-    // Using size/sortBy params based on Pave documentation for connection fields
-    const innerQuery = {
+    const innerQuery = PaveQueryBuilder.build({
       job: {
-        $: { id: jobId },
-        jobBudgetBackups: {
-          $: {
+        args: { id: jobId },
+        fields: [{
+          jobBudgetBackups: {
             size: 100,
-            sortBy: [
-              { field: 'createdAt', order: 'desc' }
+            sortBy: ['-createdAt'],
+            nextPage: true,
+            fields: [
+              'id',
+              'createdAt',
+              { createdByUser: { fields: ['name'] } },
+              { url: { args: { download: true } } }
             ]
-          },
-          nextPage: {},
-          nodes: {
-            id: {},
-            createdAt: {},
-            createdByUser: {
-              name: {}
-            },
-            url: {
-              $: { download: true }
-            }
           }
-        }
+        }]
       }
-    };
+    });
 
     // Wrap query in the correct format for Pave API
     const wrappedQuery = {
@@ -437,35 +532,57 @@ const BudgetChangelogFeature = (() => {
 
   /**
    * Make a Pave API request
+   * Goes through PaveRequestScheduler when loaded, so backup lookups share the concurrency
+   * cap, 429/5xx retries (honoring Retry-After) and coalescing with every other Pave read.
+   * @param {Object} query - Wrapped Pave query
+   * @returns {Promise<Object>} API response
+   */
+  async function makePaveRequest(query) {
+    const bodyString = JSON.stringify(query);
+
+    if (typeof PaveRequestScheduler === 'undefined') {
+      return await sendPaveRequest(bodyString);
+    }
+    return await PaveRequestScheduler.schedule(() => sendPaveRequest(bodyString), { key: bodyString });
+  }
+
+  /**
+   * Make one attempt at a Pave request
    * In MV3, content scripts use the web page's origin for fetch() calls.
    * Since we run on app.jobtread.com, we can call api.jobtread.com directly
    * (JobTread's API allows CORS from its own app domain).
    * This avoids unreliable service worker async messaging on Safari.
-   * Falls back to background service worker proxy if direct fetch fails.
-   * @param {Object} query - Wrapped Pave query
+   * Falls back to background service worker proxy if the direct fetch can't reach the API.
+   * HTTP failures carry `status` and `retryAfter` so the scheduler can retry them.
+   * @param {string} bodyString - JSON request body
    * @returns {Promise<Object>} API response
    */
-  async function makePaveRequest(query) {
+  async function sendPaveRequest(bodyString) {
     const API_URL = 'https://api.jobtread.com/pave';
     const fetchOptions = {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(query)
+      body: bodyString
     };
 
     // Strategy 1: Direct fetch (MV3 content scripts inherit page origin)
+    let response = null;
     try {
-      const response = await fetch(API_URL, fetchOptions);
+      response = await fetch(API_URL, fetchOptions);
+    } catch (directError) {
+      if (DEBUG) console.log('BudgetChangelog: Direct fetch failed, trying service worker proxy:', directError.message);
+    }
+
+    // An HTTP error came from the API itself, so the proxy would only repeat it
+    if (response) {
       if (!response.ok) {
-        throw new Error(`API Error ${response.status}: ${response.statusText}`);
+        throw createHttpError(response.status, response.statusText, response.headers.get('Retry-After'));
       }
       const data = await response.json();
       if (DEBUG) console.log('BudgetChangelog: Direct fetch succeeded');
       return data;
-    } catch (directError) {
-      if (DEBUG) console.log('BudgetChangelog: Direct fetch failed, trying service worker proxy:', directError.message);
     }
 
     // Strategy 2: Route through background service worker (CORS bypass)
@@ -481,7 +598,9 @@ const BudgetChangelogFeature = (() => {
       }
 
       if (!result.success) {
-        throw new Error(result.error || `API Error: ${result.status}`);
+        throw result.status
+          ? createHttpError(result.status, result.statusText || result.error, result.retryAfter)
+          : new Error(result.error || 'API Error');
       }
 
       return result.data;
@@ -491,6 +610,20 @@ const BudgetChangelogFeature = (() => {
     }
   }
 
+  /**
+   * Build an Error for a failed HTTP response that PaveRequestScheduler can retry
+   * @param {number} status - HTTP status
+   * @param {string} statusText - HTTP status text
+   * @param {string|null} retryAfter - Raw Retry-After header
+   * @returns {Error} Error with `status` and `retryAfter`
+   */
+  function createHttpError(status, statusText, retryAfter) {
+    const error = new Error(`API Error ${status}: ${statusText || ''}`.trim());
+    error.status = status;
+    error.retryAfter = retryAfter || null;
+    return error;
+  }
+
   // Public API
   return {
     init,
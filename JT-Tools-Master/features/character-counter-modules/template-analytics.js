@@ -0,0 +1,245 @@
+// Character Counter - Template Analytics Module
+// Records who inserts which company template (and on which job type), uploads the
+// events to the server, and builds the usage report shown to admins
+
+const MessageTemplateAnalytics = (() => {
+  const DEBUG = false; // Set to true for development debugging only
+  const JOB_PATH_PATTERN = /\/jobs\/([^\/?#]+)/;
+
+  // Events wait here until the server accepts them (survives reloads and offline use)
+  const USAGE_QUEUE_KEY = 'jtTeamTemplateUsageQueue';
+  const MAX_QUEUED_EVENTS = 500;
+  const UPLOAD_DEBOUNCE = 5000; // 5 seconds
+
+  // Custom fields that hold a job's type, checked in order (case-insensitive)
+  const JOB_TYPE_FIELD_NAMES = ['job type', 'project type', 'type'];
+
+  let uploadTimeout = null;
+  let isUploading = false;
+  const jobTypeCache = new Map();
+
+  /**
+   * Generate a unique ID for events (lets the server ignore duplicate uploads)
+   * @returns {string}
+   */
+  function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  }
+
+  /**
+   * Look up a job's type from its custom fields through the Pave API
+   * @param {string} jobId - Job ID
+   * @returns {Promise<string|null>} Job type, or null if unknown
+   */
+  async function getJobType(jobId) {
+    if (!jobId) return null;
+    if (jobTypeCache.has(jobId)) return jobTypeCache.get(jobId);
+
+    let jobType = null;
+    try {
+      if (typeof JobTreadAPI !== 'undefined' && await JobTreadAPI.isConfigured()) {
+        const result = await JobTreadAPI.paveQuery(PaveQueryBuilder.build({
+          job: {
+            args: { id: jobId },
+            fields: [{
+              customFieldValues: {
+                size: 100,
+                fields: ['value', { customField: { fields: ['name'] } }]
+              }
+            }]
+          }
+        }), { cache: true });
+
+        const values = result.job?.customFieldValues?.nodes || [];
+        for (const fieldName of JOB_TYPE_FIELD_NAMES) {
+          const match = values.find(v => (v.customField?.name || '').trim().toLowerCase() === fieldName);
+          if (match && match.value) {
+            jobType = String(match.value);
+            break;
+          }
+        }
+      }
+    } catch (error) {
+      if (DEBUG) console.log('MessageTemplateAnalytics: Job type lookup failed:', error.message);
+    }
+
+    jobTypeCache.set(jobId, jobType);
+    return jobType;
+  }
+
+  /**
+   * Read the queued events
+   * @returns {Promise<Array>}
+   */
+  async function loadQueue() {
+    try {
+      const stored = await chrome.storage.local.get([USAGE_QUEUE_KEY]);
+      return stored[USAGE_QUEUE_KEY] || [];
+    } catch (error) {
+      console.error('MessageTemplateAnalytics: Failed to load usage queue', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the queued events, dropping the oldest past the cap
+   * @param {Array} queue - Events
+   * @returns {Promise<void>}
+   */
+  async function saveQueue(queue) {
+    try {
+      await chrome.storage.local.set({ [USAGE_QUEUE_KEY]: queue.slice(-MAX_QUEUED_EVENTS) });
+    } catch (error) {
+      console.error('MessageTemplateAnalytics: Failed to save usage queue', error);
+    }
+  }
+
+  /**
+   * Record an insert of a company template
+   * @param {Object} template - The inserted template
+   * @returns {Promise<void>}
+   */
+  async function recordInsert(template) {
+    if (!template?.id || !window.AccountService?.isLoggedIn()) return;
+
+    const user = window.AccountService.getCurrentUser() || {};
+    const match = window.location.pathname.match(JOB_PATH_PATTERN);
+    const jobId = match ? match[1] : null;
+
+    const event = {
+      id: generateId(),
+      templateId: template.id,
+      templateName: template.name || '',
+      userId: user.id || null,
+      userName: user.displayName || user.name || user.email || null,
+      insertedAt: Date.now(),
+      jobId,
+      jobType: await getJobType(jobId)
+    };
+
+    const queue = await loadQueue();
+    queue.push(event);
+    await saveQueue(queue);
+    scheduleUpload();
+  }
+
+  /**
+   * Upload queued events after a short delay (inserts often come in bursts)
+   */
+  function scheduleUpload() {
+    if (uploadTimeout) {
+      clearTimeout(uploadTimeout);
+    }
+    uploadTimeout = setTimeout(() => {
+      uploadTimeout = null;
+      uploadQueue();
+    }, UPLOAD_DEBOUNCE);
+  }
+
+  /**
+   * Upload queued events; they stay queued if the upload fails
+   * @returns {Promise<boolean>} True if the queue is empty afterwards
+   */
+  async function uploadQueue() {
+    if (isUploading || !window.AccountService?.isLoggedIn()) return false;
+
+    isUploading = true;
+    try {
+      const queue = await loadQueue();
+      if (queue.length === 0) return true;
+
+      const result = await window.AccountService.recordTeamTemplateUsage(queue);
+      if (!result.success) return false;
+
+      // Keep anything recorded while the upload was in flight
+      const sentIds = new Set(queue.map(event => event.id));
+      const remaining = (await loadQueue()).filter(event => !sentIds.has(event.id));
+      await saveQueue(remaining);
+      return remaining.length === 0;
+    } catch (error) {
+      console.error('MessageTemplateAnalytics: Failed to upload usage', error);
+      return false;
+    } finally {
+      isUploading = false;
+    }
+  }
+
+  /**
+   * Stop a pending upload (events stay queued for next time)
+   */
+  function cancelUpload() {
+    if (uploadTimeout) {
+      clearTimeout(uploadTimeout);
+      uploadTimeout = null;
+    }
+  }
+
+  /**
+   * Combine the company templates with their usage stats
+   * Used templates are listed most used first; unused ones are listed separately.
+   * @param {Array} templates - Company templates
+   * @param {Array} usage - Server stats [{ templateId, count, lastUsedAt, lastUsedBy, users, jobTypes }]
+   * @returns {Object} { used: [{ template, count, lastUsedAt, lastUsedBy, userCount, jobTypes }], unused: [template], totalInserts }
+   */
+  function buildUsageReport(templates, usage) {
+    const statsById = new Map((usage || []).map(stat => [stat.templateId, stat]));
+    const used = [];
+    const unused = [];
+
+    for (const template of templates) {
+      const stat = statsById.get(template.id);
+      if (!stat || !stat.count) {
+        unused.push(template);
+        continue;
+      }
+      used.push({
+        template,
+        count: stat.count,
+        lastUsedAt: stat.lastUsedAt || null,
+        lastUsedBy: stat.lastUsedBy || null,
+        userCount: (stat.users || []).length,
+        jobTypes: [...(stat.jobTypes || [])]
+          .filter(entry => entry.jobType)
+          .sort((a, b) => b.count - a.count)
+      });
+    }
+
+    used.sort((a, b) => b.count - a.count || (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+    unused.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+    return {
+      used,
+      unused,
+      totalInserts: used.reduce((sum, row) => sum + row.count, 0)
+    };
+  }
+
+  /**
+   * Describe how long ago a timestamp was
+   * @param {number} timestamp - Milliseconds
+   * @param {number} now - Current time (defaults to Date.now())
+   * @returns {string} e.g. "today", "yesterday", "5 days ago", "Mar 2, 2026"
+   */
+  function formatLastUsed(timestamp, now = Date.now()) {
+    if (!timestamp) return 'never';
+    const startOfDay = (value) => new Date(new Date(value).toDateString()).getTime();
+    const days = Math.round((startOfDay(now) - startOfDay(timestamp)) / (24 * 60 * 60 * 1000));
+    if (days <= 0) return 'today';
+    if (days === 1) return 'yesterday';
+    if (days < 30) return `${days} days ago`;
+    return new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  return {
+    recordInsert,
+    uploadQueue,
+    cancelUpload,
+    buildUsageReport,
+    formatLastUsed
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.MessageTemplateAnalytics = MessageTemplateAnalytics;
+}
@@ -0,0 +1,235 @@
+// Character Counter - Template Search Module
+// Fuzzy search, category grouping, usage ranking and ;;shortcut lookup for message templates
+
+const MessageTemplateSearch = (() => {
+  // Typing ;;shortcut then Space or Tab expands the template
+  const SHORTCUT_TRIGGER = ';;';
+  const SHORTCUT_PATTERN = /(^|\s);;([a-z0-9_-]+)$/i;
+
+  // How much a match in each part of a template counts
+  const FIELD_WEIGHTS = { name: 3, shortcut: 3, category: 2, tags: 2, content: 1 };
+
+  const UNCATEGORIZED = 'Uncategorized';
+
+  /**
+   * Normalize a shortcut name: lowercase, dashes for spaces, no punctuation
+   * @param {string} value - Shortcut or template name
+   * @returns {string}
+   */
+  function normalizeShortcut(value) {
+    return (value || '')
+      .toLowerCase()
+      .trim()
+      .replace(/\s+/g, '-')
+      .replace(/[^a-z0-9_-]/g, '')
+      .replace(/-{2,}/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Get a template's shortcut (its own, or one made from its name)
+   * @param {Object} template - Template
+   * @returns {string}
+   */
+  function getShortcut(template) {
+    return normalizeShortcut(template.shortcut) || normalizeShortcut(template.name);
+  }
+
+  /**
+   * Parse a comma-separated tag list
+   * @param {string|Array} value - "weather, delay" or ['weather', 'delay']
+   * @returns {Array<string>} Unique, trimmed tags
+   */
+  function parseTags(value) {
+    const tags = Array.isArray(value) ? value : (value || '').split(',');
+    return [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+  }
+
+  /**
+   * Check if a position starts a word
+   * @param {string} text - Lowercase text
+   * @param {number} index - Position
+   * @returns {boolean}
+   */
+  function isWordStart(text, index) {
+    return index === 0 || /[\s\-_/.,;:()]/.test(text[index - 1]);
+  }
+
+  /**
+   * Score how well a search term matches a piece of text
+   * Substring matches beat subsequence matches ("wthr" finds "weather");
+   * matches at the start of a word score higher.
+   * @param {string} term - Lowercase search term
+   * @param {string} text - Text to search
+   * @param {boolean} allowSubsequence - Also accept scattered letters (off for long text)
+   * @returns {number} Score, 0 if no match
+   */
+  function scoreText(term, text, allowSubsequence = true) {
+    const lower = (text || '').toLowerCase();
+    if (!term || !lower) return 0;
+
+    const index = lower.indexOf(term);
+    if (index !== -1) {
+      return 20 + term.length * 2 + (index === 0 ? 10 : isWordStart(lower, index) ? 5 : 0);
+    }
+    if (!allowSubsequence) return 0;
+
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const char of term) {
+      const position = lower.indexOf(char, from);
+      if (position === -1) return 0;
+      score += (position === previous + 1 ? 3 : 1) + (isWordStart(lower, position) ? 2 : 0);
+      previous = position;
+      from = position + 1;
+    }
+    return score;
+  }
+
+  /**
+   * Score a template against a search query
+   * Every word of the query must match somewhere in the template.
+   * @param {Object} template - Template
+   * @param {string} query - Search query
+   * @returns {number} Score, 0 if the template doesn't match
+   */
+  function scoreTemplate(template, query) {
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    let total = 0;
+
+    for (const term of terms) {
+      const best = Math.max(
+        scoreText(term, template.name) * FIELD_WEIGHTS.name,
+        scoreText(term, getShortcut(template)) * FIELD_WEIGHTS.shortcut,
+        scoreText(term, template.category) * FIELD_WEIGHTS.category,
+        Math.max(0, ...parseTags(template.tags).map(tag => scoreText(term, tag))) * FIELD_WEIGHTS.tags,
+        scoreText(term, template.content, false) * FIELD_WEIGHTS.content
+      );
+      if (best === 0) return 0;
+      total += best;
+    }
+
+    return total;
+  }
+
+  /**
+   * Get how often a template has been inserted
+   * @param {Object} usage - { templateId: { count, lastUsedAt } }
+   * @param {Object} template - Template
+   * @returns {number}
+   */
+  function getUsageCount(usage, template) {
+    return usage?.[template.id]?.count || 0;
+  }
+
+  /**
+   * Sort templates most used first, then by name
+   * @param {Array} templates - Templates
+   * @param {Object} usage - Usage by template ID
+   * @returns {Array} Sorted copy
+   */
+  function sortByUsage(templates, usage) {
+    return [...templates].sort((a, b) =>
+      getUsageCount(usage, b) - getUsageCount(usage, a) ||
+      (usage?.[b.id]?.lastUsedAt || 0) - (usage?.[a.id]?.lastUsedAt || 0) ||
+      (a.name || '').localeCompare(b.name || '')
+    );
+  }
+
+  /**
+   * Search templates, best match first (ties go to the more used template)
+   * @param {Array} templates - Templates
+   * @param {string} query - Search query
+   * @param {Object} usage - Usage by template ID
+   * @returns {Array} Matching templates
+   */
+  function searchTemplates(templates, query, usage) {
+    return templates
+      .map(template => ({ template, score: scoreTemplate(template, query) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || getUsageCount(usage, b.template) - getUsageCount(usage, a.template))
+      .map(result => result.template);
+  }
+
+  /**
+   * Group templates by category, most used first within each group
+   * Categories are listed alphabetically with uncategorized templates last.
+   * @param {Array} templates - Templates
+   * @param {Object} usage - Usage by template ID
+   * @returns {Array<{category: string, templates: Array}>}
+   */
+  function groupByCategory(templates, usage) {
+    const groups = new Map();
+    for (const template of sortByUsage(templates, usage)) {
+      const category = (template.category || '').trim() || UNCATEGORIZED;
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(template);
+    }
+
+    return [...groups.entries()]
+      .sort(([a], [b]) => (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b))
+      .map(([category, list]) => ({ category, templates: list }));
+  }
+
+  /**
+   * List the categories in use, for the editor's suggestions
+   * @param {Array} templates - Templates
+   * @returns {Array<string>}
+   */
+  function getCategories(templates) {
+    return [...new Set(templates.map(t => (t.category || '').trim()).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Find a ;;shortcut typed right before the cursor
+   * @param {string} text - Field value
+   * @param {number} cursor - Cursor position
+   * @returns {Object|null} { start, end, shortcut } range of the ;;shortcut text
+   */
+  function findShortcutTrigger(text, cursor) {
+    const match = (text || '').slice(0, cursor).match(SHORTCUT_PATTERN);
+    if (!match) return null;
+    return {
+      start: cursor - match[2].length - SHORTCUT_TRIGGER.length,
+      end: cursor,
+      shortcut: match[2].toLowerCase()
+    };
+  }
+
+  /**
+   * Find the template for a shortcut
+   * Explicit shortcuts win over ones made from template names.
+   * @param {Array} templates - Templates, in priority order
+   * @param {string} shortcut - Typed shortcut
+   * @returns {Object|null}
+   */
+  function findTemplateByShortcut(templates, shortcut) {
+    const wanted = normalizeShortcut(shortcut);
+    if (!wanted) return null;
+    return templates.find(t => normalizeShortcut(t.shortcut) === wanted) ||
+      templates.find(t => !normalizeShortcut(t.shortcut) && normalizeShortcut(t.name) === wanted) ||
+      null;
+  }
+
+  return {
+    SHORTCUT_TRIGGER,
+    UNCATEGORIZED,
+    normalizeShortcut,
+    getShortcut,
+    parseTags,
+    searchTemplates,
+    sortByUsage,
+    groupByCategory,
+    getCategories,
+    getUsageCount,
+    findShortcutTrigger,
+    findTemplateByShortcut
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.MessageTemplateSearch = MessageTemplateSearch;
+}
@@ -0,0 +1,218 @@
+// Character Counter - Template Variables Module
+// Resolves {{variables}} in message templates from the current page and the Pave API,
+// and collects {{?Prompt}} fill-ins that the user types at insert time
+
+const MessageTemplateVariables = (() => {
+  const DEBUG = false; // Set to true for development debugging only
+  const JOB_PATH_PATTERN = /\/jobs\/([^\/?#]+)/;
+
+  // {{name}} variables and {{?Label}} / {{?Label=default}} prompts
+  const TOKEN_PATTERN = /\{\{\s*(\?)?([^{}=]+?)\s*(?:=([^{}]*))?\}\}/g;
+
+  // Variables available in templates, in the order they're listed in the editor
+  const VARIABLES = [
+    { key: 'job.name', label: 'Job name' },
+    { key: 'job.number', label: 'Job number' },
+    { key: 'job.address', label: 'Job address' },
+    { key: 'customer.name', label: 'Customer name' },
+    { key: 'customer.firstName', label: 'Customer first name' },
+    { key: 'customer.lastName', label: 'Customer last name' },
+    { key: 'me.name', label: 'Your name' },
+    { key: 'today', label: "Today's date" }
+  ];
+
+  const VARIABLE_KEYS = new Set(VARIABLES.map(v => v.key));
+
+  /**
+   * Find the variables and prompts used in a template
+   * Each prompt label is listed once, even when it appears several times.
+   * @param {string} content - Template content
+   * @returns {Object} { variables: ['job.name', ...], prompts: [{ label, defaultValue }] }
+   */
+  function parseTemplate(content) {
+    const variables = [];
+    const prompts = [];
+
+    for (const match of (content || '').matchAll(TOKEN_PATTERN)) {
+      const [, isPrompt, name, defaultValue] = match;
+      if (isPrompt) {
+        if (!prompts.some(p => p.label === name)) {
+          prompts.push({ label: name, defaultValue: defaultValue || '' });
+        }
+      } else if (VARIABLE_KEYS.has(name) && !variables.includes(name)) {
+        variables.push(name);
+      }
+    }
+
+    return { variables, prompts };
+  }
+
+  /**
+   * Check whether a template needs anything resolved before it's inserted
+   * @param {string} content - Template content
+   * @returns {boolean}
+   */
+  function hasTokens(content) {
+    const { variables, prompts } = parseTemplate(content);
+    return variables.length > 0 || prompts.length > 0;
+  }
+
+  /**
+   * Get the job ID from the current URL
+   * @returns {string|null}
+   */
+  function getCurrentJobId() {
+    const match = window.location.pathname.match(JOB_PATH_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Fetch the job and its customer through the Pave API
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job, or null if the API isn't configured
+   */
+  async function fetchJob(jobId) {
+    if (typeof JobTreadAPI === 'undefined' || !(await JobTreadAPI.isConfigured())) {
+      return null;
+    }
+
+    const result = await JobTreadAPI.paveQuery(PaveQueryBuilder.build({
+      job: {
+        args: { id: jobId },
+        fields: ['id', 'name', 'number', {
+          location: {
+            fields: ['name', 'address', {
+              account: {
+                fields: ['name', { primaryContact: { fields: ['name', 'firstName', 'lastName'] } }]
+              }
+            }]
+          }
+        }]
+      }
+    }), { cache: true });
+
+    return result.job || null;
+  }
+
+  /**
+   * Fetch the name of the JobTread user the API key belongs to
+   * @returns {Promise<string|null>}
+   */
+  async function fetchUserName() {
+    if (typeof JobTreadAPI === 'undefined' || !(await JobTreadAPI.isConfigured())) {
+      return null;
+    }
+
+    const result = await JobTreadAPI.paveQuery(PaveQueryBuilder.build({
+      currentGrant: {
+        fields: [{ user: { fields: ['name'] } }]
+      }
+    }), { cache: true });
+
+    return result.currentGrant?.user?.name || null;
+  }
+
+  /**
+   * Read the job name from the job page header (used when the API isn't available)
+   * @returns {string|null}
+   */
+  function readJobNameFromPage() {
+    const jobNameEl = document.querySelector('.font-bold.text-2xl div[role="button"]');
+    const text = jobNameEl ? jobNameEl.textContent.trim() : '';
+    return text || null;
+  }
+
+  /**
+   * Resolve variable values for the current page
+   * Only fetches what the requested variables need. Values that can't be found are null.
+   * @param {Array<string>} keys - Variable keys from parseTemplate()
+   * @returns {Promise<Object>} { key: value|null }
+   */
+  async function resolveVariables(keys) {
+    const values = {};
+    const needs = (prefix) => keys.some(key => key.startsWith(prefix));
+
+    let job = null;
+    const jobId = getCurrentJobId();
+    if (jobId && (needs('job.') || needs('customer.'))) {
+      try {
+        job = await fetchJob(jobId);
+      } catch (error) {
+        if (DEBUG) console.log('MessageTemplateVariables: Job lookup failed, using page:', error.message);
+      }
+    }
+
+    let userName = null;
+    if (needs('me.')) {
+      try {
+        userName = await fetchUserName();
+      } catch (error) {
+        if (DEBUG) console.log('MessageTemplateVariables: User lookup failed:', error.message);
+      }
+      if (!userName) {
+        const user = window.AccountService?.getCurrentUser?.();
+        userName = user ? (user.displayName || user.name || null) : null;
+      }
+    }
+
+    const contact = job?.location?.account?.primaryContact;
+    const candidates = {
+      'job.name': job?.name || (jobId ? readJobNameFromPage() : null),
+      'job.number': job?.number,
+      'job.address': job?.location?.address,
+      'customer.name': contact?.name || job?.location?.account?.name,
+      'customer.firstName': contact?.firstName,
+      'customer.lastName': contact?.lastName,
+      'me.name': userName,
+      'today': new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })
+    };
+
+    keys.forEach(key => {
+      const value = candidates[key];
+      values[key] = value !== undefined && value !== null && String(value).trim() !== '' ? String(value) : null;
+    });
+
+    return values;
+  }
+
+  /**
+   * Get the label of a variable
+   * @param {string} key - Variable key
+   * @returns {string}
+   */
+  function getVariableLabel(key) {
+    return VARIABLES.find(v => v.key === key)?.label || key;
+  }
+
+  /**
+   * Replace variables and prompts in a template
+   * Unknown {{names}} are left as typed so mistakes stay visible.
+   * @param {string} content - Template content
+   * @param {Object} values - Variable values { key: value }
+   * @param {Object} answers - Prompt answers { label: value }
+   * @returns {string} Filled-in text
+   */
+  function fillTemplate(content, values = {}, answers = {}) {
+    return (content || '').replace(TOKEN_PATTERN, (match, isPrompt, name) => {
+      if (isPrompt) {
+        return answers[name] ?? '';
+      }
+      if (!VARIABLE_KEYS.has(name)) return match;
+      return values[name] ?? '';
+    });
+  }
+
+  return {
+    VARIABLES,
+    parseTemplate,
+    hasTokens,
+    resolveVariables,
+    getVariableLabel,
+    fillTemplate
+  };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.MessageTemplateVariables = MessageTemplateVariables;
+}
@@ -13,6 +13,10 @@ const CharacterCounterFeature = (() => {
   // Storage key for templates
   const TEMPLATES_STORAGE_KEY = 'messageTemplates';
 
+  // How often each template was inserted on this device (ranks the dropdown)
+  const TEMPLATE_USAGE_KEY = 'jtTemplateUsage';
+  let cachedUsage = {};
+
   // Team (company) templates - Essential+ tier
   const TEAM_TEMPLATES_CACHE_KEY = 'jtTeamTemplates';
   const TEAM_TEMPLATES_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -636,7 +640,7 @@ const CharacterCounterFeature = (() => {
       box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
       min-width: 220px;
       max-width: 300px;
-      max-height: 300px;
+      max-height: 360px;
       overflow-y: auto;
       z-index: 10000;
     }
@@ -667,6 +671,47 @@ const CharacterCounterFeature = (() => {
       margin-top: 2px;
     }
 
+    .jt-template-dropdown-search {
+      position: sticky;
+      top: 0;
+      padding: 8px;
+      background: inherit;
+      border-bottom: 1px solid #f3f4f6;
+    }
+
+    .jt-template-dropdown-search input {
+      width: 100%;
+      padding: 6px 8px;
+      border: 1px solid #d1d5db;
+      border-radius: 4px;
+      font-size: 12px;
+      box-sizing: border-box;
+    }
+
+    .jt-template-dropdown-search input:focus {
+      outline: none;
+      border-color: #3b82f6;
+    }
+
+    .jt-template-dropdown-category {
+      padding: 8px 12px 4px;
+      font-size: 10px;
+      font-weight: 600;
+      letter-spacing: 0.05em;
+      text-transform: uppercase;
+      color: #9ca3af;
+    }
+
+    .jt-template-dropdown-choice.active {
+      background: #eff6ff;
+    }
+
+    .jt-template-dropdown-empty {
+      padding: 10px 12px;
+      font-size: 12px;
+      color: #9ca3af;
+    }
+
     .jt-template-dropdown-separator {
       height: 1px;
       background: #e5e7eb;
@@ -732,6 +777,65 @@ const CharacterCounterFeature = (() => {
       text-overflow: ellipsis;
     }
 
+    .jt-template-item-meta {
+      font-size: 11px;
+      color: #9ca3af;
+      margin-top: 4px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .jt-template-usage-summary {
+      font-size: 12px;
+      color: #6b7280;
+      margin-bottom: 12px;
+    }
+
+    .jt-template-usage-heading {
+      font-size: 11px;
+      font-weight: 600;
+      letter-spacing: 0.05em;
+      text-transform: uppercase;
+      color: #9ca3af;
+      margin-top: 8px;
+    }
+
+    .jt-template-usage-count {
+      flex-shrink: 0;
+      margin-left: 12px;
+      min-width: 32px;
+      padding: 2px 8px;
+      border-radius: 9999px;
+      background: #eff6ff;
+      color: #1d4ed8;
+      font-size: 12px;
+      font-weight: 600;
+      text-align: center;
+    }
+
+    .jt-template-unused .jt-template-item-name {
+      color: #6b7280;
+    }
+
+    .jt-template-details {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 8px 12px;
+    }
+
+    .jt-template-details .jt-template-label {
+      margin-bottom: 0;
+    }
+
+    .jt-template-details .jt-template-name-input {
+      margin-top: 6px;
+    }
+
+    .jt-template-details .jt-template-label:last-of-type {
+      grid-column: 1 / -1;
+    }
+
     .jt-template-item-actions {
       display: flex;
       gap: 4px;
@@ -809,6 +913,43 @@ const CharacterCounterFeature = (() => {
       color: #374151;
     }
 
+    /* Template variables */
+    .jt-template-variables {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      margin-top: 8px;
+    }
+
+    .jt-template-variable-chip {
+      background: #f3f4f6;
+      border: 1px solid #e5e7eb;
+      border-radius: 4px;
+      padding: 2px 6px;
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      font-size: 11px;
+      color: #374151;
+      cursor: pointer;
+    }
+
+    .jt-template-variable-chip:hover {
+      background: #eff6ff;
+      border-color: #bfdbfe;
+      color: #1d4ed8;
+    }
+
+    .jt-template-variables-hint {
+      font-size: 11px;
+      color: #9ca3af;
+      margin-top: 6px;
+    }
+
+    .jt-template-fill-intro {
+      font-size: 13px;
+      color: #6b7280;
+      margin: 0 0 16px;
+    }
+
     /* Dark mode - using dark grays (not blues) */
     .jt-dark-mode .jt-template-dropdown,
     #jt-dark-mode-styles ~ * .jt-template-dropdown {
@@ -836,6 +977,34 @@ const CharacterCounterFeature = (() => {
       color: #a3a3a3;
     }
 
+    .jt-dark-mode .jt-template-dropdown-search,
+    #jt-dark-mode-styles ~ * .jt-template-dropdown-search {
+      border-color: #333333;
+    }
+
+    .jt-dark-mode .jt-template-dropdown-search input,
+    #jt-dark-mode-styles ~ * .jt-template-dropdown-search input {
+      background: #1a1a1a;
+      border-color: #404040;
+      color: #e5e5e5;
+    }
+
+    .jt-dark-mode .jt-template-dropdown-choice.active,
+    #jt-dark-mode-styles ~ * .jt-template-dropdown-choice.active {
+      background: #333333;
+    }
+
+    .jt-dark-mode .jt-template-usage-count,
+    #jt-dark-mode-styles ~ * .jt-template-usage-count {
+      background: #333333;
+      color: #93c5fd;
+    }
+
+    .jt-dark-mode .jt-template-usage-summary,
+    #jt-dark-mode-styles ~ * .jt-template-usage-summary {
+      color: #a3a3a3;
+    }
+
     .jt-dark-mode .jt-template-dropdown-separator,
     #jt-dark-mode-styles ~ * .jt-template-dropdown-separator {
       background: #404040;
@@ -875,6 +1044,26 @@ const CharacterCounterFeature = (() => {
       box-shadow: 0 0 0 3px rgba(82, 82, 82, 0.3);
     }
 
+    .jt-dark-mode .jt-template-variable-chip,
+    #jt-dark-mode-styles ~ * .jt-template-variable-chip {
+      background: #2a2a2a;
+      border-color: #404040;
+      color: #d4d4d4;
+    }
+
+    .jt-dark-mode .jt-template-variable-chip:hover,
+    #jt-dark-mode-styles ~ * .jt-template-variable-chip:hover {
+      background: #333333;
+      border-color: #525252;
+    }
+
+    .jt-dark-mode .jt-template-fill-intro,
+    .jt-dark-mode .jt-template-variables-hint,
+    #jt-dark-mode-styles ~ * .jt-template-fill-intro,
+    #jt-dark-mode-styles ~ * .jt-template-variables-hint {
+      color: #a3a3a3;
+    }
+
     .jt-dark-mode .jt-template-label,
     .jt-dark-mode .jt-template-checkbox-label,
     #jt-dark-mode-styles ~ * .jt-template-label,
@@ -1177,6 +1366,26 @@ const CharacterCounterFeature = (() => {
     }
   }
 
+  /**
+   * Carry category, tags and shortcut over to synced templates that came back without them
+   * @param {Array} syncedTemplates - Templates returned by the server
+   * @param {Array} localTemplates - Templates sent to the server
+   * @returns {Array} Synced templates with their local details
+   */
+  function keepTemplateDetails(syncedTemplates, localTemplates) {
+    const localById = new Map((localTemplates || []).map(t => [t.id, t]));
+    return syncedTemplates.map(template => {
+      const local = localById.get(template.id);
+      if (!local) return template;
+      return {
+        ...template,
+        category: template.category ?? local.category,
+        tags: template.tags ?? local.tags,
+        shortcut: template.shortcut ?? local.shortcut
+      };
+    });
+  }
+
   // Debounced template sync
   let templateSyncTimeout = null;
   const TEMPLATE_SYNC_DEBOUNCE = 3000; // 3 seconds
@@ -1196,7 +1405,7 @@ const CharacterCounterFeature = (() => {
         if (result.success && result.templates) {
           // Update local cache and storage with merged data
           cachedTemplates = {
-            templates: result.templates,
+            templates: keepTemplateDetails(result.templates, data.templates),
             defaultTemplateId: result.defaultTemplateId
           };
           await chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: cachedTemplates });
@@ -1245,7 +1454,7 @@ const CharacterCounterFeature = (() => {
           const syncResult = await window.AccountService.syncTemplates(data);
           if (syncResult.success && syncResult.templates) {
             data = {
-              templates: syncResult.templates,
+              templates: keepTemplateDetails(syncResult.templates, data.templates),
               defaultTemplateId: syncResult.defaultTemplateId
             };
             // Save merged data locally
@@ -1290,14 +1499,18 @@ const CharacterCounterFeature = (() => {
    * @param {string} name - Template name
    * @param {string} content - Template content
    * @param {boolean} setAsDefault - Whether to set as default
+   * @param {Object} details - { category, tags, shortcut }
    * @returns {Promise<Object>} The created template
    */
-  async function createTemplate(name, content, setAsDefault = false) {
+  async function createTemplate(name, content, setAsDefault = false, details = {}) {
     const data = await loadTemplates();
     const newTemplate = {
       id: generateId(),
       name: name.trim(),
       content: content,
+      category: details.category || '',
+      tags: details.tags || [],
+      shortcut: details.shortcut || '',
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
@@ -1312,7 +1525,7 @@ const CharacterCounterFeature = (() => {
   /**
    * Update an existing template
    * @param {string} id - Template ID
-   * @param {Object} updates - Fields to update (name, content)
+   * @param {Object} updates - Fields to update (name, content, category, tags, shortcut)
    * @returns {Promise<Object|null>} The updated template or null
    */
   async function updateTemplate(id, updates) {
@@ -1367,6 +1580,63 @@ const CharacterCounterFeature = (() => {
     return cachedTemplates.templates.find(t => t.id === cachedTemplates.defaultTemplateId) || null;
   }
 
+  /**
+   * Load template usage counts from local storage
+   * @returns {Promise<Object>} { templateId: { count, lastUsedAt } }
+   */
+  async function loadTemplateUsage() {
+    try {
+      const stored = await chrome.storage.local.get([TEMPLATE_USAGE_KEY]);
+      cachedUsage = stored[TEMPLATE_USAGE_KEY] || {};
+    } catch (error) {
+      console.error('CharacterCounter: Failed to load template usage', error);
+    }
+    return cachedUsage;
+  }
+
+  /**
+   * Count an insert of a template
+   * @param {Object} template - The inserted template
+   * @returns {Promise<void>}
+   */
+  async function recordTemplateUsage(template) {
+    if (!template?.id) return;
+    const entry = cachedUsage[template.id] || { count: 0, lastUsedAt: null };
+    cachedUsage = { ...cachedUsage, [template.id]: { count: entry.count + 1, lastUsedAt: Date.now() } };
+    try {
+      await chrome.storage.local.set({ [TEMPLATE_USAGE_KEY]: cachedUsage });
+    } catch (error) {
+      console.error('CharacterCounter: Failed to save template usage', error);
+    }
+  }
+
+  /**
+   * Get the category, tags and shortcut entered in the edit modal
+   * @param {Object} result - Edit modal result
+   * @returns {Object} { category, tags, shortcut }
+   */
+  function getTemplateDetails(result) {
+    return { category: result.category || '', tags: result.tags || [], shortcut: result.shortcut || '' };
+  }
+
+  /**
+   * List the categories used by templates, for the edit modal's suggestions
+   * @param {Array} templates - Templates
+   * @returns {Array<string>}
+   */
+  function getTemplateCategories(templates) {
+    return window.MessageTemplateSearch ? window.MessageTemplateSearch.getCategories(templates) : [];
+  }
+
+  /**
+   * Get the templates ;;shortcuts can expand: personal first, then company
+   * @returns {Array}
+   */
+  function getShortcutTemplates() {
+    const personal = cachedTemplates?.templates || [];
+    return isEssentialPlus ? personal.concat(cachedTeamTemplates.templates) : personal;
+  }
+
   /**
    * Escape HTML to prevent XSS
    * @param {string} text - Text to escape
@@ -1378,7 +1648,8 @@ const CharacterCounterFeature = (() => {
   /**
    * Open the template edit/create modal
    * @param {Object|null} template - Existing template to edit, or null to create new
-   * @returns {Promise<Object|null>} - { name, content, setAsDefault } or null if cancelled
+   * @param {Object} options - { showDefaultCheckbox, categories: existing categories to suggest }
+   * @returns {Promise<Object|null>} - { name, content, setAsDefault, category, tags, shortcut } or null if cancelled
    */
   function openTemplateEditModal(template = null, options = {}) {
     const isNew = !template;
@@ -1449,6 +1720,62 @@ const CharacterCounterFeature = (() => {
       contentGroup.appendChild(contentLabel);
       contentGroup.appendChild(textarea);
 
+      // Variable chips insert {{variables}} at the cursor
+      if (window.MessageTemplateVariables) {
+        const variablesRow = document.createElement('div');
+        variablesRow.className = 'jt-template-variables';
+        window.MessageTemplateVariables.VARIABLES.forEach(variable => {
+          const chip = document.createElement('button');
+          chip.type = 'button';
+          chip.className = 'jt-template-variable-chip';
+          chip.textContent = `{{${variable.key}}}`;
+          chip.title = variable.label;
+          chip.dataset.token = `{{${variable.key}}}`;
+          variablesRow.appendChild(chip);
+        });
+
+        const variablesHint = document.createElement('div');
+        variablesHint.className = 'jt-template-variables-hint';
+        variablesHint.textContent = 'Use {{?Question}} to fill in text when inserting, e.g. {{?Delay reason}}';
+
+        contentGroup.appendChild(variablesRow);
+        contentGroup.appendChild(variablesHint);
+      }
+
+      // Category, shortcut and tags
+      const search = window.MessageTemplateSearch;
+      const detailsGroup = document.createElement('div');
+      detailsGroup.className = 'jt-template-form-group jt-template-details';
+
+      const createDetailInput = (labelText, placeholder, value) => {
+        const label = document.createElement('label');
+        label.className = 'jt-template-label';
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'jt-template-name-input';
+        input.placeholder = placeholder;
+        input.value = value || '';
+        label.appendChild(input);
+        detailsGroup.appendChild(label);
+        return input;
+      };
+
+      const categoryInput = createDetailInput('Category', 'e.g., Scheduling', template?.category);
+      const categoryList = document.createElement('datalist');
+      categoryList.id = `jt-template-categories-${generateId()}`;
+      (options.categories || []).forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        categoryList.appendChild(option);
+      });
+      categoryInput.setAttribute('list', categoryList.id);
+      detailsGroup.appendChild(categoryList);
+
+      const shortcutInput = createDetailInput('Shortcut', search && template ? search.getShortcut(template) : 'e.g., weather', template?.shortcut);
+      shortcutInput.title = 'Type ;;shortcut then Space or Tab in a message to insert this template';
+      const tagsInput = createDetailInput('Tags', 'Comma separated', (template?.tags || []).join(', '));
+
       // Default checkbox (hidden for company templates)
       let defaultCheckbox = null;
       if (showDefaultCheckbox) {
@@ -1464,10 +1791,12 @@ const CharacterCounterFeature = (() => {
 
         body.appendChild(nameGroup);
         body.appendChild(contentGroup);
+        body.appendChild(detailsGroup);
         body.appendChild(checkboxLabel);
       } else {
         body.appendChild(nameGroup);
         body.appendChild(contentGroup);
+        body.appendChild(detailsGroup);
       }
 
       // Footer
@@ -1507,7 +1836,14 @@ const CharacterCounterFeature = (() => {
           nameInput.style.borderColor = '#ef4444';
           return;
         }
-        closeModal({ name, content, setAsDefault: defaultCheckbox ? defaultCheckbox.checked : false });
+        closeModal({
+          name,
+          content,
+          setAsDefault: defaultCheckbox ? defaultCheckbox.checked : false,
+          category: categoryInput.value.trim(),
+          tags: search ? search.parseTags(tagsInput.value) : [],
+          shortcut: search ? search.normalizeShortcut(shortcutInput.value) : ''
+        });
       }
 
       // Event listeners
@@ -1542,6 +1878,18 @@ const CharacterCounterFeature = (() => {
         nameInput.style.borderColor = '';
       }, { signal });
 
+      // Insert variable at the content cursor
+      body.addEventListener('click', (e) => {
+        const chip = e.target.closest('.jt-template-variable-chip');
+        if (!chip) return;
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const token = chip.dataset.token;
+        textarea.value = textarea.value.slice(0, start) + token + textarea.value.slice(end);
+        textarea.focus();
+        textarea.setSelectionRange(start + token.length, start + token.length);
+      }, { signal });
+
       // Add to page
       document.body.appendChild(overlay);
 
@@ -1611,15 +1959,25 @@ const CharacterCounterFeature = (() => {
 
         tabBarContainer.appendChild(personalTab);
         tabBarContainer.appendChild(companyTab);
+        const tabs = [personalTab, companyTab];
+
+        // Usage of company templates (owners and admins)
+        if (window.MessageTemplateAnalytics && window.AccountService?.isOrgAdmin?.()) {
+          const usageTab = document.createElement('button');
+          usageTab.className = 'jt-template-tab' + (managerTab === 'usage' ? ' active' : '');
+          usageTab.dataset.tab = 'usage';
+          usageTab.textContent = 'Usage';
+          tabBarContainer.appendChild(usageTab);
+          tabs.push(usageTab);
+        }
 
         // Tab switching
-        [personalTab, companyTab].forEach(tab => {
+        tabs.forEach(tab => {
           tab.addEventListener('click', async () => {
             const newTab = tab.dataset.tab;
             if (newTab === managerTab) return;
             managerTab = newTab;
-            personalTab.classList.toggle('active', managerTab === 'personal');
-            companyTab.classList.toggle('active', managerTab === 'company');
+            tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === managerTab));
             if (managerTab === 'company') {
               await loadTeamTemplates();
             }
@@ -1652,10 +2010,142 @@ const CharacterCounterFeature = (() => {
       modal.appendChild(footer);
       overlay.appendChild(modal);
 
+      /**
+       * Render company template usage: most used first, then templates nobody has used
+       */
+      async function renderUsage() {
+        const analytics = window.MessageTemplateAnalytics;
+        body.innerHTML = '';
+
+        const loading = document.createElement('div');
+        loading.className = 'jt-template-empty';
+        loading.textContent = 'Loading usage...';
+        body.appendChild(loading);
+
+        // Include this device's latest inserts before asking for totals
+        await analytics.uploadQueue();
+        const [templates, result] = await Promise.all([
+          loadTeamTemplates(true),
+          window.AccountService.getTeamTemplateUsage()
+        ]);
+        if (managerTab !== 'usage') return;
+
+        body.innerHTML = '';
+        if (!result.success) {
+          const error = document.createElement('div');
+          error.className = 'jt-template-empty';
+          error.textContent = 'Could not load template usage. ' + (result.error || 'Please try again.');
+          body.appendChild(error);
+          return;
+        }
+
+        const report = analytics.buildUsageReport(templates, result.usage);
+
+        const summary = document.createElement('div');
+        summary.className = 'jt-template-usage-summary';
+        summary.textContent = `${templates.length} company templates \u00B7 ${report.totalInserts} inserts \u00B7 ${report.unused.length} never used`;
+        body.appendChild(summary);
+
+        const list = document.createElement('div');
+        list.className = 'jt-template-list';
+
+        report.used.forEach(row => {
+          const item = document.createElement('div');
+          item.className = 'jt-template-list-item';
+
+          const info = document.createElement('div');
+          info.className = 'jt-template-item-info';
+
+          const nameSpan = document.createElement('div');
+          nameSpan.className = 'jt-template-item-name';
+          nameSpan.textContent = row.template.name;
+
+          const lastUsed = document.createElement('div');
+          lastUsed.className = 'jt-template-item-preview';
+          lastUsed.textContent = `Last used ${analytics.formatLastUsed(row.lastUsedAt)}` +
+            (row.lastUsedBy ? ` by ${row.lastUsedBy}` : '') +
+            ` \u00B7 ${row.userCount} ${row.userCount === 1 ? 'person' : 'people'}`;
+
+          info.appendChild(nameSpan);
+          info.appendChild(lastUsed);
+
+          if (row.jobTypes.length > 0) {
+            const jobTypes = document.createElement('div');
+            jobTypes.className = 'jt-template-item-meta';
+            jobTypes.textContent = row.jobTypes.slice(0, 3).map(entry => `${entry.jobType} (${entry.count})`).join(', ');
+            info.appendChild(jobTypes);
+          }
+
+          const count = document.createElement('div');
+          count.className = 'jt-template-usage-count';
+          count.textContent = row.count;
+          count.title = `${row.count} inserts`;
+
+          item.appendChild(info);
+          item.appendChild(count);
+          list.appendChild(item);
+        });
+
+        if (report.unused.length > 0) {
+          const unusedHeader = document.createElement('div');
+          unusedHeader.className = 'jt-template-usage-heading';
+          unusedHeader.textContent = 'Never used';
+          list.appendChild(unusedHeader);
+        }
+
+        report.unused.forEach(template => {
+          const item = document.createElement('div');
+          item.className = 'jt-template-list-item jt-template-unused';
+
+          const info = document.createElement('div');
+          info.className = 'jt-template-item-info';
+
+          const nameSpan = document.createElement('div');
+          nameSpan.className = 'jt-template-item-name';
+          nameSpan.textContent = template.name;
+          info.appendChild(nameSpan);
+
+          if (template.createdBy) {
+            const createdByDiv = document.createElement('div');
+            createdByDiv.className = 'jt-template-created-by';
+            createdByDiv.textContent = 'by ' + (template.createdBy.name || 'Unknown');
+            info.appendChild(createdByDiv);
+          }
+
+          const actions = document.createElement('div');
+          actions.className = 'jt-template-item-actions';
+
+          const deleteBtn = document.createElement('button');
+          deleteBtn.className = 'jt-template-action-btn jt-template-action-delete';
+          deleteBtn.title = 'Delete';
+          deleteBtn.textContent = '\uD83D\uDDD1';
+          deleteBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            if (confirm(`Delete "${template.name}"? Nobody has used it yet.`)) {
+              await deleteTeamTemplateById(template.id);
+              renderList();
+            }
+          }, { signal });
+          actions.appendChild(deleteBtn);
+
+          item.appendChild(info);
+          item.appendChild(actions);
+          list.appendChild(item);
+        });
+
+        body.appendChild(list);
+      }
+
       /**
        * Render the template list based on active manager tab
        */
       async function renderList() {
+        footer.style.display = managerTab === 'usage' ? 'none' : '';
+        if (managerTab === 'usage') {
+          await renderUsage();
+          return;
+        }
+
         const isCompany = managerTab === 'company';
         let templates, defaultTemplateId;
 
@@ -1721,6 +2211,20 @@ const CharacterCounterFeature = (() => {
           info.appendChild(itemHeader);
           info.appendChild(previewDiv);
 
+          // Category, tags and shortcut
+          const search = window.MessageTemplateSearch;
+          if (search) {
+            const meta = [
+              template.category,
+              ...search.parseTags(template.tags).map(tag => `#${tag}`),
+              `${search.SHORTCUT_TRIGGER}${search.getShortcut(template)}`
+            ].filter(Boolean);
+            const metaDiv = document.createElement('div');
+            metaDiv.className = 'jt-template-item-meta';
+            metaDiv.textContent = meta.join(' \u00B7 ');
+            info.appendChild(metaDiv);
+          }
+
           // Show "by Name" for company templates
           if (isCompany && template.createdBy) {
             const createdByDiv = document.createElement('div');
@@ -1754,12 +2258,15 @@ const CharacterCounterFeature = (() => {
           editBtn.textContent = '\u270E';
           editBtn.addEventListener('click', async (e) => {
             e.stopPropagation();
-            const result = await openTemplateEditModal(template, { showDefaultCheckbox: !isCompany });
+            const result = await openTemplateEditModal(template, {
+              showDefaultCheckbox: !isCompany,
+              categories: getTemplateCategories(templates)
+            });
             if (result) {
               if (isCompany) {
-                await saveTeamTemplate({ id: template.id, name: result.name, content: result.content });
+                await saveTeamTemplate({ id: template.id, name: result.name, content: result.content, ...getTemplateDetails(result) });
               } else {
-                await updateTemplate(template.id, { name: result.name, content: result.content });
+                await updateTemplate(template.id, { name: result.name, content: result.content, ...getTemplateDetails(result) });
                 if (result.setAsDefault) await setDefaultTemplate(template.id);
               }
               renderList();
@@ -1820,12 +2327,16 @@ const CharacterCounterFeature = (() => {
       // Add new template button
       addBtn.addEventListener('click', async () => {
         const isCompany = managerTab === 'company';
-        const result = await openTemplateEditModal(null, { showDefaultCheckbox: !isCompany });
+        const templates = isCompany ? cachedTeamTemplates.templates : (cachedTemplates?.templates || []);
+        const result = await openTemplateEditModal(null, {
+          showDefaultCheckbox: !isCompany,
+          categories: getTemplateCategories(templates)
+        });
         if (result) {
           if (isCompany) {
-            await saveTeamTemplate({ name: result.name, content: result.content });
+            await saveTeamTemplate({ name: result.name, content: result.content, ...getTemplateDetails(result) });
           } else {
-            await createTemplate(result.name, result.content, result.setAsDefault);
+            await createTemplate(result.name, result.content, result.setAsDefault, getTemplateDetails(result));
           }
           renderList();
         }
@@ -1880,6 +2391,198 @@ const CharacterCounterFeature = (() => {
     field.focus();
   }
 
+  /**
+   * Open the fill-in form for a template's prompts and unresolved variables
+   * @param {string} templateName - Template name (modal title)
+   * @param {Array<Object>} fields - [{ id, label, defaultValue }]
+   * @returns {Promise<Object|null>} - { id: value } or null if cancelled
+   */
+  function openTemplateFillModal(templateName, fields) {
+    return new Promise((resolve) => {
+      const abortController = new AbortController();
+      const { signal } = abortController;
+
+      // Create overlay
+      const overlay = document.createElement('div');
+      overlay.className = 'jt-signature-modal-overlay';
+      overlay.style.zIndex = '10001';
+
+      // Create modal
+      const modal = document.createElement('div');
+      modal.className = 'jt-signature-modal';
+      modal.style.maxWidth = '420px';
+
+      // Header
+      const header = document.createElement('div');
+      header.className = 'jt-signature-modal-header';
+
+      const title = document.createElement('h3');
+      title.className = 'jt-signature-modal-title';
+      title.textContent = templateName || 'Fill In Template';
+
+      const closeBtn = document.createElement('button');
+      closeBtn.className = 'jt-signature-modal-close';
+      closeBtn.innerHTML = '&times;';
+      closeBtn.setAttribute('aria-label', 'Close');
+
+      header.appendChild(title);
+      header.appendChild(closeBtn);
+
+      // Body with one input per field
+      const body = document.createElement('div');
+      body.className = 'jt-signature-modal-body';
+
+      const intro = document.createElement('p');
+      intro.className = 'jt-template-fill-intro';
+      intro.textContent = 'Fill in the blanks before the template is inserted.';
+      body.appendChild(intro);
+
+      const inputs = fields.map(fieldInfo => {
+        const group = document.createElement('div');
+        group.className = 'jt-template-form-group';
+
+        const label = document.createElement('label');
+        label.className = 'jt-template-label';
+        label.textContent = fieldInfo.label;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'jt-template-name-input';
+        input.value = fieldInfo.defaultValue || '';
+
+        label.appendChild(input);
+        group.appendChild(label);
+        body.appendChild(group);
+        return input;
+      });
+
+      // Footer
+      const footer = document.createElement('div');
+      footer.className = 'jt-signature-modal-footer';
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'jt-signature-modal-btn jt-signature-modal-btn-cancel';
+      cancelBtn.textContent = 'Cancel';
+
+      const insertBtn = document.createElement('button');
+      insertBtn.className = 'jt-signature-modal-btn jt-signature-modal-btn-save';
+      insertBtn.textContent = 'Insert';
+
+      footer.appendChild(cancelBtn);
+      footer.appendChild(insertBtn);
+
+      // Assemble modal
+      modal.appendChild(header);
+      modal.appendChild(body);
+      modal.appendChild(footer);
+      overlay.appendChild(modal);
+
+      // Close function
+      function closeModal(result = null) {
+        abortController.abort();
+        overlay.remove();
+        resolve(result);
+      }
+
+      function submit() {
+        const values = {};
+        fields.forEach((fieldInfo, index) => {
+          values[fieldInfo.id] = inputs[index].value;
+        });
+        closeModal(values);
+      }
+
+      // Event listeners
+      closeBtn.addEventListener('click', () => closeModal(), { signal });
+      cancelBtn.addEventListener('click', () => closeModal(), { signal });
+      insertBtn.addEventListener('click', submit, { signal });
+
+      // Close on overlay click
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+          closeModal();
+        }
+      }, { signal });
+
+      // Escape cancels, Enter inserts
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          closeModal();
+        } else if (e.key === 'Enter' && modal.contains(e.target)) {
+          e.preventDefault();
+          submit();
+        }
+      }, { signal });
+
+      // Add to page
+      document.body.appendChild(overlay);
+
+      setTimeout(() => {
+        if (inputs[0]) inputs[0].focus();
+      }, 50);
+    });
+  }
+
+  /**
+   * Insert a template into a message field, filling in its variables and prompts first
+   * Variables come from the current page and the API; prompts and any variables that
+   * couldn't be resolved are asked for in a fill-in form.
+   * @param {HTMLTextAreaElement} field - The textarea element
+   * @param {Object} template - { name, content }
+   * @param {Function} updateCounter - Function to update the character counter
+   * @returns {Promise<boolean>} True if the template was inserted
+   */
+  async function insertTemplate(field, template, updateCounter) {
+    const variables = window.MessageTemplateVariables;
+    let content = template.content;
+
+    if (variables && variables.hasTokens(content)) {
+      // The fill-in form takes focus - remember where the template goes
+      const start = field.selectionStart;
+      const end = field.selectionEnd;
+
+      const { variables: keys, prompts } = variables.parseTemplate(content);
+      const values = await variables.resolveVariables(keys);
+
+      const fields = [
+        ...keys
+          .filter(key => values[key] === null)
+          .map(key => ({ id: key, label: variables.getVariableLabel(key), defaultValue: '' })),
+        ...prompts.map(prompt => ({ id: `?${prompt.label}`, label: prompt.label, defaultValue: prompt.defaultValue }))
+      ];
+
+      const answers = {};
+      if (fields.length > 0) {
+        const filled = await openTemplateFillModal(template.name, fields);
+        if (!filled) {
+          if (document.body.contains(field)) field.focus();
+          return false;
+        }
+        Object.entries(filled).forEach(([id, value]) => {
+          if (id.startsWith('?')) {
+            answers[id.slice(1)] = value;
+          } else {
+            values[id] = value;
+          }
+        });
+      }
+
+      if (!document.body.contains(field)) return false;
+      content = variables.fillTemplate(content, values, answers);
+      field.setSelectionRange(start, end);
+    }
+
+    insertSignature(field, content);
+    updateCounter();
+    recordTemplateUsage(template);
+
+    // Company template inserts feed the admin usage report
+    if (window.MessageTemplateAnalytics && cachedTeamTemplates.templates.some(t => t.id === template.id)) {
+      window.MessageTemplateAnalytics.recordInsert(template);
+    }
+    return true;
+  }
+
   /**
    * Create a dropdown component for template selection
    * @param {HTMLElement} container - The parent container
@@ -1896,6 +2599,10 @@ const CharacterCounterFeature = (() => {
     let outsideClickHandler = null;
     // Store reference to the trigger button for positioning
     let triggerButton = null;
+    // Search state, reset when the dropdown closes
+    let searchQuery = '';
+    let listElement = null;
+    let activeIndex = -1;
 
     function setTriggerButton(btn) {
       triggerButton = btn;
@@ -1944,11 +2651,138 @@ const CharacterCounterFeature = (() => {
       });
     }
 
+    /**
+     * Create the dropdown item for a template
+     * @param {Object} template - Template
+     * @param {boolean} isDefault - Whether it's the default personal template
+     * @param {boolean} isCompanyTab - Whether the company tab is shown
+     * @returns {HTMLElement}
+     */
+    function createItem(template, isDefault, isCompanyTab) {
+      const item = document.createElement('div');
+      item.className = 'jt-template-dropdown-item jt-template-dropdown-choice';
+
+      const preview = template.content.substring(0, 30).replace(/\n/g, ' ');
+
+      const nameDiv = document.createElement('div');
+      nameDiv.className = 'jt-template-dropdown-name';
+      nameDiv.textContent = (isDefault ? '\u2605 ' : '') + template.name;
+
+      const previewDiv = document.createElement('div');
+      previewDiv.className = 'jt-template-dropdown-preview';
+      previewDiv.textContent = preview + (template.content.length > 30 ? '...' : '');
+
+      item.appendChild(nameDiv);
+      item.appendChild(previewDiv);
+
+      // For company tab items, show who created it
+      if (isCompanyTab && template.createdBy) {
+        const createdByDiv = document.createElement('div');
+        createdByDiv.className = 'jt-template-created-by';
+        createdByDiv.textContent = 'by ' + (template.createdBy.name || 'Unknown');
+        item.appendChild(createdByDiv);
+      }
+
+      const search = window.MessageTemplateSearch;
+      if (search) {
+        item.title = `${search.SHORTCUT_TRIGGER}${search.getShortcut(template)}`;
+      }
+
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        hide();
+        insertTemplate(field, template, updateCounter);
+      });
+
+      return item;
+    }
+
+    /**
+     * Render the template list: grouped by category, or ranked results while searching
+     */
+    function renderItems() {
+      if (!listElement) return;
+      listElement.innerHTML = '';
+
+      const search = window.MessageTemplateSearch;
+      const templates = getActiveTemplates();
+      const defaultId = getActiveDefaultId();
+      const isCompanyTab = activeTab === 'company';
+      const query = searchQuery.trim();
+      const addItem = (template) => {
+        listElement.appendChild(createItem(template, !isCompanyTab && template.id === defaultId, isCompanyTab));
+      };
+
+      if (!search) {
+        templates.forEach(addItem);
+      } else if (query) {
+        const results = search.searchTemplates(templates, query, cachedUsage);
+        if (results.length === 0) {
+          const empty = document.createElement('div');
+          empty.className = 'jt-template-dropdown-empty';
+          empty.textContent = 'No matching templates';
+          listElement.appendChild(empty);
+        }
+        results.forEach(addItem);
+      } else {
+        const groups = search.groupByCategory(templates, cachedUsage);
+        // Skip the header when nothing is categorized yet
+        const showHeaders = groups.length > 1 || (groups[0] && groups[0].category !== search.UNCATEGORIZED);
+        groups.forEach(group => {
+          if (showHeaders) {
+            const header = document.createElement('div');
+            header.className = 'jt-template-dropdown-category';
+            header.textContent = group.category;
+            listElement.appendChild(header);
+          }
+          group.templates.forEach(addItem);
+        });
+      }
+
+      setActiveItem(query ? 0 : -1);
+    }
+
+    /**
+     * Highlight a template item for keyboard selection
+     * @param {number} index - Item index, -1 for none
+     */
+    function setActiveItem(index) {
+      const items = listElement ? Array.from(listElement.querySelectorAll('.jt-template-dropdown-choice')) : [];
+      activeIndex = items.length > 0 && index >= 0 ? Math.min(index, items.length - 1) : -1;
+      items.forEach((item, i) => item.classList.toggle('active', i === activeIndex));
+      if (activeIndex >= 0) {
+        items[activeIndex].scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    /**
+     * Arrow keys move through the results, Enter inserts, Escape closes
+     * @param {KeyboardEvent} e - Keydown event in the search box
+     */
+    function handleSearchKeydown(e) {
+      const items = listElement.querySelectorAll('.jt-template-dropdown-choice');
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActiveItem(activeIndex + 1);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActiveItem(Math.max(0, activeIndex - 1));
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        const item = items[activeIndex >= 0 ? activeIndex : 0];
+        if (item) item.click();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        hide();
+        field.focus();
+      }
+    }
+
     /**
      * Populate the dropdown with templates
      */
     async function populate() {
-      const data = await loadTemplates();
+      await loadTemplates();
       dropdown.innerHTML = '';
 
       // If company tab is active, ensure team templates are loaded
@@ -1968,46 +2802,31 @@ const CharacterCounterFeature = (() => {
         }
       }
 
-      const templates = getActiveTemplates();
-      const defaultId = getActiveDefaultId();
       const isCompanyTab = activeTab === 'company';
+      const templates = getActiveTemplates();
 
-      // Template items
-      templates.forEach(template => {
-        const isDefault = !isCompanyTab && template.id === defaultId;
-        const item = document.createElement('div');
-        item.className = 'jt-template-dropdown-item';
-
-        const preview = template.content.substring(0, 30).replace(/\n/g, ' ');
-
-        const nameDiv = document.createElement('div');
-        nameDiv.className = 'jt-template-dropdown-name';
-        nameDiv.textContent = (isDefault ? '\u2605 ' : '') + template.name;
-
-        const previewDiv = document.createElement('div');
-        previewDiv.className = 'jt-template-dropdown-preview';
-        previewDiv.textContent = preview + (template.content.length > 30 ? '...' : '');
-
-        item.appendChild(nameDiv);
-        item.appendChild(previewDiv);
-
-        // For company tab items, show who created it
-        if (isCompanyTab && template.createdBy) {
-          const createdByDiv = document.createElement('div');
-          createdByDiv.className = 'jt-template-created-by';
-          createdByDiv.textContent = 'by ' + (template.createdBy.name || 'Unknown');
-          item.appendChild(createdByDiv);
-        }
-
-        item.addEventListener('click', (e) => {
-          e.stopPropagation();
-          insertSignature(field, template.content);
-          updateCounter();
-          hide();
-        });
-
-        dropdown.appendChild(item);
+      // Search box (searches name, shortcut, category, tags and content)
+      const searchWrapper = document.createElement('div');
+      searchWrapper.className = 'jt-template-dropdown-search';
+      const searchInput = document.createElement('input');
+      searchInput.type = 'text';
+      searchInput.placeholder = 'Search templates...';
+      searchInput.value = searchQuery;
+      searchInput.addEventListener('click', (e) => e.stopPropagation());
+      searchInput.addEventListener('input', () => {
+        searchQuery = searchInput.value;
+        renderItems();
       });
+      searchInput.addEventListener('keydown', handleSearchKeydown);
+      searchWrapper.appendChild(searchInput);
+      if (templates.length > 0) {
+        dropdown.appendChild(searchWrapper);
+      }
+
+      listElement = document.createElement('div');
+      listElement.className = 'jt-template-dropdown-list';
+      dropdown.appendChild(listElement);
+      renderItems();
 
       // Separator (if templates exist)
       if (templates.length > 0) {
@@ -2030,20 +2849,21 @@ const CharacterCounterFeature = (() => {
       addNew.addEventListener('click', async (e) => {
         e.stopPropagation();
         hide();
-        const result = await openTemplateEditModal(null, { showDefaultCheckbox: !isCompanyTab });
+        const result = await openTemplateEditModal(null, {
+          showDefaultCheckbox: !isCompanyTab,
+          categories: getTemplateCategories(templates)
+        });
         if (result) {
           if (isCompanyTab) {
             // Save as company template
-            const saved = await saveTeamTemplate({ name: result.name, content: result.content });
+            const saved = await saveTeamTemplate({ name: result.name, content: result.content, ...getTemplateDetails(result) });
             if (saved) {
-              insertSignature(field, result.content);
-              updateCounter();
+              await insertTemplate(field, { ...result, id: saved.id }, updateCounter);
             }
           } else {
             // Save as personal template
-            const newTemplate = await createTemplate(result.name, result.content, result.setAsDefault);
-            insertSignature(field, newTemplate.content);
-            updateCounter();
+            const newTemplate = await createTemplate(result.name, result.content, result.setAsDefault, getTemplateDetails(result));
+            await insertTemplate(field, newTemplate, updateCounter);
           }
         }
       });
@@ -2052,6 +2872,10 @@ const CharacterCounterFeature = (() => {
 
       // Attach tab handlers after populate
       attachTabHandlers();
+
+      if (dropdown.style.display !== 'none' && templates.length > 0) {
+        searchInput.focus({ preventScroll: true });
+      }
     }
 
     function show() {
@@ -2112,6 +2936,7 @@ const CharacterCounterFeature = (() => {
 
     function hide() {
       dropdown.style.display = 'none';
+      searchQuery = '';
       if (outsideClickHandler) {
         document.removeEventListener('click', outsideClickHandler);
         outsideClickHandler = null;
@@ -2428,6 +3253,23 @@ const CharacterCounterFeature = (() => {
     field.addEventListener('keyup', updateCounter);
     field.addEventListener('paste', () => setTimeout(updateCounter, 0));
 
+    // Expand ;;shortcut into its template when Space or Tab is pressed after it
+    const handleShortcutKey = (e) => {
+      const search = window.MessageTemplateSearch;
+      if (!search || (e.key !== ' ' && e.key !== 'Tab') || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (field.selectionStart !== field.selectionEnd) return;
+
+      const trigger = search.findShortcutTrigger(field.value, field.selectionStart);
+      if (!trigger) return;
+      const template = search.findTemplateByShortcut(getShortcutTemplates(), trigger.shortcut);
+      if (!template) return;
+
+      e.preventDefault();
+      field.setSelectionRange(trigger.start, trigger.end);
+      insertTemplate(field, template, updateCounter);
+    };
+    field.addEventListener('keydown', handleShortcutKey);
+
     // Show/hide counter on focus/blur (except for message dialogs which are always visible)
     if (!isMessage) {
       // Track focus state
@@ -2573,6 +3415,7 @@ const CharacterCounterFeature = (() => {
       field.removeEventListener('input', updateCounter);
       field.removeEventListener('keyup', updateCounter);
       field.removeEventListener('paste', updateCounter);
+      field.removeEventListener('keydown', handleShortcutKey);
       // Focus/blur listeners are anonymous so they'll be garbage collected
       // Cleanup dropdown
       dropdownCleanup();
@@ -2614,11 +3457,16 @@ const CharacterCounterFeature = (() => {
 
     // Load templates from storage (includes migration from old signature)
     await loadTemplates();
+    await loadTemplateUsage();
 
     // Check tier for company templates tab (must await before processing fields)
     await checkEssentialTier();
     if (isEssentialPlus) {
       activeTab = 'company';
+      // Company ;;shortcuts work before the dropdown is first opened
+      loadTeamTemplates();
+      // Send usage recorded while offline or before the last reload
+      if (window.MessageTemplateAnalytics) window.MessageTemplateAnalytics.uploadQueue();
     }
 
     // Process existing fields
@@ -2680,6 +3528,9 @@ const CharacterCounterFeature = (() => {
       debounceTimer = null;
     }
 
+    // Pending usage uploads are retried on the next init
+    if (window.MessageTemplateAnalytics) window.MessageTemplateAnalytics.cancelUpload();
+
     // Remove any open modals (signature and template modals)
     document.querySelectorAll('.jt-signature-modal-overlay').forEach(modal => {
       modal.remove();
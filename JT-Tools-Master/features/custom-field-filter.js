@@ -1267,7 +1267,11 @@ const CustomFieldFilterFeature = (() => {
         filters.forEach(f => {
           f.values.forEach(v => flatFilters.push({ fieldName: f.fieldName, value: v }));
         });
-        jobs = await JobTreadAPI.fetchJobsWithFilters(flatFilters);
+        jobs = await JobTreadAPI.fetchJobsWithFilters(flatFilters, {
+          onProgress: ({ nodes, done }) => {
+            if (statusDiv && !done) statusDiv.textContent = `Filtering... ${nodes} matching so far`;
+          }
+        });
         // Client-side status filter for direct API
         if (jobStatus !== 'all') {
           const isClosed = jobStatus === 'closed';
@@ -598,6 +598,35 @@ const FormatterFormats = (() => {
     dispatchReactSafeEventImmediate(field, cursorPos);
   }
 
+  /**
+   * Insert text into a field, replacing the given range (or the current selection)
+   * Used by other features (e.g. Quick Notes "Send to…") to write into JobTread fields
+   * @param {HTMLTextAreaElement} field - The textarea field
+   * @param {string} insertion - Text to insert
+   * @param {Object} options - { start, end } range to replace (defaults to the field's selection)
+   * @returns {boolean} True if the text was inserted
+   */
+  function insertText(field, insertion, options = {}) {
+    if (!field || !document.body.contains(field) || field.disabled || field.readOnly) {
+      return false;
+    }
+
+    const text = field.value;
+    const start = Math.min(options.start ?? field.selectionStart ?? text.length, text.length);
+    const end = Math.min(Math.max(options.end ?? field.selectionEnd ?? start, start), text.length);
+    const cursorPos = start + insertion.length;
+
+    // Update field value using native setter to avoid React state issues
+    isInsertingText = true;
+
+    const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLTextAreaElement.prototype, 'value').set;
+    nativeInputValueSetter.call(field, text.substring(0, start) + insertion + text.substring(end));
+
+    // Dispatch events IMMEDIATELY - React will clear value if we delay!
+    dispatchReactSafeEventImmediate(field, cursorPos);
+    return true;
+  }
+
   /**
    * Handle Enter key for smart auto-numbering
    * @param {HTMLTextAreaElement} field - The textarea field
@@ -703,6 +732,7 @@ const FormatterFormats = (() => {
     applyFormat,
     removeFormat,
     handleEnterKey,
+    insertText,
     collectAlertData,
     isInserting,
     isPrompting
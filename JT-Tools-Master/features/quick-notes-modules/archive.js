@@ -0,0 +1,404 @@
+/**
+ * Quick Notes Archive Module
+ * Converts notes to and from Markdown files with front matter, and reads/writes
+ * the ZIP archives used for Markdown export (one folder directory per notes folder)
+ *
+ * Dependencies: quick-notes-modules/markdown.js (QuickNotesMarkdown) for normalizing imported Markdown
+ */
+
+const QuickNotesArchive = (() => {
+  const MARKDOWN_EXTENSIONS = /\.(md|markdown|txt)$/i;
+  const MAX_FILE_NAME_LENGTH = 100;
+
+  // ZIP record signatures and the "file name is UTF-8" flag
+  const LOCAL_FILE_HEADER = 0x04034b50;
+  const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+  const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+  const UTF8_FLAG = 0x0800;
+
+  let crcTable = null;
+
+  // Reference to markdown module
+  const getMarkdown = () => window.QuickNotesMarkdown || {};
+
+  // ==========================================================================
+  // FRONT MATTER
+  // ==========================================================================
+
+  /**
+   * Build a Markdown file for a note, with its metadata as YAML front matter
+   * @param {Object} note - Note
+   * @returns {string} File content
+   */
+  function noteToMarkdown(note) {
+    const fields = [
+      ['id', note.id],
+      ['title', note.title || 'Untitled Note'],
+      ['pinned', !!note.isPinned],
+      ['created', note.createdAt ? new Date(note.createdAt).toISOString() : null],
+      ['updated', note.updatedAt ? new Date(note.updatedAt).toISOString() : null],
+      ['job', note.jobId || null]
+    ];
+
+    // JSON strings are valid YAML double-quoted scalars, so titles with ":" or quotes stay intact
+    const frontMatter = fields
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`)
+      .join('\n');
+
+    return `---\n${frontMatter}\n---\n\n${note.content || ''}\n`;
+  }
+
+  /**
+   * Split a Markdown file into its front matter fields and body
+   * Only flat `key: value` pairs are read; other front matter (lists, nesting) is ignored.
+   * @param {string} text - File content
+   * @returns {Object} { fields, body }
+   */
+  function parseFrontMatter(text) {
+    const normalized = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const match = normalized.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+    if (!match) {
+      return { fields: {}, body: normalized };
+    }
+
+    const fields = {};
+    for (const line of match[1].split('\n')) {
+      const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+      if (!pair) continue;
+
+      const raw = pair[2].trim();
+      let value = raw;
+      if (raw === 'true' || raw === 'false') {
+        value = raw === 'true';
+      } else if (/^".*"$/.test(raw)) {
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          value = raw.slice(1, -1);
+        }
+      } else if (/^'.*'$/.test(raw)) {
+        value = raw.slice(1, -1).replace(/''/g, "'");
+      }
+      fields[pair[1].toLowerCase()] = value;
+    }
+
+    return { fields, body: normalized.slice(match[0].length) };
+  }
+
+  /**
+   * Convert a date from front matter to a timestamp
+   * @param {*} value - ISO date string or timestamp
+   * @returns {number|null} Milliseconds since epoch, or null if missing/invalid
+   */
+  function toTimestamp(value) {
+    if (typeof value === 'number') return value;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Bring Markdown written elsewhere into the notes dialect by running it through the editor's parser
+   * `*` and `+` bullets become `-` first, since the editor only recognizes `-` lists.
+   * @param {string} body - Markdown
+   * @returns {string} Normalized Markdown
+   */
+  function normalizeMarkdown(body) {
+    const text = body
+      .replace(/^(\s*)[*+] (?=\S)/gm, '$1- ')
+      .replace(/^(\s*)- \[X\]/gm, '$1- [x]')
+      .trim();
+
+    const markdown = getMarkdown();
+    if (!text || !markdown.parseMarkdownForEditor || !markdown.htmlToMarkdown || typeof document === 'undefined') {
+      return text;
+    }
+
+    const container = document.createElement('div');
+    container.innerHTML = markdown.parseMarkdownForEditor(text);
+    return markdown.htmlToMarkdown(container);
+  }
+
+  /**
+   * Convert an imported Markdown file to a note
+   * The title comes from front matter, else the file name; the folder from the file's directory.
+   * @param {string} path - Path of the file (inside the ZIP, or just the file name)
+   * @param {string} text - File content
+   * @returns {Object} Note (id is null unless the front matter has one)
+   */
+  function markdownToNote(path, text) {
+    const { fields, body } = parseFrontMatter(text);
+    const parts = path.split('/').filter(Boolean);
+    const fileName = parts.pop() || '';
+    const now = Date.now();
+    const createdAt = toTimestamp(fields.created);
+    const updatedAt = toTimestamp(fields.updated);
+
+    return {
+      id: typeof fields.id === 'string' && fields.id ? fields.id : null,
+      title: (typeof fields.title === 'string' && fields.title.trim()) || fileName.replace(MARKDOWN_EXTENSIONS, '') || 'Untitled Note',
+      content: normalizeMarkdown(body),
+      folder: parts.length > 0 ? parts.join('/') : 'General',
+      isPinned: fields.pinned === true,
+      jobId: fields.job ? String(fields.job) : null,
+      createdAt: createdAt || updatedAt || now,
+      updatedAt: updatedAt || createdAt || now
+    };
+  }
+
+  /**
+   * Make a note title or folder name safe to use as a file or directory name
+   * @param {string} name - Name
+   * @param {string} fallback - Used when nothing is left
+   * @returns {string} File name
+   */
+  function toFileName(name, fallback) {
+    const cleaned = (name || '')
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+      .replace(/^[\s.]+|[\s.]+$/g, '')
+      .slice(0, MAX_FILE_NAME_LENGTH)
+      .trim();
+    return cleaned || fallback;
+  }
+
+  /**
+   * Lay out notes as Markdown files, one directory per folder
+   * Notes with the same title in a folder get a numbered suffix.
+   * @param {Array} notes - Notes
+   * @returns {Array<{path: string, content: string, modifiedAt: number}>} Files
+   */
+  function notesToFiles(notes) {
+    const usedPaths = new Set();
+
+    return notes.map(note => {
+      const directory = toFileName(note.folder, 'General');
+      const baseName = toFileName(note.title, 'Untitled Note');
+      let path = `${directory}/${baseName}.md`;
+      for (let n = 2; usedPaths.has(path.toLowerCase()); n++) {
+        path = `${directory}/${baseName} (${n}).md`;
+      }
+      usedPaths.add(path.toLowerCase());
+
+      return { path, content: noteToMarkdown(note), modifiedAt: note.updatedAt || Date.now() };
+    });
+  }
+
+  // ==========================================================================
+  // ZIP
+  // ==========================================================================
+
+  /**
+   * CRC-32 checksum (as used by ZIP)
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Unsigned CRC-32
+   */
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Convert a timestamp to MS-DOS date and time fields
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {Object} { date, time }
+   */
+  function toDosDateTime(timestamp) {
+    const d = new Date(timestamp);
+    const year = Math.max(1980, d.getFullYear());
+    return {
+      date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2)
+    };
+  }
+
+  /**
+   * Build a ZIP archive (files are stored uncompressed; notes are small)
+   * @param {Array<{path: string, content: string, modifiedAt?: number}>} files - Files
+   * @returns {Blob} ZIP file
+   */
+  function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.path);
+      const data = encoder.encode(file.content);
+      const crc = crc32(data);
+      const { date, time } = toDosDateTime(file.modifiedAt || Date.now());
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, LOCAL_FILE_HEADER, true);
+      local.setUint16(4, 20, true); // Version needed to extract (2.0)
+      local.setUint16(6, UTF8_FLAG, true);
+      local.setUint16(8, 0, true); // Stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      localParts.push(local, name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, UTF8_FLAG, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(central, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+  }
+
+  /**
+   * Inflate raw DEFLATE data
+   * @param {Uint8Array} data - Compressed data
+   * @returns {Promise<Uint8Array>} Decompressed data
+   */
+  async function inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot read compressed ZIP files');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Read the files of a ZIP archive (stored or deflated entries; no ZIP64 or encryption)
+   * @param {ArrayBuffer} buffer - ZIP file contents
+   * @returns {Promise<Array<{path: string, content: string}>>} Text files, directories skipped
+   */
+  async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // The end of central directory record is last, followed by an optional comment of up to 64 KB
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+        endOffset = i;
+        break;
+      }
+    }
+    if (endOffset === -1) {
+      throw new Error('Not a ZIP file');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const utf8 = new TextDecoder('utf-8');
+    const files = [];
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const path = utf8.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (path.endsWith('/')) continue;
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        files.push({ path, content: utf8.decode(data) });
+      } else if (method === 8) {
+        files.push({ path, content: utf8.decode(await inflateRaw(data)) });
+      } else {
+        console.warn(`QuickNotesArchive: Skipping ${path} (unsupported compression method ${method})`);
+      }
+    }
+
+    return files;
+  }
+
+  // ==========================================================================
+  // IMPORT
+  // ==========================================================================
+
+  /**
+   * Convert imported files (ZIP archives and single Markdown/text files) to notes
+   * Hidden files and macOS resource forks inside ZIPs are skipped.
+   * @param {Array<File>} fileList - Selected files
+   * @returns {Promise<Array>} Notes (id is null unless the file's front matter has one)
+   */
+  async function filesToNotes(fileList) {
+    const notes = [];
+
+    for (const file of fileList) {
+      if (/\.zip$/i.test(file.name)) {
+        const entries = await readZip(await file.arrayBuffer());
+        for (const entry of entries) {
+          const isHidden = entry.path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+          if (isHidden || !MARKDOWN_EXTENSIONS.test(entry.path)) continue;
+          notes.push(markdownToNote(entry.path, entry.content));
+        }
+      } else if (MARKDOWN_EXTENSIONS.test(file.name)) {
+        notes.push(markdownToNote(file.name, await file.text()));
+      }
+    }
+
+    return notes;
+  }
+
+  // Public API
+  return {
+    // Markdown files
+    noteToMarkdown,
+    markdownToNote,
+    parseFrontMatter,
+    notesToFiles,
+    filesToNotes,
+
+    // ZIP
+    createZip,
+    readZip
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.QuickNotesArchive = QuickNotesArchive;
+}
@@ -0,0 +1,283 @@
+/**
+ * Quick Notes Conflicts Module
+ * Detects concurrent edits during notes sync and resolves them with a three-way
+ * paragraph merge, falling back to keeping both versions side by side
+ * Each note is sent with the hash of the version its edit started from; the server
+ * rejects writes whose base no longer matches its copy and reports them as stale.
+ *
+ * Dependencies: None (uses Chrome Storage API directly)
+ */
+
+const QuickNotesConflicts = (() => {
+  // Last version of each note both sides agreed on (the merge base), kept locally
+  const SYNC_BASES_KEY = 'jtToolsQuickNotesSyncBases';
+  const CONFLICT_COPY_SUFFIX = ' (conflict copy)';
+
+  /**
+   * Hash a note's title and content (folder/pin changes never conflict)
+   * The server hashes its copy the same way to check `baseHash`.
+   * @param {Object} note - { title, content }
+   * @returns {Promise<string>} Hex SHA-256
+   */
+  async function hashNote(note) {
+    const text = JSON.stringify([note.title || '', note.content || '']);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Load the merge base of every synced note
+   * @returns {Promise<Object>} { noteId: { hash, title, content } }
+   */
+  async function loadSyncBases() {
+    try {
+      const stored = await chrome.storage.local.get([SYNC_BASES_KEY]);
+      return stored[SYNC_BASES_KEY] || {};
+    } catch (error) {
+      console.error('QuickNotesConflicts: Error loading sync bases', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the merge bases
+   * @param {Object} bases - { noteId: { hash, title, content } }
+   * @returns {Promise<boolean>} Success status
+   */
+  async function saveSyncBases(bases) {
+    try {
+      await chrome.storage.local.set({ [SYNC_BASES_KEY]: bases });
+      return true;
+    } catch (error) {
+      console.error('QuickNotesConflicts: Error saving sync bases', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add the hash of the version each local edit started from, so the server can reject stale writes
+   * @param {Array} notes - Local notes
+   * @param {Object} bases - Merge bases
+   * @returns {Array} Notes with `baseHash` (null for notes never synced from this device)
+   */
+  function attachBaseHashes(notes, bases) {
+    return notes.map(note => ({ ...note, baseHash: bases[note.id]?.hash || null }));
+  }
+
+  /**
+   * Generate unique ID for conflict copies
+   * @returns {string} Unique ID
+   */
+  function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  /**
+   * Split markdown into paragraphs (blocks separated by blank lines)
+   * @param {string} content - Markdown content
+   * @returns {Array<string>} Paragraphs
+   */
+  function splitParagraphs(content) {
+    return (content || '').split(/\n[ \t]*\n/);
+  }
+
+  /**
+   * Match equal items of two arrays (longest common subsequence)
+   * @param {Array<string>} a - First array
+   * @param {Array<string>} b - Second array
+   * @returns {Array<number>} For each index of a, the matching index of b or -1
+   */
+  function matchSequences(a, b) {
+    const cols = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * cols);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = a[i] === b[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    const matches = new Array(a.length).fill(-1);
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        matches[i++] = j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Pick the result of one changed region: whichever side changed it, or either if both made the same change
+   * @param {Array<string>} base - Base paragraphs in the region
+   * @param {Array<string>} local - Local paragraphs in the region
+   * @param {Array<string>} remote - Remote paragraphs in the region
+   * @returns {Array<string>|null} Merged paragraphs, or null if both sides changed it differently
+   */
+  function mergeRegion(base, local, remote) {
+    const same = (x, y) => x.length === y.length && x.every((p, i) => p === y[i]);
+    if (same(local, base)) return remote;
+    if (same(remote, base) || same(local, remote)) return local;
+    return null;
+  }
+
+  /**
+   * Three-way merge of markdown content at paragraph level (diff3)
+   * Paragraphs unchanged on both sides anchor the merge; each region between anchors
+   * takes the side that changed it. Both sides changing the same region is a conflict.
+   * @param {string} base - Common ancestor content
+   * @param {string} local - Local content
+   * @param {string} remote - Server content
+   * @returns {string|null} Merged content, or null on conflict
+   */
+  function mergeContent(base, local, remote) {
+    const baseParas = splitParagraphs(base);
+    const localParas = splitParagraphs(local);
+    const remoteParas = splitParagraphs(remote);
+    const toLocal = matchSequences(baseParas, localParas);
+    const toRemote = matchSequences(baseParas, remoteParas);
+
+    const merged = [];
+    let b = 0;
+    let l = 0;
+    let r = 0;
+
+    const anchors = baseParas
+      .map((_, i) => i)
+      .filter(i => toLocal[i] !== -1 && toRemote[i] !== -1);
+    // Sentinel past the end so the trailing region is merged too
+    anchors.push(baseParas.length);
+
+    for (const anchor of anchors) {
+      const localEnd = anchor < baseParas.length ? toLocal[anchor] : localParas.length;
+      const remoteEnd = anchor < baseParas.length ? toRemote[anchor] : remoteParas.length;
+
+      const region = mergeRegion(
+        baseParas.slice(b, anchor),
+        localParas.slice(l, localEnd),
+        remoteParas.slice(r, remoteEnd)
+      );
+      if (region === null) return null;
+      merged.push(...region);
+
+      if (anchor < baseParas.length) {
+        merged.push(baseParas[anchor]);
+      }
+      b = anchor + 1;
+      l = localEnd + 1;
+      r = remoteEnd + 1;
+    }
+
+    return merged.join('\n\n');
+  }
+
+  /**
+   * Three-way merge of a single value (e.g. the title)
+   * @param {string} base - Common ancestor
+   * @param {string} local - Local value
+   * @param {string} remote - Server value
+   * @returns {string|null} Merged value, or null on conflict
+   */
+  function mergeValue(base, local, remote) {
+    if (local === base) return remote;
+    if (remote === base || local === remote) return local;
+    return null;
+  }
+
+  /**
+   * Reconcile the server's notes with the local edits that were sent
+   * A note conflicts when the server rejected its write as stale (listed in staleNoteIds),
+   * or when the server returned a different version and both changed since the last agreed
+   * version (the base). Conflicts are merged paragraph by paragraph when the edits don't
+   * overlap; otherwise the server copy is kept and the local edit is saved next to it as a
+   * "(conflict copy)" note. A stale note without a local base can't be merged, so it always
+   * gets a conflict copy; other notes without a base take the server copy.
+   * @param {Array} localNotes - Local notes as sent to the server
+   * @param {Array} serverNotes - Notes returned by the server
+   * @param {Object} bases - Merge bases from before the sync
+   * @param {Array<string>} staleNoteIds - Notes whose write the server rejected as stale
+   * @returns {Promise<Object>} { notes, conflicts: [{ noteId, title, merged, copyId }], bases }
+   */
+  async function resolveSyncResult(localNotes, serverNotes, bases, staleNoteIds = []) {
+    const localById = new Map(localNotes.map(note => [note.id, note]));
+    const stale = new Set(staleNoteIds);
+    const notes = [];
+    const copies = [];
+    const conflicts = [];
+    const nextBases = {};
+
+    for (const remote of serverNotes) {
+      const remoteHash = await hashNote(remote);
+      nextBases[remote.id] = { hash: remoteHash, title: remote.title || '', content: remote.content || '' };
+
+      const local = localById.get(remote.id);
+      const base = bases[remote.id];
+      const isStale = stale.has(remote.id);
+      if (!local || (!base && !isStale)) {
+        notes.push(remote);
+        continue;
+      }
+
+      const localHash = await hashNote(local);
+      const localChanged = !base || localHash !== base.hash;
+      const remoteChanged = isStale || remoteHash !== base.hash;
+      if (!localChanged || !remoteChanged || localHash === remoteHash) {
+        notes.push(remote);
+        continue;
+      }
+
+      const title = base ? mergeValue(base.title, local.title || '', remote.title || '') : null;
+      const content = base ? mergeContent(base.content, local.content || '', remote.content || '') : null;
+
+      if (title !== null && content !== null) {
+        // Merged version descends from the server copy; it's pushed on the next sync
+        notes.push({ ...remote, title, content, updatedAt: Date.now() });
+        conflicts.push({ noteId: remote.id, title, merged: true, copyId: null });
+      } else {
+        const now = Date.now();
+        const copy = {
+          ...local,
+          id: generateId(),
+          title: `${local.title || 'Untitled Note'}${CONFLICT_COPY_SUFFIX}`,
+          conflictOf: remote.id,
+          createdAt: now,
+          updatedAt: now
+        };
+        delete copy.baseHash;
+        notes.push(remote);
+        copies.push(copy);
+        conflicts.push({ noteId: remote.id, title: remote.title || 'Untitled Note', merged: false, copyId: copy.id });
+      }
+    }
+
+    return {
+      notes: copies.concat(notes).map(({ baseHash, ...note }) => note),
+      conflicts,
+      bases: nextBases
+    };
+  }
+
+  // Public API
+  return {
+    // Merge bases
+    loadSyncBases,
+    saveSyncBases,
+    attachBaseHashes,
+
+    // Resolution
+    resolveSyncResult,
+    mergeContent,
+    hashNote
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.QuickNotesConflicts = QuickNotesConflicts;
+}
@@ -287,6 +287,10 @@ const QuickNotesEditor = (() => {
         insertCheckboxItem(element);
         break;
 
+      case 'duedate':
+        setCheckboxDueDate(element);
+        break;
+
       case 'numbered':
         insertNumberedItem(element);
         break;
@@ -600,6 +604,63 @@ const QuickNotesEditor = (() => {
     }
   }
 
+  /**
+   * Set, change or clear the due date (@YYYY-MM-DD) of the checklist item at the cursor
+   * @param {HTMLElement} element - Contenteditable element
+   */
+  function setCheckboxDueDate(element) {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0) return;
+
+    // Find the checklist item containing the cursor
+    let checkboxDiv = null;
+    let node = selection.anchorNode;
+    while (node && node !== element) {
+      if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains('jt-note-checkbox')) {
+        checkboxDiv = node;
+        break;
+      }
+      node = node.parentNode;
+    }
+
+    const span = checkboxDiv && checkboxDiv.querySelector('span[contenteditable="true"]');
+    if (!span) {
+      alert('Place the cursor in a checklist item to set its due date.');
+      return;
+    }
+
+    const tasks = window.QuickNotesTasks || {};
+    const today = tasks.toDateString ? tasks.toDateString(new Date()) : new Date().toISOString().slice(0, 10);
+    const currentDate = tasks.parseDueDate ? tasks.parseDueDate(span.textContent) : null;
+    const input = prompt('Due date (YYYY-MM-DD), or leave empty to clear:', currentDate || today);
+    if (input === null) return;
+
+    const dueDate = input.trim();
+    if (dueDate && tasks.isValidDate && !tasks.isValidDate(dueDate)) {
+      alert('Please enter the date as YYYY-MM-DD.');
+      return;
+    }
+
+    // Remove the existing due date, whether it's a badge or still plain text
+    span.querySelectorAll('.jt-note-due-date').forEach(badge => badge.remove());
+    const walker = document.createTreeWalker(span, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach(textNode => {
+      textNode.textContent = textNode.textContent.replace(/(^|\s)@\d{4}-\d{2}-\d{2}(?=\s|$)/g, '$1');
+    });
+    const lastText = textNodes[textNodes.length - 1];
+    if (lastText) lastText.textContent = lastText.textContent.replace(/\s+$/, '');
+
+    if (dueDate) {
+      const badge = document.createElement('span');
+      badge.className = `jt-note-due-date ${tasks.getDueStatus ? tasks.getDueStatus(dueDate) : ''}`.trim();
+      badge.textContent = `@${dueDate}`;
+      if (span.textContent) span.appendChild(document.createTextNode(' '));
+      span.appendChild(badge);
+    }
+  }
+
   /**
    * Insert a table
    * @param {HTMLElement} element - Contenteditable element
@@ -0,0 +1,475 @@
+/**
+ * Quick Notes Floating Module
+ * Pops notes out of the panel into draggable, resizable cards that stay on screen
+ * across JobTread navigation. Each note's card remembers its position and size.
+ *
+ * Dependencies: quick-notes-modules/markdown.js (QuickNotesMarkdown)
+ */
+
+const QuickNotesFloating = (() => {
+  // { noteId: { source, left, top, width, height, open } } — kept for closed cards too, so they reopen in place
+  const FLOATING_STATE_KEY = 'jtToolsQuickNotesFloating';
+
+  const CARD_MIN_WIDTH = 220;
+  const CARD_MAX_WIDTH = 800;
+  const CARD_MIN_HEIGHT = 120;
+  const CARD_MAX_HEIGHT = 900;
+  const DEFAULT_WIDTH = 300;
+  const DEFAULT_HEIGHT = 260;
+
+  // Checklist lines as parseMarkdownForEditor renders them (unindented only)
+  const CHECKLIST_LINE = /^- \[( |x|X)\]/;
+
+  const cards = new Map(); // noteId -> { element, source, renderedKey }
+  let state = {};
+  let stateLoaded = false;
+  let saveTimeout = null;
+  let handlers = {};
+
+  // Reference to markdown module
+  const getMarkdown = () => window.QuickNotesMarkdown || {};
+
+  /**
+   * Connect the module to the notes feature
+   * @param {Object} callbacks - Handlers
+   * @param {Function} callbacks.getNote - (noteId, source) => note or undefined while not loaded
+   * @param {Function} callbacks.updateContent - (noteId, source, content) when a checklist item is toggled
+   * @param {Function} callbacks.openNote - (noteId, source) to open the note in the panel
+   * @param {Function} callbacks.onCardsChanged - () after a card is opened or closed
+   * @param {Function} callbacks.getThemeElement - () => element whose theme classes/variables cards copy
+   */
+  function configure(callbacks) {
+    handlers = callbacks || {};
+  }
+
+  /**
+   * Load saved card state
+   * @returns {Promise<Object>} State by note ID
+   */
+  async function loadState() {
+    if (stateLoaded) return state;
+
+    try {
+      const stored = await chrome.storage.local.get([FLOATING_STATE_KEY]);
+      state = stored[FLOATING_STATE_KEY] || {};
+    } catch (error) {
+      console.error('QuickNotesFloating: Error loading card state', error);
+      state = {};
+    }
+    stateLoaded = true;
+    return state;
+  }
+
+  /**
+   * Save card state (debounced to avoid storage rate limits while dragging)
+   */
+  function saveState() {
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(async () => {
+      try {
+        await chrome.storage.local.set({ [FLOATING_STATE_KEY]: state });
+      } catch (error) {
+        console.error('QuickNotesFloating: Error saving card state', error);
+      }
+    }, 500);
+  }
+
+  /**
+   * Keep a card's saved geometry inside the current viewport (the window may be smaller than when it was saved)
+   * @param {Object} geometry - { left, top, width, height }
+   * @returns {Object} Clamped geometry
+   */
+  function clampToViewport(geometry) {
+    const width = Math.max(CARD_MIN_WIDTH, Math.min(CARD_MAX_WIDTH, geometry.width || DEFAULT_WIDTH, window.innerWidth - 16));
+    const height = Math.max(CARD_MIN_HEIGHT, Math.min(CARD_MAX_HEIGHT, geometry.height || DEFAULT_HEIGHT, window.innerHeight - 16));
+    return {
+      width,
+      height,
+      left: Math.max(0, Math.min(window.innerWidth - width, geometry.left)),
+      top: Math.max(0, Math.min(window.innerHeight - 40, geometry.top))
+    };
+  }
+
+  /**
+   * Default position for a new card: top right, cascading for each open card
+   * @returns {Object} { left, top, width, height }
+   */
+  function getDefaultGeometry() {
+    const offset = (cards.size % 8) * 24;
+    return {
+      left: window.innerWidth - DEFAULT_WIDTH - 24 - offset,
+      top: 72 + offset,
+      width: DEFAULT_WIDTH,
+      height: DEFAULT_HEIGHT
+    };
+  }
+
+  /**
+   * Record a card's current position and size
+   * @param {string} noteId - Note ID
+   */
+  function rememberGeometry(noteId) {
+    const card = cards.get(noteId);
+    if (!card) return;
+
+    const { element } = card;
+    state[noteId] = {
+      ...state[noteId],
+      source: card.source,
+      left: parseInt(element.style.left, 10) || 0,
+      top: parseInt(element.style.top, 10) || 0,
+      width: element.offsetWidth,
+      height: element.offsetHeight,
+      open: true
+    };
+    saveState();
+  }
+
+  /**
+   * Copy the panel's theme (dark / custom colors) onto a card
+   * @param {HTMLElement} element - Card element
+   */
+  function applyTheme(element) {
+    const source = handlers.getThemeElement ? handlers.getThemeElement() : null;
+    element.classList.toggle('dark-theme', !!source && source.classList.contains('dark-theme'));
+    element.classList.toggle('custom-theme', !!source && source.classList.contains('custom-theme'));
+    Array.from(element.style)
+      .filter(name => name.startsWith('--jt-notes-'))
+      .forEach(name => element.style.removeProperty(name));
+    if (source && source.classList.contains('custom-theme')) {
+      for (const name of Array.from(source.style)) {
+        if (name.startsWith('--jt-notes-')) {
+          element.style.setProperty(name, source.style.getPropertyValue(name));
+        }
+      }
+    }
+  }
+
+  /**
+   * Render a note into its card (skipped when title and content haven't changed, to keep scroll position)
+   * @param {Object} card - { element, renderedKey }
+   * @param {Object} note - Note
+   */
+  function renderCard(card, note) {
+    const key = JSON.stringify([note.title, note.content]);
+    if (card.renderedKey === key) return;
+    card.renderedKey = key;
+
+    const markdown = getMarkdown();
+    card.element.querySelector('.jt-notes-floating-title').textContent = note.title || 'Untitled Note';
+
+    const contentEl = card.element.querySelector('.jt-notes-floating-content');
+    if (!note.content) {
+      contentEl.innerHTML = '<div class="jt-notes-floating-empty">This note is empty</div>';
+      return;
+    }
+
+    if (!markdown.parseMarkdownForEditor) {
+      contentEl.textContent = note.content;
+      return;
+    }
+    contentEl.innerHTML = markdown.parseMarkdownForEditor(note.content);
+
+    // Read-only except for checkboxes
+    contentEl.querySelectorAll('[contenteditable]').forEach(el => el.removeAttribute('contenteditable'));
+  }
+
+  /**
+   * Toggle the nth checklist item of a note's content
+   * @param {string} content - Note content
+   * @param {number} itemIndex - Index among the note's checklist lines
+   * @param {boolean} checked - New state
+   * @returns {string|null} Updated content, or null if there's no such item
+   */
+  function setChecklistItem(content, itemIndex, checked) {
+    const lines = (content || '').split('\n');
+    let seen = -1;
+    for (let i = 0; i < lines.length; i++) {
+      if (!CHECKLIST_LINE.test(lines[i])) continue;
+      if (++seen === itemIndex) {
+        lines[i] = lines[i].replace(CHECKLIST_LINE, `- [${checked ? 'x' : ' '}]`);
+        return lines.join('\n');
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Make a card draggable by its header
+   * @param {HTMLElement} element - Card element
+   * @param {string} noteId - Note ID
+   */
+  function setupDrag(element, noteId) {
+    const header = element.querySelector('.jt-notes-floating-header');
+    let drag = null;
+
+    header.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || e.target.closest('button')) return;
+      drag = {
+        startX: e.clientX,
+        startY: e.clientY,
+        startLeft: parseInt(element.style.left, 10) || 0,
+        startTop: parseInt(element.style.top, 10) || 0
+      };
+      header.setPointerCapture(e.pointerId);
+      element.classList.add('dragging');
+      bringToFront(element);
+      e.preventDefault();
+    });
+
+    header.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+
+      // Keep at least 50px of the card (and its header) on screen
+      const left = Math.max(-element.offsetWidth + 50, Math.min(window.innerWidth - 50, drag.startLeft + e.clientX - drag.startX));
+      const top = Math.max(0, Math.min(window.innerHeight - 30, drag.startTop + e.clientY - drag.startY));
+      element.style.left = `${left}px`;
+      element.style.top = `${top}px`;
+    });
+
+    const endDrag = () => {
+      if (!drag) return;
+      drag = null;
+      element.classList.remove('dragging');
+      rememberGeometry(noteId);
+    };
+    header.addEventListener('pointerup', endDrag);
+    header.addEventListener('pointercancel', endDrag);
+  }
+
+  /**
+   * Make a card resizable from its right edge, bottom edge and corner
+   * @param {HTMLElement} element - Card element
+   * @param {string} noteId - Note ID
+   */
+  function setupResize(element, noteId) {
+    ['right', 'bottom', 'corner'].forEach(direction => {
+      const handle = document.createElement('div');
+      handle.className = `jt-notes-floating-resize jt-notes-floating-resize-${direction}`;
+      element.appendChild(handle);
+
+      let resize = null;
+      handle.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        resize = { startX: e.clientX, startY: e.clientY, startWidth: element.offsetWidth, startHeight: element.offsetHeight };
+        handle.setPointerCapture(e.pointerId);
+        element.classList.add('resizing');
+        e.preventDefault();
+        e.stopPropagation();
+      });
+
+      handle.addEventListener('pointermove', (e) => {
+        if (!resize) return;
+        if (direction !== 'bottom') {
+          const width = Math.max(CARD_MIN_WIDTH, Math.min(CARD_MAX_WIDTH, resize.startWidth + e.clientX - resize.startX));
+          element.style.width = `${width}px`;
+        }
+        if (direction !== 'right') {
+          const height = Math.max(CARD_MIN_HEIGHT, Math.min(CARD_MAX_HEIGHT, resize.startHeight + e.clientY - resize.startY));
+          element.style.height = `${height}px`;
+        }
+      });
+
+      const endResize = () => {
+        if (!resize) return;
+        resize = null;
+        element.classList.remove('resizing');
+        rememberGeometry(noteId);
+      };
+      handle.addEventListener('pointerup', endResize);
+      handle.addEventListener('pointercancel', endResize);
+    });
+  }
+
+  /**
+   * Raise a card above the other cards
+   * @param {HTMLElement} element - Card element
+   */
+  function bringToFront(element) {
+    cards.forEach(card => card.element.classList.toggle('front', card.element === element));
+  }
+
+  /**
+   * Create the card element for a note
+   * @param {string} noteId - Note ID
+   * @param {string} source - 'my' | 'team'
+   * @param {Object} geometry - { left, top, width, height }
+   * @returns {Object} Card { element, source, renderedKey }
+   */
+  function createCard(noteId, source, geometry) {
+    const element = document.createElement('div');
+    element.className = 'jt-notes-floating-card';
+    element.dataset.noteId = noteId;
+    element.innerHTML = `
+      <div class="jt-notes-floating-header">
+        <span class="jt-notes-floating-title"></span>
+        ${source === 'team' ? '<span class="jt-notes-floating-badge">Team</span>' : ''}
+        <button class="jt-notes-floating-open" title="Open in Quick Notes">
+          <svg viewBox="0 0 24 24" width="14" height="14" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+          </svg>
+        </button>
+        <button class="jt-notes-floating-close" title="Close">×</button>
+      </div>
+      <div class="jt-notes-floating-content"></div>
+    `;
+
+    const { left, top, width, height } = clampToViewport(geometry);
+    element.style.left = `${left}px`;
+    element.style.top = `${top}px`;
+    element.style.width = `${width}px`;
+    element.style.height = `${height}px`;
+
+    element.querySelector('.jt-notes-floating-close').addEventListener('click', () => closeCard(noteId));
+    element.querySelector('.jt-notes-floating-open').addEventListener('click', () => {
+      if (handlers.openNote) handlers.openNote(noteId, source);
+    });
+    element.addEventListener('pointerdown', () => bringToFront(element));
+
+    // Checking an item updates the note itself
+    element.querySelector('.jt-notes-floating-content').addEventListener('change', (e) => {
+      if (e.target.type !== 'checkbox') return;
+
+      const boxes = Array.from(element.querySelectorAll('.jt-notes-floating-content .jt-note-checkbox input[type="checkbox"]'));
+      const note = handlers.getNote ? handlers.getNote(noteId, source) : null;
+      const content = note ? setChecklistItem(note.content, boxes.indexOf(e.target), e.target.checked) : null;
+      if (content === null || !handlers.updateContent) {
+        e.target.checked = !e.target.checked;
+        return;
+      }
+      e.target.closest('.jt-note-checkbox').classList.toggle('checked', e.target.checked);
+      handlers.updateContent(noteId, source, content);
+    });
+
+    setupDrag(element, noteId);
+    setupResize(element, noteId);
+    applyTheme(element);
+    document.body.appendChild(element);
+
+    return { element, source, renderedKey: null };
+  }
+
+  /**
+   * Pop a note out into a floating card (or bring its card to the front)
+   * @param {string} noteId - Note ID
+   * @param {string} source - 'my' | 'team'
+   * @returns {Promise<void>}
+   */
+  async function openCard(noteId, source) {
+    await loadState();
+
+    const note = handlers.getNote ? handlers.getNote(noteId, source) : null;
+    if (!note) return;
+
+    let card = cards.get(noteId);
+    if (!card) {
+      const saved = state[noteId];
+      card = createCard(noteId, source, saved && saved.left !== undefined ? saved : getDefaultGeometry());
+      cards.set(noteId, card);
+    }
+    renderCard(card, note);
+    bringToFront(card.element);
+    rememberGeometry(noteId);
+    if (handlers.onCardsChanged) handlers.onCardsChanged();
+  }
+
+  /**
+   * Close a note's card
+   * @param {string} noteId - Note ID
+   * @param {Object} options - Close options
+   * @param {boolean} options.forget - Also drop its saved position (note deleted)
+   */
+  function closeCard(noteId, options = {}) {
+    const card = cards.get(noteId);
+    if (card) {
+      card.element.remove();
+      cards.delete(noteId);
+    }
+
+    if (options.forget) {
+      delete state[noteId];
+    } else if (state[noteId]) {
+      state[noteId].open = false;
+    }
+    saveState();
+    if (handlers.onCardsChanged) handlers.onCardsChanged();
+  }
+
+  /**
+   * Check whether a note has an open card
+   * @param {string} noteId - Note ID
+   * @returns {boolean}
+   */
+  function isCardOpen(noteId) {
+    return cards.has(noteId);
+  }
+
+  /**
+   * Re-render cards after notes change, and show cards restored from a previous page
+   * once their notes have loaded. A card whose note disappeared is hidden until it's back.
+   */
+  function refreshCards() {
+    if (!stateLoaded || !handlers.getNote) return;
+
+    for (const [noteId, saved] of Object.entries(state)) {
+      if (!saved.open) continue;
+
+      const note = handlers.getNote(noteId, saved.source);
+      let card = cards.get(noteId);
+      if (!note) {
+        if (card) {
+          card.element.remove();
+          cards.delete(noteId);
+        }
+        continue;
+      }
+
+      if (!card) {
+        card = createCard(noteId, saved.source, saved);
+        cards.set(noteId, card);
+      }
+      applyTheme(card.element);
+      renderCard(card, note);
+    }
+  }
+
+  /**
+   * Load the cards that were open on the previous page
+   * @returns {Promise<Array<string>>} Sources ('my' / 'team') of the open cards
+   */
+  async function restoreCards() {
+    await loadState();
+    refreshCards();
+    return [...new Set(Object.values(state).filter(saved => saved.open).map(saved => saved.source))];
+  }
+
+  /**
+   * Remove all cards from the page (they reopen on the next restoreCards)
+   */
+  function removeAllCards() {
+    cards.forEach(card => card.element.remove());
+    cards.clear();
+  }
+
+  // Public API
+  return {
+    configure,
+
+    // Cards
+    openCard,
+    closeCard,
+    isCardOpen,
+    refreshCards,
+    restoreCards,
+    removeAllCards,
+
+    // Checklists
+    setChecklistItem
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.QuickNotesFloating = QuickNotesFloating;
+}
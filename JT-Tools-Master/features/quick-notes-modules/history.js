@@ -0,0 +1,339 @@
+/**
+ * Quick Notes History Module
+ * Persistent per-note revision history and line diffs between revisions
+ *
+ * Dependencies: None (uses Chrome Storage API directly)
+ */
+
+const QuickNotesHistory = (() => {
+  // Each note's revisions live under their own key so a save only rewrites that note's history
+  const REVISIONS_KEY_PREFIX = 'jtToolsQuickNotesRevisions:';
+  const MAX_REVISIONS_PER_NOTE = 50;
+
+  // Saves by the same author within this window update one revision instead of adding one per save
+  const COALESCE_WINDOW_MS = 10 * 60 * 1000;
+
+  // Pending writes per note, so overlapping saves don't overwrite each other's read-modify-write
+  const writeQueues = new Map();
+
+  /**
+   * Get the storage key for a note's revisions
+   * @param {string} noteId - Note ID
+   * @returns {string} Storage key
+   */
+  function getRevisionsKey(noteId) {
+    return REVISIONS_KEY_PREFIX + noteId;
+  }
+
+  /**
+   * Generate unique ID for revisions
+   * @returns {string} Unique ID
+   */
+  function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  /**
+   * Convert a timestamp that may be an ISO string (team notes come from the server) to ms
+   * @param {number|string} value - Timestamp
+   * @returns {number} Milliseconds since epoch (now if missing/invalid)
+   */
+  function toTimestamp(value) {
+    if (typeof value === 'number') return value;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? Date.now() : parsed;
+  }
+
+  /**
+   * Copy a revision with its timestamps in milliseconds
+   * @param {Object} revision - Revision (savedAt/startedAt may be ISO strings)
+   * @returns {Object} Revision with numeric savedAt and startedAt
+   */
+  function normalizeTimestamps(revision) {
+    const savedAt = toTimestamp(revision.savedAt);
+    const startedAt = revision.startedAt === undefined || revision.startedAt === null ? savedAt : toTimestamp(revision.startedAt);
+    return { ...revision, savedAt, startedAt };
+  }
+
+  /**
+   * Check whether two authors are the same person (null = the local user)
+   * @param {Object|null} a - Author { id?, name? }
+   * @param {Object|null} b - Author { id?, name? }
+   * @returns {boolean}
+   */
+  function isSameAuthor(a, b) {
+    if (!a || !b) return !a && !b;
+    if (a.id && b.id) return a.id === b.id;
+    return a.name === b.name;
+  }
+
+  /**
+   * Run a read-modify-write of a note's revisions after any pending one for the same note
+   * @param {string} noteId - Note ID
+   * @param {Function} task - Async function
+   * @returns {Promise<*>} Task result
+   */
+  function queueWrite(noteId, task) {
+    const previous = writeQueues.get(noteId) || Promise.resolve();
+    const next = previous.then(task, task);
+    writeQueues.set(noteId, next);
+    next.then(() => {
+      if (writeQueues.get(noteId) === next) writeQueues.delete(noteId);
+    }, () => {});
+    return next;
+  }
+
+  /**
+   * Load a note's revisions
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Array>} Revisions, newest first
+   */
+  async function loadRevisions(noteId) {
+    if (!noteId) return [];
+
+    try {
+      const key = getRevisionsKey(noteId);
+      const stored = await chrome.storage.local.get([key]);
+      return stored[key] || [];
+    } catch (error) {
+      console.error('QuickNotesHistory: Error loading revisions', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a note's revisions (newest first, capped at MAX_REVISIONS_PER_NOTE)
+   * @param {string} noteId - Note ID
+   * @param {Array} revisions - Revisions
+   * @returns {Promise<boolean>} Success status
+   */
+  async function saveRevisions(noteId, revisions) {
+    try {
+      await chrome.storage.local.set({ [getRevisionsKey(noteId)]: revisions.slice(0, MAX_REVISIONS_PER_NOTE) });
+      return true;
+    } catch (error) {
+      console.error('QuickNotesHistory: Error saving revisions', error);
+      return false;
+    }
+  }
+
+  /**
+   * Record a version of a note
+   * Skipped when nothing changed since the newest revision. Consecutive saves by the
+   * same author within COALESCE_WINDOW_MS update the newest revision in place.
+   * @param {string} noteId - Note ID
+   * @param {Object} version - { title, content, author?, savedAt? }
+   * @param {Object} options - Recording options
+   * @param {Object} options.baseline - Version before this change, recorded first if the note has no history yet
+   * @param {string} options.restoredFrom - ID of the revision this version restores (always starts a new revision)
+   * @returns {Promise<Array>} Updated revisions, newest first
+   */
+  function recordRevision(noteId, version, options = {}) {
+    return queueWrite(noteId, () => writeRevision(noteId, version, options));
+  }
+
+  /**
+   * Apply one recordRevision call (see recordRevision)
+   * @param {string} noteId - Note ID
+   * @param {Object} version - { title, content, author?, savedAt? }
+   * @param {Object} options - { baseline?, restoredFrom? }
+   * @returns {Promise<Array>} Updated revisions, newest first
+   */
+  async function writeRevision(noteId, version, options) {
+    const { baseline = null, restoredFrom = null } = options;
+    const revisions = await loadRevisions(noteId);
+    const author = version.author || null;
+    const savedAt = toTimestamp(version.savedAt);
+
+    if (revisions.length === 0 && baseline && (baseline.title !== version.title || baseline.content !== version.content)) {
+      revisions.unshift(createRevision(baseline, baseline.author || null, baseline.savedAt ? toTimestamp(baseline.savedAt) : savedAt));
+    }
+
+    const newest = revisions[0];
+    if (newest && newest.title === version.title && newest.content === version.content) {
+      return revisions;
+    }
+
+    const canCoalesce = newest &&
+      !restoredFrom &&
+      !newest.restoredFrom &&
+      isSameAuthor(newest.author, author) &&
+      savedAt - newest.startedAt < COALESCE_WINDOW_MS;
+
+    if (canCoalesce) {
+      Object.assign(newest, { title: version.title, content: version.content, savedAt });
+    } else {
+      const revision = createRevision(version, author, savedAt);
+      if (restoredFrom) revision.restoredFrom = restoredFrom;
+      revisions.unshift(revision);
+    }
+
+    await saveRevisions(noteId, revisions);
+    return revisions;
+  }
+
+  /**
+   * Build a revision object
+   * @param {Object} version - { title, content }
+   * @param {Object|null} author - { id?, name? } or null for the local user
+   * @param {number} savedAt - Timestamp
+   * @returns {Object} Revision
+   */
+  function createRevision(version, author, savedAt) {
+    return {
+      id: generateId(),
+      title: version.title || '',
+      content: version.content || '',
+      author: author ? { id: author.id || null, name: author.name || null } : null,
+      startedAt: savedAt,
+      savedAt
+    };
+  }
+
+  /**
+   * Delete a note's revisions
+   * @param {string} noteId - Note ID
+   * @returns {Promise<boolean>} Success status
+   */
+  function deleteRevisions(noteId) {
+    return queueWrite(noteId, async () => {
+      try {
+        await chrome.storage.local.remove([getRevisionsKey(noteId)]);
+        return true;
+      } catch (error) {
+        console.error('QuickNotesHistory: Error deleting revisions', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Get the revisions of several notes (for sync)
+   * A revision that was coalesced into after `since` counts as new, since its savedAt moved.
+   * @param {Array<string>} noteIds - Note IDs
+   * @param {number|string|null} since - Only return revisions saved after this time (null for all)
+   * @returns {Promise<Object>} { noteId: revisions }
+   */
+  async function getRevisionsForNotes(noteIds, since = null) {
+    if (!noteIds || noteIds.length === 0) return {};
+
+    const sinceTime = since === null || since === undefined ? null : toTimestamp(since);
+
+    try {
+      const stored = await chrome.storage.local.get(noteIds.map(getRevisionsKey));
+      const result = {};
+      for (const noteId of noteIds) {
+        const revisions = stored[getRevisionsKey(noteId)] || [];
+        result[noteId] = sinceTime === null
+          ? revisions
+          : revisions.filter(revision => toTimestamp(revision.savedAt) > sinceTime);
+      }
+      return result;
+    } catch (error) {
+      console.error('QuickNotesHistory: Error loading revisions for sync', error);
+      return {};
+    }
+  }
+
+  /**
+   * Merge revisions received from the server into local history
+   * Revisions are matched by ID; for the same ID the most recently saved copy wins.
+   * Server timestamps may be ISO strings, so they're stored as milliseconds like local ones.
+   * @param {Array} notes - Notes with an optional `revisions` array
+   * @returns {Promise<void>}
+   */
+  async function mergeRevisions(notes) {
+    for (const note of notes || []) {
+      if (!note || !note.id || !Array.isArray(note.revisions) || note.revisions.length === 0) continue;
+
+      await queueWrite(note.id, async () => {
+        const byId = new Map((await loadRevisions(note.id)).map(r => [r.id, normalizeTimestamps(r)]));
+        for (const received of note.revisions) {
+          const revision = normalizeTimestamps(received);
+          const existing = byId.get(revision.id);
+          if (!existing || revision.savedAt > existing.savedAt) {
+            byId.set(revision.id, revision);
+          }
+        }
+
+        const merged = Array.from(byId.values()).sort((a, b) => b.savedAt - a.savedAt);
+        await saveRevisions(note.id, merged);
+      });
+    }
+  }
+
+  /**
+   * Diff two texts line by line (longest common subsequence)
+   * @param {string} oldText - Older text
+   * @param {string} newText - Newer text
+   * @returns {Array<{type: string, text: string}>} Lines typed 'same' | 'added' | 'removed'
+   */
+  function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    // Trim the common prefix/suffix so the LCS table only covers the changed middle
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const rows = midA.length + 1;
+    const cols = midB.length + 1;
+    const lengths = new Uint32Array(rows * cols);
+
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = midA[i] === midB[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    const result = a.slice(0, start).map(text => ({ type: 'same', text }));
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        result.push({ type: 'same', text: midA[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        result.push({ type: 'removed', text: midA[i++] });
+      } else {
+        result.push({ type: 'added', text: midB[j++] });
+      }
+    }
+    while (i < midA.length) result.push({ type: 'removed', text: midA[i++] });
+    while (j < midB.length) result.push({ type: 'added', text: midB[j++] });
+
+    return result.concat(a.slice(endA).map(text => ({ type: 'same', text })));
+  }
+
+  // Public API
+  return {
+    // Constants
+    MAX_REVISIONS_PER_NOTE,
+
+    // Revision storage
+    loadRevisions,
+    recordRevision,
+    deleteRevisions,
+    getRevisionsForNotes,
+    mergeRevisions,
+
+    // Diffing
+    diffLines
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.QuickNotesHistory = QuickNotesHistory;
+}
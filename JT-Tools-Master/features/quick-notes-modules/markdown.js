@@ -52,6 +52,16 @@ const QuickNotesMarkdown = (() => {
     return html;
   }
 
+  /**
+   * Show due dates (@YYYY-MM-DD) in checklist item HTML as badges, when the tasks module is loaded
+   * @param {string} html - Escaped item HTML
+   * @returns {string} HTML with due dates wrapped
+   */
+  function formatChecklistItem(html) {
+    const tasks = window.QuickNotesTasks;
+    return tasks && tasks.formatDueDates ? tasks.formatDueDates(html) : html;
+  }
+
   /**
    * Parse markdown table to HTML
    * @param {string[]} tableLines - Array of table lines
@@ -120,13 +130,13 @@ const QuickNotesMarkdown = (() => {
       // Checkbox lists
       if (line.match(/^- \[x\]/i)) {
         const content = line.replace(/^- \[x\]\s*/i, '');
-        htmlParts.push(`<div class="jt-note-checkbox checked" contenteditable="false"><input type="checkbox" checked><span contenteditable="true">${processInlineFormatting(content)}</span></div>`);
+        htmlParts.push(`<div class="jt-note-checkbox checked" contenteditable="false"><input type="checkbox" checked><span contenteditable="true">${formatChecklistItem(processInlineFormatting(content))}</span></div>`);
         i++;
         continue;
       }
       if (line.match(/^- \[ \]/)) {
         const content = line.replace(/^- \[ \]\s*/, '');
-        htmlParts.push(`<div class="jt-note-checkbox" contenteditable="false"><input type="checkbox"><span contenteditable="true">${processInlineFormatting(content)}</span></div>`);
+        htmlParts.push(`<div class="jt-note-checkbox" contenteditable="false"><input type="checkbox"><span contenteditable="true">${formatChecklistItem(processInlineFormatting(content))}</span></div>`);
         i++;
         continue;
       }
@@ -203,10 +213,10 @@ const QuickNotesMarkdown = (() => {
     const parsedLines = lines.map(line => {
       // Checkbox lists
       if (line.match(/^- \[x\]/i)) {
-        return line.replace(/^- \[x\]\s*/i, '<div class="jt-note-checkbox checked"><input type="checkbox" checked disabled><span>') + '</span></div>';
+        return '<div class="jt-note-checkbox checked"><input type="checkbox" checked disabled><span>' + formatChecklistItem(line.replace(/^- \[x\]\s*/i, '')) + '</span></div>';
       }
       if (line.match(/^- \[ \]/)) {
-        return line.replace(/^- \[ \]\s*/, '<div class="jt-note-checkbox"><input type="checkbox" disabled><span>') + '</span></div>';
+        return '<div class="jt-note-checkbox"><input type="checkbox" disabled><span>' + formatChecklistItem(line.replace(/^- \[ \]\s*/, '')) + '</span></div>';
       }
       // Bullet lists
       if (line.match(/^- /)) {
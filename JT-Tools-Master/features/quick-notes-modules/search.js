@@ -0,0 +1,369 @@
+/**
+ * Quick Notes Search Module
+ * Full-text search index over note titles, content, folders and checklist items,
+ * with prefix matching, typo tolerance, relevance ranking and highlighting
+ *
+ * Dependencies: utils/sanitizer.js (Sanitizer)
+ */
+
+const QuickNotesSearch = (() => {
+  // How much a match in each field counts towards a note's score
+  const FIELD_WEIGHTS = {
+    title: 5,
+    folder: 3,
+    checklist: 2,
+    content: 1
+  };
+
+  // How much each kind of term match counts (exact > prefix > typo)
+  const MATCH_WEIGHTS = {
+    exact: 1,
+    prefix: 0.7,
+    typo: 0.4
+  };
+
+  // Minimum query term length before typos are tolerated, and how many edits are allowed
+  const TYPO_MIN_LENGTH = 4;
+  const TYPO_LONG_LENGTH = 8;
+
+  // Pinned notes get a small nudge among equally relevant results
+  const PINNED_BOOST = 0.5;
+
+  const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+  const CHECKLIST_PATTERN = /^\s*- \[[ xX]\]\s*(.*)$/;
+  const OPERATOR_PATTERN = /(^|\s)(folder|is|has):(?:"([^"]*)"|(\S+))/gi;
+
+  // Index for the last notes array searched, rebuilt when any note changes
+  let cachedIndex = null;
+  let cachedSignature = null;
+
+  /**
+   * Split text into lowercase search terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Terms
+   */
+  function tokenize(text) {
+    return ((text || '').toLowerCase().match(TOKEN_PATTERN)) || [];
+  }
+
+  /**
+   * Get the text of a note's checklist items
+   * @param {string} content - Markdown content
+   * @returns {string} Checklist item text, one per line
+   */
+  function getChecklistText(content) {
+    return (content || '')
+      .split('\n')
+      .map(line => CHECKLIST_PATTERN.exec(line))
+      .filter(Boolean)
+      .map(match => match[1])
+      .join('\n');
+  }
+
+  /**
+   * Build a signature that changes whenever a searchable field of any note changes
+   * @param {Array} notes - Notes
+   * @returns {string} Signature
+   */
+  function getSignature(notes) {
+    return notes.map(note => `${note.id}:${note.updatedAt}:${note.folder}:${note.isPinned ? 1 : 0}`).join('|');
+  }
+
+  /**
+   * Build (or reuse) the inverted index for a set of notes
+   * @param {Array} notes - Notes to index
+   * @returns {Object} { terms: Map(term -> Map(noteId -> score)), notesById: Map }
+   */
+  function getIndex(notes) {
+    const signature = getSignature(notes);
+    if (cachedIndex && cachedSignature === signature) {
+      return cachedIndex;
+    }
+
+    const terms = new Map();
+    const notesById = new Map();
+
+    for (const note of notes) {
+      notesById.set(note.id, note);
+      const fields = {
+        title: note.title,
+        folder: note.folder,
+        checklist: getChecklistText(note.content),
+        content: note.content
+      };
+
+      for (const [field, text] of Object.entries(fields)) {
+        for (const term of tokenize(text)) {
+          if (!terms.has(term)) terms.set(term, new Map());
+          const postings = terms.get(term);
+          postings.set(note.id, (postings.get(note.id) || 0) + FIELD_WEIGHTS[field]);
+        }
+      }
+    }
+
+    cachedIndex = { terms, notesById };
+    cachedSignature = signature;
+    return cachedIndex;
+  }
+
+  /**
+   * Levenshtein distance, giving up once it exceeds a limit
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} limit - Largest distance of interest
+   * @returns {number} Distance (limit + 1 when larger than the limit)
+   */
+  function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > limit) return limit + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Get the number of typos tolerated for a query term
+   * @param {string} term - Query term
+   * @returns {number} Allowed edit distance
+   */
+  function getTypoLimit(term) {
+    if (term.length >= TYPO_LONG_LENGTH) return 2;
+    if (term.length >= TYPO_MIN_LENGTH) return 1;
+    return 0;
+  }
+
+  /**
+   * Split a query into free-text terms and operators
+   * Supported operators: folder:Name (quote names with spaces), is:pinned, is:unpinned,
+   * is:linked (linked to a job), has:checklist, has:open (unchecked checklist items)
+   * @param {string} query - Raw search input
+   * @returns {Object} { terms: Array<string>, folders: Array<string>, flags: Array<string> }
+   */
+  function parseQuery(query) {
+    const folders = [];
+    const flags = [];
+
+    const text = (query || '').replace(OPERATOR_PATTERN, (match, lead, operator, quoted, bare) => {
+      const value = (quoted !== undefined ? quoted : bare).trim();
+      if (operator.toLowerCase() === 'folder') {
+        folders.push(value.toLowerCase());
+      } else {
+        flags.push(`${operator.toLowerCase()}:${value.toLowerCase()}`);
+      }
+      return lead;
+    });
+
+    return { terms: tokenize(text), folders, flags };
+  }
+
+  /**
+   * Check a note against the query operators
+   * @param {Object} note - Note
+   * @param {Object} parsed - Result of parseQuery
+   * @returns {boolean}
+   */
+  function matchesOperators(note, parsed) {
+    const folder = (note.folder || 'General').toLowerCase();
+    if (parsed.folders.length > 0 && !parsed.folders.some(f => folder === f || folder.startsWith(f))) {
+      return false;
+    }
+
+    return parsed.flags.every(flag => {
+      switch (flag) {
+        case 'is:pinned': return !!note.isPinned;
+        case 'is:unpinned': return !note.isPinned;
+        case 'is:linked': return !!note.jobId;
+        case 'has:checklist': return /^\s*- \[[ xX]\]/m.test(note.content || '');
+        case 'has:open': return /^\s*- \[ \]/m.test(note.content || '');
+        default: return true; // Unknown operators don't hide notes
+      }
+    });
+  }
+
+  /**
+   * Find the indexed terms a query term matches, with how well they match
+   * @param {string} queryTerm - Query term
+   * @param {Map} terms - Index terms
+   * @returns {Array<{term: string, weight: number}>} Matching index terms
+   */
+  function expandTerm(queryTerm, terms) {
+    const matches = [];
+    const typoLimit = getTypoLimit(queryTerm);
+
+    for (const term of terms.keys()) {
+      if (term === queryTerm) {
+        matches.push({ term, weight: MATCH_WEIGHTS.exact });
+      } else if (term.startsWith(queryTerm)) {
+        matches.push({ term, weight: MATCH_WEIGHTS.prefix });
+      } else if (typoLimit > 0 && (
+        editDistance(queryTerm, term, typoLimit) <= typoLimit ||
+        // A typo in a prefix of a longer word ("estimatng" -> "estimating")
+        (term.length > queryTerm.length && editDistance(queryTerm, term.slice(0, queryTerm.length), typoLimit) <= typoLimit)
+      )) {
+        matches.push({ term, weight: MATCH_WEIGHTS.typo });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Search notes
+   * Every free-text term must match (exactly, as a prefix, or with a small typo);
+   * results are ranked by field-weighted relevance.
+   * @param {Array} notes - Notes to search
+   * @param {string} query - Search input (terms and operators)
+   * @returns {Array<{note: Object, score: number, terms: Array<string>}>} Ranked results with the matched words
+   */
+  function search(notes, query) {
+    const parsed = parseQuery(query);
+    const candidates = notes.filter(note => matchesOperators(note, parsed));
+
+    if (parsed.terms.length === 0) {
+      return candidates.map(note => ({ note, score: note.isPinned ? PINNED_BOOST : 0, terms: [] }));
+    }
+
+    const index = getIndex(notes);
+    const scores = new Map(candidates.map(note => [note.id, 0]));
+    const matchedTerms = new Map(candidates.map(note => [note.id, new Set()]));
+
+    for (const queryTerm of parsed.terms) {
+      const termScores = new Map();
+
+      for (const { term, weight } of expandTerm(queryTerm, index.terms)) {
+        for (const [noteId, fieldScore] of index.terms.get(term)) {
+          if (!scores.has(noteId)) continue;
+          termScores.set(noteId, Math.max(termScores.get(noteId) || 0, fieldScore * weight));
+          matchedTerms.get(noteId).add(term);
+        }
+      }
+
+      // Drop notes missing this term
+      for (const noteId of Array.from(scores.keys())) {
+        if (termScores.has(noteId)) {
+          scores.set(noteId, scores.get(noteId) + termScores.get(noteId));
+        } else {
+          scores.delete(noteId);
+        }
+      }
+    }
+
+    return Array.from(scores.entries())
+      .map(([noteId, score]) => {
+        const note = index.notesById.get(noteId);
+        return {
+          note,
+          score: score + (note.isPinned ? PINNED_BOOST : 0),
+          terms: Array.from(matchedTerms.get(noteId))
+        };
+      })
+      .sort((a, b) => b.score - a.score || (b.note.updatedAt || 0) - (a.note.updatedAt || 0));
+  }
+
+  /**
+   * Build a regular expression matching any of the given words at a word start
+   * @param {Array<string>} terms - Matched index terms
+   * @returns {RegExp|null} Case-insensitive global pattern
+   */
+  function getHighlightPattern(terms) {
+    if (!terms || terms.length === 0) return null;
+    const escaped = terms
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+
+  /**
+   * Escape text and wrap matched words in <mark>
+   * @param {string} text - Plain text
+   * @param {Array<string>} terms - Matched index terms
+   * @returns {string} Safe HTML
+   */
+  function highlight(text, terms) {
+    const value = text || '';
+    const pattern = getHighlightPattern(terms);
+    if (!pattern) return Sanitizer.escapeHTML(value);
+
+    let html = '';
+    let last = 0;
+    for (const match of value.matchAll(pattern)) {
+      html += Sanitizer.escapeHTML(value.slice(last, match.index));
+      html += `<mark class="jt-notes-search-mark">${Sanitizer.escapeHTML(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    return html + Sanitizer.escapeHTML(value.slice(last));
+  }
+
+  /**
+   * Get a short excerpt of text around the first matched word
+   * @param {string} text - Plain text
+   * @param {Array<string>} terms - Matched index terms
+   * @param {number} length - Approximate excerpt length
+   * @returns {string} Excerpt (with ellipses where trimmed)
+   */
+  function getSnippet(text, terms, length = 150) {
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    const pattern = getHighlightPattern(terms);
+    const match = pattern ? pattern.exec(value) : null;
+
+    if (!match || value.length <= length) {
+      return value.length > length ? `${value.slice(0, length)}…` : value;
+    }
+
+    const start = Math.max(0, match.index - Math.floor(length / 3));
+    const end = Math.min(value.length, start + length);
+    return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+  }
+
+  /**
+   * Find text ranges of matched words inside an element (for highlighting without changing the DOM)
+   * @param {HTMLElement} root - Element to search
+   * @param {Array<string>} terms - Matched index terms
+   * @returns {Array<Range>} Ranges
+   */
+  function findRanges(root, terms) {
+    const pattern = getHighlightPattern(terms);
+    if (!pattern || !root) return [];
+
+    const ranges = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      for (const match of node.textContent.matchAll(pattern)) {
+        const range = document.createRange();
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        ranges.push(range);
+      }
+    }
+    return ranges;
+  }
+
+  // Public API
+  return {
+    search,
+    parseQuery,
+    tokenize,
+    highlight,
+    getSnippet,
+    findRanges
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.QuickNotesSearch = QuickNotesSearch;
+}
@@ -0,0 +1,212 @@
+/**
+ * Quick Notes Send Module
+ * Converts notes to JobTread's formatter syntax and inserts them into JobTread fields
+ * (messages, daily logs, descriptions)
+ *
+ * Dependencies: FormatterFormats (insertText), loaded with the formatter feature
+ */
+
+const QuickNotesSend = (() => {
+  // Clicking into these moves focus away from the page, so they never count as targets
+  const EXTENSION_UI_SELECTOR = '.jt-quick-notes-panel, .jt-notes-floating-card';
+
+  // Last JobTread field the user was typing in before switching to Quick Notes
+  let lastField = null;
+  let isTracking = false;
+
+  /**
+   * Convert inline Quick Notes formatting to JobTread formatting
+   * Quick Notes: **bold** / *bold*, _italic_, __underline__, ~~strike~~, `code`
+   * JobTread:    *bold*, ^italic^, _underline_, ~strike~ (no code spans)
+   * @param {string} text - One line of Quick Notes markdown
+   * @returns {string} Line in JobTread syntax
+   */
+  function convertInline(text) {
+    const protectedParts = [];
+    const protect = (value) => `\u0000${protectedParts.push(value) - 1}\u0000`;
+
+    let line = text
+      // Code has no JobTread equivalent - keep its text verbatim
+      .replace(/`(.+?)`/g, (match, code) => protect(code))
+      // Link URLs can contain _ or * that must not become formatting
+      .replace(/\]\((.+?)\)/g, (match, url) => `](${protect(url)})`);
+
+    line = line
+      .replace(/~~(.+?)~~/g, '~$1~')
+      .replace(/__(.+?)__/g, '\u0001$1\u0001')
+      .replace(/\*\*(.+?)\*\*/g, '*$1*')
+      .replace(/(?<!_)_(?!_)(.+?)(?<!_)_(?!_)/g, '^$1^')
+      .replace(/\u0001/g, '_');
+
+    return line.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedParts[Number(index)]);
+  }
+
+  /**
+   * Convert a note from the Quick Notes markdown dialect to JobTread's formatter syntax
+   * Bullets and numbered lists are shared; checklists become ☐/☑ bullets and table
+   * separator rows are dropped (JobTread tables have none).
+   * @param {string} markdown - Quick Notes markdown
+   * @returns {string} Text in JobTread syntax
+   */
+  function toJobTreadFormat(markdown) {
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const converted = [];
+
+    for (const line of lines) {
+      if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line) && line.includes('|')) {
+        continue;
+      }
+
+      const checklist = line.match(/^(\s*)- \[([ xX])\]\s*(.*)$/);
+      if (checklist) {
+        const box = checklist[2] === ' ' ? '☐' : '☑';
+        converted.push(`${checklist[1]}- ${box} ${convertInline(checklist[3])}`);
+        continue;
+      }
+
+      converted.push(convertInline(line));
+    }
+
+    return converted.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Check that an element is a JobTread textarea that can receive text
+   * @param {Element} element - Element
+   * @returns {boolean}
+   */
+  function isTargetField(element) {
+    return !!element &&
+      element.tagName === 'TEXTAREA' &&
+      !element.disabled &&
+      !element.readOnly &&
+      !element.closest(EXTENSION_UI_SELECTOR) &&
+      document.body.contains(element) &&
+      element.getClientRects().length > 0;
+  }
+
+  /**
+   * Remember the JobTread field the user focuses
+   * @param {FocusEvent} e - focusin event
+   */
+  function handleFocusIn(e) {
+    if (isTargetField(e.target)) {
+      lastField = e.target;
+    }
+  }
+
+  /**
+   * Start remembering the last focused JobTread field
+   */
+  function startTracking() {
+    if (isTracking) return;
+    isTracking = true;
+    document.addEventListener('focusin', handleFocusIn, true);
+    if (isTargetField(document.activeElement)) {
+      lastField = document.activeElement;
+    }
+  }
+
+  /**
+   * Stop tracking and forget the last field
+   */
+  function stopTracking() {
+    document.removeEventListener('focusin', handleFocusIn, true);
+    isTracking = false;
+    lastField = null;
+  }
+
+  /**
+   * Check whether a field sits in a daily log form (sidebar or page)
+   * @param {HTMLTextAreaElement} field - Field
+   * @returns {boolean}
+   */
+  function isDailyLogField(field) {
+    const container = field.closest('[data-is-drag-scroll-boundary="true"]') || field.closest('form');
+    if (!container) return false;
+    // textContent keeps the original case even when the header displays uppercase
+    return Array.from(container.querySelectorAll('div.font-bold, h1, h2, h3'))
+      .some(header => (header.textContent || '').trim().toUpperCase().includes('DAILY LOG'));
+  }
+
+  /**
+   * Name a field for the Send to… menu
+   * @param {HTMLTextAreaElement} field - Field
+   * @returns {string} e.g. "Message", "Daily Log: Notes"
+   */
+  function describeField(field) {
+    const heading = field.closest('label')?.querySelector('div.font-bold');
+    const name = (heading?.textContent || '').trim() || field.getAttribute('placeholder') || 'Text field';
+    return isDailyLogField(field) ? `Daily Log: ${name}` : name;
+  }
+
+  /**
+   * List the fields a note can be sent to, most likely first:
+   * the last focused field, then the job's new message box and any open daily log form
+   * @returns {Array<{field: HTMLTextAreaElement, label: string, isLastFocused: boolean}>}
+   */
+  function getTargets() {
+    const targets = [];
+    const add = (field, isLastFocused = false) => {
+      if (isTargetField(field) && !targets.some(target => target.field === field)) {
+        targets.push({ field, label: describeField(field), isLastFocused });
+      }
+    };
+
+    add(lastField, true);
+    document.querySelectorAll('textarea[placeholder="Message"]').forEach(field => add(field));
+    document.querySelectorAll('label textarea').forEach(field => {
+      if (isDailyLogField(field)) add(field);
+    });
+
+    return targets;
+  }
+
+  /**
+   * Insert a note into a JobTread field at its cursor (or replacing its selection)
+   * Goes through the formatter's React-safe insert so JobTread keeps the new value.
+   * @param {HTMLTextAreaElement} field - Target field
+   * @param {string} markdown - Quick Notes markdown to send
+   * @returns {boolean} True if the text was inserted
+   */
+  function sendToField(field, markdown) {
+    const formats = window.FormatterFormats;
+    const text = toJobTreadFormat(markdown);
+    if (!formats?.insertText || !text || !isTargetField(field)) return false;
+
+    try {
+      const start = field.selectionStart ?? field.value.length;
+      const end = field.selectionEnd ?? start;
+      const before = field.value.substring(0, start);
+      // Start on a fresh line when the cursor is mid-text
+      const insertion = before && !before.endsWith('\n') ? `\n${text}` : text;
+
+      field.focus();
+      if (!formats.insertText(field, insertion, { start, end })) return false;
+
+      field.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      lastField = field;
+      return true;
+    } catch (error) {
+      console.error('QuickNotesSend: Error inserting note', error);
+      return false;
+    }
+  }
+
+  // Public API
+  return {
+    // Conversion
+    toJobTreadFormat,
+
+    // Targets
+    startTracking,
+    stopTracking,
+    getTargets,
+    sendToField
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.QuickNotesSend = QuickNotesSend;
+}
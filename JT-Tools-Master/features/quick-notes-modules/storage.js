@@ -3,6 +3,8 @@
  * Handles all storage operations for quick notes
  *
  * Dependencies: None (uses Chrome Storage API directly)
+ * Optional: quick-notes-modules/conflicts.js (QuickNotesConflicts) for sync conflict resolution
+ * Optional: quick-notes-modules/archive.js (QuickNotesArchive) for Markdown/ZIP export and import
  */
 
 const QuickNotesStorage = (() => {
@@ -115,49 +117,106 @@ const QuickNotesStorage = (() => {
     const dataStr = JSON.stringify(exportData, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
 
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-
     // Create filename with timestamp
     const timestamp = new Date().toISOString().slice(0, 10);
-    link.download = `jt-power-tools-notes-${timestamp}.json`;
+    downloadBlob(dataBlob, `jt-power-tools-notes-${timestamp}.json`);
+
+    return true;
+  }
+
+  /**
+   * Export notes as a ZIP of Markdown files, one directory per folder
+   * Each file starts with front matter (id, title, pinned, created, updated, job) so it can be imported back.
+   * @param {Array} notes - Array of notes to export
+   * @returns {boolean} Success status
+   */
+  function exportNotesAsMarkdown(notes) {
+    if (!notes || notes.length === 0) {
+      alert('No notes to export. Create some notes first!');
+      return false;
+    }
+
+    const archive = window.QuickNotesArchive;
+    if (!archive) {
+      console.error('Quick Notes Storage: Archive module not loaded');
+      return false;
+    }
+
+    const zipBlob = archive.createZip(archive.notesToFiles(notes));
+    const timestamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(zipBlob, `jt-power-tools-notes-${timestamp}.zip`);
+
+    return true;
+  }
+
+  /**
+   * Download a blob as a file
+   * @param {Blob} blob - File contents
+   * @param {string} filename - File name
+   */
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
 
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
+  }
 
-    return true;
+  /**
+   * Read the notes in the selected import files
+   * A JSON export is read as-is; ZIP archives and .md/.txt files go through the archive module.
+   * @param {Array<File>} files - Selected files
+   * @returns {Promise<Array|null>} Notes, or null if the files aren't a notes export
+   */
+  async function readImportFiles(files) {
+    if (files.length === 1 && /\.json$/i.test(files[0].name)) {
+      const importData = JSON.parse(await files[0].text());
+      return importData.notes && Array.isArray(importData.notes) ? importData.notes : null;
+    }
+
+    const archive = window.QuickNotesArchive;
+    if (!archive) return null;
+
+    // Files without front matter get a new ID; ones exported from here keep theirs so a merge skips duplicates
+    const importedNotes = await archive.filesToNotes(files);
+    return importedNotes.map(note => ({ ...note, id: note.id || generateId() }));
   }
 
   /**
-   * Import notes from JSON file
+   * Import notes from a JSON export, a Markdown ZIP export, or individual .md/.txt files
    * @param {Array} existingNotes - Current notes array
    * @param {Function} onImport - Callback with imported notes and merge mode
    */
   function importNotes(existingNotes, onImport) {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = 'application/json,.json';
+    input.accept = 'application/json,.json,application/zip,.zip,.md,.markdown,.txt';
+    input.multiple = true;
 
     input.onchange = async (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
+      const files = Array.from(e.target.files || []);
+      if (files.length === 0) return;
 
       try {
-        const text = await file.text();
-        const importData = JSON.parse(text);
+        const importedNotes = await readImportFiles(files);
 
         // Validate import data
-        if (!importData.notes || !Array.isArray(importData.notes)) {
-          alert('Invalid notes file. Please select a valid JT Power Tools notes export.');
+        if (!importedNotes) {
+          alert('Invalid notes file. Please select a JT Power Tools notes export (JSON or ZIP) or Markdown/text files.');
+          return;
+        }
+        if (importedNotes.length === 0) {
+          alert('No notes found. ZIP archives must contain .md or .txt files.');
           return;
         }
 
         // Ask user if they want to merge or replace
         const shouldMerge = confirm(
-          `Found ${importData.notes.length} note(s) in file.\n\n` +
+          `Found ${importedNotes.length} note(s) to import.\n\n` +
           `Click OK to MERGE with existing notes (${existingNotes.length})\n` +
           `Click Cancel to REPLACE all existing notes`
         );
@@ -165,19 +224,19 @@ const QuickNotesStorage = (() => {
         if (shouldMerge) {
           // Merge: Add imported notes that don't already exist
           const existingIds = new Set(existingNotes.map(n => n.id));
-          const newNotes = importData.notes.filter(n => !existingIds.has(n.id));
+          const newNotes = importedNotes.filter(n => !existingIds.has(n.id));
           const mergedNotes = [...existingNotes, ...newNotes];
 
           onImport(mergedNotes, 'merge', newNotes.length);
         } else {
           // Replace: Confirm destructive action
           if (confirm('Are you sure? This will DELETE all existing notes and replace them with imported notes.')) {
-            onImport(importData.notes, 'replace', importData.notes.length);
+            onImport(importedNotes, 'replace', importedNotes.length);
           }
         }
       } catch (error) {
         console.error('Quick Notes Storage: Import error:', error);
-        alert('Failed to import notes. Please make sure the file is a valid JT Power Tools notes export.');
+        alert('Failed to import notes. Please make sure the files are a valid JT Power Tools notes export or Markdown files.');
       }
     };
 
@@ -225,6 +284,133 @@ const QuickNotesStorage = (() => {
   let syncDebounceTimeout = null;
   const SYNC_DEBOUNCE_MS = 3000; // Wait 3 seconds after last change before syncing
 
+  // Called with { notes, sent, conflicts } when a sync changes the local notes
+  const syncListeners = new Set();
+
+  /**
+   * Listen for syncs that change the local notes (server edits, merges, conflict copies)
+   * Listeners holding their own copy of the notes should combine it with `notes` through
+   * reconcileSyncedNotes(sent, notes, theirNotes), so edits made during the sync survive.
+   * @param {Function} listener - Called with { notes, sent, conflicts }
+   */
+  function onNotesSynced(listener) {
+    syncListeners.add(listener);
+  }
+
+  /**
+   * Stop listening for sync changes
+   * @param {Function} listener - Listener passed to onNotesSynced
+   */
+  function offNotesSynced(listener) {
+    syncListeners.delete(listener);
+  }
+
+  /**
+   * Notify sync listeners
+   * @param {Array} notes - Notes after the sync
+   * @param {Array} sent - Notes as sent to the server
+   * @param {Array} conflicts - Conflicts resolved during the sync
+   */
+  function notifyNotesSynced(notes, sent, conflicts) {
+    syncListeners.forEach(listener => {
+      try {
+        listener({ notes, sent, conflicts });
+      } catch (error) {
+        console.error('QuickNotesStorage: Sync listener error', error);
+      }
+    });
+  }
+
+  /**
+   * Check whether a sync changed the local notes
+   * @param {Array} before - Local notes before applying the sync
+   * @param {Array} after - Notes after applying the sync
+   * @returns {boolean}
+   */
+  function notesDiffer(before, after) {
+    if (before.length !== after.length) return true;
+    const byId = new Map(before.map(note => [note.id, note]));
+    return after.some(note => {
+      const previous = byId.get(note.id);
+      return !previous ||
+        previous.title !== note.title ||
+        previous.content !== note.content ||
+        previous.folder !== note.folder ||
+        !!previous.isPinned !== !!note.isPinned ||
+        (previous.jobId || null) !== (note.jobId || null);
+    });
+  }
+
+  /**
+   * Combine a sync result with local edits made while the sync was in flight
+   * A note keeps its current local version when its updatedAt moved since it was sent.
+   * Notes created during the sync are kept and notes deleted during it stay deleted.
+   * @param {Array} sent - Notes as sent to the server
+   * @param {Array} synced - Notes after the sync
+   * @param {Array} current - Local notes now
+   * @returns {{notes: Array, pending: boolean}} Notes to keep, and whether local edits still need syncing
+   */
+  function reconcileSyncedNotes(sent, synced, current) {
+    const sentUpdatedAt = new Map(sent.map(note => [note.id, note.updatedAt]));
+    const currentById = new Map(current.map(note => [note.id, note]));
+    const editedSinceSent = note => !sentUpdatedAt.has(note.id) || sentUpdatedAt.get(note.id) !== note.updatedAt;
+    const syncedIds = new Set(synced.map(note => note.id));
+    let pending = false;
+
+    const notes = [];
+    for (const note of synced) {
+      const local = currentById.get(note.id);
+      if (!local && sentUpdatedAt.has(note.id)) {
+        pending = true;
+      } else if (local && editedSinceSent(local)) {
+        notes.push(local);
+        pending = true;
+      } else {
+        notes.push(note);
+      }
+    }
+
+    const created = current.filter(note => !syncedIds.has(note.id) && editedSinceSent(note));
+    if (created.length > 0) pending = true;
+
+    return { notes: created.concat(notes), pending };
+  }
+
+  /**
+   * Sync notes with the server, resolving concurrent edits
+   * Works on a copy of the notes taken before the request, so edits made while it is in
+   * flight don't change what the result is compared against. Each note is sent with the
+   * hash of the version its edit started from; notes the server rejects as stale, or that
+   * came back changed on both sides, are merged or both kept (see QuickNotesConflicts).
+   * @param {Array} notes - Local notes
+   * @returns {Promise<{success: boolean, notes?: Array, sent?: Array, conflicts?: Array, stats?: Object, error?: string}>}
+   */
+  async function syncWithServer(notes) {
+    // Note fields are all primitives, so copying each note snapshots it
+    const sent = notes.map(note => ({ ...note }));
+
+    const conflictsModule = window.QuickNotesConflicts;
+    if (!conflictsModule) {
+      const result = await window.AccountService.syncNotes(sent);
+      return { ...result, sent, conflicts: [] };
+    }
+
+    const bases = await conflictsModule.loadSyncBases();
+    const result = await window.AccountService.syncNotes(conflictsModule.attachBaseHashes(sent, bases));
+    if (!result.success || !result.notes) {
+      return result;
+    }
+
+    const resolved = await conflictsModule.resolveSyncResult(sent, result.notes, bases, result.staleNoteIds || []);
+    await conflictsModule.saveSyncBases(resolved.bases);
+
+    if (resolved.conflicts.length > 0) {
+      console.warn('QuickNotesStorage: Resolved sync conflicts', resolved.conflicts);
+    }
+
+    return { ...result, notes: resolved.notes, sent, conflicts: resolved.conflicts };
+  }
+
   /**
    * Save notes and trigger sync if logged in
    * @param {Array} notes - Array of note objects to save
@@ -254,11 +440,13 @@ const QuickNotesStorage = (() => {
     }
 
     syncDebounceTimeout = setTimeout(async () => {
+      syncDebounceTimeout = null;
       console.log('QuickNotesStorage: Triggering background sync...');
       try {
-        const result = await window.AccountService.syncNotes(notes);
+        const result = await syncWithServer(notes);
         if (result.success) {
           console.log('QuickNotesStorage: Sync complete', result.stats);
+          await applySyncResult(result);
         } else {
           console.warn('QuickNotesStorage: Sync failed', result.error);
         }
@@ -268,6 +456,32 @@ const QuickNotesStorage = (() => {
     }, SYNC_DEBOUNCE_MS);
   }
 
+  /**
+   * Store a sync result, tell listeners if it changed the notes, and push any local edits left over
+   * Notes edited since the sync started keep their local version (see reconcileSyncedNotes).
+   * @param {Object} result - Result of syncWithServer
+   * @returns {Promise<Array>} Local notes after applying the result
+   */
+  async function applySyncResult(result) {
+    const current = await loadNotes();
+    const { notes, pending } = reconcileSyncedNotes(result.sent, result.notes, current);
+    const conflicts = result.conflicts || [];
+
+    if (notesDiffer(current, notes)) {
+      await saveNotes(notes);
+      notifyNotesSynced(notes, result.sent, conflicts);
+    } else if (conflicts.length > 0) {
+      notifyNotesSynced(notes, result.sent, conflicts);
+    }
+
+    // Merged notes, conflict copies and edits made during the sync only exist locally until
+    // the next sync; a sync already queued by a newer save covers them too
+    if ((pending || conflicts.length > 0) && !syncDebounceTimeout) {
+      triggerDebouncedSync(notes);
+    }
+    return notes;
+  }
+
   /**
    * Load notes with sync (pulls from server first if logged in)
    * @returns {Promise<Array>} Array of note objects
@@ -280,11 +494,10 @@ const QuickNotesStorage = (() => {
     if (window.AccountService && window.AccountService.isLoggedIn()) {
       try {
         console.log('QuickNotesStorage: Syncing on load...');
-        const result = await window.AccountService.syncNotes(localNotes);
+        const result = await syncWithServer(localNotes);
         if (result.success && result.notes) {
           // Update local storage with merged notes
-          await saveNotes(result.notes);
-          localNotes = result.notes;
+          localNotes = await applySyncResult(result);
           console.log('QuickNotesStorage: Loaded and synced notes', result.stats);
         }
       } catch (error) {
@@ -312,10 +525,10 @@ const QuickNotesStorage = (() => {
     }
 
     console.log('QuickNotesStorage: Force syncing...');
-    const result = await window.AccountService.syncNotes(notes);
+    const result = await syncWithServer(notes);
 
     if (result.success && result.notes) {
-      await saveNotes(result.notes);
+      return { ...result, notes: await applySyncResult(result) };
     }
 
     return result;
@@ -621,6 +834,7 @@ const QuickNotesStorage = (() => {
     loadNotes,
     saveNotes,
     exportNotes,
+    exportNotesAsMarkdown,
     importNotes,
     saveWidth,
     loadWidth,
@@ -631,6 +845,9 @@ const QuickNotesStorage = (() => {
     saveNotesWithSync,
     forceSync,
     isSyncAvailable,
+    onNotesSynced,
+    offNotesSynced,
+    reconcileSyncedNotes,
 
     // Folder methods
     loadFolderPrefs,
@@ -0,0 +1,188 @@
+/**
+ * Quick Notes Tasks Module
+ * Collects checklist items across notes, with optional due dates written inline as @YYYY-MM-DD
+ *
+ * Dependencies: None
+ */
+
+const QuickNotesTasks = (() => {
+  const CHECKLIST_PATTERN = /^(\s*- \[)([ xX])(\]\s*)(.*)$/;
+  const DUE_DATE_PATTERN = /(^|\s)@(\d{4}-\d{2}-\d{2})(?=\s|$)/;
+
+  // Open items without a due date sort after every dated item
+  const STATUS_ORDER = ['overdue', 'today', 'upcoming', 'none'];
+
+  /**
+   * Format a date as YYYY-MM-DD in local time
+   * @param {Date} date - Date
+   * @returns {string} Date string
+   */
+  function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Check that a YYYY-MM-DD string is a real calendar date (rejects 2026-02-30)
+   * @param {string} value - Date string
+   * @returns {boolean}
+   */
+  function isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  }
+
+  /**
+   * Find the due date of a checklist item
+   * @param {string} text - Item text
+   * @returns {string|null} YYYY-MM-DD, or null if the item has no valid due date
+   */
+  function parseDueDate(text) {
+    const match = (text || '').match(DUE_DATE_PATTERN);
+    return match && isValidDate(match[2]) ? match[2] : null;
+  }
+
+  /**
+   * Classify a due date relative to today
+   * @param {string|null} dueDate - YYYY-MM-DD
+   * @param {string} today - Today as YYYY-MM-DD
+   * @returns {string} 'overdue' | 'today' | 'upcoming' | 'none'
+   */
+  function getDueStatus(dueDate, today = toDateString(new Date())) {
+    if (!dueDate) return 'none';
+    if (dueDate < today) return 'overdue';
+    if (dueDate === today) return 'today';
+    return 'upcoming';
+  }
+
+  /**
+   * Collect the open checklist items of all notes, soonest due first
+   * @param {Array} notes - Notes
+   * @param {string} today - Today as YYYY-MM-DD (defaults to the local date)
+   * @returns {Array<Object>} { noteId, noteTitle, folder, lineIndex, line, text, dueDate, status }
+   */
+  function extractTasks(notes, today = toDateString(new Date())) {
+    const tasks = [];
+
+    for (const note of notes || []) {
+      const lines = (note.content || '').split('\n');
+      lines.forEach((line, lineIndex) => {
+        const match = line.match(CHECKLIST_PATTERN);
+        if (!match || match[2] !== ' ' || !match[4].trim()) return;
+
+        const dueDate = parseDueDate(match[4]);
+        tasks.push({
+          noteId: note.id,
+          noteTitle: note.title || 'Untitled Note',
+          folder: note.folder || 'General',
+          lineIndex,
+          line,
+          text: dueDate ? match[4].replace(DUE_DATE_PATTERN, '$1').replace(/\s{2,}/g, ' ').trim() : match[4].trim(),
+          dueDate,
+          status: getDueStatus(dueDate, today)
+        });
+      });
+    }
+
+    // Stable sort keeps items without a date in note/line order
+    return tasks.sort((a, b) => {
+      if (a.dueDate && b.dueDate) return a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0;
+      return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+    });
+  }
+
+  /**
+   * Group tasks by due status, in display order
+   * @param {Array<Object>} tasks - Tasks from extractTasks
+   * @returns {Array<{status: string, tasks: Array}>} Non-empty groups
+   */
+  function groupTasksByStatus(tasks) {
+    return STATUS_ORDER
+      .map(status => ({ status, tasks: tasks.filter(task => task.status === status) }))
+      .filter(group => group.tasks.length > 0);
+  }
+
+  /**
+   * Check or uncheck a task in its note's content
+   * The line is looked up again if the note was edited after the task list was built.
+   * @param {string} content - Note content
+   * @param {Object} task - { lineIndex, line }
+   * @param {boolean} checked - New state
+   * @returns {string|null} Updated content, or null if the item no longer exists
+   */
+  function setTaskChecked(content, task, checked) {
+    const lines = (content || '').split('\n');
+    const lineIndex = lines[task.lineIndex] === task.line ? task.lineIndex : lines.indexOf(task.line);
+    if (lineIndex === -1) return null;
+
+    const match = lines[lineIndex].match(CHECKLIST_PATTERN);
+    if (!match) return null;
+
+    lines[lineIndex] = `${match[1]}${checked ? 'x' : ' '}${match[3]}${match[4]}`;
+    return lines.join('\n');
+  }
+
+  /**
+   * Wrap due dates in rendered checklist item HTML so they show as badges
+   * @param {string} html - Escaped item HTML
+   * @param {string} today - Today as YYYY-MM-DD (defaults to the local date)
+   * @returns {string} HTML with due dates wrapped
+   */
+  function formatDueDates(html, today = toDateString(new Date())) {
+    return (html || '').replace(new RegExp(DUE_DATE_PATTERN.source, 'g'), (match, before, date) => {
+      if (!isValidDate(date)) return match;
+      return `${before}<span class="jt-note-due-date ${getDueStatus(date, today)}">@${date}</span>`;
+    });
+  }
+
+  /**
+   * Describe a due date for the Tasks view
+   * @param {string|null} dueDate - YYYY-MM-DD
+   * @param {string} today - Today as YYYY-MM-DD (defaults to the local date)
+   * @returns {string} e.g. "Today", "Tomorrow", "3 days overdue", "Mon, Nov 2"
+   */
+  function formatDueLabel(dueDate, today = toDateString(new Date())) {
+    if (!dueDate) return '';
+
+    const toDate = (value) => {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    };
+    const days = Math.round((toDate(dueDate) - toDate(today)) / (24 * 60 * 60 * 1000));
+
+    if (days === 0) return 'Today';
+    if (days === 1) return 'Tomorrow';
+    if (days === -1) return 'Yesterday';
+    if (days < 0) return `${-days} days overdue`;
+
+    const options = { weekday: 'short', month: 'short', day: 'numeric' };
+    if (dueDate.slice(0, 4) !== today.slice(0, 4)) options.year = 'numeric';
+    return toDate(dueDate).toLocaleDateString(undefined, options);
+  }
+
+  // Public API
+  return {
+    // Dates
+    toDateString,
+    isValidDate,
+    parseDueDate,
+    getDueStatus,
+    formatDueLabel,
+
+    // Tasks
+    extractTasks,
+    groupTasksByStatus,
+    setTaskChecked,
+
+    // Rendering
+    formatDueDates
+  };
+})();
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.QuickNotesTasks = QuickNotesTasks;
+}
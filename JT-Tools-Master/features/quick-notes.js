@@ -6,6 +6,9 @@
  * - features/quick-notes-modules/storage.js (QuickNotesStorage)
  * - features/quick-notes-modules/markdown.js (QuickNotesMarkdown)
  * - features/quick-notes-modules/editor.js (QuickNotesEditor)
+ * - features/quick-notes-modules/history.js (QuickNotesHistory)
+ * - features/quick-notes-modules/conflicts.js (QuickNotesConflicts, used by storage sync)
+ * - features/quick-notes-modules/search.js (QuickNotesSearch)
  */
 
 const QuickNotesFeature = (() => {
@@ -23,6 +26,8 @@ const QuickNotesFeature = (() => {
   let isResizing = false;
   let isLoadingTeamNotes = false;
   let teamNotesLoaded = false;
+  let syncConflicts = []; // Conflicts resolved by sync, shown as a notice until dismissed
+  let isTasksView = false; // Show open checklist items across notes instead of the notes list
 
   // Folder organization state
   let myNotesCollapsedFolders = new Set(); // Collapsed folders for My Notes
@@ -35,6 +40,11 @@ const QuickNotesFeature = (() => {
   let teamNotesNoteOrder = {}; // { folderName: [noteId1, noteId2, ...] } for Team Notes
   let activeFolder = 'General'; // Current folder for new notes
 
+  // Job-linked notes state
+  let currentJobId = null; // Job being viewed (from the /jobs/<id> URL), null elsewhere
+  let jobUrlCheckInterval = null;
+  const JOB_PATH_PATTERN = /\/jobs\/([^\/?#]+)/;
+
   // Drag state for folder/note reordering
   let dragState = {
     type: null,       // 'folder' or 'note'
@@ -59,11 +69,19 @@ const QuickNotesFeature = (() => {
   const getStorage = () => window.QuickNotesStorage || {};
   const getMarkdown = () => window.QuickNotesMarkdown || {};
   const getEditor = () => window.QuickNotesEditor || {};
+  const getHistory = () => window.QuickNotesHistory || {};
+  const getSearch = () => window.QuickNotesSearch || {};
+  const getTasks = () => window.QuickNotesTasks || {};
+  const getFloating = () => window.QuickNotesFloating || {};
+  const getSend = () => window.QuickNotesSend || {};
+
+  // Name of the CSS highlight used for search matches in the open note
+  const SEARCH_HIGHLIGHT_NAME = 'jt-notes-search';
 
   // Constants from storage module (with fallbacks)
   const MIN_WIDTH = 320;
   const MAX_WIDTH = 1200;
-  const MIN_EDITOR_WIDTH = 452; // Minimum width for editor (to fit toolbar with undo/redo)
+  const MIN_EDITOR_WIDTH = 488; // Minimum width for editor (to fit toolbar with undo/redo)
   const COLLAPSED_SIDEBAR_WIDTH = 48;
   const WIDTH_STORAGE_KEY = 'jtToolsQuickNotesWidth';
 
@@ -77,6 +95,218 @@ const QuickNotesFeature = (() => {
     return activeTab === 'my' ? notes : teamNotes;
   }
 
+  // Get the job ID from the current /jobs/<id> URL (null when not on a job page)
+  function getJobIdFromUrl() {
+    const match = window.location.pathname.match(JOB_PATH_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  // Get the notes linked to a job from a notes array
+  function getJobNotes(jobId, source) {
+    if (!jobId) return [];
+    return source.filter(note => note.jobId === jobId);
+  }
+
+  // Show how many notes (personal and team) the current job has on the header button
+  function updateJobBadge() {
+    if (!notesButton) return;
+
+    const count = getJobNotes(currentJobId, notes).length + getJobNotes(currentJobId, teamNotes).length;
+    let badge = notesButton.querySelector('.jt-notes-job-badge');
+
+    if (count === 0) {
+      if (badge) badge.remove();
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'jt-notes-job-badge';
+      notesButton.appendChild(badge);
+    }
+    badge.textContent = count > 9 ? '9+' : String(count);
+    badge.title = `${count} note${count === 1 ? '' : 's'} for this job`;
+  }
+
+  // Pick up SPA navigation to (or away from) a job
+  function checkJobChange() {
+    const jobId = getJobIdFromUrl();
+    if (jobId === currentJobId) return;
+
+    currentJobId = jobId;
+    if (notesPanel) {
+      renderNotesList();
+      renderEditorJobLink();
+    } else {
+      updateJobBadge();
+    }
+  }
+
+  // Link or unlink the current note to the job being viewed
+  function toggleNoteJobLink(noteId) {
+    const note = getCurrentNotes().find(n => n.id === noteId);
+    if (!note) return;
+
+    const jobId = note.jobId ? null : currentJobId;
+    if (!note.jobId && !jobId) return;
+
+    updateNote(noteId, { jobId });
+    renderEditorJobLink();
+  }
+
+  // Find a note by ID in personal ('my') or team notes
+  function findNote(noteId, source) {
+    return (source === 'team' ? teamNotes : notes).find(n => n.id === noteId);
+  }
+
+  // Pop the current note out into a floating card, or close its card
+  function toggleFloatingNote(noteId) {
+    const floating = getFloating();
+    if (!floating.openCard) return;
+
+    if (floating.isCardOpen(noteId)) {
+      floating.closeCard(noteId);
+    } else {
+      floating.openCard(noteId, activeTab);
+    }
+  }
+
+  // Save a checklist item toggled on a floating card
+  function updateFloatingNoteContent(noteId, source, content) {
+    if (source === 'team') {
+      updateTeamNote(noteId, { content });
+    } else {
+      updatePersonalNote(noteId, { content });
+    }
+    if (noteId === currentNoteId && source === activeTab) {
+      renderNoteEditor();
+    }
+  }
+
+  // Open a floating card's note in the panel
+  async function openFloatingNote(noteId, source) {
+    if (source !== activeTab) {
+      await switchTab(source);
+    }
+    if (!notesPanel.classList.contains('visible')) {
+      togglePanel();
+    }
+    currentNoteId = noteId;
+    renderNotesList();
+    renderNoteEditor();
+    openEditor();
+  }
+
+  // Show whether the open note has a floating card on the editor's float button
+  function renderEditorFloatButton() {
+    const button = notesPanel?.querySelector('.jt-notes-float-button');
+    if (!button) return;
+
+    const isOpen = !!(currentNoteId && getFloating().isCardOpen?.(currentNoteId));
+    button.classList.toggle('active', isOpen);
+    button.title = isOpen ? 'Close floating card' : 'Pop out as a floating card';
+  }
+
+  // Markdown to send to JobTread: the text selected in the editor, or the whole note
+  function getSendMarkdown(contentInput) {
+    const markdown = getMarkdown();
+    if (!markdown.htmlToMarkdown) return { text: '', isSelection: false };
+
+    const selection = window.getSelection();
+    if (selection && selection.rangeCount > 0 && !selection.isCollapsed &&
+        contentInput.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+      const fragment = document.createElement('div');
+      fragment.appendChild(selection.getRangeAt(0).cloneContents());
+      return { text: markdown.htmlToMarkdown(fragment), isSelection: true };
+    }
+
+    return { text: markdown.htmlToMarkdown(contentInput), isSelection: false };
+  }
+
+  // Show the Send to… menu listing the JobTread fields the note can be inserted into
+  function showSendMenu(wrapper, contentInput) {
+    const existingMenu = wrapper.querySelector('.jt-notes-send-menu');
+    if (existingMenu) {
+      existingMenu.remove();
+      return;
+    }
+
+    const send = getSend();
+    const markdown = getMarkdown();
+    const escape = (text) => markdown.escapeHtml ? markdown.escapeHtml(text) : text;
+    const { text, isSelection } = getSendMarkdown(contentInput);
+    const targets = send.getTargets();
+
+    const itemsHtml = targets.map((target, index) => `
+      <button class="jt-notes-send-item" data-index="${index}">
+        <span class="jt-notes-send-item-label">${escape(target.label)}</span>
+        ${target.isLastFocused ? '<span class="jt-notes-send-item-hint">Last used</span>' : ''}
+      </button>
+    `).join('');
+
+    const menu = document.createElement('div');
+    menu.className = 'jt-notes-send-menu';
+    menu.innerHTML = `
+      <div class="jt-notes-send-menu-header">${isSelection ? 'Send selection to' : 'Send note to'}</div>
+      ${itemsHtml || '<div class="jt-notes-send-empty">Click into a JobTread message, daily log or description field, then try again.</div>'}
+    `;
+    wrapper.appendChild(menu);
+
+    // Keep the editor selection while picking a target
+    menu.addEventListener('mousedown', (e) => e.preventDefault());
+
+    menu.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const item = e.target.closest('.jt-notes-send-item');
+      if (!item) return;
+
+      const target = targets[Number(item.dataset.index)];
+      menu.remove();
+      if (!text.trim()) {
+        alert('This note is empty.');
+      } else if (!send.sendToField(target.field, text)) {
+        alert(`Could not insert the note into "${target.label}". The field may have been closed.`);
+      }
+    });
+
+    // Close menu when clicking outside
+    const closeMenu = (e) => {
+      if (!wrapper.contains(e.target)) {
+        menu.remove();
+        document.removeEventListener('click', closeMenu);
+      }
+    };
+
+    setTimeout(() => {
+      document.addEventListener('click', closeMenu);
+    }, 0);
+  }
+
+  // Apply personal notes changed by a sync and queue a notice for any conflicts
+  // Notes edited here since the sync started keep their in-memory version
+  function handleNotesSynced({ notes: syncedNotes, sent, conflicts }) {
+    const previous = notes.find(n => n.id === currentNoteId);
+    const storage = getStorage();
+    notes = storage.reconcileSyncedNotes
+      ? storage.reconcileSyncedNotes(sent, syncedNotes, notes).notes
+      : syncedNotes;
+
+    if (conflicts.length > 0) {
+      const conflictIds = new Set(conflicts.map(c => c.noteId));
+      syncConflicts = syncConflicts.filter(c => !conflictIds.has(c.noteId)).concat(conflicts);
+    }
+
+    if (!notesPanel) return;
+    renderTabs();
+    renderNotesList();
+
+    // Re-render the open note if the sync changed it, so the next keystroke doesn't save over the merge
+    const updated = notes.find(n => n.id === currentNoteId);
+    if (activeTab === 'my' && previous && (!updated || updated.title !== previous.title || updated.content !== previous.content)) {
+      renderNoteEditor();
+    }
+  }
+
   // Helper to load notes using storage module (sync-aware)
   async function loadNotes() {
     const storage = getStorage();
@@ -122,8 +352,14 @@ const QuickNotesFeature = (() => {
       const result = await window.AccountService.getTeamNotes();
 
       if (result.success) {
+        const previousVersions = new Map(teamNotes.map(n => [n.id, n.updatedAt]));
         teamNotes = result.notes || [];
         teamNotesLoaded = true;
+
+        // Keep each version we see from the server, so an overwrite by a teammate can be undone
+        teamNotes
+          .filter(n => previousVersions.get(n.id) !== n.updatedAt)
+          .forEach(n => recordNoteRevision(n, { author: n.updatedBy || n.createdBy || null }));
         console.log('QuickNotes: Team notes loaded', { count: teamNotes.length });
       } else {
         console.warn('QuickNotes: Failed to load team notes', result.error);
@@ -212,6 +448,7 @@ const QuickNotesFeature = (() => {
         title: 'Untitled Note',
         content: '',
         folder: targetFolder,
+        jobId: getJobIdFromUrl(),
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
@@ -232,12 +469,15 @@ const QuickNotesFeature = (() => {
       return;
     }
 
+    const jobId = getJobIdFromUrl();
+
     try {
       const result = await window.AccountService.saveTeamNote({
         title: 'Untitled Note',
         content: '',
         folder: folder,
-        isPinned: false
+        isPinned: false,
+        jobId
       });
 
       if (result.success) {
@@ -247,6 +487,7 @@ const QuickNotesFeature = (() => {
           content: '',
           folder: folder,
           isPinned: false,
+          jobId,
           createdBy: result.data.createdBy,
           updatedBy: null,
           createdAt: result.data.createdAt,
@@ -282,6 +523,9 @@ const QuickNotesFeature = (() => {
 
       // Delete personal note
       notes = notes.filter(n => n.id !== noteId);
+      const history = getHistory();
+      if (history.deleteRevisions) history.deleteRevisions(noteId);
+      if (getFloating().closeCard) getFloating().closeCard(noteId, { forget: true });
       if (currentNoteId === noteId) {
         currentNoteId = notes.length > 0 ? notes[0].id : null;
       }
@@ -298,6 +542,9 @@ const QuickNotesFeature = (() => {
 
       if (result.success) {
         teamNotes = teamNotes.filter(n => n.id !== noteId);
+        const history = getHistory();
+        if (history.deleteRevisions) history.deleteRevisions(noteId);
+        if (getFloating().closeCard) getFloating().closeCard(noteId, { forget: true });
         if (currentNoteId === noteId) {
           currentNoteId = teamNotes.length > 0 ? teamNotes[0].id : null;
         }
@@ -313,15 +560,26 @@ const QuickNotesFeature = (() => {
     }
   }
 
-  // Export notes as JSON file (uses storage module)
+  // Export notes as a Markdown ZIP or a JSON file (uses storage module)
   function exportNotes() {
     const storage = getStorage();
+    if (storage.exportNotesAsMarkdown && notes.length > 0) {
+      const asMarkdown = confirm(
+        'Export notes as Markdown files?\n\n' +
+        'Click OK for a ZIP of .md files, one folder per notes folder (opens in Obsidian and other Markdown apps)\n' +
+        'Click Cancel for a JSON backup file'
+      );
+      if (asMarkdown) {
+        storage.exportNotesAsMarkdown(notes);
+        return;
+      }
+    }
     if (storage.exportNotes) {
       storage.exportNotes(notes);
     }
   }
 
-  // Import notes from JSON file (uses storage module)
+  // Import notes from a JSON export, a Markdown ZIP, or .md/.txt files (uses storage module)
   function importNotes() {
     const storage = getStorage();
     if (storage.importNotes) {
@@ -345,48 +603,75 @@ const QuickNotesFeature = (() => {
   }
 
   // Update note content (handles both personal and team notes)
-  function updateNote(noteId, updates) {
+  // options.restoredFrom marks the change as a restore of that revision
+  function updateNote(noteId, updates, options = {}) {
     if (activeTab === 'team') {
-      updateTeamNote(noteId, updates);
+      updateTeamNote(noteId, updates, options);
     } else {
-      const note = notes.find(n => n.id === noteId);
-      if (note) {
-        Object.assign(note, updates, { updatedAt: Date.now() });
-        saveNotes();
-        renderNotesList();
-      }
+      updatePersonalNote(noteId, updates, options);
+    }
+  }
+
+  // Update a personal note (regardless of the active tab)
+  function updatePersonalNote(noteId, updates, options = {}) {
+    const note = notes.find(n => n.id === noteId);
+    if (!note) return;
+
+    const baseline = { title: note.title, content: note.content, savedAt: note.updatedAt };
+    Object.assign(note, updates, { updatedAt: Date.now() });
+    if ('title' in updates || 'content' in updates) {
+      recordNoteRevision(note, { baseline, restoredFrom: options.restoredFrom });
     }
+    saveNotes();
+    renderNotesList();
   }
 
   // Debounced team note save
-  let teamNoteSaveTimeout = null;
+  // Per note, so saving one note doesn't cancel another note's pending save
+  const teamNoteSaveTimeouts = new Map(); // { noteId: timeout }
+  const teamNoteRestoredFrom = new Map(); // { noteId: revision ID when the pending save is a restore }
+  const teamNoteRevisionsPushedAt = new Map(); // { noteId: savedAt of the newest revision sent }
   const TEAM_NOTE_SAVE_DEBOUNCE = 1000; // 1 second
 
   // Update a team note (debounced save to server)
-  function updateTeamNote(noteId, updates) {
+  function updateTeamNote(noteId, updates, options = {}) {
     const note = teamNotes.find(n => n.id === noteId);
     if (!note) return;
 
     // Update local copy immediately for responsiveness
     Object.assign(note, updates, { updatedAt: Date.now() });
+    if (options.restoredFrom) teamNoteRestoredFrom.set(noteId, options.restoredFrom);
     renderNotesList();
 
     // Debounce the server save
-    clearTimeout(teamNoteSaveTimeout);
-    teamNoteSaveTimeout = setTimeout(async () => {
+    clearTimeout(teamNoteSaveTimeouts.get(noteId));
+    teamNoteSaveTimeouts.set(noteId, setTimeout(async () => {
+      const restoredFrom = teamNoteRestoredFrom.get(noteId) || null;
+      teamNoteSaveTimeouts.delete(noteId);
+      teamNoteRestoredFrom.delete(noteId);
+
       try {
+        // Record this version first so it goes to the server with the save
+        await recordNoteRevision(note, { author: getCurrentAuthor(), restoredFrom });
+        const revisions = await getUnpushedTeamRevisions(noteId);
+
         const result = await window.AccountService.saveTeamNote({
           id: noteId,
           title: note.title,
           content: note.content,
           folder: note.folder || 'General',
-          isPinned: note.isPinned || false
+          isPinned: note.isPinned || false,
+          jobId: note.jobId || null,
+          revisions
         });
 
         if (result.success) {
           // Update with server response
           note.updatedBy = result.data.updatedBy;
           note.updatedAt = result.data.updatedAt;
+          if (revisions.length > 0) {
+            teamNoteRevisionsPushedAt.set(noteId, Math.max(...revisions.map(r => r.savedAt || 0)));
+          }
           renderNotesList();
           console.log('QuickNotes: Team note saved to server');
         } else {
@@ -395,7 +680,41 @@ const QuickNotesFeature = (() => {
       } catch (error) {
         console.error('QuickNotes: Error saving team note', error);
       }
-    }, TEAM_NOTE_SAVE_DEBOUNCE);
+    }, TEAM_NOTE_SAVE_DEBOUNCE));
+  }
+
+  // Get a team note's revisions that haven't been sent to the server by this page yet
+  async function getUnpushedTeamRevisions(noteId) {
+    const history = getHistory();
+    if (!history.getRevisionsForNotes) return [];
+
+    const revisions = await history.getRevisionsForNotes([noteId], teamNoteRevisionsPushedAt.get(noteId) ?? null);
+    return revisions[noteId] || [];
+  }
+
+  // Get the signed-in user as a revision author (for team notes when the server doesn't say)
+  function getCurrentAuthor() {
+    const user = window.AccountService?.getCurrentUser?.();
+    if (!user) return null;
+    return { id: user.id || null, name: user.displayName || user.name || user.email || null };
+  }
+
+  // Record a note's current title/content in its revision history
+  // options: { author, baseline, restoredFrom } (see QuickNotesHistory.recordRevision)
+  // Resolves once the revision is stored (never rejects)
+  function recordNoteRevision(note, options = {}) {
+    const history = getHistory();
+    if (!history.recordRevision) return Promise.resolve();
+
+    const { author = null, baseline = null, restoredFrom = null } = options;
+    return history.recordRevision(note.id, {
+      title: note.title,
+      content: note.content,
+      author,
+      savedAt: note.updatedAt
+    }, { baseline, restoredFrom }).catch(error => {
+      console.warn('QuickNotes: Failed to record revision', error);
+    });
   }
 
   // Format date
@@ -760,15 +1079,29 @@ const QuickNotesFeature = (() => {
   }
 
   // Render a single note item HTML
-  function renderNoteItem(note, markdown) {
-    const previewContent = (note.content || '').slice(0, 150);
-    const parsedPreview = (markdown.parseMarkdown ? markdown.parseMarkdown(previewContent) : previewContent)
-      .replace(/<div[^>]*>/g, ' ')
-      .replace(/<\/div>/g, ' ')
-      .replace(/\n/g, ' ')
-      .trim();
-
-    const escapedTitle = markdown.escapeHtml ? markdown.escapeHtml(note.title || 'Untitled Note') : (note.title || 'Untitled Note');
+  // matchedTerms (search results only) highlights those words and previews the text around them
+  function renderNoteItem(note, markdown, matchedTerms = null) {
+    const search = getSearch();
+    const isSearchResult = matchedTerms !== null && search.highlight;
+    let parsedPreview;
+    let escapedTitle;
+
+    if (isSearchResult) {
+      // Strip list/heading/emphasis markers so the excerpt reads as plain text
+      const plainContent = (note.content || '')
+        .replace(/^\s*(?:[-*]\s+\[[ xX]\]|[-*]|\d+\.|#+)\s*/gm, '')
+        .replace(/[*_~`|]/g, '');
+      parsedPreview = search.highlight(search.getSnippet(plainContent, matchedTerms), matchedTerms);
+      escapedTitle = search.highlight(note.title || 'Untitled Note', matchedTerms);
+    } else {
+      const previewContent = (note.content || '').slice(0, 150);
+      parsedPreview = (markdown.parseMarkdown ? markdown.parseMarkdown(previewContent) : previewContent)
+        .replace(/<div[^>]*>/g, ' ')
+        .replace(/<\/div>/g, ' ')
+        .replace(/\n/g, ' ')
+        .trim();
+      escapedTitle = markdown.escapeHtml ? markdown.escapeHtml(note.title || 'Untitled Note') : (note.title || 'Untitled Note');
+    }
     const isPinned = note.isPinned || false;
 
     // Attribution for team notes
@@ -794,6 +1127,7 @@ const QuickNotesFeature = (() => {
         </div>
         <div class="jt-note-item-preview">${parsedPreview}</div>
         <div class="jt-note-item-meta">
+          ${isSearchResult ? `<span class="jt-note-item-folder">${markdown.escapeHtml ? markdown.escapeHtml(note.folder || 'General') : (note.folder || 'General')}</span>` : ''}
           ${attribution}
           <span class="jt-note-item-date">${formatDate(note.updatedAt)}</span>
         </div>
@@ -832,6 +1166,124 @@ const QuickNotesFeature = (() => {
     `;
   }
 
+  // Render the sync conflict notice HTML
+  function renderConflictNotice(markdown) {
+    const escape = (text) => markdown.escapeHtml ? markdown.escapeHtml(text) : text;
+    const itemsHtml = syncConflicts.map(conflict => `
+      <button class="jt-notes-conflict-item" data-note-id="${conflict.copyId || conflict.noteId}">
+        <span class="jt-notes-conflict-item-title">${escape(conflict.title || 'Untitled Note')}</span>
+        <span class="jt-notes-conflict-item-status">${conflict.merged ? 'Changes merged' : 'Your version saved as a copy'}</span>
+      </button>
+    `).join('');
+
+    return `
+      <div class="jt-notes-conflict-notice">
+        <div class="jt-notes-conflict-header">
+          <span>Also changed on another device</span>
+          <button class="jt-notes-conflict-dismiss" title="Dismiss">×</button>
+        </div>
+        <div class="jt-notes-conflict-items">${itemsHtml}</div>
+      </div>
+    `;
+  }
+
+  // Render the "This job" section HTML (notes linked to the job being viewed)
+  function renderJobSection(jobNotes, markdown) {
+    const notesHtml = jobNotes.map(note => renderNoteItem(note, markdown)).join('');
+
+    return `
+      <div class="jt-notes-job-section">
+        <div class="jt-notes-job-section-header">
+          <span class="jt-notes-job-section-name">This job</span>
+          <span class="jt-notes-folder-count">${jobNotes.length}</span>
+        </div>
+        <div class="jt-notes-job-section-content">
+          ${notesHtml}
+        </div>
+      </div>
+    `;
+  }
+
+  // Render the Tasks view HTML: open checklist items grouped by due status
+  function renderTasksView(taskList, markdown) {
+    const tasks = getTasks();
+    const escape = (text) => markdown.escapeHtml ? markdown.escapeHtml(text) : text;
+    const groupLabels = { overdue: 'Overdue', today: 'Today', upcoming: 'Upcoming', none: 'No due date' };
+    const groups = tasks.groupTasksByStatus(taskList);
+
+    if (groups.length === 0) {
+      return `
+        <div class="jt-notes-empty">
+          ${searchTerm ? 'No open tasks match your search' : 'No open tasks. Add checklist items to your notes, with @YYYY-MM-DD for a due date.'}
+        </div>
+      `;
+    }
+
+    return groups.map(group => {
+      const itemsHtml = group.tasks.map(task => `
+        <div class="jt-notes-task ${group.status}" data-task-index="${taskList.indexOf(task)}">
+          <input type="checkbox" class="jt-notes-task-checkbox" title="Mark as done">
+          <div class="jt-notes-task-body">
+            <div class="jt-notes-task-text">${markdown.processInlineFormatting ? markdown.processInlineFormatting(task.text) : escape(task.text)}</div>
+            <div class="jt-notes-task-meta">
+              <span class="jt-notes-task-note">${escape(task.noteTitle)}</span>
+              ${task.dueDate ? `<span class="jt-notes-task-due" title="${task.dueDate}">${tasks.formatDueLabel(task.dueDate)}</span>` : ''}
+            </div>
+          </div>
+        </div>
+      `).join('');
+
+      return `
+        <div class="jt-notes-task-group ${group.status}">
+          <div class="jt-notes-task-group-header">
+            <span class="jt-notes-task-group-name">${groupLabels[group.status]}</span>
+            <span class="jt-notes-folder-count">${group.tasks.length}</span>
+          </div>
+          ${itemsHtml}
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Show the Tasks toggle as active and how many tasks are overdue
+  function updateTasksButton() {
+    const button = notesPanel?.querySelector('#tasksViewBtn');
+    if (!button) return;
+
+    const tasks = getTasks();
+    button.classList.toggle('active', isTasksView);
+    button.title = isTasksView ? 'Back to notes' : 'Open checklist items across all notes, by due date';
+
+    const overdueCount = tasks.extractTasks
+      ? tasks.extractTasks(getCurrentNotes()).filter(task => task.status === 'overdue').length
+      : 0;
+    const countEl = button.querySelector('.jt-notes-tasks-overdue');
+    countEl.textContent = overdueCount > 0 ? String(overdueCount) : '';
+    countEl.title = overdueCount > 0 ? `${overdueCount} overdue` : '';
+  }
+
+  // Switch between the notes list and the Tasks view
+  function toggleTasksView() {
+    isTasksView = !isTasksView;
+    renderNotesList();
+  }
+
+  // Check off a task from the Tasks view by updating its source note
+  function completeTask(task) {
+    const note = getCurrentNotes().find(n => n.id === task.noteId);
+    const content = note ? getTasks().setTaskChecked(note.content, task, true) : null;
+    if (content === null) {
+      // The note changed since the list was drawn
+      renderNotesList();
+      return;
+    }
+
+    updateNote(task.noteId, { content });
+    if (task.noteId === currentNoteId) {
+      renderNoteEditor();
+    }
+  }
+
   // Folder drag handlers
   function handleFolderDragStart(e) {
     const folderGroup = e.target.closest('.jt-notes-folder-group');
@@ -1151,14 +1603,21 @@ const QuickNotesFeature = (() => {
     const notesList = notesPanel.querySelector('.jt-notes-list');
     if (!notesList) return;
 
+    updateJobBadge();
+    updateTasksButton();
+    if (getFloating().refreshCards) getFloating().refreshCards();
+
     const markdown = getMarkdown();
     const currentNotes = getCurrentNotes();
 
-    const filteredNotes = currentNotes.filter(note => {
+    // Ranked full-text search when the search module is loaded, plain substring filter otherwise
+    const search = getSearch();
+    const searchResults = searchTerm.trim() && search.search ? search.search(currentNotes, searchTerm) : null;
+    const filteredNotes = searchResults ? searchResults.map(result => result.note) : currentNotes.filter(note => {
       if (!searchTerm) return true;
-      const search = searchTerm.toLowerCase();
-      return (note.title || '').toLowerCase().includes(search) ||
-             (note.content || '').toLowerCase().includes(search);
+      const term = searchTerm.toLowerCase();
+      return (note.title || '').toLowerCase().includes(term) ||
+             (note.content || '').toLowerCase().includes(term);
     });
 
     // Show loading state for team notes
@@ -1187,6 +1646,28 @@ const QuickNotesFeature = (() => {
       return;
     }
 
+    // Tasks view lists open checklist items from the notes matching the search
+    const tasks = getTasks();
+    if (isTasksView && tasks.extractTasks) {
+      const taskList = tasks.extractTasks(filteredNotes);
+      notesList.innerHTML = renderTasksView(taskList, markdown);
+
+      notesList.querySelectorAll('.jt-notes-task').forEach(item => {
+        const task = taskList[Number(item.dataset.taskIndex)];
+        item.querySelector('.jt-notes-task-checkbox').addEventListener('change', (e) => {
+          e.stopPropagation();
+          completeTask(task);
+        });
+        item.addEventListener('click', (e) => {
+          if (e.target.closest('.jt-notes-task-checkbox')) return;
+          currentNoteId = task.noteId;
+          renderNoteEditor();
+          openEditor();
+        });
+      });
+      return;
+    }
+
     if (filteredNotes.length === 0) {
       const emptyMessage = activeTab === 'team'
         ? (searchTerm ? 'No team notes match your search' : 'No team notes yet. Create one to share with your team!')
@@ -1205,18 +1686,52 @@ const QuickNotesFeature = (() => {
     const folders = getFoldersList(filteredNotes);
     const collapsedFolders = getCollapsedFolders();
 
-    // Render folder groups
     let html = '';
-    for (const folderName of folders) {
-      const folderNotes = grouped[folderName] || [];
-      if (folderNotes.length === 0) continue; // Skip empty folders
+    if (activeTab === 'my' && syncConflicts.length > 0) {
+      html += renderConflictNotice(markdown);
+    }
 
-      const isCollapsed = collapsedFolders.has(folderName);
-      html += renderFolderGroup(folderName, folderNotes, isCollapsed, markdown);
+    if (searchResults) {
+      // Search results are listed by relevance rather than by folder
+      html += `<div class="jt-notes-search-summary">${searchResults.length} result${searchResults.length === 1 ? '' : 's'}</div>`;
+      html += searchResults.map(result => renderNoteItem(result.note, markdown, result.terms)).join('');
+    } else {
+      // Notes for the job being viewed go above the folders (they stay in their folders too)
+      const jobNotes = getJobNotes(currentJobId, filteredNotes);
+      if (jobNotes.length > 0) {
+        html += renderJobSection(jobNotes, markdown);
+      }
+
+      // Render folder groups
+      for (const folderName of folders) {
+        const folderNotes = grouped[folderName] || [];
+        if (folderNotes.length === 0) continue; // Skip empty folders
+
+        const isCollapsed = collapsedFolders.has(folderName);
+        html += renderFolderGroup(folderName, folderNotes, isCollapsed, markdown);
+      }
     }
 
     notesList.innerHTML = html;
 
+    // Add event handlers for the conflict notice
+    const conflictDismiss = notesList.querySelector('.jt-notes-conflict-dismiss');
+    if (conflictDismiss) {
+      conflictDismiss.addEventListener('click', (e) => {
+        e.stopPropagation();
+        syncConflicts = [];
+        renderNotesList();
+      });
+    }
+    notesList.querySelectorAll('.jt-notes-conflict-item').forEach(item => {
+      item.addEventListener('click', () => {
+        currentNoteId = item.dataset.noteId;
+        renderNotesList();
+        renderNoteEditor();
+        openEditor();
+      });
+    });
+
     // Add event handlers for folder headers
     notesList.querySelectorAll('.jt-notes-folder-header').forEach(header => {
       header.addEventListener('click', (e) => {
@@ -1308,6 +1823,212 @@ const QuickNotesFeature = (() => {
     });
   }
 
+  // Render the job link control in the editor footer
+  function renderEditorJobLink() {
+    const container = notesPanel?.querySelector('.jt-notes-job-link');
+    if (!container) return;
+
+    const note = getCurrentNotes().find(n => n.id === currentNoteId);
+    if (!note || (!note.jobId && !currentJobId)) {
+      container.innerHTML = '';
+      return;
+    }
+
+    if (note.jobId) {
+      const label = note.jobId === currentJobId ? 'This job' : 'Linked job';
+      container.innerHTML = `
+        <a class="jt-notes-job-link-target" href="/jobs/${encodeURIComponent(note.jobId)}" title="Open linked job">${label}</a>
+        <button class="jt-notes-job-link-btn" title="Unlink from job">×</button>
+      `;
+    } else {
+      container.innerHTML = `
+        <button class="jt-notes-job-link-btn" title="Show this note in the job's Quick Notes">Link to this job</button>
+      `;
+    }
+
+    container.querySelector('.jt-notes-job-link-btn').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      toggleNoteJobLink(currentNoteId);
+    });
+  }
+
+  // Show the version history view for the current note (replaces the editor body)
+  async function showNoteHistory() {
+    const editorContainer = notesPanel?.querySelector('.jt-notes-editor');
+    const history = getHistory();
+    const note = getCurrentNotes().find(n => n.id === currentNoteId);
+    if (!editorContainer || !note || !history.loadRevisions) return;
+
+    const revisions = await history.loadRevisions(note.id);
+
+    closeNoteHistory();
+    const view = document.createElement('div');
+    view.className = 'jt-notes-history';
+    editorContainer.appendChild(view);
+    editorContainer.classList.add('showing-history');
+
+    renderNoteHistory(view, note, revisions, revisions.length > 0 ? revisions[0].id : null, 'current');
+  }
+
+  // Close the version history view
+  function closeNoteHistory() {
+    const editorContainer = notesPanel?.querySelector('.jt-notes-editor');
+    if (!editorContainer) return;
+
+    const view = editorContainer.querySelector('.jt-notes-history');
+    if (view) view.remove();
+    editorContainer.classList.remove('showing-history');
+  }
+
+  // Render the revision list and the diff between the selected revision and another version
+  function renderNoteHistory(view, note, revisions, selectedId, compareId) {
+    const markdown = getMarkdown();
+    const escape = (text) => markdown.escapeHtml ? markdown.escapeHtml(text) : text;
+    const current = { id: 'current', title: note.title, content: note.content, savedAt: Infinity };
+    const selected = revisions.find(r => r.id === selectedId);
+    const describeAuthor = (revision) => revision.author?.name
+      ? escape(revision.author.name)
+      : (activeTab === 'team' ? 'Unknown' : 'You');
+
+    const listHtml = revisions.map(revision => `
+      <button class="jt-notes-history-item ${revision.id === selectedId ? 'selected' : ''}" data-revision-id="${revision.id}">
+        <span class="jt-notes-history-item-date">${new Date(revision.savedAt).toLocaleString()}</span>
+        <span class="jt-notes-history-item-author">
+          ${describeAuthor(revision)}
+          ${revision.restoredFrom ? '<span class="jt-notes-history-restored">Restored</span>' : ''}
+        </span>
+      </button>
+    `).join('');
+
+    let detailHtml = '<div class="jt-notes-history-empty">No earlier versions yet. Versions are saved as you edit.</div>';
+    if (selected) {
+      const other = compareId === 'current' ? current : (revisions.find(r => r.id === compareId) || current);
+      const [older, newer] = selected.savedAt <= other.savedAt ? [selected, other] : [other, selected];
+      const isCurrentVersion = selected.title === note.title && selected.content === note.content;
+
+      const compareOptions = [current, ...revisions.filter(r => r.id !== selectedId)].map(version => `
+        <option value="${version.id}" ${version.id === other.id ? 'selected' : ''}>
+          ${version.id === 'current' ? 'Current note' : new Date(version.savedAt).toLocaleString()}
+        </option>
+      `).join('');
+
+      const titleHtml = older.title !== newer.title
+        ? `<div class="jt-notes-history-title-change">Title: <del>${escape(older.title || 'Untitled Note')}</del> → <ins>${escape(newer.title || 'Untitled Note')}</ins></div>`
+        : '';
+
+      detailHtml = `
+        <div class="jt-notes-history-compare">
+          <label>Compare with
+            <select class="jt-notes-history-compare-select">${compareOptions}</select>
+          </label>
+        </div>
+        ${titleHtml}
+        <div class="jt-notes-history-diff">${renderDiff(older.content, newer.content)}</div>
+        <div class="jt-notes-history-actions">
+          <button class="jt-notes-history-restore" ${isCurrentVersion ? 'disabled title="This is the current version"' : ''}>Restore this version</button>
+        </div>
+      `;
+    }
+
+    view.innerHTML = `
+      <div class="jt-notes-history-header">
+        <span class="jt-notes-history-heading">Version history</span>
+        <button class="jt-notes-history-close" title="Back to note">×</button>
+      </div>
+      <div class="jt-notes-history-body">
+        <div class="jt-notes-history-list">${listHtml}</div>
+        <div class="jt-notes-history-detail">${detailHtml}</div>
+      </div>
+    `;
+
+    view.querySelector('.jt-notes-history-close').addEventListener('click', closeNoteHistory);
+
+    view.querySelectorAll('.jt-notes-history-item').forEach(item => {
+      item.addEventListener('click', () => {
+        renderNoteHistory(view, note, revisions, item.dataset.revisionId, 'current');
+      });
+    });
+
+    const compareSelect = view.querySelector('.jt-notes-history-compare-select');
+    if (compareSelect) {
+      compareSelect.addEventListener('change', (e) => {
+        renderNoteHistory(view, note, revisions, selectedId, e.target.value);
+      });
+    }
+
+    const restoreButton = view.querySelector('.jt-notes-history-restore');
+    if (restoreButton && selected) {
+      restoreButton.addEventListener('click', () => restoreRevision(selected));
+    }
+  }
+
+  // Render a line diff as HTML, collapsing long unchanged stretches
+  function renderDiff(oldText, newText) {
+    const history = getHistory();
+    const markdown = getMarkdown();
+    const escape = (text) => markdown.escapeHtml ? markdown.escapeHtml(text) : text;
+    const lines = history.diffLines ? history.diffLines(oldText, newText) : [];
+    const CONTEXT_LINES = 2;
+
+    if (!lines.some(line => line.type !== 'same')) {
+      return '<div class="jt-notes-history-empty">No differences</div>';
+    }
+
+    // Keep unchanged lines only near a change
+    const nearChange = lines.map((line, index) => lines
+      .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+      .some(l => l.type !== 'same'));
+
+    let html = '';
+    let skipped = 0;
+    lines.forEach((line, index) => {
+      if (line.type === 'same' && !nearChange[index]) {
+        skipped++;
+        return;
+      }
+      if (skipped > 0) {
+        html += `<div class="jt-notes-diff-skip">… ${skipped} unchanged line${skipped === 1 ? '' : 's'}</div>`;
+        skipped = 0;
+      }
+      const marker = line.type === 'added' ? '+' : (line.type === 'removed' ? '−' : ' ');
+      html += `<div class="jt-notes-diff-line ${line.type}"><span class="jt-notes-diff-marker">${marker}</span>${escape(line.text) || '&nbsp;'}</div>`;
+    });
+    if (skipped > 0) {
+      html += `<div class="jt-notes-diff-skip">… ${skipped} unchanged line${skipped === 1 ? '' : 's'}</div>`;
+    }
+
+    return html;
+  }
+
+  // Replace the current note's title/content with a revision (the replaced version stays in history)
+  function restoreRevision(revision) {
+    if (!confirm(`Restore the version from ${new Date(revision.savedAt).toLocaleString()}?\nThe current version will stay in the history.`)) {
+      return;
+    }
+
+    updateNote(currentNoteId, {
+      title: revision.title || 'Untitled Note',
+      content: revision.content || ''
+    }, { restoredFrom: revision.id });
+    renderNoteEditor();
+  }
+
+  // Highlight the current search's matched words in the open note
+  // Uses the CSS Custom Highlight API so the editable content (and the saved markdown) is untouched
+  function highlightSearchMatches(contentInput) {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return;
+    CSS.highlights.delete(SEARCH_HIGHLIGHT_NAME);
+
+    const search = getSearch();
+    if (!contentInput || !searchTerm.trim() || !search.search) return;
+
+    const result = search.search(getCurrentNotes(), searchTerm).find(r => r.note.id === currentNoteId);
+    if (!result || result.terms.length === 0) return;
+
+    CSS.highlights.set(SEARCH_HIGHLIGHT_NAME, new Highlight(...search.findRanges(contentInput, result.terms)));
+  }
+
   // Count words in text
   function countWords(text) {
     if (!text) return 0;
@@ -1389,6 +2110,27 @@ const QuickNotesFeature = (() => {
             <option value="__new__">+ New Folder...</option>
           </select>
         </div>
+        <div class="jt-notes-send-wrapper">
+          <button class="jt-notes-send-button" title="Send to a JobTread field">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24" width="16" height="16">
+              <path d="M22 2 11 13"></path>
+              <path d="M22 2 15 22l-4-9-9-4 20-7z"></path>
+            </svg>
+          </button>
+        </div>
+        <button class="jt-notes-float-button" title="Pop out as a floating card">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24" width="16" height="16">
+            <rect x="8" y="8" width="13" height="13" rx="2"></rect>
+            <path d="M16 8V5a2 2 0 0 0-2-2H5a2 2 0 0 0-2 2v9a2 2 0 0 0 2 2h3"></path>
+          </svg>
+        </button>
+        <button class="jt-notes-history-button" title="Version history">
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24" width="16" height="16">
+            <path d="M3 12a9 9 0 1 0 3-6.7L3 8"></path>
+            <path d="M3 3v5h5"></path>
+            <path d="M12 7v5l3 2"></path>
+          </svg>
+        </button>
         <button class="jt-notes-close-button" title="Close (Esc)"></button>
       </div>
       <div class="jt-notes-wysiwyg-container">
@@ -1446,6 +2188,14 @@ const QuickNotesFeature = (() => {
               <polyline points="9 11 12 14 22 4"></polyline>
             </svg>
           </button>
+          <button class="jt-notes-format-btn" data-format="duedate" title="Set Due Date (checklist item)">
+            <svg viewBox="0 0 24 24" width="16" height="16" stroke="currentColor" stroke-width="2" fill="none">
+              <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
+              <line x1="16" y1="2" x2="16" y2="6"></line>
+              <line x1="8" y1="2" x2="8" y2="6"></line>
+              <line x1="3" y1="10" x2="21" y2="10"></line>
+            </svg>
+          </button>
           <div class="jt-notes-toolbar-divider"></div>
           <button class="jt-notes-format-btn" data-format="link" title="Insert Link (Ctrl+K)">
             <svg viewBox="0 0 24 24" width="16" height="16" stroke="currentColor" stroke-width="2" fill="none">
@@ -1485,6 +2235,7 @@ const QuickNotesFeature = (() => {
       </div>
       <div class="jt-notes-editor-footer">
         <span class="jt-notes-word-count">${wordCount} words</span>
+        <span class="jt-notes-job-link"></span>
         <span class="jt-notes-updated">Updated ${formatDate(currentNote.updatedAt)}</span>
       </div>
     `;
@@ -1502,6 +2253,9 @@ const QuickNotesFeature = (() => {
     } else {
       contentInput.innerHTML = '<div><br></div>';
     }
+    highlightSearchMatches(contentInput);
+
+    renderEditorJobLink();
 
     // Reset editor history
     if (editor.resetHistory) {
@@ -1552,6 +2306,46 @@ const QuickNotesFeature = (() => {
       closeEditor();
     });
 
+    // Send to… button handler
+    const sendWrapper = editorContainer.querySelector('.jt-notes-send-wrapper');
+    if (getSend().sendToField) {
+      const sendButton = sendWrapper.querySelector('.jt-notes-send-button');
+      // Keep the editor selection so only the selected text is sent
+      sendButton.addEventListener('mousedown', (e) => e.preventDefault());
+      sendButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        showSendMenu(sendWrapper, contentInput);
+      });
+    } else {
+      sendWrapper.remove();
+    }
+
+    // Floating card button handler
+    const floatButton = editorContainer.querySelector('.jt-notes-float-button');
+    if (getFloating().openCard) {
+      floatButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleFloatingNote(currentNoteId);
+      });
+      renderEditorFloatButton();
+    } else {
+      floatButton.remove();
+    }
+
+    // Version history button handler
+    const historyButton = editorContainer.querySelector('.jt-notes-history-button');
+    historyButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (editorContainer.classList.contains('showing-history')) {
+        closeNoteHistory();
+      } else {
+        showNoteHistory();
+      }
+    });
+
     // Back button handler (mobile)
     const backButton = editorContainer.querySelector('.jt-notes-back-button');
     if (backButton) {
@@ -1758,11 +2552,8 @@ const QuickNotesFeature = (() => {
       // Check if dark mode is enabled
       if (settings.darkMode) {
         notesPanel.classList.add('dark-theme');
-        return;
-      }
-
-      // Check if custom RGB theme is enabled
-      if (settings.rgbTheme && settings.themeColors) {
+      } else if (settings.rgbTheme && settings.themeColors) {
+        // Custom RGB theme
         notesPanel.classList.add('custom-theme');
         const { primary, background, text } = settings.themeColors;
 
@@ -1781,6 +2572,9 @@ const QuickNotesFeature = (() => {
         notesPanel.style.setProperty('--jt-notes-border', borderColor);
         notesPanel.style.setProperty('--jt-notes-hover-bg', hoverBg);
       }
+
+      // Floating cards follow the panel's theme
+      if (getFloating().refreshCards) getFloating().refreshCards();
     });
   }
 
@@ -2019,6 +2813,7 @@ const QuickNotesFeature = (() => {
 
     // Insert BEFORE the Time Clock button (to the left of it)
     container.insertBefore(notesButton, beforeElement);
+    updateJobBadge();
   }
 
   // Create Quick Notes button that integrates with Jobtread action buttons
@@ -2065,6 +2860,7 @@ const QuickNotesFeature = (() => {
     } else {
       container.appendChild(notesButton);
     }
+    updateJobBadge();
   }
 
   // Check if current page should have the quick notes button
@@ -2239,6 +3035,7 @@ const QuickNotesFeature = (() => {
             type="text"
             class="jt-notes-search-input"
             placeholder="Search notes..."
+            title="Search titles, content, folders and checklists. Filters: folder:Name, is:pinned, is:unpinned, is:linked, has:checklist, has:open"
           />
           <button class="jt-notes-new-button" title="New note (Alt+N)">
             <svg xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24" width="16" height="16">
@@ -2248,7 +3045,7 @@ const QuickNotesFeature = (() => {
           </button>
         </div>
         <div class="jt-notes-actions-container">
-          <button class="jt-notes-action-button" id="exportNotesBtn" title="Export notes as JSON file for backup">
+          <button class="jt-notes-action-button" id="exportNotesBtn" title="Export notes as Markdown files (ZIP) or a JSON backup">
             <svg xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24" width="14" height="14">
               <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
               <polyline points="7 10 12 15 17 10"></polyline>
@@ -2256,7 +3053,7 @@ const QuickNotesFeature = (() => {
             </svg>
             Export
           </button>
-          <button class="jt-notes-action-button" id="importNotesBtn" title="Import notes from a JSON file">
+          <button class="jt-notes-action-button" id="importNotesBtn" title="Import notes from a JSON or ZIP export, or from Markdown/text files">
             <svg xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24" width="14" height="14">
               <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
               <polyline points="17 8 12 3 7 8"></polyline>
@@ -2264,6 +3061,14 @@ const QuickNotesFeature = (() => {
             </svg>
             Import
           </button>
+          <button class="jt-notes-action-button" id="tasksViewBtn" title="Open checklist items across all notes, by due date">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24" width="14" height="14">
+              <polyline points="9 11 12 14 22 4"></polyline>
+              <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
+            </svg>
+            Tasks
+            <span class="jt-notes-tasks-overdue"></span>
+          </button>
         </div>
         <div class="jt-notes-list"></div>
       </div>
@@ -2296,10 +3101,14 @@ const QuickNotesFeature = (() => {
     const importButton = notesPanel.querySelector('#importNotesBtn');
     importButton.addEventListener('click', importNotes);
 
+    const tasksButton = notesPanel.querySelector('#tasksViewBtn');
+    tasksButton.addEventListener('click', toggleTasksView);
+
     const searchInput = notesPanel.querySelector('.jt-notes-search-input');
     searchInput.addEventListener('input', (e) => {
       searchTerm = e.target.value;
       renderNotesList();
+      highlightSearchMatches(notesPanel.querySelector('.jt-notes-content-input'));
     });
 
     // Add resize functionality
@@ -2466,6 +3275,12 @@ const QuickNotesFeature = (() => {
     link.id = 'jt-quick-notes-styles';
     document.head.appendChild(link);
 
+    // Pick up notes changed by sync (including conflicts found while loading below)
+    const syncStorage = getStorage();
+    if (syncStorage.onNotesSynced) {
+      syncStorage.onNotesSynced(handleNotesSynced);
+    }
+
     // Load notes from storage
     await loadNotes();
 
@@ -2501,6 +3316,10 @@ const QuickNotesFeature = (() => {
       }
     }
 
+    // Track the job being viewed for job-linked notes
+    currentJobId = getJobIdFromUrl();
+    jobUrlCheckInterval = setInterval(checkJobChange, 1000);
+
     // Create UI elements
     setupButtonObserver();
     createNotesPanel();
@@ -2513,6 +3332,25 @@ const QuickNotesFeature = (() => {
     renderNotesList();
     renderNoteEditor();
 
+    // Bring back floating cards from the previous page
+    const floating = getFloating();
+    if (floating.configure) {
+      floating.configure({
+        getNote: findNote,
+        updateContent: updateFloatingNoteContent,
+        openNote: openFloatingNote,
+        onCardsChanged: renderEditorFloatButton,
+        getThemeElement: () => notesPanel
+      });
+      const floatingSources = await floating.restoreCards();
+      if (floatingSources.includes('team') && !teamNotesLoaded && isTeamNotesAvailable()) {
+        loadTeamNotesFromServer().then(() => renderNotesList());
+      }
+    }
+
+    // Remember the JobTread field last typed in, for Send to…
+    if (getSend().startTracking) getSend().startTracking();
+
     // Add keyboard listener
     document.addEventListener('keydown', handleKeyboard);
 
@@ -2614,6 +3452,12 @@ const QuickNotesFeature = (() => {
       periodicCheckInterval = null;
     }
 
+    // Stop tracking job navigation
+    if (jobUrlCheckInterval) {
+      clearInterval(jobUrlCheckInterval);
+      jobUrlCheckInterval = null;
+    }
+
     // Disconnect observer
     if (buttonObserver) {
       buttonObserver.disconnect();
@@ -2630,6 +3474,17 @@ const QuickNotesFeature = (() => {
       notesPanel = null;
     }
 
+    // Remove floating cards (they come back on the next init)
+    if (getFloating().removeAllCards) getFloating().removeAllCards();
+
+    // Stop tracking JobTread fields for Send to…
+    if (getSend().stopTracking) getSend().stopTracking();
+
+    // Remove search highlights
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+      CSS.highlights.delete(SEARCH_HIGHLIGHT_NAME);
+    }
+
     // Remove CSS
     const styles = document.getElementById('jt-quick-notes-styles');
     if (styles) styles.remove();
@@ -2653,10 +3508,19 @@ const QuickNotesFeature = (() => {
     // Remove settings change listener
     chrome.runtime.onMessage.removeListener(handleSettingsChange);
 
+    // Stop listening for sync changes
+    const storage = getStorage();
+    if (storage.offNotesSynced) {
+      storage.offNotesSynced(handleNotesSynced);
+    }
+
     // Reset state
     notes = [];
     currentNoteId = null;
+    currentJobId = null;
+    syncConflicts = [];
     searchTerm = '';
+    isTasksView = false;
     isActive = false;
 
     console.log('QuickNotes: Deactivated');
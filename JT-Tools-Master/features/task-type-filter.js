@@ -26,7 +26,7 @@ const TaskTypeFilterFeature = (() => {
 
   // Storage keys
   const STORAGE_KEY = 'jtTaskTypeFilterSelections';
-  const CACHE_KEY = 'jtTaskTypeFilterCache';
+  const CACHE_KEY = 'jtTaskTypeFilterCache'; // Hashed with the date range and grant into the PaveQueryCache key
   const CACHE_DURATION = 2 * 60 * 1000; // 2 minutes
 
   // State
@@ -261,26 +261,10 @@ const TaskTypeFilterFeature = (() => {
       // Track the fetched date range so scanAndBuild can detect week changes
       lastFetchedDateRange = `${startDate}:${endDate}`;
 
-      // Check cache
-      const cached = await getCachedData();
-      let allTasks;
-      if (cached && cached.startDate === startDate && cached.endDate === endDate) {
-        taskTypes = cached.taskTypes;
-        allTasks = cached.tasks;
-        console.log('TaskTypeFilter: Using cached data');
-      } else {
-        const [types, tasks] = await Promise.all([
-          fetchTaskTypes(),
-          fetchTasksForDateRange(startDate, endDate)
-        ]);
-        taskTypes = types;
-        allTasks = tasks;
-
-        await setCachedData({
-          startDate, endDate, taskTypes: types, tasks, timestamp: Date.now()
-        });
-        console.log(`TaskTypeFilter: Loaded ${types.length} task types, ${tasks.length} tasks`);
-      }
+      const data = await loadTaskData(startDate, endDate);
+      taskTypes = data.taskTypes;
+      const allTasks = data.tasks;
+      console.log(`TaskTypeFilter: Loaded ${taskTypes.length} task types, ${allTasks.length} tasks`);
 
       // Filter to unassigned, non-group tasks only
       // Groups/phases have no assignees AND no taskType — exclude them
@@ -323,18 +307,40 @@ const TaskTypeFilterFeature = (() => {
     }
   }
 
-  async function getCachedData() {
-    try {
-      const result = await chrome.storage.local.get([CACHE_KEY]);
-      const cached = result[CACHE_KEY];
-      if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) return cached;
-      return null;
-    } catch (e) { return null; }
+  /**
+   * Load task types and tasks for a date range through the shared query cache
+   * A stale cached range is shown immediately and re-rendered once the refresh lands.
+   * The cache key includes the grant, so switching organizations never shows another org's tasks.
+   */
+  async function loadTaskData(startDate, endDate) {
+    const fetchData = async () => {
+      const [types, tasks] = await Promise.all([
+        fetchTaskTypes(),
+        fetchTasksForDateRange(startDate, endDate)
+      ]);
+      return { taskTypes: types, tasks };
+    };
+
+    if (typeof PaveQueryCache === 'undefined' || typeof JobTreadProService === 'undefined') return fetchData();
+
+    // Without a grant there's nothing to scope the cache to (fetchData reports the setup error)
+    const grantKey = await JobTreadProService.getGrantKey();
+    if (!grantKey) return fetchData();
+
+    const range = `${startDate}:${endDate}`;
+    const key = await PaveQueryCache.hashQuery({ [CACHE_KEY]: { startDate, endDate } }, grantKey);
+    return PaveQueryCache.remember(key, fetchData, {
+      entities: ['taskTypes', 'tasks'],
+      ttl: CACHE_DURATION,
+      onUpdate: () => {
+        if (isActiveState && lastFetchedDateRange === range) loadData();
+      }
+    });
   }
 
-  async function setCachedData(data) {
-    try { await chrome.storage.local.set({ [CACHE_KEY]: data }); }
-    catch (e) { console.error('TaskTypeFilter: Cache write error:', e); }
+  async function clearTaskCache() {
+    if (typeof PaveQueryCache === 'undefined') return;
+    try { await PaveQueryCache.invalidate(['tasks']); } catch (e) { /* */ }
   }
 
   async function loadSelections() {
@@ -732,7 +738,7 @@ const TaskTypeFilterFeature = (() => {
           saveSelections();
           renderInjectedRows();
         } else if (action === 'refresh') {
-          try { await chrome.storage.local.remove([CACHE_KEY]); } catch (e) { /* */ }
+          await clearTaskCache();
           loadData();
         }
       });
@@ -882,8 +888,7 @@ const TaskTypeFilterFeature = (() => {
       removeInjectedRows();
       unassignedTasks = [];
       tasksByType = {};
-      chrome.storage.local.remove([CACHE_KEY]).catch(() => {});
-      scanAndBuild();
+      clearTaskCache().then(scanAndBuild);
     }
   };
 })();
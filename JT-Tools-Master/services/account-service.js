@@ -416,8 +416,10 @@ const AccountService = (() => {
 
   /**
    * Sync notes with server
+   * Notes may carry `baseHash` (see QuickNotesConflicts); writes the server rejects because its
+   * copy changed since that base come back in `staleNoteIds` with the server's version in `notes`.
    * @param {Array} localNotes - Local notes array from QuickNotesStorage
-   * @returns {Promise<{success: boolean, notes?: Array, stats?: Object, error?: string}>}
+   * @returns {Promise<{success: boolean, notes?: Array, staleNoteIds?: Array, stats?: Object, error?: string}>}
    */
   async function syncNotes(localNotes = []) {
     if (!isLoggedIn()) {
@@ -435,6 +437,12 @@ const AccountService = (() => {
         deletedNoteIds = await window.QuickNotesStorage.getDeletedNoteIds();
       }
 
+      // Get revisions saved since the last sync; older ones are already on the server
+      let revisions = {};
+      if (window.QuickNotesHistory && window.QuickNotesHistory.getRevisionsForNotes) {
+        revisions = await window.QuickNotesHistory.getRevisionsForNotes(localNotes.map(note => note.id), lastSyncTimestamp);
+      }
+
       log('Syncing notes...', {
         localNotesCount: localNotes.length,
         deletedCount: deletedNoteIds.length,
@@ -452,8 +460,12 @@ const AccountService = (() => {
             content: note.content,
             folder: note.folder || 'General',
             isPinned: note.isPinned || false,
+            jobId: note.jobId || null,
             createdAt: note.createdAt,
-            updatedAt: note.updatedAt
+            updatedAt: note.updatedAt,
+            // Hash of the version this edit started from; the server rejects the write if its copy moved on
+            baseHash: note.baseHash || null,
+            revisions: revisions[note.id] || []
           })),
           deletedNoteIds: deletedNoteIds
         })
@@ -472,10 +484,14 @@ const AccountService = (() => {
           await window.QuickNotesStorage.clearDeletedNotes();
         }
 
+        // Revisions are kept in local storage, not on the (quota-limited) synced notes
+        const notes = await mergeNoteRevisions(result.data.notes);
+
         log('Notes synced successfully', result.data.stats);
         return {
           success: true,
-          notes: result.data.notes,
+          notes,
+          staleNoteIds: result.data.staleNoteIds || [],
           stats: result.data.stats
         };
       } else {
@@ -488,6 +504,25 @@ const AccountService = (() => {
     }
   }
 
+  /**
+   * Move revision history received with notes into the local history store
+   * @param {Array} notes - Notes from the server (may carry a `revisions` array)
+   * @returns {Promise<Array>} Notes without the `revisions` field
+   */
+  async function mergeNoteRevisions(notes) {
+    if (!Array.isArray(notes)) return notes;
+
+    if (window.QuickNotesHistory && window.QuickNotesHistory.mergeRevisions) {
+      try {
+        await window.QuickNotesHistory.mergeRevisions(notes);
+      } catch (error) {
+        logError('Revision merge error', error);
+      }
+    }
+
+    return notes.map(({ revisions, ...note }) => note);
+  }
+
   /**
    * Get last notes sync timestamp
    * @returns {Promise<number|null>}
@@ -544,6 +579,9 @@ const AccountService = (() => {
             id: template.id,
             name: template.name,
             content: template.content,
+            category: template.category || '',
+            tags: template.tags || [],
+            shortcut: template.shortcut || '',
             createdAt: template.createdAt,
             updatedAt: template.updatedAt
           })),
@@ -629,7 +667,7 @@ const AccountService = (() => {
         });
         return {
           success: true,
-          notes: result.data.notes || [],
+          notes: await mergeNoteRevisions(result.data.notes || []),
           serverTimestamp: result.data.serverTimestamp
         };
       } else {
@@ -644,7 +682,8 @@ const AccountService = (() => {
 
   /**
    * Save (create or update) a team note
-   * @param {Object} note - Note object { id?, title, content, folder?, isPinned? }
+   * Revisions sent with the note are stored on the server, so teammates get them with getTeamNotes()
+   * @param {Object} note - Note object { id?, title, content, folder?, isPinned?, jobId?, revisions? }
    * @returns {Promise<Object>} - Result with saved note data
    */
   async function saveTeamNote(note) {
@@ -666,7 +705,9 @@ const AccountService = (() => {
           title: note.title || 'Untitled Note',
           content: note.content || '',
           folder: note.folder || 'General',
-          isPinned: note.isPinned || false
+          isPinned: note.isPinned || false,
+          jobId: note.jobId || null,
+          revisions: note.revisions || []
         })
       });
 
@@ -769,7 +810,7 @@ const AccountService = (() => {
 
   /**
    * Save (create or update) a team template
-   * @param {Object} template - Template object { id?, name, content }
+   * @param {Object} template - Template object { id?, name, content, category?, tags?, shortcut? }
    * @returns {Promise<Object>} - Result with saved template data
    */
   async function saveTeamTemplate(template) {
@@ -789,7 +830,10 @@ const AccountService = (() => {
         body: JSON.stringify({
           id: template.id || null,
           name: template.name,
-          content: template.content || ''
+          content: template.content || '',
+          category: template.category || '',
+          tags: template.tags || [],
+          shortcut: template.shortcut || ''
         })
       });
 
@@ -845,6 +889,86 @@ const AccountService = (() => {
     }
   }
 
+  /**
+   * Check whether the signed-in user manages the organization (owner or admin)
+   * @returns {boolean}
+   */
+  function isOrgAdmin() {
+    return !!currentUser && (currentUser.role === 'owner' || currentUser.role === 'admin');
+  }
+
+  /**
+   * Upload team template insert events
+   * @param {Array} events - [{ id, templateId, templateName, userId, userName, insertedAt, jobId, jobType }]
+   * @returns {Promise<Object>} - Result with the number of events accepted
+   */
+  async function recordTeamTemplateUsage(events) {
+    if (!isLoggedIn()) {
+      return { success: false, error: 'Not logged in' };
+    }
+
+    if (!events || events.length === 0) {
+      return { success: true, accepted: 0 };
+    }
+
+    try {
+      log('Uploading team template usage...', { count: events.length });
+
+      const response = await authenticatedFetch('/sync/team-templates/usage', {
+        method: 'POST',
+        body: JSON.stringify({ events })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        log('Team template usage uploaded', result.data);
+        return { success: true, accepted: result.data?.accepted ?? events.length };
+      } else {
+        logError('Failed to upload team template usage', result.error);
+        return { success: false, error: result.error };
+      }
+    } catch (error) {
+      logError('Team template usage upload error', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }
+
+  /**
+   * Get usage statistics for the organization's team templates (owners and admins)
+   * @returns {Promise<Object>} - Result with usage array:
+   *   [{ templateId, count, lastUsedAt, lastUsedBy, users: [{ name, count }], jobTypes: [{ jobType, count }] }]
+   */
+  async function getTeamTemplateUsage() {
+    if (!isLoggedIn()) {
+      return { success: false, error: 'Not logged in' };
+    }
+
+    try {
+      log('Fetching team template usage...');
+
+      const response = await authenticatedFetch('/sync/team-templates/usage/stats', {
+        method: 'POST',
+        body: JSON.stringify({})
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        log('Team template usage fetched', {
+          count: result.data.usage?.length || 0
+        });
+        return { success: true, usage: result.data.usage || [] };
+      } else {
+        logError('Failed to fetch team template usage', result.error);
+        return { success: false, error: result.error };
+      }
+    } catch (error) {
+      logError('Team template usage fetch error', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }
+
   // ==========================================================================
   // SAVED FILTERS (Shared across organization)
   // ==========================================================================
@@ -1069,6 +1193,7 @@ const AccountService = (() => {
     isLoggedIn,
     getCurrentUser,
     getAccessToken,
+    isOrgAdmin,
 
     // Auth operations
     register,
@@ -1102,6 +1227,8 @@ const AccountService = (() => {
     getTeamTemplates,
     saveTeamTemplate,
     deleteTeamTemplate,
+    recordTeamTemplateUsage,
+    getTeamTemplateUsage,
 
     // Saved filters
     getSavedFilters,
@@ -76,12 +76,16 @@ const JobTreadAPI = (() => {
       statusText: result.statusText || '',
       text: async () => typeof result.data === 'string' ? result.data : JSON.stringify(result.data),
       json: async () => result.data,
-      headers: { entries: () => [] }, // Simplified headers
+      // Simplified headers (the proxy only forwards Retry-After)
+      headers: {
+        entries: () => [],
+        get: (name) => name.toLowerCase() === 'retry-after' ? result.retryAfter || null : null
+      },
       _proxyResult: result
     };
   }
 
-  // Storage keys
+  // Storage keys (the cache keys are legacy - results are now cached by PaveQueryCache)
   const STORAGE_KEYS = {
     API_KEY: 'jtToolsApiKey',
     ORG_ID: 'jtToolsOrgId',
@@ -91,9 +95,10 @@ const JobTreadAPI = (() => {
     JOBS_TIMESTAMP: 'jtToolsJobsTimestamp'
   };
 
-  // Cache duration (5 minutes for jobs, 1 hour for custom field definitions)
-  const JOBS_CACHE_DURATION = 5 * 60 * 1000;
-  const CUSTOM_FIELDS_CACHE_DURATION = 60 * 60 * 1000;
+  // Pagination defaults (Pave caps connection page size at 100)
+  const MAX_PAGE_SIZE = 100;
+  const DEFAULT_PAGE_CONCURRENCY = 3;
+  const DEFAULT_MAX_PAGES = 200;
 
   /**
    * Get the stored API key
@@ -178,60 +183,222 @@ const JobTreadAPI = (() => {
    * Execute a Pave query
    * JobTread uses Pave query language - a JSON-based query format
    * The query must be wrapped in a "query" key with grantKey in "$"
+   * Read queries can opt into the shared PaveQueryCache; mutations (createX/updateX/deleteX)
+   * are never cached and invalidate cached results for the entity they change.
    * @param {Object} query - Pave query object (inner query, will be wrapped)
+   * @param {Object} options - Query options
+   * @param {boolean|Object} options.cache - true, or PaveQueryCache.remember() options ({ ttl, staleWhileRevalidate, onUpdate })
    * @returns {Promise<Object>} Response data
    */
-  async function paveQuery(query) {
+  async function paveQuery(query, options = {}) {
     const apiKey = await getApiKey();
 
     if (!apiKey) {
       throw new Error('JobTread API key not configured');
     }
 
+    const cacheAvailable = typeof PaveQueryCache !== 'undefined';
+    const mutatedEntities = cacheAvailable ? PaveQueryCache.getMutatedEntityTypes(query) : [];
+    // Without PaveQueryCache we can't tell reads from mutations, so treat everything as a write
+    const isRead = cacheAvailable && mutatedEntities.length === 0;
+
+    if (options.cache && isRead) {
+      const cacheOptions = options.cache === true ? {} : options.cache;
+      const key = await PaveQueryCache.hashQuery(query, apiKey);
+      return PaveQueryCache.remember(key, () => executeQuery(apiKey, query, { idempotent: true }), {
+        entities: PaveQueryCache.getEntityTypes(query),
+        ...cacheOptions
+      });
+    }
+
+    // Only reads are retried and share an identical in-flight request; a retried or
+    // coalesced mutation could be applied twice or swallow a deliberate repeat
+    const result = await executeQuery(apiKey, query, { idempotent: isRead });
+    if (mutatedEntities.length > 0) {
+      await PaveQueryCache.invalidate(mutatedEntities);
+    }
+    return result;
+  }
+
+  /**
+   * Send a Pave query to the API through PaveRequestScheduler
+   * (concurrency cap, 429/5xx retries, coalescing) when it is loaded
+   * @param {string} apiKey - Grant key
+   * @param {Object} query - Pave query object (inner query, will be wrapped)
+   * @param {Object} options - { idempotent: safe to retry and to share an identical in-flight request }
+   * @returns {Promise<Object>} Response data
+   */
+  async function executeQuery(apiKey, query, options = {}) {
+    // Wrap query in the correct format per JT docs:
+    // { "query": { "$": { "grantKey": "..." }, ...innerQuery } }
+    const wrappedQuery = {
+      query: {
+        $: { grantKey: apiKey },
+        ...query
+      }
+    };
+
+    if (DEBUG) console.log('JobTreadAPI: Query keys:', Object.keys(query));
+
+    const bodyString = JSON.stringify(wrappedQuery);
+
     try {
-      // Wrap query in the correct format per JT docs:
-      // { "query": { "$": { "grantKey": "..." }, ...innerQuery } }
-      const wrappedQuery = {
-        query: {
-          $: { grantKey: apiKey },
-          ...query
-        }
-      };
+      if (typeof PaveRequestScheduler === 'undefined') {
+        return await sendQuery(bodyString);
+      }
+      return await PaveRequestScheduler.schedule(() => sendQuery(bodyString), {
+        key: options.idempotent ? bodyString : null,
+        retry: !!options.idempotent
+      });
+    } catch (error) {
+      console.error('JobTreadAPI: Query failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make one attempt at a Pave request
+   * HTTP failures carry `status` and `retryAfter` so the scheduler can retry them.
+   * @param {string} bodyString - JSON request body
+   * @returns {Promise<Object>} Response data
+   */
+  async function sendQuery(bodyString) {
+    const response = await proxyFetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: bodyString
+    });
 
-      if (DEBUG) console.log('JobTreadAPI: Query keys:', Object.keys(query));
+    if (DEBUG) console.log('JobTreadAPI: Response status:', response.status);
 
-      const bodyString = JSON.stringify(wrappedQuery);
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('JobTreadAPI: API Error:', response.status);
+      const error = new Error(`API Error ${response.status}: ${errorText}`);
+      error.status = response.status;
+      error.retryAfter = response.headers?.get?.('Retry-After') || null;
+      throw error;
+    }
 
-      const response = await proxyFetch(API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: bodyString
+    const result = await response.json();
+    if (DEBUG) console.log('JobTreadAPI: Query result keys:', Object.keys(result));
+
+    // Check for errors in the response
+    if (result.errors && result.errors.length > 0) {
+      console.error('JobTreadAPI: Pave errors:', result.errors);
+      throw new Error(result.errors[0].message || 'Query failed');
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a Pave query against a paginated connection and collect every node
+   * Pages are requested with `size`/`skip`, up to `concurrency` at a time, until a
+   * short page shows the connection is exhausted. The query must sort the
+   * connection (sortBy) so pages are stable.
+   * @param {Function} buildQuery - Receives { size, skip } and returns the Pave query
+   * @param {Function} getConnection - Receives the query result and returns the connection ({ nodes })
+   * @param {Object} options - Pagination options
+   * @param {number} options.pageSize - Nodes per page (default and max 100)
+   * @param {number} options.offset - Nodes to skip before the first page
+   * @param {number} options.limit - Max nodes to return (default: all)
+   * @param {number} options.concurrency - Pages requested in parallel (default 3)
+   * @param {number} options.maxPages - Safety cap on pages fetched (default 200)
+   * @param {Function} options.onProgress - Called after each page with { pages, nodes, done }
+   * @param {boolean|Object} options.cache - Cache the assembled result under one key, see paveQuery()
+   * @returns {Promise<Array>} Nodes in connection order
+   */
+  async function paginatedQuery(buildQuery, getConnection, options = {}) {
+    const {
+      pageSize = MAX_PAGE_SIZE,
+      offset = 0,
+      limit = Infinity,
+      concurrency = DEFAULT_PAGE_CONCURRENCY,
+      maxPages = DEFAULT_MAX_PAGES,
+      onProgress = null,
+      cache = false
+    } = options;
+
+    const size = Math.max(1, Math.min(pageSize, MAX_PAGE_SIZE));
+
+    // Pages cached one by one would be refreshed at different times, and a node created or
+    // removed in between shifts the page boundaries (duplicated or missing nodes), so the
+    // whole result is cached and refreshed as one entry
+    if (cache && typeof PaveQueryCache !== 'undefined') {
+      const apiKey = await getApiKey();
+      const firstPage = buildQuery({ size, skip: offset });
+      const key = await PaveQueryCache.hashQuery({
+        paginated: firstPage,
+        limit: Number.isFinite(limit) ? limit : null,
+        maxPages
+      }, apiKey);
+
+      let reportedDone = false;
+      const results = await PaveQueryCache.remember(key, () => paginatedQuery(buildQuery, getConnection, {
+        ...options,
+        cache: false,
+        onProgress: (progress) => {
+          if (reportedDone || !onProgress) return;
+          reportedDone = progress.done;
+          onProgress(progress);
+        }
+      }), {
+        entities: PaveQueryCache.getEntityTypes(firstPage),
+        ...(cache === true ? {} : cache)
       });
 
-      if (DEBUG) console.log('JobTreadAPI: Response status:', response.status);
+      // Served from the cache (a background refresh doesn't report progress)
+      if (!reportedDone && onProgress) {
+        reportedDone = true;
+        onProgress({ pages: 0, nodes: results.length, done: true });
+      }
+      return results;
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('JobTreadAPI: API Error:', response.status);
-        throw new Error(`API Error ${response.status}: ${errorText}`);
+    const pageLimit = Math.min(maxPages, Math.ceil(limit / size));
+    const nodes = [];
+    let pagesLoaded = 0;
+    let nodesLoaded = 0;
+    let exhausted = false;
+
+    const fetchPage = async (pageIndex) => {
+      const result = await paveQuery(buildQuery({ size, skip: offset + pageIndex * size }), { cache });
+      const pageNodes = getConnection(result)?.nodes || [];
+
+      pagesLoaded++;
+      nodesLoaded += pageNodes.length;
+      if (onProgress) {
+        onProgress({ pages: pagesLoaded, nodes: nodesLoaded, done: false });
       }
+      return pageNodes;
+    };
 
-      const result = await response.json();
-      if (DEBUG) console.log('JobTreadAPI: Query result keys:', Object.keys(result));
+    for (let start = 0; start < pageLimit && !exhausted; start += concurrency) {
+      const batch = [];
+      for (let pageIndex = start; pageIndex < Math.min(start + concurrency, pageLimit); pageIndex++) {
+        batch.push(fetchPage(pageIndex));
+      }
 
-      // Check for errors in the response
-      if (result.errors && result.errors.length > 0) {
-        console.error('JobTreadAPI: Pave errors:', result.errors);
-        throw new Error(result.errors[0].message || 'Query failed');
+      // Keep pages in order; anything after the first short page is past the end
+      for (const pageNodes of await Promise.all(batch)) {
+        if (exhausted) break;
+        nodes.push(...pageNodes);
+        if (pageNodes.length < size) exhausted = true;
       }
+    }
 
-      return result;
-    } catch (error) {
-      console.error('JobTreadAPI: Query failed:', error);
-      throw error;
+    if (!exhausted && pageLimit === maxPages && nodes.length < limit) {
+      console.warn(`JobTreadAPI: Stopped after ${maxPages} pages; results may be incomplete`);
     }
+
+    const results = nodes.slice(0, limit);
+    if (onProgress) {
+      onProgress({ pages: pagesLoaded, nodes: results.length, done: true });
+    }
+    return results;
   }
 
   /**
@@ -240,22 +407,19 @@ const JobTreadAPI = (() => {
    * @returns {Promise<Object>} Organization info with id and name
    */
   async function discoverOrganization() {
-    const query = {
+    const query = PaveQueryBuilder.build({
       currentGrant: {
-        id: {},
-        user: {
-          id: {},
-          memberships: {
-            nodes: {
-              organization: {
-                id: {},
-                name: {}
+        fields: ['id', {
+          user: {
+            fields: ['id', {
+              memberships: {
+                fields: [{ organization: { fields: ['id', 'name'] } }]
               }
-            }
+            }]
           }
-        }
+        }]
       }
-    };
+    });
 
     const result = await paveQuery(query);
     if (DEBUG) console.log('JobTreadAPI: discoverOrganization result keys:', Object.keys(result));
@@ -314,13 +478,9 @@ const JobTreadAPI = (() => {
       }
 
       // If we have an org ID, verify it works
-      const query = {
-        organization: {
-          $: { id: orgId },
-          id: {},
-          name: {}
-        }
-      };
+      const query = PaveQueryBuilder.build({
+        organization: { args: { id: orgId }, fields: ['id', 'name'] }
+      });
 
       const result = await paveQuery(query);
 
@@ -358,28 +518,11 @@ const JobTreadAPI = (() => {
   }
 
   /**
-   * Fetch custom field definitions for jobs
+   * Fetch custom field definitions for jobs (cached, see PaveQueryCache)
    * @param {string} orgId - Organization ID (optional, will use stored if not provided)
    * @returns {Promise<Array>} List of custom field definitions
    */
   async function fetchCustomFieldDefinitions(orgId = null) {
-    // Check cache first
-    try {
-      const cached = await chrome.storage.local.get([
-        STORAGE_KEYS.CUSTOM_FIELDS_CACHE,
-        STORAGE_KEYS.CUSTOM_FIELDS_TIMESTAMP
-      ]);
-
-      const cacheAge = Date.now() - (cached[STORAGE_KEYS.CUSTOM_FIELDS_TIMESTAMP] || 0);
-
-      if (cached[STORAGE_KEYS.CUSTOM_FIELDS_CACHE] && cacheAge < CUSTOM_FIELDS_CACHE_DURATION) {
-        console.log('JobTreadAPI: Using cached custom fields');
-        return cached[STORAGE_KEYS.CUSTOM_FIELDS_CACHE];
-      }
-    } catch (e) {
-      // Cache read failed, continue to fetch
-    }
-
     // Get org ID if not provided
     if (!orgId) {
       orgId = await getOrgId();
@@ -389,43 +532,27 @@ const JobTreadAPI = (() => {
     }
 
     // Pave query for custom fields - filter for job targetType
-    // Using the correct format from JT docs with where clause
-    const query = {
+    const query = PaveQueryBuilder.build({
       organization: {
-        $: { id: orgId },
-        id: {},
-        customFields: {
-          $: {
-            where: ['targetType', '=', 'job'],
-            sortBy: [
-              { field: 'position' }
-            ]
-          },
-          nodes: {
-            id: {},
-            name: {},
-            type: {},
-            targetType: {},
-            options: {}
+        args: { id: orgId },
+        fields: ['id', {
+          customFields: {
+            where: PaveQueryBuilder.where('targetType', '=', 'job'),
+            sortBy: ['position'],
+            fields: ['id', 'name', 'type', 'targetType', 'options']
           }
-        }
+        }]
       }
-    };
+    });
 
     try {
-      const result = await paveQuery(query);
+      const result = await paveQuery(query, { cache: true });
       // Response comes back WITHOUT the "query" wrapper
       const jobDefinitions = result.organization?.customFields?.nodes || [];
 
       console.log('JobTreadAPI: Fetched job custom fields:', jobDefinitions.length);
       console.log('JobTreadAPI: Job custom fields:', jobDefinitions);
 
-      // Cache the results
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.CUSTOM_FIELDS_CACHE]: jobDefinitions,
-        [STORAGE_KEYS.CUSTOM_FIELDS_TIMESTAMP]: Date.now()
-      });
-
       return jobDefinitions;
     } catch (error) {
       console.error('JobTreadAPI: Failed to fetch custom field definitions:', error);
@@ -435,69 +562,53 @@ const JobTreadAPI = (() => {
 
   /**
    * Fetch jobs with their custom field values
+   * Walks every page unless a limit is given.
    * @param {Object} options - Query options
-   * @param {number} options.limit - Max number of jobs to fetch (default 100, max 100)
-   * @param {number} options.offset - Number of jobs to skip for pagination
+   * @param {number} options.limit - Max number of jobs to fetch (default: all)
+   * @param {number} options.offset - Number of jobs to skip
    * @param {string} options.status - Filter by job status
+   * @param {number} options.concurrency - Pages requested in parallel
+   * @param {Function} options.onProgress - Progress callback, see paginatedQuery()
+   * @param {boolean|Object} options.cache - Cache the whole job list (default true), see paginatedQuery()
    * @returns {Promise<Array>} List of jobs with custom fields
    */
   async function fetchJobs(options = {}) {
-    const { limit = 100, offset = 0, status = null } = options;
+    const { limit = Infinity, offset = 0, status = null, concurrency, onProgress, cache = true } = options;
 
     let orgId = await getOrgId();
     if (!orgId) {
       throw new Error('Organization ID not configured');
     }
 
-    // Build query parameters (max size is 100)
-    const queryParams = {
-      size: Math.min(limit, 100),
-      sortBy: [{ field: 'createdAt' }]
-    };
-
-    // Add pagination offset
-    if (offset > 0) {
-      queryParams.skip = offset;
-    }
-
-    // Add status filter if provided
-    if (status) {
-      queryParams.where = ['status', '=', status];
-    }
-
     // Pave query for jobs with their custom field values
-    const query = {
+    const buildQuery = (page) => PaveQueryBuilder.build({
       organization: {
-        $: { id: orgId },
-        id: {},
-        jobs: {
-          $: queryParams,
-          nodes: {
-            id: {},
-            name: {},
-            number: {},
-            status: {},
-            createdAt: {},
-            customFieldValues: {
-              nodes: {
-                id: {},
-                value: {},
-                customField: {
-                  id: {},
-                  name: {},
-                  type: {}
-                }
+        args: { id: orgId },
+        fields: ['id', {
+          jobs: {
+            ...page,
+            sortBy: ['createdAt'],
+            // Add status filter if provided
+            where: status ? PaveQueryBuilder.where('status', '=', status) : undefined,
+            fields: ['id', 'name', 'number', 'status', 'createdAt', {
+              customFieldValues: {
+                fields: ['id', 'value', { customField: { fields: ['id', 'name', 'type'] } }]
               }
-            }
+            }]
           }
-        }
+        }]
       }
-    };
+    });
 
     try {
-      const result = await paveQuery(query);
       // Response comes back WITHOUT the "query" wrapper
-      const jobs = result.organization?.jobs?.nodes || [];
+      const jobs = await paginatedQuery(buildQuery, result => result.organization?.jobs, {
+        limit,
+        offset,
+        concurrency,
+        onProgress,
+        cache
+      });
       console.log('JobTreadAPI: Fetched jobs:', jobs.length);
       return jobs;
     } catch (error) {
@@ -510,20 +621,27 @@ const JobTreadAPI = (() => {
    * Fetch jobs filtered by custom field value using Pave 'with' clause (server-side filtering)
    * @param {string} fieldName - Custom field name to filter by
    * @param {string} fieldValue - Value to match
+   * @param {Object} options - Pagination options, see fetchJobsWithFilters()
    * @returns {Promise<Array>} Filtered list of jobs
    */
-  async function fetchJobsByCustomField(fieldName, fieldValue) {
+  async function fetchJobsByCustomField(fieldName, fieldValue, options = {}) {
     // Use single filter version
-    return fetchJobsWithFilters([{ fieldName, value: fieldValue }]);
+    return fetchJobsWithFilters([{ fieldName, value: fieldValue }], options);
   }
 
   /**
    * Fetch jobs filtered by multiple custom field values using Pave 'with' clause
    * Supports AND logic for multiple filters
    * @param {Array} filters - Array of { fieldName, value } objects
+   * @param {Object} options - Pagination options
+   * @param {number} options.concurrency - Pages requested in parallel
+   * @param {Function} options.onProgress - Progress callback, see paginatedQuery()
+   * @param {boolean|Object} options.cache - Cache the whole job list (default true), see paginatedQuery()
    * @returns {Promise<Array>} Filtered list of jobs
    */
-  async function fetchJobsWithFilters(filters = []) {
+  async function fetchJobsWithFilters(filters = [], options = {}) {
+    const { concurrency, onProgress, cache = true } = options;
+
     let orgId = await getOrgId();
     if (!orgId) {
       throw new Error('Organization ID not configured');
@@ -531,66 +649,47 @@ const JobTreadAPI = (() => {
 
     // If no filters, return all jobs
     if (!filters || filters.length === 0) {
-      return fetchJobs({ limit: 100 });
+      return fetchJobs({ concurrency, onProgress, cache });
     }
 
     // Build "with" clauses for each filter
     const withClauses = {};
     filters.forEach((filter, index) => {
-      const key = `filter${index}`;
-      withClauses[key] = {
-        _: 'customFieldValues',
-        $: {
-          where: [['customField', 'name'], '=', filter.fieldName]
-        },
-        values: { $: { field: 'value' } }
+      withClauses[`filter${index}`] = {
+        connection: 'customFieldValues',
+        where: PaveQueryBuilder.where(['customField', 'name'], '=', filter.fieldName),
+        values: 'value'
       };
     });
 
-    // Build where conditions
-    const whereConditions = filters.map((filter, index) => {
-      return [[`filter${index}`, 'values'], '=', filter.value];
-    });
-
     // Single filter vs multiple filters (AND logic)
-    const whereClause = whereConditions.length === 1
-      ? whereConditions[0]
-      : { and: whereConditions };
+    const whereClause = PaveQueryBuilder.and(
+      ...filters.map((filter, index) => PaveQueryBuilder.where([`filter${index}`, 'values'], '=', filter.value))
+    );
 
     // Build the query
-    const query = {
+    const buildQuery = (page) => PaveQueryBuilder.build({
       organization: {
-        $: { id: orgId },
-        jobs: {
-          $: {
-            size: 100,
+        args: { id: orgId },
+        fields: [{
+          jobs: {
+            ...page,
             with: withClauses,
             where: whereClause,
-            sortBy: [{ field: 'name' }]
-          },
-          nodes: {
-            id: {},
-            name: {},
-            number: {},
-            status: {},
-            customFieldValues: {
-              nodes: {
-                value: {},
-                customField: {
-                  id: {},
-                  name: {}
-                }
+            sortBy: ['name'],
+            fields: ['id', 'name', 'number', 'status', {
+              customFieldValues: {
+                fields: ['value', { customField: { fields: ['id', 'name'] } }]
               }
-            }
+            }]
           }
-        }
+        }]
       }
-    };
+    });
 
     try {
       console.log('JobTreadAPI: Fetching jobs with filters:', filters);
-      const result = await paveQuery(query);
-      const jobs = result.organization?.jobs?.nodes || [];
+      const jobs = await paginatedQuery(buildQuery, result => result.organization?.jobs, { concurrency, onProgress, cache });
       console.log('JobTreadAPI: Server-side filtered to', jobs.length, 'jobs');
       return jobs;
     } catch (error) {
@@ -603,19 +702,11 @@ const JobTreadAPI = (() => {
    * Get unique values for a custom field across all jobs
    * Useful for building filter dropdowns
    * @param {string} customFieldId - Custom field ID
+   * @param {Object} options - Pagination options, see fetchJobs()
    * @returns {Promise<Array>} Unique values
    */
-  async function getCustomFieldValues(customFieldId) {
-    // Fetch jobs with pagination (API max is 100 per page)
-    const allJobs = [];
-    const pageSize = 100;
-    const maxPages = 5;
-
-    for (let page = 0; page < maxPages; page++) {
-      const jobs = await fetchJobs({ limit: pageSize, offset: page * pageSize });
-      allJobs.push(...jobs);
-      if (jobs.length < pageSize) break;
-    }
+  async function getCustomFieldValues(customFieldId, options = {}) {
+    const allJobs = await fetchJobs({ concurrency: options.concurrency, onProgress: options.onProgress, cache: options.cache });
 
     const values = new Set();
     allJobs.forEach(job => {
@@ -630,12 +721,26 @@ const JobTreadAPI = (() => {
     return Array.from(values).sort();
   }
 
+  /**
+   * Drop cached query results that depend on the given entity types
+   * Call after changing JobTread data outside paveQuery() mutations.
+   * @param {Array<string>} entities - Entity types (e.g. ['jobs'])
+   * @returns {Promise<number>} Number of cached results removed
+   */
+  async function invalidateCache(entities) {
+    if (typeof PaveQueryCache === 'undefined') return 0;
+    return PaveQueryCache.invalidate(entities);
+  }
+
   /**
    * Clear all cached data
    * @returns {Promise<void>}
    */
   async function clearCache() {
     try {
+      if (typeof PaveQueryCache !== 'undefined') {
+        await PaveQueryCache.clear();
+      }
       await chrome.storage.local.remove([
         STORAGE_KEYS.JOBS_CACHE,
         STORAGE_KEYS.CUSTOM_FIELDS_CACHE,
@@ -765,8 +870,10 @@ const JobTreadAPI = (() => {
 
     // Raw query access
     paveQuery,
+    paginatedQuery,
 
     // Cache management
+    invalidateCache,
     clearCache,
 
     // Direct testing
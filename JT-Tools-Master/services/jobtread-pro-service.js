@@ -235,8 +235,22 @@ const JobTreadProService = (() => {
     return `${browser} on ${os}`;
   }
 
+  // Worker actions that only read data, so they're safe to retry and coalesce
+  const IDEMPOTENT_ACTIONS = new Set([
+    'getStatus',
+    'getCustomFields',
+    'getAllJobs',
+    'getFilteredJobs',
+    'getCustomFieldValues',
+    'getTaskTypes',
+    'getUnassignedTasks'
+  ]);
+
   /**
    * Make request to Cloudflare Worker
+   * Goes through PaveRequestScheduler when loaded, so Worker calls share the
+   * concurrency cap with direct Pave queries. Read actions are also retried on
+   * 429/5xx and coalesced; writes (registerUser, verifyOrgAccess, clearCache, disconnect) are not.
    */
   async function workerRequest(action, params = {}) {
     if (!window.WORKER_CONFIG || !window.WORKER_CONFIG.USE_WORKER) {
@@ -277,21 +291,33 @@ const JobTreadProService = (() => {
         workerUrl
       });
 
-      const response = await fetch(workerUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
+      const bodyString = JSON.stringify(requestBody);
+      const sendRequest = async () => {
+        const response = await fetch(workerUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: bodyString
+        });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        logError('Worker error:', response.status, errorText);
-        throw new Error(`Worker error ${response.status}: ${errorText}`);
-      }
+        if (!response.ok) {
+          const errorText = await response.text();
+          logError('Worker error:', response.status, errorText);
+          const error = new Error(`Worker error ${response.status}: ${errorText}`);
+          error.status = response.status;
+          error.retryAfter = response.headers.get('Retry-After');
+          throw error;
+        }
+
+        return response.json();
+      };
 
-      const data = await response.json();
+      const data = typeof PaveRequestScheduler === 'undefined'
+        ? await sendRequest()
+        : await PaveRequestScheduler.schedule(sendRequest, IDEMPOTENT_ACTIONS.has(action)
+          ? { key: bodyString }
+          : { retry: false });
 
       // Handle error responses
       if (data.error) {
@@ -0,0 +1,351 @@
+// Pave Query Cache Service
+// Shared persistent cache for Pave query results (IndexedDB) with per-entity TTLs,
+// stale-while-revalidate and invalidation by entity type
+
+const PaveQueryCache = (() => {
+  const DEBUG = false; // Set to true for development debugging only — NEVER ship as true
+  const DB_NAME = 'jt-power-tools-query-cache';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'entries';
+
+  // How long results stay fresh, by entity type (the shortest one in a query wins)
+  const ENTITY_TTLS = {
+    customFields: 60 * 60 * 1000,
+    taskTypes: 60 * 60 * 1000,
+    organization: 60 * 60 * 1000,
+    jobs: 5 * 60 * 1000,
+    customFieldValues: 5 * 60 * 1000,
+    costItems: 2 * 60 * 1000,
+    costGroups: 2 * 60 * 1000,
+    tasks: 2 * 60 * 1000
+  };
+  const DEFAULT_TTL = 2 * 60 * 1000;
+
+  // Stale entries are still served (and refreshed in the background) for this long after expiring
+  const MAX_STALE = 24 * 60 * 60 * 1000;
+
+  // Shorter stale windows for data that changes often (the shortest one in a query wins);
+  // job lists go out of date as soon as a job is created or closed, and tasks as they're scheduled
+  const ENTITY_MAX_STALE = {
+    jobs: 10 * 60 * 1000,
+    customFieldValues: 10 * 60 * 1000,
+    tasks: 10 * 60 * 1000
+  };
+
+  // Pave mutations are top-level keys like createJob / updateCustomFieldValue / deleteTask
+  const MUTATION_PATTERN = /^(create|update|delete)([A-Z]\w*)$/;
+
+  // Mirrors IndexedDB for the current page so repeat reads skip the async round trip
+  const memoryCache = new Map();
+  const revalidating = new Set();
+  let dbPromise = null;
+
+  /**
+   * Open (and create on first use) the cache database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('entities', 'entities', { unique: false, multiEntry: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  /**
+   * Run an operation against the cache store
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest (or nothing)
+   * @returns {Promise<*>} Request result
+   */
+  async function withStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Serialize a value with object keys sorted, so equivalent queries hash the same
+   * @param {*} value - Query or query fragment
+   * @returns {string} Canonical JSON
+   */
+  function normalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(normalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${normalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  /**
+   * Build the cache key for a query
+   * The grant is part of the key so different accounts never share results.
+   * @param {Object} query - Pave query (without the grant wrapper)
+   * @param {string} scope - Grant key or other scope for the results
+   * @returns {Promise<string>} Hex SHA-256 of the normalized query
+   */
+  async function hashQuery(query, scope = '') {
+    const text = normalize({ scope, query });
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Collect the entity types a query reads
+   * Every selected field that is itself a selection (e.g. organization, jobs,
+   * customFields) counts, so invalidating "jobs" also drops queries nested under it.
+   * @param {Object} query - Pave query
+   * @returns {Array<string>} Entity type names
+   */
+  function getEntityTypes(query) {
+    const entities = new Set();
+
+    const walk = (selection) => {
+      for (const [key, value] of Object.entries(selection)) {
+        if (key === '$' || !value || typeof value !== 'object' || Array.isArray(value)) continue;
+        if (key === 'nodes') {
+          walk(value);
+        } else if (Object.keys(value).some(k => k !== '$')) {
+          entities.add(key);
+          walk(value);
+        }
+      }
+    };
+
+    walk(query);
+    return Array.from(entities);
+  }
+
+  /**
+   * Get the entity types changed by a mutation query
+   * e.g. { updateJob: {...} } -> ['jobs'], { createCustomFieldValue: {...} } -> ['customFieldValues']
+   * @param {Object} query - Pave query
+   * @returns {Array<string>} Entity types (empty for read-only queries)
+   */
+  function getMutatedEntityTypes(query) {
+    const entities = [];
+    for (const key of Object.keys(query)) {
+      const match = MUTATION_PATTERN.exec(key);
+      if (match) {
+        const name = match[2].charAt(0).toLowerCase() + match[2].slice(1);
+        entities.push(name.endsWith('s') ? name : `${name}s`);
+      }
+    }
+    return entities;
+  }
+
+  /**
+   * Work out how long a query's results stay fresh
+   * @param {Array<string>} entities - Entity types read by the query
+   * @returns {number} TTL in milliseconds
+   */
+  function getTtl(entities) {
+    const ttls = entities.filter(e => ENTITY_TTLS[e] !== undefined).map(e => ENTITY_TTLS[e]);
+    return ttls.length > 0 ? Math.min(...ttls) : DEFAULT_TTL;
+  }
+
+  /**
+   * Work out how long an expired result may still be served
+   * @param {Array<string>} entities - Entity types read by the query
+   * @returns {number} Milliseconds after expiry
+   */
+  function getMaxStale(entities) {
+    const windows = entities.filter(e => ENTITY_MAX_STALE[e] !== undefined).map(e => ENTITY_MAX_STALE[e]);
+    return windows.length > 0 ? Math.min(...windows) : MAX_STALE;
+  }
+
+  /**
+   * Read a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { key, data, entities, storedAt, expiresAt } or null
+   */
+  async function getEntry(key) {
+    if (memoryCache.has(key)) {
+      return memoryCache.get(key);
+    }
+
+    try {
+      const entry = await withStore('readonly', store => store.get(key));
+      if (entry) memoryCache.set(key, entry);
+      return entry || null;
+    } catch (error) {
+      if (DEBUG) console.log('PaveQueryCache: Read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write a cache entry
+   * @param {string} key - Cache key
+   * @param {*} data - Result to cache
+   * @param {Array<string>} entities - Entity types the result depends on
+   * @param {number} ttl - Freshness in milliseconds
+   * @returns {Promise<void>}
+   */
+  async function setEntry(key, data, entities, ttl) {
+    const now = Date.now();
+    const entry = { key, data, entities, storedAt: now, expiresAt: now + ttl };
+    memoryCache.set(key, entry);
+
+    try {
+      await withStore('readwrite', store => store.put(entry));
+    } catch (error) {
+      if (DEBUG) console.log('PaveQueryCache: Write failed:', error.message);
+    }
+  }
+
+  /**
+   * Return a cached result, or fetch and cache it
+   * Fresh entries are returned as-is. Expired entries within MAX_STALE (minutes for job
+   * lists, see ENTITY_MAX_STALE) are returned immediately while a background fetch
+   * refreshes them (stale-while-revalidate).
+   * @param {string} key - Cache key (see hashQuery)
+   * @param {Function} fetcher - Async function producing the result
+   * @param {Object} options - Cache options
+   * @param {Array<string>} options.entities - Entity types the result depends on
+   * @param {number} options.ttl - Override the entity-based TTL
+   * @param {boolean} options.staleWhileRevalidate - Serve expired entries while refreshing (default true)
+   * @param {Function} options.onUpdate - Called with the new result after a background refresh
+   * @returns {Promise<*>} Result
+   */
+  async function remember(key, fetcher, options = {}) {
+    const { entities = [], staleWhileRevalidate = true, onUpdate = null } = options;
+    const ttl = options.ttl ?? getTtl(entities);
+    const entry = await getEntry(key);
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt) {
+      if (DEBUG) console.log('PaveQueryCache: Hit', key.slice(0, 8));
+      return entry.data;
+    }
+
+    if (entry && staleWhileRevalidate && now < entry.expiresAt + getMaxStale(entry.entities || entities)) {
+      if (DEBUG) console.log('PaveQueryCache: Stale hit, revalidating', key.slice(0, 8));
+      revalidate(key, fetcher, entities, ttl, onUpdate);
+      return entry.data;
+    }
+
+    const data = await fetcher();
+    await setEntry(key, data, entities, ttl);
+    return data;
+  }
+
+  /**
+   * Refresh an entry in the background (once per key at a time)
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function producing the result
+   * @param {Array<string>} entities - Entity types
+   * @param {number} ttl - Freshness in milliseconds
+   * @param {Function|null} onUpdate - Called with the new result
+   */
+  async function revalidate(key, fetcher, entities, ttl, onUpdate) {
+    if (revalidating.has(key)) return;
+    revalidating.add(key);
+
+    try {
+      const data = await fetcher();
+      await setEntry(key, data, entities, ttl);
+      if (onUpdate) onUpdate(data);
+    } catch (error) {
+      // Keep serving the stale entry; the next read tries again
+      if (DEBUG) console.log('PaveQueryCache: Revalidation failed:', error.message);
+    } finally {
+      revalidating.delete(key);
+    }
+  }
+
+  /**
+   * Drop every entry that depends on any of the given entity types
+   * Call after the extension changes data in JobTread.
+   * @param {Array<string>} entities - Entity types (e.g. ['jobs', 'customFieldValues'])
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async function invalidate(entities) {
+    const targets = new Set(entities);
+    const keys = new Set();
+
+    for (const [key, entry] of memoryCache) {
+      if (entry.entities.some(e => targets.has(e))) keys.add(key);
+    }
+
+    try {
+      for (const entity of targets) {
+        const stored = await withStore('readonly', store => store.index('entities').getAllKeys(entity)) || [];
+        stored.forEach(key => keys.add(key));
+      }
+      await withStore('readwrite', store => {
+        let request = null;
+        for (const key of keys) {
+          request = store.delete(key);
+        }
+        return request;
+      });
+    } catch (error) {
+      if (DEBUG) console.log('PaveQueryCache: Invalidation failed:', error.message);
+    }
+
+    keys.forEach(key => memoryCache.delete(key));
+    if (DEBUG) console.log('PaveQueryCache: Invalidated', keys.size, 'entries for', Array.from(targets));
+    return keys.size;
+  }
+
+  /**
+   * Remove every cached entry
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    memoryCache.clear();
+    try {
+      await withStore('readwrite', store => store.clear());
+    } catch (error) {
+      if (DEBUG) console.log('PaveQueryCache: Clear failed:', error.message);
+    }
+  }
+
+  // Public API
+  return {
+    hashQuery,
+    getEntityTypes,
+    getMutatedEntityTypes,
+    remember,
+    invalidate,
+    clear,
+    ENTITY_TTLS
+  };
+})();
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.PaveQueryCache = PaveQueryCache;
+}
+
+// Export for service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaveQueryCache;
+}
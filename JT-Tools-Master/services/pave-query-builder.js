@@ -0,0 +1,474 @@
+// Pave Query Builder Service
+// Builds Pave query objects from selection specs and validates every field,
+// filter and sort against a bundled description of the JobTread schema
+
+const PaveQueryBuilder = (() => {
+  /**
+   * Schema description (the subset of JobTread's Pave schema the extension uses)
+   * fields: scalar fields, relations: single related entity, connections: paginated lists.
+   * Add to this when a feature needs more of the schema.
+   */
+  const SCHEMA = {
+    query: {
+      fields: [],
+      relations: { organization: 'organization', job: 'job', currentGrant: 'grant' },
+      connections: {}
+    },
+    grant: {
+      fields: ['id'],
+      relations: { user: 'user' },
+      connections: {}
+    },
+    user: {
+      fields: ['id', 'name'],
+      relations: {},
+      connections: { memberships: 'membership' }
+    },
+    membership: {
+      fields: ['id'],
+      relations: { organization: 'organization' },
+      connections: {}
+    },
+    organization: {
+      fields: ['id', 'name'],
+      relations: {},
+      connections: { jobs: 'job', customFields: 'customField', taskTypes: 'taskType', tasks: 'task' }
+    },
+    job: {
+      fields: ['id', 'name', 'number', 'status', 'createdAt'],
+      relations: { location: 'location' },
+      connections: {
+        customFieldValues: 'customFieldValue',
+        costGroups: 'costGroup',
+        costItems: 'costItem',
+        jobBudgetBackups: 'jobBudgetBackup'
+      }
+    },
+    location: {
+      fields: ['id', 'name', 'address'],
+      relations: { account: 'account' },
+      connections: {}
+    },
+    account: {
+      fields: ['id', 'name', 'type'],
+      relations: { primaryContact: 'contact' },
+      connections: {}
+    },
+    contact: {
+      fields: ['id', 'name', 'firstName', 'lastName'],
+      relations: {},
+      connections: {}
+    },
+    customField: {
+      fields: ['id', 'name', 'type', 'targetType', 'options', 'position'],
+      relations: {},
+      connections: {}
+    },
+    customFieldValue: {
+      fields: ['id', 'value'],
+      relations: { customField: 'customField' },
+      connections: {}
+    },
+    costGroup: {
+      fields: ['id', 'name'],
+      relations: { parentCostGroup: 'costGroup' },
+      connections: {}
+    },
+    costItem: {
+      fields: [
+        'id', 'name', 'description',
+        'quantity', 'quantityFormula',
+        'unitCost', 'unitCostFormula', 'cost',
+        'unitPrice', 'unitPriceFormula', 'price',
+        'isTaxable'
+      ],
+      relations: { unit: 'unit', costCode: 'costCode', costType: 'costType', costGroup: 'costGroup' },
+      connections: { customFieldValues: 'customFieldValue' }
+    },
+    unit: {
+      fields: ['id', 'name'],
+      relations: {},
+      connections: {}
+    },
+    costCode: {
+      fields: ['id', 'name', 'number'],
+      relations: {},
+      connections: {}
+    },
+    costType: {
+      fields: ['id', 'name'],
+      relations: {},
+      connections: {}
+    },
+    jobBudgetBackup: {
+      fields: ['id', 'createdAt', 'url'],
+      relations: { createdByUser: 'user' },
+      connections: {}
+    },
+    taskType: {
+      fields: ['id', 'name'],
+      relations: {},
+      connections: {}
+    },
+    task: {
+      fields: ['id', 'name', 'startDate', 'endDate'],
+      relations: { taskType: 'taskType', job: 'job' },
+      connections: { assignedMemberships: 'membership' }
+    }
+  };
+
+  // Spec keys that become connection arguments
+  const CONNECTION_ARG_KEYS = ['where', 'with', 'sortBy', 'size', 'skip', 'page'];
+  const MAX_PAGE_SIZE = 100;
+
+  /**
+   * Build a Pave query
+   * @example
+   * build({
+   *   organization: {
+   *     args: { id: orgId },
+   *     fields: ['id', {
+   *       jobs: {
+   *         where: where('status', '=', 'Closed'),
+   *         sortBy: ['-createdAt'],
+   *         size: 100,
+   *         fields: ['id', 'name', { customFieldValues: { fields: ['value', { customField: { fields: ['name'] } }] } }]
+   *       }
+   *     }]
+   *   }
+   * })
+   * @param {Object} roots - Root selections by name (organization, job, currentGrant)
+   * @returns {Object} Pave query, ready for JobTreadAPI.paveQuery()
+   * @throws {Error} If a field, relation, connection, filter or sort doesn't exist in the schema
+   */
+  function build(roots) {
+    return buildSelection('query', [roots], 'query');
+  }
+
+  /**
+   * Build the selection for an entity
+   * @param {string} entity - Schema entity name
+   * @param {Array} fields - Field list: names, or { name: spec } objects
+   * @param {string} path - Location in the query, for error messages
+   * @returns {Object} Pave selection
+   */
+  function buildSelection(entity, fields, path) {
+    const definition = SCHEMA[entity];
+    const selection = {};
+
+    for (const entry of fields) {
+      const children = typeof entry === 'string' ? { [entry]: {} } : entry;
+
+      for (const [name, spec] of Object.entries(children)) {
+        selection[name] = buildField(entity, definition, name, spec || {}, `${path}.${name}`);
+      }
+    }
+
+    return selection;
+  }
+
+  /**
+   * Build one selected field (scalar, relation or connection)
+   * @param {string} entity - Entity the field belongs to
+   * @param {Object} definition - Schema entry for the entity
+   * @param {string} name - Field name
+   * @param {Object} spec - { args, fields, where, with, sortBy, size, skip, page, nextPage }
+   * @param {string} path - Location in the query, for error messages
+   * @returns {Object} Pave field selection
+   */
+  function buildField(entity, definition, name, spec, path) {
+    const args = spec.args ? { ...spec.args } : null;
+
+    if (definition.fields.includes(name)) {
+      if (spec.fields) {
+        throw new Error(`PaveQueryBuilder: "${path}" is a scalar field and can't select sub-fields`);
+      }
+      checkOptions(spec, ['args'], path);
+      return args ? { $: args } : {};
+    }
+
+    if (definition.relations[name]) {
+      const target = definition.relations[name];
+      requireFields(spec, path);
+      checkOptions(spec, ['args', 'fields'], path);
+      return {
+        ...(args ? { $: args } : {}),
+        ...buildSelection(target, spec.fields, path)
+      };
+    }
+
+    if (definition.connections[name]) {
+      const target = definition.connections[name];
+      requireFields(spec, path);
+      checkOptions(spec, ['args', 'fields', 'nextPage', ...CONNECTION_ARG_KEYS], path);
+
+      const connectionArgs = { ...(args || {}), ...buildConnectionArgs(target, spec, path) };
+      return {
+        ...(Object.keys(connectionArgs).length > 0 ? { $: connectionArgs } : {}),
+        ...(spec.nextPage ? { nextPage: {} } : {}),
+        nodes: buildSelection(target, spec.fields, `${path}.nodes`)
+      };
+    }
+
+    throw new Error(`PaveQueryBuilder: Unknown field "${name}" on ${entity} (at ${path})${suggest(name, getFieldNames(definition))}`);
+  }
+
+  /**
+   * Build and validate the arguments of a connection
+   * @param {string} entity - Entity the connection lists
+   * @param {Object} spec - Connection spec
+   * @param {string} path - Location in the query, for error messages
+   * @returns {Object} Pave connection arguments
+   */
+  function buildConnectionArgs(entity, spec, path) {
+    const args = {};
+    const withAliases = [];
+
+    if (spec.with) {
+      args.with = {};
+      for (const [alias, aggregate] of Object.entries(spec.with)) {
+        args.with[alias] = buildWith(entity, aggregate, `${path}.with.${alias}`);
+        withAliases.push(alias);
+      }
+    }
+
+    if (spec.where) {
+      validateCondition(entity, spec.where, withAliases, `${path}.where`);
+      args.where = spec.where;
+    }
+
+    if (spec.sortBy) {
+      args.sortBy = spec.sortBy.map(sort => buildSort(entity, sort, `${path}.sortBy`));
+    }
+
+    if (spec.size !== undefined) {
+      if (!Number.isInteger(spec.size) || spec.size < 1 || spec.size > MAX_PAGE_SIZE) {
+        throw new Error(`PaveQueryBuilder: size at ${path} must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+      }
+      args.size = spec.size;
+    }
+
+    if (spec.skip) args.skip = spec.skip;
+    if (spec.page) args.page = spec.page;
+
+    return args;
+  }
+
+  /**
+   * Build a `with` aggregate over a connection of the entity
+   * @param {string} entity - Entity being filtered
+   * @param {Object} aggregate - { connection, where, values }
+   * @param {string} path - Location in the query, for error messages
+   * @returns {Object} Pave with-clause entry
+   */
+  function buildWith(entity, aggregate, path) {
+    const target = SCHEMA[entity].connections[aggregate.connection];
+    if (!target) {
+      throw new Error(`PaveQueryBuilder: Unknown connection "${aggregate.connection}" on ${entity} (at ${path})${suggest(aggregate.connection, Object.keys(SCHEMA[entity].connections))}`);
+    }
+
+    const clause = { _: aggregate.connection };
+    if (aggregate.where) {
+      validateCondition(target, aggregate.where, [], `${path}.where`);
+      clause.$ = { where: aggregate.where };
+    }
+    if (aggregate.values) {
+      resolvePath(target, [aggregate.values], `${path}.values`);
+      clause.values = { $: { field: aggregate.values } };
+    }
+    return clause;
+  }
+
+  /**
+   * Normalize and validate a sort
+   * @param {string} entity - Entity being sorted
+   * @param {string|Object} sort - 'field', '-field' (descending) or { field, order }
+   * @param {string} path - Location in the query, for error messages
+   * @returns {Object} { field, order? }
+   */
+  function buildSort(entity, sort, path) {
+    const normalized = typeof sort === 'string'
+      ? (sort.startsWith('-') ? { field: sort.slice(1), order: 'desc' } : { field: sort })
+      : { ...sort };
+
+    resolvePath(entity, Array.isArray(normalized.field) ? normalized.field : [normalized.field], path);
+    return normalized;
+  }
+
+  /**
+   * Validate a where condition (recursing into and/or groups)
+   * @param {string} entity - Entity being filtered
+   * @param {Array|Object} condition - [field, operator, value] or { and: [...] } / { or: [...] }
+   * @param {Array<string>} withAliases - Aliases defined by the connection's `with`
+   * @param {string} path - Location in the query, for error messages
+   */
+  function validateCondition(entity, condition, withAliases, path) {
+    if (Array.isArray(condition)) {
+      const [field] = condition;
+      const fieldPath = Array.isArray(field) ? field : [field];
+
+      // `with` aliases are validated where they're defined
+      if (withAliases.includes(fieldPath[0])) return;
+
+      resolvePath(entity, fieldPath, path);
+      return;
+    }
+
+    const group = condition?.and || condition?.or;
+    if (!Array.isArray(group)) {
+      throw new Error(`PaveQueryBuilder: Invalid where condition at ${path}`);
+    }
+    group.forEach((child, index) => validateCondition(entity, child, withAliases, `${path}[${index}]`));
+  }
+
+  /**
+   * Check that a field path ends in a scalar field, following relations
+   * @param {string} entity - Starting entity
+   * @param {Array<string>} fieldPath - e.g. ['status'] or ['customField', 'name']
+   * @param {string} path - Location in the query, for error messages
+   */
+  function resolvePath(entity, fieldPath, path) {
+    let current = entity;
+
+    fieldPath.forEach((name, index) => {
+      const definition = SCHEMA[current];
+      const isLast = index === fieldPath.length - 1;
+
+      if (isLast && definition.fields.includes(name)) return;
+      if (!isLast && definition.relations[name]) {
+        current = definition.relations[name];
+        return;
+      }
+
+      const candidates = isLast ? definition.fields : Object.keys(definition.relations);
+      throw new Error(`PaveQueryBuilder: Unknown ${isLast ? 'field' : 'relation'} "${name}" on ${current} (at ${path})${suggest(name, candidates)}`);
+    });
+  }
+
+  /**
+   * Require a field list on relation/connection specs
+   * @param {Object} spec - Field spec
+   * @param {string} path - Location in the query, for error messages
+   */
+  function requireFields(spec, path) {
+    if (!Array.isArray(spec.fields) || spec.fields.length === 0) {
+      throw new Error(`PaveQueryBuilder: "${path}" needs a fields list`);
+    }
+  }
+
+  /**
+   * Reject spec options that don't apply to this kind of field
+   * @param {Object} spec - Field spec
+   * @param {Array<string>} allowed - Allowed option names
+   * @param {string} path - Location in the query, for error messages
+   */
+  function checkOptions(spec, allowed, path) {
+    for (const key of Object.keys(spec)) {
+      if (!allowed.includes(key)) {
+        throw new Error(`PaveQueryBuilder: Option "${key}" is not supported at ${path}${suggest(key, allowed)}`);
+      }
+    }
+  }
+
+  /**
+   * List every selectable name on an entity
+   * @param {Object} definition - Schema entry
+   * @returns {Array<string>} Field, relation and connection names
+   */
+  function getFieldNames(definition) {
+    return [...definition.fields, ...Object.keys(definition.relations), ...Object.keys(definition.connections)];
+  }
+
+  /**
+   * Suggest the closest known name for a typo
+   * @param {string} name - Unknown name
+   * @param {Array<string>} candidates - Known names
+   * @returns {string} ' Did you mean "x"?' or ''
+   */
+  function suggest(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      const distance = editDistance(String(name).toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best && bestDistance <= Math.max(2, Math.floor(best.length / 3)) ? ` Did you mean "${best}"?` : '';
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Edit distance
+   */
+  function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Build a where condition
+   * @param {string|Array<string>} field - Field name or path through relations
+   * @param {string} operator - Comparison operator (e.g. '=')
+   * @param {*} value - Value to compare against
+   * @returns {Array} [field, operator, value]
+   */
+  function where(field, operator, value) {
+    return [field, operator, value];
+  }
+
+  /**
+   * Combine conditions so all must match
+   * @param {...(Array|Object)} conditions - Conditions from where()/and()/or()
+   * @returns {Object} Single condition when only one is given, otherwise { and: [...] }
+   */
+  function and(...conditions) {
+    return conditions.length === 1 ? conditions[0] : { and: conditions };
+  }
+
+  /**
+   * Combine conditions so any may match
+   * @param {...(Array|Object)} conditions - Conditions from where()/and()/or()
+   * @returns {Object} Single condition when only one is given, otherwise { or: [...] }
+   */
+  function or(...conditions) {
+    return conditions.length === 1 ? conditions[0] : { or: conditions };
+  }
+
+  // Public API
+  return {
+    build,
+    where,
+    and,
+    or,
+    SCHEMA
+  };
+})();
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.PaveQueryBuilder = PaveQueryBuilder;
+}
+
+// Export for service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaveQueryBuilder;
+}
@@ -0,0 +1,199 @@
+// Pave Request Scheduler Service
+// Queues Pave requests behind a concurrency cap, retries rate-limited (429) and
+// server (5xx) failures of read requests with backoff, and coalesces identical
+// in-flight reads
+
+const PaveRequestScheduler = (() => {
+  const DEBUG = false; // Set to true for development debugging only — NEVER ship as true
+
+  const MAX_CONCURRENT = 4;
+  const MAX_RETRIES = 4;
+  const BASE_DELAY_MS = 500;
+  const MAX_DELAY_MS = 30 * 1000;
+  // Retry-After can ask for longer than our own backoff cap
+  const MAX_RETRY_AFTER_MS = 2 * 60 * 1000;
+
+  let active = 0;
+  const waiting = [];
+  const inFlight = new Map();
+
+  // A 429 pauses the whole queue, not just the request that hit it
+  let pausedUntil = 0;
+  let resumeTimer = null;
+
+  /**
+   * Run a request through the scheduler
+   * The task should throw an Error with a `status` property (and optionally `retryAfter`,
+   * the raw Retry-After header) for HTTP failures so 429/5xx responses can be retried.
+   * Writes must pass `retry: false` and no key: a 5xx may come back after the server
+   * already applied the change, so only a 429 with Retry-After (rejected before it ran)
+   * is retried for them.
+   * @param {Function} task - Async function performing one attempt of the request
+   * @param {Object} options - Scheduling options
+   * @param {string} options.key - Requests with the same key share one in-flight attempt (omit to never coalesce)
+   * @param {boolean} options.retry - Retry 429 and 5xx failures (default true); false for non-idempotent requests
+   * @returns {Promise<*>} Task result
+   */
+  function schedule(task, options = {}) {
+    const { key = null, retry = true } = options;
+
+    if (key !== null && inFlight.has(key)) {
+      if (DEBUG) console.log('PaveRequestScheduler: Coalesced identical request');
+      return inFlight.get(key);
+    }
+
+    const promise = runWithRetries(task, retry);
+    if (key !== null) {
+      inFlight.set(key, promise);
+      promise.then(() => inFlight.delete(key), () => inFlight.delete(key));
+    }
+    return promise;
+  }
+
+  /**
+   * Run a task, retrying retryable failures with backoff
+   * @param {Function} task - Async function performing one attempt
+   * @param {boolean} retry - False to retry only 429s that carry Retry-After
+   * @returns {Promise<*>} Task result
+   */
+  async function runWithRetries(task, retry) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await runInSlot(task);
+      } catch (error) {
+        const retryable = retry ? isRetryable(error) : isRateLimitedWithRetryAfter(error);
+        if (!retryable || attempt >= MAX_RETRIES) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        if (error.status === 429) {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        if (DEBUG) console.log(`PaveRequestScheduler: ${error.status} - retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Wait for a free slot, run the task, then release the slot
+   * @param {Function} task - Async function performing one attempt
+   * @returns {Promise<*>} Task result
+   */
+  async function runInSlot(task) {
+    await new Promise(resolve => {
+      waiting.push(resolve);
+      drain();
+    });
+
+    try {
+      return await task();
+    } finally {
+      active--;
+      drain();
+    }
+  }
+
+  /**
+   * Start waiting requests while there are free slots and the queue isn't paused
+   */
+  function drain() {
+    const pause = pausedUntil - Date.now();
+    if (pause > 0) {
+      if (!resumeTimer) {
+        resumeTimer = setTimeout(() => {
+          resumeTimer = null;
+          drain();
+        }, pause);
+      }
+      return;
+    }
+
+    while (active < MAX_CONCURRENT && waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  }
+
+  /**
+   * Check whether a failed attempt should be retried
+   * @param {Error} error - Error thrown by the task
+   * @returns {boolean} True for 429 and 5xx responses
+   */
+  function isRetryable(error) {
+    const status = error?.status;
+    return status === 429 || (status >= 500 && status < 600);
+  }
+
+  /**
+   * Check whether a failed attempt was rate limited with an explicit Retry-After
+   * The server rejected it without running it, so even a write can be sent again.
+   * @param {Error} error - Error thrown by the task
+   * @returns {boolean} True for 429 responses with a valid Retry-After
+   */
+  function isRateLimitedWithRetryAfter(error) {
+    return error?.status === 429 && parseRetryAfter(error.retryAfter) !== null;
+  }
+
+  /**
+   * Work out how long to wait before the next attempt
+   * Honors Retry-After when the server sends it, otherwise exponential backoff
+   * with jitter (between half and all of the backoff step).
+   * @param {Error} error - Error thrown by the task
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @returns {number} Delay in milliseconds
+   */
+  function getRetryDelay(error, attempt) {
+    const retryAfter = parseRetryAfter(error.retryAfter);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+    }
+
+    const backoff = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @param {string|null} value - Header value
+   * @returns {number|null} Delay in milliseconds, or null if missing/invalid
+   */
+  function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - Delay
+   * @returns {Promise<void>}
+   */
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Public API
+  return {
+    schedule,
+    isRetryable,
+    parseRetryAfter
+  };
+})();
+
+// Export for use in content scripts
+if (typeof window !== 'undefined') {
+  window.PaveRequestScheduler = PaveRequestScheduler;
+}
+
+// Export for service worker
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaveRequestScheduler;
+}
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Budget Changelog - Change order check
+ *
+ * Runs BudgetChangeOrder.build() over diffs between a sample backup and edited copies of it,
+ * including copies read from a budget table that doesn't show prices (extendedPrice null),
+ * and checks the lines, subtotals and totals.
+ *
+ * Usage:
+ *   node tests/budget-changelog/check-change-order.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULES_DIR = path.join(__dirname, '../../JT-Tools-Master/features/budget-changelog-modules');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Load the modules the way the extension does: plain scripts sharing one global scope
+ * @returns {Object} { BudgetCSVParser, BudgetDiffEngine, BudgetChangeOrder }
+ */
+function loadModules() {
+  const context = vm.createContext({ window: {}, console });
+  for (const file of ['csv-schema.js', 'csv-parser.js', 'formula-analyzer.js', 'diff-engine.js', 'change-order.js']) {
+    vm.runInContext(fs.readFileSync(path.join(MODULES_DIR, file), 'utf8'), context, { filename: file });
+  }
+  return context.window;
+}
+
+/**
+ * Parse a fixture into plain line items
+ * @param {Object} parser - BudgetCSVParser
+ * @param {string} file - Fixture file name
+ * @returns {Array} Items (copied out of the vm context)
+ */
+function loadItems(parser, file) {
+  const csv = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+  return JSON.parse(JSON.stringify(parser.parseWithReport(csv).items));
+}
+
+/**
+ * Copy items and edit the named line items
+ * @param {Array} items - Items
+ * @param {Object} edits - { itemName: fields to overwrite }
+ * @returns {Array} Edited copy
+ */
+function editItems(items, edits) {
+  return items.map(item => ({ ...item, ...(edits[item.name] || {}) }));
+}
+
+/**
+ * Copy items as read from a budget table with the price column hidden
+ * @param {Array} items - Items
+ * @returns {Array} Items with unit and extended prices null
+ */
+function withoutPrices(items) {
+  return items.map(item => ({ ...item, unitPrice: null, extendedPrice: null }));
+}
+
+/**
+ * Build a change order and list its lines by name
+ * @param {Object} modules - Loaded modules
+ * @param {Array} oldItems - Older items
+ * @param {Array} newItems - Newer items
+ * @returns {Object} { changeOrder, lines: { name: line } }
+ */
+function buildChangeOrder(modules, oldItems, newItems) {
+  const diff = modules.BudgetDiffEngine.compare(oldItems, newItems);
+  const changeOrder = JSON.parse(JSON.stringify(modules.BudgetChangeOrder.build(diff)));
+  const lines = {};
+  for (const group of changeOrder.groups) {
+    for (const line of group.lines) lines[line.name] = line;
+  }
+  return { changeOrder, lines };
+}
+
+const CHECKS = {
+  'price change with known prices': (modules, base) => {
+    const { changeOrder, lines } = buildChangeOrder(modules, base, editItems(base, {
+      Hardware: { quantity: 2, extendedCost: 2400, extendedPrice: 3120 }
+    }));
+
+    assert.strictEqual(changeOrder.lineCount, 1);
+    assert.strictEqual(lines.Hardware.delta, 1560);
+    assert.strictEqual(lines.Hardware.priceUnavailable, false);
+    assert.strictEqual(changeOrder.groups[0].subtotal, 1560);
+    assert.strictEqual(changeOrder.oldTotal, 16185);
+    assert.strictEqual(changeOrder.newTotal, 17745);
+    assert.strictEqual(changeOrder.netChange, 1560);
+    assert.strictEqual(changeOrder.unavailableCount, 0);
+  },
+
+  'quantity change without prices is not a credit': (modules, base) => {
+    const { changeOrder, lines } = buildChangeOrder(modules, base, withoutPrices(editItems(base, {
+      Hardware: { quantity: 2, extendedCost: 2400 }
+    })));
+
+    assert.strictEqual(lines.Hardware.priceUnavailable, true);
+    assert.strictEqual(lines.Hardware.delta, null);
+    assert.strictEqual(lines.Hardware.oldPrice, 1560);
+    assert.strictEqual(lines.Hardware.newPrice, null);
+    assert.strictEqual(changeOrder.groups[0].subtotal, 0);
+    assert.strictEqual(changeOrder.netChange, 0);
+    assert.strictEqual(changeOrder.oldTotal, null);
+    assert.strictEqual(changeOrder.newTotal, null);
+    assert.strictEqual(changeOrder.unavailableCount, 1);
+  },
+
+  'unpriced items with no price-related change are left out': (modules, base) => {
+    const { changeOrder } = buildChangeOrder(modules, base, withoutPrices(editItems(base, {
+      Hardware: { unitCost: 1300, extendedCost: 1300 }
+    })));
+
+    assert.strictEqual(changeOrder.lineCount, 0);
+    assert.strictEqual(changeOrder.netChange, 0);
+  },
+
+  'added item without a price is not +$0': (modules, base) => {
+    const hardware = base.find(item => item.name === 'Hardware');
+    const added = { ...hardware, name: 'Anchors', hierarchy: [...hardware.hierarchy.slice(0, -1), 'Anchors'], quantity: 10 };
+    added.uniqueKey = modules.BudgetCSVParser.generateUniqueKey(added);
+    const { changeOrder, lines } = buildChangeOrder(modules, base, withoutPrices(base.concat([added])));
+
+    assert.strictEqual(lines.Anchors.kind, 'added');
+    assert.strictEqual(lines.Anchors.priceUnavailable, true);
+    assert.strictEqual(lines.Anchors.delta, null);
+    assert.strictEqual(changeOrder.netChange, 0);
+    assert.strictEqual(changeOrder.unavailableCount, 1);
+  },
+
+  'known lines still count when others are unpriced': (modules, base) => {
+    const newItems = editItems(base, {
+      Hardware: { quantity: 2, extendedCost: 2400, extendedPrice: 3120 },
+      'Wall framing': { quantity: 300, extendedCost: 13500, unitPrice: null, extendedPrice: null }
+    });
+    const { changeOrder, lines } = buildChangeOrder(modules, base, newItems);
+
+    assert.strictEqual(lines.Hardware.delta, 1560);
+    assert.strictEqual(lines['Wall framing'].priceUnavailable, true);
+    assert.strictEqual(changeOrder.groups[0].subtotal, 1560);
+    assert.strictEqual(changeOrder.netChange, 1560);
+    assert.strictEqual(changeOrder.oldTotal, null);
+    assert.strictEqual(changeOrder.unavailableCount, 1);
+  }
+};
+
+function main() {
+  const modules = loadModules();
+  const base = loadItems(modules.BudgetCSVParser, 'standard-comma.csv');
+  const names = Object.keys(CHECKS);
+  let failures = 0;
+
+  for (const name of names) {
+    try {
+      CHECKS[name](modules, base);
+      console.log(`ok   ${name}`);
+    } catch (error) {
+      console.log(`FAIL ${name}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  console.log(`\n${names.length - failures} of ${names.length} checks passed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
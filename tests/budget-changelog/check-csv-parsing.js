@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Budget Changelog - Backup CSV corpus check
+ *
+ * Runs BudgetCSVParser.parseWithReport() over the sample backups in ./fixtures and checks
+ * the detected schema (delimiter, decimal separator, format version, unknown/missing
+ * columns) and the parsed numbers of every line item.
+ *
+ * Usage:
+ *   node tests/budget-changelog/check-csv-parsing.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULES_DIR = path.join(__dirname, '../../JT-Tools-Master/features/budget-changelog-modules');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Load the parser modules the way the extension does: plain scripts sharing one global scope
+ * @returns {Object} { BudgetCSVSchema, BudgetCSVParser }
+ */
+function loadModules() {
+  const context = vm.createContext({ window: {}, console });
+  for (const file of ['csv-schema.js', 'csv-parser.js']) {
+    vm.runInContext(fs.readFileSync(path.join(MODULES_DIR, file), 'utf8'), context, { filename: file });
+  }
+  return context.window;
+}
+
+// Expected results per fixture
+// `items` lists line items by "Group > Path > Name"; only the listed fields are checked
+const EXPECTED = {
+  'standard-comma.csv': {
+    delimiter: ',',
+    decimalSeparator: '.',
+    version: 3,
+    unknownColumns: [],
+    missingColumns: [],
+    lineItemCount: 2,
+    items: {
+      'Scope of Work > Framing > Wall framing': {
+        description: 'Exterior walls, 2x6 @ 16" o.c.',
+        quantity: 250,
+        quantityFormula: 'wallLength * 10',
+        unitCost: 45,
+        extendedCost: 11250,
+        unitPrice: 58.5,
+        unitPriceFormula: 'unitCost * 1.3',
+        extendedPrice: 14625,
+        taxable: true,
+        selected: true,
+        costCode: '0600 - Framing',
+        customFields: { Vendor: 'Acme Lumber' }
+      },
+      'Scope of Work > Framing > Hardware': {
+        quantity: 1,
+        unitCost: 1200,
+        extendedPrice: 1560,
+        taxable: false
+      }
+    }
+  },
+
+  'excel-semicolon-sep.csv': {
+    delimiter: ';',
+    decimalSeparator: ',',
+    version: 1,
+    unknownColumns: [],
+    missingColumns: [],
+    lineItemCount: 2,
+    warnings: ['Read as ";"-separated with comma decimals.'],
+    items: {
+      'Innenausbau > Trockenbau > Gipskarton': {
+        description: 'Wände beplanken',
+        quantity: 12.5,
+        unit: 'm²',
+        unitCost: 38.4,
+        extendedCost: 480,
+        unitPrice: 49.92,
+        extendedPrice: 624,
+        taxable: true
+      },
+      'Innenausbau > Trockenbau > Spachteln': {
+        unitCost: 1234.56,
+        extendedPrice: 1604.93,
+        taxable: false
+      }
+    }
+  },
+
+  'semicolon-decimal-comma.csv': {
+    delimiter: ';',
+    decimalSeparator: ',',
+    version: 1,
+    unknownColumns: [],
+    missingColumns: ['Description', 'Taxable'],
+    lineItemCount: 2,
+    items: {
+      'Gros œuvre > Béton de fondation': {
+        quantity: 3.5,
+        unitCost: 120,
+        extendedCost: 420,
+        extendedPrice: 546
+      },
+      'Gros œuvre > Remise commerciale': {
+        unitCost: -250,
+        extendedCost: -250,
+        unitPrice: -250,
+        extendedPrice: -250
+      }
+    }
+  },
+
+  'tab-separated.csv': {
+    delimiter: '\t',
+    decimalSeparator: '.',
+    version: 1,
+    unknownColumns: [],
+    missingColumns: ['Description', 'Taxable'],
+    lineItemCount: 2,
+    warnings: ['Read as tab-separated.'],
+    items: {
+      'Site Work > Excavation > Trenching': {
+        quantity: 120.5,
+        unitCost: 8.25,
+        extendedCost: 994.13,
+        extendedPrice: 1292.97
+      },
+      'Site Work > Excavation > Haul-off credit': {
+        unitCost: -150,
+        extendedCost: -150,
+        unitPrice: -195,
+        extendedPrice: -195
+      }
+    }
+  },
+
+  'renamed-columns.csv': {
+    delimiter: ',',
+    decimalSeparator: '.',
+    version: 1,
+    unknownColumns: ['Notes'],
+    missingColumns: ['Taxable'],
+    lineItemCount: 2,
+    items: {
+      'Roofing > Shingles': {
+        description: 'Architectural',
+        quantity: 32,
+        unit: 'SQ',
+        extendedCost: 3040,
+        extendedPrice: 3952,
+        costType: 'Materials',
+        costCode: '0700 - Roofing',
+        customFields: { Notes: 'Order early' }
+      },
+      'Roofing > Dumpster': {
+        quantity: 1,
+        extendedPrice: 585
+      }
+    }
+  },
+
+  'missing-columns.csv': {
+    delimiter: ',',
+    decimalSeparator: '.',
+    version: 2,
+    unknownColumns: [],
+    missingColumns: [
+      'Description', 'Unit', 'Unit Cost', 'Unit Cost Formula', 'Unit Price',
+      'Unit Price Formula', 'Extended Price', 'Taxable', 'Cost Type'
+    ],
+    lineItemCount: 2,
+    warnings: ['Missing required column: Extended Price. Changes in it cannot be detected.'],
+    items: {
+      'Electrical > Outlets': {
+        quantity: 24,
+        quantityFormula: 'rooms * 4',
+        unitCost: null,
+        extendedCost: 1080,
+        extendedPrice: null
+      },
+      'Electrical > Panel': {
+        quantity: 1,
+        extendedCost: 2400
+      }
+    }
+  },
+
+  'scientific-and-ranges.csv': {
+    delimiter: ',',
+    decimalSeparator: '.',
+    version: 1,
+    unknownColumns: [],
+    missingColumns: ['Description', 'Unit', 'Taxable', 'Cost Type'],
+    lineItemCount: 2,
+    items: {
+      'Finishes > Sealant': {
+        quantity: 0.00001,
+        extendedCost: 0.00001,
+        extendedPrice: 0.000013
+      },
+      'Finishes > Trim allowance': {
+        // "12-3" is not a number (previously read as -123)
+        quantity: null,
+        extendedCost: 60,
+        extendedPrice: -78
+      }
+    }
+  }
+};
+
+/**
+ * Compare a parsed value, allowing for floating point noise
+ * @param {*} actual - Parsed value
+ * @param {*} expected - Expected value
+ * @param {string} label - Name for the failure message
+ */
+function checkValue(actual, expected, label) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: expected ${expected}, got ${actual}`);
+  } else {
+    // Objects from the vm context have other prototypes, so compare plain copies
+    const plain = actual !== null && typeof actual === 'object' ? JSON.parse(JSON.stringify(actual)) : actual;
+    assert.deepStrictEqual(plain, expected, `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Check one fixture against its expectations
+ * @param {Object} parser - BudgetCSVParser
+ * @param {string} file - Fixture file name
+ * @param {Object} expected - Expected results
+ */
+function checkFixture(parser, file, expected) {
+  const csv = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+  const { items, report } = parser.parseWithReport(csv);
+
+  checkValue(report.delimiter, expected.delimiter, 'delimiter');
+  checkValue(report.decimalSeparator, expected.decimalSeparator, 'decimal separator');
+  checkValue(report.version, expected.version, 'version');
+  checkValue(report.unknownColumns, expected.unknownColumns, 'unknown columns');
+  checkValue(report.missingColumns.map(c => c.header), expected.missingColumns, 'missing columns');
+
+  for (const warning of expected.warnings || []) {
+    assert.ok(report.warnings.includes(warning), `warning "${warning}" not reported (got ${JSON.stringify(report.warnings)})`);
+  }
+
+  const lineItems = items.filter(item => !item.isGroup);
+  checkValue(lineItems.length, expected.lineItemCount, 'line item count');
+
+  for (const [itemPath, fields] of Object.entries(expected.items)) {
+    const item = lineItems.find(i => [...i.hierarchy, i.name].join(' > ') === itemPath);
+    assert.ok(item, `line item "${itemPath}" not found`);
+    for (const [field, value] of Object.entries(fields)) {
+      checkValue(item[field], value, `${itemPath} ${field}`);
+    }
+  }
+}
+
+function main() {
+  const { BudgetCSVParser } = loadModules();
+  const fixtures = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.csv')).sort();
+  let failures = 0;
+
+  for (const file of fixtures) {
+    const expected = EXPECTED[file];
+    if (!expected) {
+      console.log(`FAIL ${file}: no expectations defined`);
+      failures++;
+      continue;
+    }
+
+    try {
+      checkFixture(BudgetCSVParser, file, expected);
+      console.log(`ok   ${file}`);
+    } catch (error) {
+      console.log(`FAIL ${file}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  for (const file of Object.keys(EXPECTED)) {
+    if (!fixtures.includes(file)) {
+      console.log(`FAIL ${file}: fixture file is missing`);
+      failures++;
+    }
+  }
+
+  console.log(`\n${fixtures.length - failures} of ${fixtures.length} fixtures passed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();